@@ -7,20 +7,72 @@
  * Service Department 2024 Write-Off Master List
  * 
  * Purpose: Displays all open service-related invoices and credit memos from 2024 and earlier
+ *
+ * Balances are point-in-time: a transaction is listed when it was open on the as-of date, with the
+ * amount remaining on that date - today's open amount plus every application made after the as-of
+ * date (findAppliedAfter), on either side of the link: what a later payment, refund or credit memo
+ * took off an invoice, and what a credit memo gave to a later application. A transaction paid since
+ * still shows. Status is today's status. The list query (buildServiceTransactionQuery) binds the
+ * as-of date (balanceAsOf, validated as YYYY-MM-DD), department and categories as parameters; the
+ * summary cards and By Customer totals are added up from the listed balances.
+ *
+ * Write Off and Net-Off Matches act on today's open amounts, not the as-of balances: transactions
+ * paid or applied in full since the as-of date cannot be selected or matched.
  * 
  * Includes transactions that either:
- * - Have line-level department 13 (Service)
- * - Customer category is "Service Vendor" (2) or "Old Vendor" (4)
+ * - Have a line in the Service department
+ * - Customer category is one of the master list categories ("Service Vendor", "Old Vendor")
+ *
+ * The department and categories come from the Service Write-Off Settings record.
+ *
+ * Three views of the same as-of date (view=transactions|customers|matches): the transaction table,
+ * By Customer (summarizeByCustomer), where each customer row expands into its open
+ * invoices and credit memos, and Net-Off Matches (writeOffLib.proposeNetOffMatches), the proposed
+ * credit memo to invoice applications per customer with the residuals they leave.
+ *
+ * Write Off (POST action=write-off): the transactions checked in the table are written off one by
+ * one - invoices to the settings' Bad Debt Account (JE applied to the invoice), credit memos applied
+ * to the customer's open invoices or refunded (creditMode=apply|refund). Each is recorded in the
+ * write-off ledger and reported per transaction.
+ *
+ * Apply Matches (POST action=net-off): the approved net-off matches are applied one by one through
+ * a temporary customer payment, recorded in the ledger and reported per match.
  */
-define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
+define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url', './service_writeoff_lib'],
     /**
      * @param {serverWidget} serverWidget
      * @param {query} query
      * @param {log} log
      * @param {runtime} runtime
      * @param {url} url
+     * @param {Object} writeOffLib
      */
-    function (serverWidget, query, log, runtime, url) {
+    function (serverWidget, query, log, runtime, url, writeOffLib) {
+
+        /**
+         * As-of date used when the page is opened without one
+         */
+        var DEFAULT_BALANCE_AS_OF = '2024-12-31';
+
+        /**
+         * Signed amount open today (credit memos negative): unpaid invoice amount, unapplied credit
+         */
+        var CURRENT_REMAINING = '(CASE ' +
+            'WHEN t.type = \'CustInvc\' THEN t.foreignamountunpaid ' +
+            'WHEN t.type = \'CustCred\' THEN -1 * tl_main.foreignpaymentamountunused ' +
+            'END)';
+
+        /**
+         * Date an application (a previoustransactionlinelink row, joined to its nextdoc as applying)
+         * took effect. A payment or refund applies on its own date; a credit memo applied directly to
+         * an invoice applies when the application was made, which can be long after the memo's date.
+         */
+        var APPLICATION_DATE = '(CASE WHEN applying.type = \'CustCred\' THEN ptll.linkdate ELSE applying.trandate END)';
+
+        /**
+         * Transactions per findAppliedAfter query; each ID is bound twice (either side of the link)
+         */
+        var APPLIED_AFTER_CHUNK = 500;
 
         /**
          * Handles GET and POST requests to the Suitelet
@@ -30,8 +82,308 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
             if (context.request.method === 'GET') {
                 handleGet(context);
             } else {
-                handleGet(context);
+                handlePost(context);
+            }
+        }
+
+        /**
+         * Handles POST requests - the Write Off and Apply Matches actions; anything else shows the page
+         * @param {Object} context
+         */
+        function handlePost(context) {
+            var params = context.request.parameters;
+
+            log.debug('POST Request', 'Parameters: ' + JSON.stringify(params));
+
+            if (params.action === 'write-off') {
+                return handleWriteOff(context);
+            }
+            if (params.action === 'net-off') {
+                return handleNetOff(context);
+            }
+
+            handleGet(context);
+        }
+
+        /**
+         * Writes off the selected transactions: invoices to the Bad Debt Account, credit memos applied
+         * to the customer's open invoices or refunded. Stops below GOVERNANCE_THRESHOLD units and leaves
+         * the rest selected for the next click, like the portal's inline bulk handlers.
+         * @param {Object} context
+         */
+        function handleWriteOff(context) {
+            var response = context.response;
+            var params = context.request.parameters;
+            var creditMode = params.creditMode === 'refund' ? 'refund' : 'apply';
+            var tranIds = String(params.transactionIds || '').split(',').map(function(id) {
+                return id.trim();
+            }).filter(function(id) {
+                return /^\d+$/.test(id);
+            });
+            var processedIds = [];
+            var failedIds = [];
+            var failureDetails = {};
+            var results = {};
+            var governanceStopped = false;
+            // An invoice write-off saves a JE and a temporary payment
+            var GOVERNANCE_THRESHOLD = 150;
+
+            response.setHeader({ name: 'Content-Type', value: 'application/json' });
+
+            if (tranIds.length === 0) {
+                response.write(JSON.stringify({ success: false, message: 'No transactions selected. Please select at least one invoice or credit memo.' }));
+                return;
+            }
+
+            try {
+                writeOffLib.getSettings();
+                var types = findTransactionTypes(tranIds);
+
+                log.audit('Master List Write-Off', 'Processing ' + tranIds.length + ' transaction(s), credit memos: ' + creditMode);
+
+                for (var i = 0; i < tranIds.length; i++) {
+                    var tranId = tranIds[i];
+
+                    if (runtime.getCurrentScript().getRemainingUsage() < GOVERNANCE_THRESHOLD) {
+                        log.audit('Governance Limit Approaching', { processed: processedIds.length, remaining: tranIds.length - i });
+                        governanceStopped = true;
+                        break;
+                    }
+
+                    var txn = types[tranId];
+                    var action = !txn ? null : txn.type === 'CustInvc' ? 'write-off-invoice' : creditMode === 'refund' ? 'refund-credit' : 'apply-credit';
+
+                    try {
+                        if (!action || (txn.type !== 'CustInvc' && txn.type !== 'CustCred')) {
+                            throw new Error('Transaction ' + tranId + ' is not an invoice or credit memo.');
+                        }
+
+                        var result = writeOffTransaction(action, tranId);
+                        result.tranid = txn.tranid;
+                        result.action = action;
+                        results[tranId] = result;
+                        processedIds.push(tranId);
+                        writeOffLib.writeAuditEntry({
+                            action: action,
+                            success: true,
+                            bulk: tranIds.length > 1,
+                            invoiceId: action === 'write-off-invoice' ? tranId : null,
+                            jeId: result.jeId,
+                            paymentId: result.paymentId,
+                            amount: result.amount,
+                            details: result
+                        });
+                    } catch (e) {
+                        failedIds.push(tranId);
+                        failureDetails[tranId] = writeOffLib.getCleanErrorMessage(e);
+                        log.error('Master List Write-Off Error', { tranId: tranId, action: action, error: e.toString() });
+                        writeOffLib.writeAuditEntry({
+                            action: action || 'write-off-invoice',
+                            success: false,
+                            bulk: tranIds.length > 1,
+                            error: failureDetails[tranId],
+                            details: { transactionId: tranId, tranid: txn ? txn.tranid : null, rollback: e.rollback || null }
+                        });
+                    }
+                }
+            } catch (e) {
+                log.error('Master List Write-Off Error', e.toString());
+                response.write(JSON.stringify({ success: false, message: 'Error: ' + writeOffLib.getCleanErrorMessage(e) }));
+                return;
+            }
+
+            var labels = {};
+            failedIds.forEach(function(id) {
+                labels[id] = types[id] ? types[id].tranid : '#' + id;
+            });
+
+            response.write(JSON.stringify({
+                success: true,
+                message: buildResultMessage(processedIds.length + ' transaction(s) written off.', processedIds.length, tranIds.length,
+                    failedIds, failureDetails, labels, governanceStopped),
+                processedIds: processedIds,
+                failedIds: failedIds,
+                failureDetails: failureDetails,
+                results: results,
+                governanceStopped: governanceStopped,
+                count: processedIds.length
+            }));
+        }
+
+        /**
+         * Applies the approved net-off matches (matches: JSON [{ creditId, invoiceId, amount }]), each
+         * checked to be a credit memo and an invoice of the same customer. Stops below
+         * GOVERNANCE_THRESHOLD units and leaves the rest selected, like handleWriteOff.
+         * @param {Object} context
+         */
+        function handleNetOff(context) {
+            var response = context.response;
+            var matches;
+            var processedIds = [];
+            var failedIds = [];
+            var failureDetails = {};
+            var labels = {};
+            var results = {};
+            var governanceStopped = false;
+            // Each match transforms, saves and deletes a temporary payment
+            var GOVERNANCE_THRESHOLD = 150;
+
+            response.setHeader({ name: 'Content-Type', value: 'application/json' });
+
+            try {
+                matches = JSON.parse(context.request.parameters.matches || '[]');
+            } catch (parseError) {
+                matches = null;
+            }
+            if (!Array.isArray(matches) || matches.length === 0) {
+                response.write(JSON.stringify({ success: false, message: 'No matches selected. Please select at least one proposed match.' }));
+                return;
+            }
+
+            try {
+                writeOffLib.getSettings();
+                var tranIds = [];
+                matches.forEach(function(m) {
+                    tranIds.push(String(m.creditId), String(m.invoiceId));
+                });
+                var types = findTransactionTypes(tranIds.filter(function(id) { return /^\d+$/.test(id); }));
+
+                log.audit('Master List Net-Off', 'Applying ' + matches.length + ' match(es)');
+
+                for (var i = 0; i < matches.length; i++) {
+                    var creditId = String(matches[i].creditId);
+                    var invoiceId = String(matches[i].invoiceId);
+                    var amount = Math.round((parseFloat(matches[i].amount) || 0) * 100) / 100;
+                    var matchId = creditId + '-' + invoiceId;
+                    var credit = types[creditId];
+                    var invoice = types[invoiceId];
+                    labels[matchId] = (credit ? credit.tranid : '#' + creditId) + ' -> ' + (invoice ? invoice.tranid : '#' + invoiceId);
+
+                    if (runtime.getCurrentScript().getRemainingUsage() < GOVERNANCE_THRESHOLD) {
+                        log.audit('Governance Limit Approaching', { processed: processedIds.length, remaining: matches.length - i });
+                        governanceStopped = true;
+                        break;
+                    }
+
+                    try {
+                        if (!credit || credit.type !== 'CustCred') {
+                            throw new Error('Transaction ' + creditId + ' is not a credit memo.');
+                        }
+                        if (!invoice || invoice.type !== 'CustInvc') {
+                            throw new Error('Transaction ' + invoiceId + ' is not an invoice.');
+                        }
+                        if (String(credit.entity) !== String(invoice.entity)) {
+                            throw new Error(credit.tranid + ' and ' + invoice.tranid + ' belong to different customers.');
+                        }
+                        if (!(amount > 0)) {
+                            throw new Error('The amount to apply must be greater than zero.');
+                        }
+
+                        var result = writeOffLib.applyNetOffMatch(invoiceId, creditId, amount);
+                        result.invoiceTranid = invoice.tranid;
+                        results[matchId] = result;
+                        processedIds.push(matchId);
+                        writeOffLib.writeAuditEntry({
+                            action: 'net-off',
+                            success: true,
+                            bulk: matches.length > 1,
+                            invoiceId: invoiceId,
+                            paymentId: result.paymentId,
+                            amount: amount,
+                            details: result
+                        });
+                    } catch (e) {
+                        failedIds.push(matchId);
+                        failureDetails[matchId] = writeOffLib.getCleanErrorMessage(e);
+                        log.error('Master List Net-Off Error', { creditId: creditId, invoiceId: invoiceId, error: e.toString() });
+                        writeOffLib.writeAuditEntry({
+                            action: 'net-off',
+                            success: false,
+                            bulk: matches.length > 1,
+                            invoiceId: invoice ? invoiceId : null,
+                            amount: amount,
+                            error: failureDetails[matchId],
+                            details: { creditId: creditId, invoiceId: invoiceId, rollback: e.rollback || null }
+                        });
+                    }
+                }
+            } catch (e) {
+                log.error('Master List Net-Off Error', e.toString());
+                response.write(JSON.stringify({ success: false, message: 'Error: ' + writeOffLib.getCleanErrorMessage(e) }));
+                return;
+            }
+
+            response.write(JSON.stringify({
+                success: true,
+                message: buildResultMessage(processedIds.length + ' match(es) applied.', processedIds.length, matches.length,
+                    failedIds, failureDetails, labels, governanceStopped),
+                processedIds: processedIds,
+                failedIds: failedIds,
+                failureDetails: failureDetails,
+                results: results,
+                governanceStopped: governanceStopped,
+                count: processedIds.length
+            }));
+        }
+
+        /**
+         * Builds the alert text for a POST action, in the portal's bulk result format
+         * @param {string} summary - First line, e.g. '3 transaction(s) written off.'
+         * @param {number} processed - Items done
+         * @param {number} total - Items submitted
+         * @param {Array} failedIds - Failed item IDs
+         * @param {Object} failureDetails - Item ID -> error message
+         * @param {Object} labels - Item ID -> label shown with its error
+         * @param {boolean} governanceStopped - Whether the run stopped at the governance threshold
+         * @returns {string} Message
+         */
+        function buildResultMessage(summary, processed, total, failedIds, failureDetails, labels, governanceStopped) {
+            var message = summary;
+            if (failedIds.length > 0) {
+                message += ' Failed: ' + failedIds.length + '\n\nFailure details:\n' + failedIds.map(function(id) {
+                    return labels[id] + ': ' + failureDetails[id];
+                }).join('\n');
+            }
+            if (governanceStopped) {
+                message += '\n\nGOVERNANCE LIMIT: Processed ' + processed + ' of ' + total + '. Remaining items still selected - click again to continue.';
             }
+            return message;
+        }
+
+        /**
+         * Runs one write-off action
+         * @param {string} action - write-off-invoice, apply-credit or refund-credit
+         * @param {string} tranId - Transaction internal ID
+         * @returns {Object} The library result
+         */
+        function writeOffTransaction(action, tranId) {
+            if (action === 'write-off-invoice') {
+                return writeOffLib.writeOffInvoice(tranId);
+            }
+            if (action === 'refund-credit') {
+                return writeOffLib.refundCreditMemo(tranId);
+            }
+            return writeOffLib.applyCreditMemo(tranId);
+        }
+
+        /**
+         * Looks up the type, number and customer of the selected transactions
+         * @param {Array} tranIds - Transaction internal IDs
+         * @returns {Object} Internal ID -> { type, tranid, entity }
+         */
+        function findTransactionTypes(tranIds) {
+            var types = {};
+            // SuiteQL IN lists are capped at 1000 values
+            for (var start = 0; start < tranIds.length; start += 1000) {
+                var chunk = tranIds.slice(start, start + 1000);
+                query.runSuiteQL({
+                    query: 'SELECT id, type, tranid, entity FROM transaction WHERE id IN (' + chunk.map(function() { return '?'; }).join(', ') + ')',
+                    params: chunk
+                }).asMappedResults().forEach(function(row) {
+                    types[String(row.id)] = { type: row.type, tranid: row.tranid, entity: row.entity };
+                });
+            }
+            return types;
         }
 
         /**
@@ -49,7 +401,13 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
             });
 
             try {
-                var htmlContent = buildPageHTML(request.parameters);
+                var settingsCheck = writeOffLib.loadSettings();
+                if (settingsCheck.errors.length > 0) {
+                    throw new Error('Service Write-Off Settings (' + writeOffLib.SETTINGS.type + ') need attention: ' +
+                        settingsCheck.errors.join(' '));
+                }
+
+                var htmlContent = buildPageHTML(request.parameters, parseBalanceAsOf(request.parameters.balanceAsOf));
 
                 var htmlField = form.addField({
                     id: 'custpage_html_content',
@@ -76,12 +434,33 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
             context.response.writePage(form);
         }
 
+        /**
+         * Validates the balanceAsOf URL parameter
+         * @param {string} value - balanceAsOf parameter; empty means the default, 2024-12-31
+         * @returns {string} The date as YYYY-MM-DD
+         * @throws {Error} When it is not a real date in YYYY-MM-DD format
+         */
+        function parseBalanceAsOf(value) {
+            var text = String(value || '').trim();
+            if (!text) {
+                return DEFAULT_BALANCE_AS_OF;
+            }
+
+            var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+            var date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+            if (!date || date.getUTCFullYear() !== +match[1] || date.getUTCMonth() !== +match[2] - 1 || date.getUTCDate() !== +match[3]) {
+                throw new Error('"' + text + '" is not a valid Transactions As Of date. Pick a date or enter it as YYYY-MM-DD, e.g. ' + DEFAULT_BALANCE_AS_OF + '.');
+            }
+            return text;
+        }
+
         /**
          * Builds the main page HTML
          * @param {Object} params - URL parameters
+         * @param {string} balanceAsOf - Validated as-of date (YYYY-MM-DD)
          * @returns {string} HTML content
          */
-        function buildPageHTML(params) {
+        function buildPageHTML(params, balanceAsOf) {
             try {
                 log.debug('buildPageHTML Start', 'Params: ' + JSON.stringify(params));
                 
@@ -91,7 +470,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                     returnExternalUrl: false
                 });
 
-                var balanceAsOf = (params.balanceAsOf && params.balanceAsOf.trim()) ? params.balanceAsOf.trim() : '2024-12-31';
+                var view = (params.view === 'customers' || params.view === 'matches') ? params.view : 'transactions';
                 log.debug('Balance As Of', balanceAsOf);
 
                 var html = '';
@@ -105,37 +484,10 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 log.debug('Data Loading', 'Starting to load transaction data for ' + balanceAsOf);
                 var transactionResult = searchServiceTransactions(balanceAsOf);
                 var transactions = transactionResult.transactions;
-                var isTruncated = transactionResult.isTruncated;
-                var actualCount = transactionResult.actualCount;
                 log.debug('Transactions Loaded', 'Count: ' + transactions.length);
 
-                var totalInvoices = 0;
-                var totalInvoiceAmount = 0;
-                var totalCredits = 0;
-                var totalCreditAmount = 0;
-                var totalNetAmount = 0;
-
-                if (isTruncated) {
-                    totalInvoices = transactionResult.invoiceCount;
-                    totalInvoiceAmount = transactionResult.invoiceTotal;
-                    totalCredits = transactionResult.creditCount;
-                    totalCreditAmount = transactionResult.creditTotal;
-                    totalNetAmount = transactionResult.netTotal;
-                } else {
-                    for (var i = 0; i < transactions.length; i++) {
-                        var txn = transactions[i];
-                        var amount = parseFloat(txn.amount_remaining) || 0;
-                        totalNetAmount += amount;
-                        
-                        if (amount > 0) {
-                            totalInvoices++;
-                            totalInvoiceAmount += amount;
-                        } else if (amount < 0) {
-                            totalCredits++;
-                            totalCreditAmount += Math.abs(amount);
-                        }
-                    }
-                }
+                var customerSummary = summarizeByCustomer(transactions);
+                log.debug('Customer Summary Loaded', 'Customers: ' + customerSummary.length);
 
                 html += '<style>' + getStyles() + '</style>';
 
@@ -150,15 +502,33 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 html += '<div class="summary-section">';
                 html += '<h2 class="summary-title">Open Service Transactions Summary</h2>';
                 html += '<div class="summary-grid">';
-                html += buildSummaryCard('Open Invoices', totalInvoices, totalInvoiceAmount);
-                html += buildSummaryCard('Open Credit Memos', totalCredits, totalCreditAmount);
-                html += buildSummaryCard('Net Amount', totalInvoices + totalCredits, totalNetAmount);
+                html += buildSummaryCard('Open Invoices', transactionResult.invoiceCount, transactionResult.invoiceTotal);
+                html += buildSummaryCard('Open Credit Memos', transactionResult.creditCount, transactionResult.creditTotal);
+                html += buildSummaryCard('Net Amount', transactionResult.invoiceCount + transactionResult.creditCount, transactionResult.netTotal);
                 html += '</div>';
                 html += '</div>';
 
+                html += '<div class="view-tabs">';
+                html += '<button type="button" class="view-tab' + (view === 'transactions' ? ' active' : '') + '" id="viewTab-transactions" onclick="switchView(\'transactions\')">All Transactions</button>';
+                html += '<button type="button" class="view-tab' + (view === 'customers' ? ' active' : '') + '" id="viewTab-customers" onclick="switchView(\'customers\')">By Customer</button>';
+                html += '<button type="button" class="view-tab' + (view === 'matches' ? ' active' : '') + '" id="viewTab-matches" onclick="switchView(\'matches\')">Net-Off Matches</button>';
+                html += '</div>';
+
+                html += '<div class="view-panel" id="view-transactions"' + (view === 'transactions' ? '' : ' style="display:none;"') + '>';
                 html += buildDataSection('transactions', 'Open Service Transactions', 
-                    'Invoices and credit memos from ' + balanceAsOf + ' or earlier with service department criteria', 
-                    transactions, scriptUrl, isTruncated, actualCount);
+                    'Invoices and credit memos open on ' + balanceAsOf + ' with service department criteria, at their balance as of that date',
+                    transactions, scriptUrl);
+                html += '</div>';
+
+                html += '<div class="view-panel" id="view-customers"' + (view === 'customers' ? '' : ' style="display:none;"') + '>';
+                html += buildSummaryDataSection('customers', 'Open Service Transactions by Customer',
+                    'Net amount remaining per customer as of ' + balanceAsOf + '; click a customer to list its open invoices and credit memos',
+                    customerSummary, scriptUrl, groupTransactionsByCustomer(transactions));
+                html += '</div>';
+
+                html += '<div class="view-panel" id="view-matches"' + (view === 'matches' ? '' : ' style="display:none;"') + '>';
+                html += buildNetOffSection('matches', writeOffLib.proposeNetOffMatches(atCurrentBalances(transactions)), balanceAsOf);
+                html += '</div>';
 
                 html += '</div>';
 
@@ -210,21 +580,16 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
          * @param {string} description - Section description
          * @param {Array} data - Data array
          * @param {string} scriptUrl - Suitelet URL
-         * @param {boolean} isTruncated - Whether results are truncated
-         * @param {number} actualCount - Actual count if truncated
          * @returns {string} HTML for data section
          */
-        function buildDataSection(sectionId, title, description, data, scriptUrl, isTruncated, actualCount) {
-            var displayedRecords = data.length;
-            var totalRecords = isTruncated ? actualCount : displayedRecords;
-            var countDisplay = isTruncated 
-                ? 'Displaying ' + displayedRecords.toLocaleString() + ' of ' + totalRecords.toLocaleString() + ' records'
-                : totalRecords.toLocaleString();
+        function buildDataSection(sectionId, title, description, data, scriptUrl) {
+            var totalRecords = data.length;
+            var countDisplay = totalRecords.toLocaleString();
             
             var html = '';
             html += '<div class="search-section" id="section-' + sectionId + '">';
             html += '<div class="search-title collapsible" data-section-id="' + sectionId + '">';
-            html += '<span>' + escapeHtml(title) + ' (' + countDisplay + ')' + (isTruncated ? ' <span style="color: #4CAF50; font-size: 11px;">⚠ Totals calculated from all records</span>' : '') + '</span>';
+            html += '<span>' + escapeHtml(title) + ' (' + countDisplay + ')</span>';
             html += '<span class="toggle-icon" id="toggle-' + sectionId + '">−</span>';
             html += '</div>';
             html += '<div class="search-content" id="content-' + sectionId + '">';
@@ -237,6 +602,15 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 html += '<input type="text" id="searchBox-' + sectionId + '" class="search-box" placeholder="Search this table..." onkeyup="filterTable(\'' + sectionId + '\')">';
                 html += '<button type="button" class="export-btn" onclick="exportToExcel(\'' + sectionId + '\')">📥 Export to Excel</button>';
                 html += '<span class="search-results-count" id="searchCount-' + sectionId + '"></span>';
+                html += '<span class="write-off-toolbar">';
+                html += '<span class="write-off-selection" id="writeOffSelection-' + sectionId + '">No transactions selected</span>';
+                html += '<label for="creditMode-' + sectionId + '">Credit memos:</label>';
+                html += '<select id="creditMode-' + sectionId + '" class="credit-mode-select">';
+                html += '<option value="apply">Apply to open invoices</option>';
+                html += '<option value="refund">Refund to customer</option>';
+                html += '</select>';
+                html += '<button type="button" class="write-off-btn" id="writeOffBtn-' + sectionId + '" disabled onclick="executeWriteOff(\'' + sectionId + '\')">Write Off Selected</button>';
+                html += '</span>';
                 html += '</div>';
                 html += buildTransactionTable(data, scriptUrl, sectionId);
             }
@@ -253,9 +627,10 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
          * @param {string} description - Section description
          * @param {Array} data - Summary data array
          * @param {string} scriptUrl - Suitelet URL
+         * @param {Object} transactionsByCustomer - Customer ID -> open transactions, for the detail rows
          * @returns {string} HTML for data section
          */
-        function buildSummaryDataSection(sectionId, title, description, data, scriptUrl) {
+        function buildSummaryDataSection(sectionId, title, description, data, scriptUrl, transactionsByCustomer) {
             var totalCustomers = data.length;
             
             var html = '';
@@ -279,7 +654,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 html += '<button type="button" class="export-btn" onclick="exportToExcel(\'' + sectionId + '\')">📥 Export to Excel</button>';
                 html += '<span class="search-results-count" id="searchCount-' + sectionId + '" style="margin-left: 10px;"></span>';
                 html += '</div>';
-                html += buildSummaryTable(data, scriptUrl, sectionId);
+                html += buildSummaryTable(data, scriptUrl, sectionId, transactionsByCustomer);
             }
             
             html += '</div>';
@@ -288,13 +663,15 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
         }
 
         /**
-         * Builds the customer summary table
+         * Builds the customer summary table; each customer row is followed by a hidden detail row
+         * listing its open transactions
          * @param {Array} summary - Summary data
          * @param {string} scriptUrl - Suitelet URL
          * @param {string} sectionId - Section identifier
+         * @param {Object} transactionsByCustomer - Customer ID -> open transactions
          * @returns {string} HTML table
          */
-        function buildSummaryTable(summary, scriptUrl, sectionId) {
+        function buildSummaryTable(summary, scriptUrl, sectionId, transactionsByCustomer) {
             var html = '';
 
             html += '<div class="table-container">';
@@ -315,8 +692,9 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 var netAmount = parseFloat(row.net_amount) || 0;
                 var invoiceCount = parseInt(row.invoice_count) || 0;
                 var creditCount = parseInt(row.credit_count) || 0;
+                var detailId = 'detail-' + sectionId + '-' + escapeHtml(row.customer_id);
 
-                html += '<tr class="' + rowClass + '">';
+                html += '<tr class="' + rowClass + ' customer-row" data-detail-id="' + detailId + '" onclick="toggleCustomerDetail(\'' + detailId + '\', event)" title="Click to list open transactions">';
 
                 html += '<td><a href="/app/common/entity/custjob.nl?id=' + row.customer_id + '" target="_blank">' + escapeHtml(row.customer_name || '-') + '</a></td>';
 
@@ -327,15 +705,174 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 html += '<td class="amount' + (netAmount < 0 ? ' credit-amount' : '') + '">' + formatCurrency(netAmount) + '</td>';
 
                 html += '</tr>';
+
+                html += '<tr class="customer-detail-row" id="' + detailId + '" style="display: none;">';
+                html += '<td colspan="4">' + buildCustomerDetailTable(transactionsByCustomer[row.customer_id] || []) + '</td>';
+                html += '</tr>';
+            }
+
+            html += '</tbody>';
+            html += '</table>';
+            html += '</div>';
+
+            return html;
+        }
+
+        /**
+         * Builds the open invoices and credit memos of one customer, shown under its summary row
+         * @param {Array} transactions - The customer's transactions
+         * @returns {string} HTML table
+         */
+        function buildCustomerDetailTable(transactions) {
+            if (transactions.length === 0) {
+                return '<div class="detail-empty">No open transactions listed for this customer.</div>';
+            }
+
+            var html = '<table class="detail-table">';
+            html += '<thead><tr><th>Transaction #</th><th>Type</th><th>Date</th><th>Current Status</th><th>Amount Remaining</th></tr></thead>';
+            html += '<tbody>';
+
+            for (var i = 0; i < transactions.length; i++) {
+                var txn = transactions[i];
+                var amount = parseFloat(txn.amount_remaining) || 0;
+                var isCredit = amount < 0;
+
+                html += '<tr>';
+                html += '<td><a href="/app/accounting/transactions/' + (isCredit ? 'custcred' : 'custinvc') + '.nl?id=' + txn.id + '" target="_blank">' + escapeHtml(txn.tranid) + '</a></td>';
+                html += '<td>' + (isCredit ? 'Credit Memo' : 'Invoice') + '</td>';
+                html += '<td>' + formatDate(txn.trandate) + '</td>';
+                html += '<td>' + escapeHtml(txn.status_name || '-') + '</td>';
+                html += '<td class="amount' + (isCredit ? ' credit-amount' : '') + '">' + formatCurrency(amount) + '</td>';
+                html += '</tr>';
+            }
+
+            html += '</tbody>';
+            html += '</table>';
+            return html;
+        }
+
+        /**
+         * Builds the Net-Off Matches section: one group of proposed credit memo to invoice applications
+         * per customer, each pre-selected for Apply Selected Matches
+         * @param {string} sectionId - Section identifier
+         * @param {Array} proposals - From writeOffLib.proposeNetOffMatches
+         * @param {string} balanceAsOf - As-of date (YYYY-MM-DD)
+         * @returns {string} HTML for the section
+         */
+        function buildNetOffSection(sectionId, proposals, balanceAsOf) {
+            var matchCount = 0;
+            var totalMatched = 0;
+            proposals.forEach(function(p) {
+                matchCount += p.matches.length;
+                totalMatched += p.matchedAmount;
+            });
+
+            var html = '';
+            html += '<div class="search-section" id="section-' + sectionId + '">';
+            html += '<div class="search-title collapsible" data-section-id="' + sectionId + '">';
+            html += '<span>Proposed Net-Off Matches (' + proposals.length + ' customers, ' + matchCount + ' matches)</span>';
+            html += '<span class="toggle-icon" id="toggle-' + sectionId + '">−</span>';
+            html += '</div>';
+            html += '<div class="search-content" id="content-' + sectionId + '">';
+            html += '<div class="search-count">Credit memos listed for ' + escapeHtml(balanceAsOf) + ' matched to the same customer\'s listed invoices at what is open today: exact amounts first, then oldest invoice first. Transactions paid or applied in full since are left out. Residuals are what stays open after every match of the customer.</div>';
+
+            if (matchCount === 0) {
+                html += '<p class="no-results">No open credit memo can be matched to an open invoice of the same customer.</p>';
+                html += '</div>';
+                html += '</div>';
+                return html;
             }
 
+            html += '<div class="search-box-container">';
+            html += '<span class="write-off-toolbar">';
+            html += '<span class="write-off-selection" id="netOffSelection">' + matchCount + ' match(es) selected - ' + formatCurrency(totalMatched) + '</span>';
+            html += '<button type="button" class="write-off-btn" id="applyNetOffBtn" onclick="applyNetOffMatches()">Apply Selected Matches</button>';
+            html += '</span>';
+            html += '</div>';
+
+            html += '<div class="table-container">';
+            html += '<table class="data-table" id="table-' + sectionId + '">';
+            html += '<thead>';
+            html += '<tr>';
+            html += '<th class="select-col"><input type="checkbox" title="Select all" checked onclick="toggleAllMatches(this.checked)"></th>';
+            html += '<th>Credit Memo</th>';
+            html += '<th>Invoice</th>';
+            html += '<th>Match</th>';
+            html += '<th>Amount Applied</th>';
+            html += '<th>Credit Residual</th>';
+            html += '<th>Invoice Residual</th>';
+            html += '</tr>';
+            html += '</thead>';
+            html += '<tbody>';
+
+            proposals.forEach(function(p) {
+                html += '<tr class="match-customer-row">';
+                html += '<td colspan="7"><a href="/app/common/entity/custjob.nl?id=' + escapeHtml(p.customerId) + '" target="_blank">' + escapeHtml(p.customerName || '-') + '</a>' +
+                    ' - ' + p.matches.length + ' match(es), ' + formatCurrency(p.matchedAmount) + ' applied; left open: invoices ' +
+                    formatCurrency(p.invoiceResidual) + ', credits ' + formatCurrency(-p.creditResidual) + '</td>';
+                html += '</tr>';
+
+                p.matches.forEach(function(m) {
+                    var matchId = m.creditId + '-' + m.invoiceId;
+                    html += '<tr class="match-row" data-match-id="' + escapeHtml(matchId) + '">';
+                    html += '<td class="select-col"><input type="checkbox" class="match-checkbox" checked value="' + escapeHtml(matchId) + '"' +
+                        ' data-credit-id="' + escapeHtml(m.creditId) + '" data-invoice-id="' + escapeHtml(m.invoiceId) + '" data-amount="' + m.amount + '"' +
+                        ' onclick="updateNetOffSelection()"></td>';
+                    html += '<td><a href="/app/accounting/transactions/custcred.nl?id=' + escapeHtml(m.creditId) + '" target="_blank">' + escapeHtml(m.creditTranid) + '</a></td>';
+                    html += '<td><a href="/app/accounting/transactions/custinvc.nl?id=' + escapeHtml(m.invoiceId) + '" target="_blank">' + escapeHtml(m.invoiceTranid) + '</a></td>';
+                    html += '<td>' + (m.exact ? 'Exact amount' : 'Oldest first') + '</td>';
+                    html += '<td class="amount">' + formatCurrency(m.amount) + '</td>';
+                    html += '<td class="amount' + (m.creditResidual > 0 ? ' credit-amount' : '') + '">' + formatCurrency(-m.creditResidual) + '</td>';
+                    html += '<td class="amount">' + formatCurrency(m.invoiceResidual) + '</td>';
+                    html += '</tr>';
+                });
+            });
+
             html += '</tbody>';
+            html += '<tfoot>';
+            html += '<tr>';
+            html += '<td colspan="4" class="summary-label">Total (' + matchCount + ' match' + (matchCount !== 1 ? 'es' : '') + '):</td>';
+            html += '<td class="amount">' + formatCurrency(totalMatched) + '</td>';
+            html += '<td colspan="2"></td>';
+            html += '</tr>';
+            html += '</tfoot>';
             html += '</table>';
             html += '</div>';
 
+            html += '</div>';
+            html += '</div>';
             return html;
         }
 
+        /**
+         * Copies the transactions with amount_remaining set to today's open amount, for the actions
+         * (net-off proposals) that post against what is open now rather than the as-of balance
+         * @param {Array} transactions - Rows from searchServiceTransactions
+         * @returns {Array} Copies of the rows
+         */
+        function atCurrentBalances(transactions) {
+            return transactions.map(function(txn) {
+                return Object.assign({}, txn, { amount_remaining: txn.current_remaining });
+            });
+        }
+
+        /**
+         * Groups transactions by customer
+         * @param {Array} transactions - Rows from searchServiceTransactions
+         * @returns {Object} Customer ID -> transactions, in the list's order
+         */
+        function groupTransactionsByCustomer(transactions) {
+            var byCustomer = {};
+            for (var i = 0; i < transactions.length; i++) {
+                var customerId = transactions[i].customer_id;
+                if (!byCustomer[customerId]) {
+                    byCustomer[customerId] = [];
+                }
+                byCustomer[customerId].push(transactions[i]);
+            }
+            return byCustomer;
+        }
+
         /**
          * Builds the transaction data table
          * @param {Array} transactions - Transaction data
@@ -350,17 +887,18 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
             html += '<table class="data-table" id="table-' + sectionId + '">';
             html += '<thead>';
             html += '<tr>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 0)">Transaction #</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 1)">External ID</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 2)">Internal ID</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 3)">Date</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 4)">Customer</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 5)">Amount Remaining</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 6)">Status</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 7)">Customer Category</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 8)">Selling Location</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 9)">Service Selling Location</th>';
-            html += '<th onclick="sortTable(\'' + sectionId + '\', 10)">Qualified Category</th>';
+            html += '<th class="select-col"><input type="checkbox" title="Select all" onclick="toggleSelectAll(\'' + sectionId + '\', this.checked)"></th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 1)">Transaction #</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 2)">External ID</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 3)">Internal ID</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 4)">Date</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 5)">Customer</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 6)">Amount Remaining</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 7)">Current Status</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 8)">Customer Category</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 9)">Selling Location</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 10)">Service Selling Location</th>';
+            html += '<th onclick="sortTable(\'' + sectionId + '\', 11)">Qualified Category</th>';
             html += '</tr>';
             html += '</thead>';
             html += '<tbody>';
@@ -369,11 +907,17 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 var txn = transactions[i];
                 var rowClass = (i % 2 === 0) ? 'even-row' : 'odd-row';
                 var amount = parseFloat(txn.amount_remaining) || 0;
+                var currentAmount = parseFloat(txn.current_remaining) || 0;
                 var isCredit = amount < 0;
                 var transactionType = isCredit ? 'custcred' : 'custinvc';
                 var transactionTypeText = isCredit ? 'Credit Memo' : 'Invoice';
 
-                html += '<tr class="' + rowClass + '">';
+                html += '<tr class="' + rowClass + '" data-txn-id="' + escapeHtml(txn.id) + '">';
+
+                // Write Off posts today's open amount; nothing is left of a transaction paid or applied since
+                html += '<td class="select-col"><input type="checkbox" class="txn-checkbox" value="' + escapeHtml(txn.id) + '" data-type="' + transactionType + '" data-amount="' + currentAmount + '"' +
+                    (currentAmount === 0 ? ' disabled title="Paid or applied in full since the as-of date - nothing left to write off"' : '') +
+                    ' onclick="updateWriteOffSelection(\'' + sectionId + '\')"></td>';
 
                 html += '<td><a href="/app/accounting/transactions/' + transactionType + '.nl?id=' + txn.id + '" target="_blank" title="' + transactionTypeText + '">' + escapeHtml(txn.tranid) + '</a></td>';
 
@@ -395,7 +939,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
 
                 html += '<td style="text-align: center;">' + (txn.has_line_dept_13 === 'Y' ? '✓' : '') + '</td>';
 
-                html += '<td style="text-align: center;">' + (txn.has_service_category === 'Y' ? '✓' : '') + '</td';
+                html += '<td style="text-align: center;">' + (txn.has_service_category === 'Y' ? '✓' : '') + '</td>';
 
                 html += '</tr>';
             }
@@ -410,7 +954,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
             
             html += '<tfoot>';
             html += '<tr>';
-            html += '<td colspan="5" class="summary-label">Total (' + totalRecords + ' record' + (totalRecords !== 1 ? 's' : '') + '):</td>';
+            html += '<td colspan="6" class="summary-label">Total (' + totalRecords + ' record' + (totalRecords !== 1 ? 's' : '') + '):</td>';
             html += '<td class="amount">' + formatCurrency(totalAmount) + '</td>';
             html += '<td colspan="5"></td>';
             html += '</tr>';
@@ -423,15 +967,122 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
         }
 
         /**
-         * Searches for all open service-related transactions
+         * The service criteria from the settings - a line in the Service department, or a master list
+         * customer category - as SQL conditions with bound parameters
+         * @returns {Object} { departmentLine: { sql, params }, category: { sql, params } }
+         */
+        function getServiceCriteria() {
+            var settings = writeOffLib.getSettings();
+            var categoryIds = settings.masterListCategories;
+
+            return {
+                departmentLine: {
+                    sql: 'EXISTS ( ' +
+                        '    SELECT tl.id ' +
+                        '    FROM transactionline tl ' +
+                        '    WHERE tl.transaction = t.id ' +
+                        '    AND tl.department = ? ' +
+                        ')',
+                    params: [settings.serviceDepartment]
+                },
+                category: {
+                    sql: 'c.category IN (' + categoryIds.map(function() { return '?'; }).join(', ') + ')',
+                    params: categoryIds.slice()
+                }
+            };
+        }
+
+        /**
+         * Builds the master list query on service transactions that may have been open on the as-of
+         * date: dated on or before it, and open today or closed by an application made after it
+         * (findAppliedAfter then puts the balance back to the as-of date)
+         * @param {string} balanceAsOf - Validated as-of date (YYYY-MM-DD)
+         * @param {Object} select - { sql, params } select list
+         * @param {string} [tail] - GROUP BY / ORDER BY
+         * @returns {Object} { query, params } for query.runSuiteQL
+         */
+        function buildServiceTransactionQuery(balanceAsOf, select, tail) {
+            var criteria = getServiceCriteria();
+
+            var sql = 'SELECT ' + select.sql + ' ' +
+                'FROM transaction t ' +
+                'INNER JOIN transactionline tl_main ON t.id = tl_main.transaction AND tl_main.mainline = \'T\' ' +
+                'INNER JOIN customer c ON t.entity = c.id ' +
+                'WHERE t.trandate <= TO_DATE(?, \'YYYY-MM-DD\') ' +
+                'AND t.type IN (\'CustInvc\', \'CustCred\') ' +
+                'AND (t.status = \'A\' OR (t.status = \'B\' AND EXISTS ( ' +
+                '    SELECT 1 FROM previoustransactionlinelink ptll ' +
+                '    INNER JOIN transaction applying ON applying.id = ptll.nextdoc ' +
+                '    WHERE ptll.linktype = \'Payment\' ' +
+                '    AND (ptll.previousdoc = t.id OR ptll.nextdoc = t.id) ' +
+                '    AND ' + APPLICATION_DATE + ' > TO_DATE(?, \'YYYY-MM-DD\') ' +
+                '))) ' +
+                'AND (' + criteria.departmentLine.sql + ' OR ' + criteria.category.sql + ')' +
+                (tail ? ' ' + tail : '');
+
+            return {
+                query: sql,
+                params: (select.params || []).concat([balanceAsOf, balanceAsOf], criteria.departmentLine.params, criteria.category.params)
+            };
+        }
+
+        /**
+         * Returns what was applied to or from each transaction after the as-of date. An application
+         * counts for the transaction it was applied to (previousdoc: the invoice, or the credit memo a
+         * payment or refund used) and, for a credit memo applied directly, for the credit memo (nextdoc).
+         * @param {Array} transactions - Rows with id and type
+         * @param {string} balanceAsOf - Validated as-of date (YYYY-MM-DD)
+         * @returns {Object} Transaction ID -> amount applied after the as-of date (positive)
+         */
+        function findAppliedAfter(transactions, balanceAsOf) {
+            var typeById = {};
+            var appliedAfter = {};
+            var ids = transactions.map(function(txn) {
+                typeById[String(txn.id)] = txn.type;
+                return String(txn.id);
+            });
+
+            for (var start = 0; start < ids.length; start += APPLIED_AFTER_CHUNK) {
+                var chunk = ids.slice(start, start + APPLIED_AFTER_CHUNK);
+                var placeholders = chunk.map(function() { return '?'; }).join(', ');
+
+                var links = query.runSuiteQL({
+                    query: 'SELECT ptll.previousdoc as previous_doc, ptll.nextdoc as next_doc, ptll.foreignamount as amount ' +
+                        'FROM previoustransactionlinelink ptll ' +
+                        'INNER JOIN transaction applying ON applying.id = ptll.nextdoc ' +
+                        'WHERE ptll.linktype = \'Payment\' ' +
+                        'AND ' + APPLICATION_DATE + ' > TO_DATE(?, \'YYYY-MM-DD\') ' +
+                        'AND (ptll.previousdoc IN (' + placeholders + ') OR ptll.nextdoc IN (' + placeholders + '))',
+                    params: [balanceAsOf].concat(chunk, chunk)
+                }).asMappedResults();
+
+                links.forEach(function(link) {
+                    var amount = Math.abs(parseFloat(link.amount) || 0);
+                    var previousDoc = String(link.previous_doc);
+                    var nextDoc = String(link.next_doc);
+
+                    if (typeById[previousDoc]) {
+                        appliedAfter[previousDoc] = (appliedAfter[previousDoc] || 0) + amount;
+                    }
+                    if (typeById[nextDoc] === 'CustCred') {
+                        appliedAfter[nextDoc] = (appliedAfter[nextDoc] || 0) + amount;
+                    }
+                });
+            }
+
+            return appliedAfter;
+        }
+
+        /**
+         * Searches for all open service-related transactions. A failed query is logged and rethrown,
+         * so the page shows the error instead of an empty list.
          * @param {string} balanceAsOf - Date to filter transactions (YYYY-MM-DD format)
-         * @returns {Object} Object with transactions array and metadata
+         * @returns {Object} { transactions, invoiceCount, invoiceTotal, creditCount, creditTotal, netTotal };
+         *     each transaction has amount_remaining (as of the date) and current_remaining (today), credit memos negative
          */
         function searchServiceTransactions(balanceAsOf) {
             var result = {
                 transactions: [],
-                isTruncated: false,
-                actualCount: 0,
                 invoiceCount: 0,
                 invoiceTotal: 0,
                 creditCount: 0,
@@ -440,109 +1091,49 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
             };
 
             try {
-                var sql = 'SELECT ' +
-                    't.id, ' +
-                    't.tranid, ' +
-                    't.externalid, ' +
-                    't.trandate, ' +
-                    'BUILTIN.DF(t.entity) as customer_name, ' +
-                    'CASE ' +
-                    '    WHEN t.type = \'CustInvc\' THEN t.foreignamountunpaid ' +
-                    '    WHEN t.type = \'CustCred\' THEN -1 * tl_main.foreignpaymentamountunused ' +
-                    'END as amount_remaining, ' +
-                    'BUILTIN.DF(t.status) as status_name, ' +
-                    'BUILTIN.DF(c.category) as customer_category, ' +
-                    'BUILTIN.DF(tl_main.department) as department_name, ' +
-                    'CASE ' +
-                    '    WHEN EXISTS ( ' +
-                    '        SELECT tl.id ' +
-                    '        FROM transactionline tl ' +
-                    '        WHERE tl.transaction = t.id ' +
-                    '        AND tl.department = 13 ' +
-                    '    ) THEN \'Y\' ' +
-                    '    ELSE \'N\' ' +
-                    'END as has_line_dept_13, ' +
-                    'CASE ' +
-                    '    WHEN c.category IN (2, 4) THEN \'Y\' ' +
-                    '    ELSE \'N\' ' +
-                    'END as has_service_category ' +
-                    'FROM transaction t ' +
-                    'INNER JOIN transactionline tl_main ON t.id = tl_main.transaction AND tl_main.mainline = \'T\' ' +
-                    'INNER JOIN customer c ON t.entity = c.id ' +
-                    'WHERE t.trandate <= TO_DATE(\'' + balanceAsOf + '\', \'YYYY-MM-DD\') ' +
-                    'AND t.status = \'A\' ' +
-                    'AND t.type IN (\'CustInvc\', \'CustCred\') ' +
-                    'AND ( ' +
-                    '    EXISTS ( ' +
-                    '        SELECT tl.id ' +
-                    '        FROM transactionline tl ' +
-                    '        WHERE tl.transaction = t.id ' +
-                    '        AND tl.department = 13 ' +
-                    '    ) ' +
-                    '    OR c.category IN (2, 4) ' +
-                    ') ' +
-                    'ORDER BY t.trandate, t.tranid, t.id';
-
-                log.debug('Service Transaction Query', sql);
-
-                var countSql = 'SELECT ' +
-                    'COUNT(DISTINCT t.id) as total_count, ' +
-                    'SUM(CASE WHEN t.type = \'CustInvc\' THEN 1 ELSE 0 END) as invoice_count, ' +
-                    'SUM(CASE WHEN t.type = \'CustInvc\' THEN t.foreignamountunpaid ELSE 0 END) as invoice_total, ' +
-                    'SUM(CASE WHEN t.type = \'CustCred\' THEN 1 ELSE 0 END) as credit_count, ' +
-                    'SUM(CASE WHEN t.type = \'CustCred\' THEN tl_main.foreignpaymentamountunused ELSE 0 END) as credit_total, ' +
-                    'SUM(CASE ' +
-                    '    WHEN t.type = \'CustInvc\' THEN t.foreignamountunpaid ' +
-                    '    WHEN t.type = \'CustCred\' THEN -1 * tl_main.foreignpaymentamountunused ' +
-                    '    ELSE 0 ' +
-                    'END) as net_total ' +
-                    'FROM transaction t ' +
-                    'INNER JOIN transactionline tl_main ON t.id = tl_main.transaction AND tl_main.mainline = \'T\' ' +
-                    'INNER JOIN customer c ON t.entity = c.id ' +
-                    'WHERE t.trandate <= TO_DATE(\'' + balanceAsOf + '\', \'YYYY-MM-DD\') ' +
-                    'AND t.status = \'A\' ' +
-                    'AND t.type IN (\'CustInvc\', \'CustCred\') ' +
-                    'AND ( ' +
-                    '    EXISTS ( ' +
-                    '        SELECT tl.id ' +
-                    '        FROM transactionline tl ' +
-                    '        WHERE tl.transaction = t.id ' +
-                    '        AND tl.department = 13 ' +
-                    '    ) ' +
-                    '    OR c.category IN (2, 4) ' +
-                    ')';
-
-                var countResults = query.runSuiteQL({ query: countSql }).asMappedResults();
-                if (countResults.length > 0) {
-                    result.actualCount = parseInt(countResults[0].total_count) || 0;
-                    result.invoiceCount = parseInt(countResults[0].invoice_count) || 0;
-                    result.invoiceTotal = parseFloat(countResults[0].invoice_total) || 0;
-                    result.creditCount = parseInt(countResults[0].credit_count) || 0;
-                    result.creditTotal = parseFloat(countResults[0].credit_total) || 0;
-                    result.netTotal = parseFloat(countResults[0].net_total) || 0;
-                }
+                var criteria = getServiceCriteria();
+                var listQuery = buildServiceTransactionQuery(balanceAsOf, {
+                    sql: 't.id, ' +
+                        't.tranid, ' +
+                        't.externalid, ' +
+                        't.trandate, ' +
+                        't.type, ' +
+                        't.entity as customer_id, ' +
+                        'BUILTIN.DF(t.entity) as customer_name, ' +
+                        CURRENT_REMAINING + ' as current_remaining, ' +
+                        'BUILTIN.DF(t.status) as status_name, ' +
+                        'BUILTIN.DF(c.category) as customer_category, ' +
+                        'BUILTIN.DF(tl_main.department) as department_name, ' +
+                        'CASE WHEN ' + criteria.departmentLine.sql + ' THEN \'Y\' ELSE \'N\' END as has_line_dept_13, ' +
+                        'CASE WHEN ' + criteria.category.sql + ' THEN \'Y\' ELSE \'N\' END as has_service_category',
+                    params: criteria.departmentLine.params.concat(criteria.category.params)
+                }, 'ORDER BY t.trandate, t.tranid, t.id');
+
+                log.debug('Service Transaction Query', listQuery);
 
                 var pagedData = query.runSuiteQLPaged({
-                    query: sql,
+                    query: listQuery.query,
+                    params: listQuery.params,
                     pageSize: 1000
                 });
 
                 var pageCount = pagedData.pageRanges.length;
-                log.debug('Query Pagination', 'Total pages: ' + pageCount + ', Total records: ' + result.actualCount);
+                log.debug('Query Pagination', 'Total pages: ' + pageCount);
 
+                var candidates = [];
                 for (var p = 0; p < pageCount; p++) {
                     var pageData = pagedData.fetch({ index: p });
                     var pageResults = pageData.data.asMappedResults();
-                    result.transactions = result.transactions.concat(pageResults);
+                    candidates = candidates.concat(pageResults);
                 }
                 
-                log.debug('All Pages Fetched', 'Total transactions loaded: ' + result.transactions.length);
+                log.debug('All Pages Fetched', 'Total transactions loaded: ' + candidates.length);
 
                 var seenIds = {};
                 var deduped = [];
                 var dupeCount = 0;
-                for (var i = 0; i < result.transactions.length; i++) {
-                    var txn = result.transactions[i];
+                for (var i = 0; i < candidates.length; i++) {
+                    var txn = candidates[i];
                     if (!seenIds[txn.id]) {
                         seenIds[txn.id] = true;
                         deduped.push(txn);
@@ -554,13 +1145,37 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 
                 if (dupeCount > 0) {
                     log.audit('Duplicates Removed', 'Found and removed ' + dupeCount + ' duplicate transaction(s)');
-                    result.transactions = deduped;
+                }
+
+                // Put each balance back to the as-of date; keep what was open on that date
+                var appliedAfter = findAppliedAfter(deduped, balanceAsOf);
+                for (var j = 0; j < deduped.length; j++) {
+                    var row = deduped[j];
+                    var current = Math.round((parseFloat(row.current_remaining) || 0) * 100) / 100;
+                    var added = appliedAfter[String(row.id)] || 0;
+                    var asOf = Math.round((Math.abs(current) + added) * 100) / 100;
+
+                    if (asOf === 0) {
+                        continue;
+                    }
+
+                    row.current_remaining = current;
+                    row.amount_remaining = row.type === 'CustCred' ? -asOf : asOf;
+                    result.transactions.push(row);
+
+                    if (row.type === 'CustCred') {
+                        result.creditCount++;
+                        result.creditTotal += asOf;
+                    } else {
+                        result.invoiceCount++;
+                        result.invoiceTotal += asOf;
+                    }
+                    result.netTotal += row.amount_remaining;
                 }
 
                 log.debug('Service Transactions Found', {
-                    displayed: result.transactions.length,
-                    actual: result.actualCount,
-                    truncated: result.isTruncated
+                    candidates: deduped.length,
+                    displayed: result.transactions.length
                 });
 
             } catch (e) {
@@ -568,66 +1183,39 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                     error: e.message,
                     stack: e.stack
                 });
+                throw e;
             }
 
             return result;
         }
 
         /**
-         * Searches for service transactions grouped by customer
-         * @param {string} balanceAsOf - Date to filter transactions (YYYY-MM-DD format)
-         * @returns {Object} Object with summary array
+         * Totals the listed transactions per customer, largest net amount first
+         * @param {Array} transactions - From searchServiceTransactions
+         * @returns {Array} { customer_id, customer_name, invoice_count, credit_count, net_amount }
          */
-        function searchServiceTransactionsSummary(balanceAsOf) {
-            var result = {
-                summary: []
-            };
+        function summarizeByCustomer(transactions) {
+            var byCustomer = {};
+            var summary = [];
 
-            try {
-                var sql = 'SELECT ' +
-                    't.entity as customer_id, ' +
-                    'MAX(BUILTIN.DF(t.entity)) as customer_name, ' +
-                    'COUNT(CASE WHEN t.type = \'CustInvc\' THEN 1 END) as invoice_count, ' +
-                    'COUNT(CASE WHEN t.type = \'CustCred\' THEN 1 END) as credit_count, ' +
-                    'SUM(CASE ' +
-                    '    WHEN t.type = \'CustInvc\' THEN t.foreignamountunpaid ' +
-                    '    WHEN t.type = \'CustCred\' THEN -1 * tl_main.foreignpaymentamountunused ' +
-                    '    ELSE 0 ' +
-                    'END) as net_amount ' +
-                    'FROM transaction t ' +
-                    'INNER JOIN transactionline tl_main ON t.id = tl_main.transaction AND tl_main.mainline = \'T\' ' +
-                    'INNER JOIN customer c ON t.entity = c.id ' +
-                    'WHERE t.trandate <= TO_DATE(\'' + balanceAsOf + '\', \'YYYY-MM-DD\') ' +
-                    'AND t.status LIKE \'%A%\' ' +
-                    'AND t.type IN (\'CustInvc\', \'CustCred\') ' +
-                    'AND ( ' +
-                    '    EXISTS ( ' +
-                    '        SELECT tl.id ' +
-                    '        FROM transactionline tl ' +
-                    '        WHERE tl.transaction = t.id ' +
-                    '        AND tl.department = 13 ' +
-                    '    ) ' +
-                    '    OR c.category IN (2, 4) ' +
-                    ') ' +
-                    'GROUP BY t.entity ' +
-                    'ORDER BY net_amount DESC';
-
-                log.debug('Service Transaction Summary Query', sql);
-
-                result.summary = query.runSuiteQL({ query: sql }).asMappedResults();
-
-                log.debug('Service Transaction Summary Found', {
-                    customers: result.summary.length
-                });
-
-            } catch (e) {
-                log.error('Error Searching Service Transaction Summary', {
-                    error: e.message,
-                    stack: e.stack
-                });
+            for (var i = 0; i < transactions.length; i++) {
+                var txn = transactions[i];
+                var row = byCustomer[txn.customer_id];
+                if (!row) {
+                    row = byCustomer[txn.customer_id] = { customer_id: txn.customer_id, customer_name: txn.customer_name, invoice_count: 0, credit_count: 0, net_amount: 0 };
+                    summary.push(row);
+                }
+                if (txn.amount_remaining < 0) {
+                    row.credit_count++;
+                } else {
+                    row.invoice_count++;
+                }
+                row.net_amount = Math.round((row.net_amount + txn.amount_remaining) * 100) / 100;
             }
 
-            return result;
+            return summary.sort(function(a, b) {
+                return b.net_amount - a.net_amount;
+            });
         }
 
         /**
@@ -742,11 +1330,37 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 'table.data-table a:hover { text-decoration: underline; }' +
                 'table.data-table td.amount { text-align: right !important; white-space: nowrap; }' +
                 'table.data-table td.credit-amount { color: #d9534f; font-weight: bold; }' +
+                'table.data-table th.select-col, table.data-table td.select-col { width: 28px; text-align: center; }' +
+                'table.data-table tr.written-off td { background: #e8f5e9; color: #777; text-decoration: line-through; }' +
+                'table.data-table tr.write-off-failed td { background: #fdecea; }' +
+                'table.data-table tr.match-customer-row td { background: #f1f8e9; font-weight: 600; }' +
+                '.write-off-toolbar { margin-left: auto; display: flex; align-items: center; gap: 8px; font-size: 13px; }' +
+                '.write-off-selection { color: #555; }' +
+                '.credit-mode-select { padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; }' +
+                '.write-off-btn { padding: 10px 16px; background: #d9534f; color: white; border: none; border-radius: 4px; font-size: 14px; font-weight: 600; cursor: pointer; white-space: nowrap; }' +
+                '.write-off-btn:hover { background: #c9302c; }' +
+                '.write-off-btn:disabled { background: #ccc; cursor: not-allowed; }' +
                 'table.data-table tfoot { position: -webkit-sticky; position: sticky; bottom: 0; z-index: 100; }' +
                 'table.data-table tfoot td { background-color: #f8f9fa; color: #333; font-weight: bold; padding: 10px 8px; border: 1px solid #ddd; box-shadow: 0 -2px 4px rgba(0, 0, 0, 0.1); }' +
                 'table.data-table tfoot td.amount { text-align: right; }' +
                 'table.data-table tfoot td.summary-label { text-align: right; font-size: 12px; }' +
-                'table.data-table tfoot td.summary-count { text-align: center; font-size: 12px; }';
+                'table.data-table tfoot td.summary-count { text-align: center; font-size: 12px; }' +
+                '' +
+                '.view-tabs { display: flex; gap: 4px; border-bottom: 2px solid #4CAF50; margin-bottom: 0; }' +
+                '.view-tab { padding: 10px 20px; border: 1px solid #dee2e6; border-bottom: none; border-radius: 6px 6px 0 0; background: #f5f5f5; color: #333; font-size: 14px; font-weight: 600; cursor: pointer; }' +
+                '.view-tab:hover { background: #e9ecef; }' +
+                '.view-tab.active { background: #4CAF50; border-color: #4CAF50; color: white; }' +
+                '' +
+                'table.data-table tbody tr.customer-row { cursor: pointer; }' +
+                'table.data-table tbody tr.customer-row td:first-child::before { content: "\\25B8  "; color: #4CAF50; }' +
+                'table.data-table tbody tr.customer-row.expanded td:first-child::before { content: "\\25BE  "; }' +
+                'table.data-table tbody tr.customer-detail-row > td { background-color: #f1f8e9 !important; padding: 6px 8px 10px 30px; }' +
+                'table.detail-table { border-collapse: collapse; width: 100%; background: white; font-size: 12px; }' +
+                'table.detail-table th, table.detail-table td { border: 1px solid #e0e0e0; padding: 5px 8px; text-align: left; }' +
+                'table.detail-table th { background: #f8f9fa; font-weight: bold; }' +
+                'table.detail-table td.amount { text-align: right; white-space: nowrap; }' +
+                'table.detail-table td.credit-amount { color: #d9534f; font-weight: bold; }' +
+                '.detail-empty { color: #999; font-style: italic; font-size: 12px; }';
         }
 
         /**
@@ -808,16 +1422,71 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 '                showLoading(\'Loading results for \' + newDate + \'...\');' +
                 '                var baseUrl = \'' + scriptUrl + '\';' +
                 '                var separator = baseUrl.indexOf(\'?\') > -1 ? \'&\' : \'?\';' +
-                '                window.location.href = baseUrl + separator + \'balanceAsOf=\' + newDate;' +
+                '                window.location.href = baseUrl + separator + \'balanceAsOf=\' + newDate + \'&view=\' + getCurrentView();' +
                 '            }' +
                 '        });' +
                 '    }' +
                 '});' +
                 '' +
+                'function switchView(view) {' +
+                '    [\'transactions\', \'customers\', \'matches\'].forEach(function(name) {' +
+                '        var panel = document.getElementById(\'view-\' + name);' +
+                '        var tab = document.getElementById(\'viewTab-\' + name);' +
+                '        if (panel) panel.style.display = (name === view) ? \'\' : \'none\';' +
+                '        if (tab) tab.classList.toggle(\'active\', name === view);' +
+                '    });' +
+                '}' +
+                '' +
+                'function getCurrentView() {' +
+                '    var views = [\'customers\', \'matches\'];' +
+                '    for (var i = 0; i < views.length; i++) {' +
+                '        var panel = document.getElementById(\'view-\' + views[i]);' +
+                '        if (panel && panel.style.display !== \'none\') return views[i];' +
+                '    }' +
+                '    return \'transactions\';' +
+                '}' +
+                '' +
+                'function toggleCustomerDetail(detailId, e) {' +
+                '    if (e && e.target.closest(\'a\')) return;' +
+                '    var detail = document.getElementById(detailId);' +
+                '    var row = document.querySelector(\'tr[data-detail-id="\' + detailId + \'"]\');' +
+                '    if (!detail || !row) return;' +
+                '    var expand = detail.style.display === \'none\';' +
+                '    detail.style.display = expand ? \'\' : \'none\';' +
+                '    row.classList.toggle(\'expanded\', expand);' +
+                '}' +
+                '' +
+                'function setAllCustomerDetails(expand) {' +
+                '    var rows = document.querySelectorAll(\'#table-customers tr.customer-row\');' +
+                '    for (var i = 0; i < rows.length; i++) {' +
+                '        var detail = document.getElementById(rows[i].getAttribute(\'data-detail-id\'));' +
+                '        rows[i].classList.toggle(\'expanded\', expand);' +
+                '        if (detail) detail.style.display = (expand && rows[i].style.display !== \'none\') ? \'\' : \'none\';' +
+                '    }' +
+                '    var showBtn = document.getElementById(\'detailsShow\');' +
+                '    var hideBtn = document.getElementById(\'detailsHide\');' +
+                '    if (showBtn) showBtn.style.display = expand ? \'none\' : \'\';' +
+                '    if (hideBtn) hideBtn.style.display = expand ? \'\' : \'none\';' +
+                '}' +
+                '' +
+                'function showDetailView() {' +
+                '    setAllCustomerDetails(true);' +
+                '}' +
+                '' +
+                'function hideDetailView() {' +
+                '    setAllCustomerDetails(false);' +
+                '}' +
+                '' +
+                'function getSortableRows(tbody) {' +
+                '    return Array.from(tbody.rows).filter(function(row) {' +
+                '        return !row.classList.contains(\'customer-detail-row\');' +
+                '    });' +
+                '}' +
+                '' +
                 'function sortTable(sectionId, columnIndex) {' +
                 '    var table = document.getElementById(\'table-\' + sectionId);' +
                 '    var tbody = table.querySelector(\'tbody\');' +
-                '    var rows = Array.from(tbody.querySelectorAll(\'tr\'));' +
+                '    var rows = getSortableRows(tbody);' +
                 '    var currentSort = table.getAttribute(\'data-sort-col\');' +
                 '    var currentDir = table.getAttribute(\'data-sort-dir\') || \'asc\';' +
                 '    var newDir = (currentSort == columnIndex && currentDir == \'asc\') ? \'desc\' : \'asc\';' +
@@ -858,7 +1527,12 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 '            return 0;' +
                 '        });' +
                 '        ' +
-                '        rows.forEach(function(row) { tbody.appendChild(row); });' +
+                '        rows.forEach(function(row) {' +
+                '            tbody.appendChild(row);' +
+                '            var detailId = row.getAttribute(\'data-detail-id\');' +
+                '            var detail = detailId ? document.getElementById(detailId) : null;' +
+                '            if (detail) tbody.appendChild(detail);' +
+                '        });' +
                 '        table.setAttribute(\'data-sort-col\', columnIndex);' +
                 '        table.setAttribute(\'data-sort-dir\', newDir);' +
                 '        ' +
@@ -880,7 +1554,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 '    var input = document.getElementById(\'searchBox-\' + sectionId);' +
                 '    var filter = input.value.toUpperCase();' +
                 '    var tbody = document.querySelector(\'#table-\' + sectionId + \' tbody\');' +
-                '    var rows = tbody.querySelectorAll(\'tr\');' +
+                '    var rows = getSortableRows(tbody);' +
                 '    var visibleCount = 0;' +
                 '    var visibleTotal = 0;' +
                 '    ' +
@@ -890,7 +1564,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 '        if (text.toUpperCase().indexOf(filter) > -1) {' +
                 '            row.style.display = \'\';' +
                 '            visibleCount++;' +
-                '            var amountCell = row.cells[5];' +
+                '            var amountCell = row.querySelector(\'td.amount\');' +
                 '            if (amountCell) {' +
                 '                var amountText = amountCell.textContent.replace(/[^0-9.-]/g, \'\');' +
                 '                visibleTotal += parseFloat(amountText) || 0;' +
@@ -898,6 +1572,11 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 '        } else {' +
                 '            row.style.display = \'none\';' +
                 '        }' +
+                '        var detailId = row.getAttribute(\'data-detail-id\');' +
+                '        var detail = detailId ? document.getElementById(detailId) : null;' +
+                '        if (detail) {' +
+                '            detail.style.display = (row.style.display !== \'none\' && row.classList.contains(\'expanded\')) ? \'\' : \'none\';' +
+                '        }' +
                 '    }' +
                 '    ' +
                 '    var countSpan = document.getElementById(\'searchCount-\' + sectionId);' +
@@ -928,23 +1607,25 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 '    if (!table) { alert(\'No data to export\'); return; }' +
                 '    ' +
                 '    var headers = [];' +
-                '    var headerCells = table.querySelectorAll(\'thead th\');' +
+                '    var headerCells = table.querySelectorAll(\'thead th:not(.select-col)\');' +
                 '    for (var i = 0; i < headerCells.length; i++) {' +
                 '        headers.push(headerCells[i].textContent.replace(/ [▲▼]/g, \'\').trim());' +
                 '    }' +
                 '    ' +
                 '    var data = [headers];' +
-                '    var rows = table.querySelectorAll(\'tbody tr\');' +
+                '    var amountCols = {};' +
+                '    var rows = getSortableRows(table.querySelector(\'tbody\'));' +
                 '    for (var i = 0; i < rows.length; i++) {' +
                 '        var row = rows[i];' +
                 '        if (row.style.display === \'none\') continue;' +
                 '        var rowData = [];' +
-                '        var cells = row.querySelectorAll(\'td\');' +
+                '        var cells = row.querySelectorAll(\'td:not(.select-col)\');' +
                 '        for (var j = 0; j < cells.length; j++) {' +
                 '            var cell = cells[j];' +
                 '            var val = cell.textContent.trim();' +
                 '            if (cell.classList.contains(\'amount\')) {' +
                 '                val = parseFloat(val.replace(/[\\$,]/g, \'\')) || 0;' +
+                '                amountCols[j] = true;' +
                 '            }' +
                 '            rowData.push(val);' +
                 '        }' +
@@ -955,8 +1636,10 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 '    ' +
                 '    var range = XLSX.utils.decode_range(ws["!ref"]);' +
                 '    for (var R = 1; R <= range.e.r; R++) {' +
-                '        var addr = XLSX.utils.encode_cell({r: R, c: 5});' +
-                '        if (ws[addr]) { ws[addr].z = "\\\"$\\\"#,##0.00"; }' +
+                '        for (var c in amountCols) {' +
+                '            var addr = XLSX.utils.encode_cell({r: R, c: parseInt(c, 10)});' +
+                '            if (ws[addr]) { ws[addr].z = "\\\"$\\\"#,##0.00"; }' +
+                '        }' +
                 '    }' +
                 '    ' +
                 '    var wb = XLSX.utils.book_new();' +
@@ -965,6 +1648,154 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/runtime', 'N/url'],
                 '    var today = new Date();' +
                 '    var dateStr = (today.getMonth()+1) + \'-\' + today.getDate() + \'-\' + today.getFullYear();' +
                 '    XLSX.writeFile(wb, \'Service_Dept_2024_WriteOff_\' + dateStr + \'.xlsx\');' +
+                '}' +
+                '' +
+                'function getSelectedCheckboxes(sectionId) {' +
+                '    return Array.from(document.querySelectorAll(\'#table-\' + sectionId + \' input.txn-checkbox:checked\')).filter(function(cb) {' +
+                '        return !cb.disabled;' +
+                '    });' +
+                '}' +
+                '' +
+                'function toggleSelectAll(sectionId, checked) {' +
+                '    var rows = getSortableRows(document.querySelector(\'#table-\' + sectionId + \' tbody\'));' +
+                '    rows.forEach(function(row) {' +
+                '        var cb = row.querySelector(\'input.txn-checkbox\');' +
+                '        if (cb && !cb.disabled) cb.checked = checked && row.style.display !== \'none\';' +
+                '    });' +
+                '    updateWriteOffSelection(sectionId);' +
+                '}' +
+                '' +
+                'function updateWriteOffSelection(sectionId) {' +
+                '    var selected = getSelectedCheckboxes(sectionId);' +
+                '    var invoices = 0;' +
+                '    var credits = 0;' +
+                '    var total = 0;' +
+                '    selected.forEach(function(cb) {' +
+                '        if (cb.getAttribute(\'data-type\') === \'custcred\') credits++; else invoices++;' +
+                '        total += parseFloat(cb.getAttribute(\'data-amount\')) || 0;' +
+                '    });' +
+                '    var summary = document.getElementById(\'writeOffSelection-\' + sectionId);' +
+                '    if (summary) {' +
+                '        var prefix = total < 0 ? \'-$\' : \'$\';' +
+                '        summary.textContent = selected.length === 0 ? \'No transactions selected\' :' +
+                '            invoices + \' invoice(s), \' + credits + \' credit memo(s) selected - \' + prefix + Math.abs(total).toFixed(2).replace(/\\d(?=(\\d{3})+\\.)/g, \'$&,\');' +
+                '    }' +
+                '    var btn = document.getElementById(\'writeOffBtn-\' + sectionId);' +
+                '    if (btn) btn.disabled = selected.length === 0;' +
+                '}' +
+                '' +
+                'function executeWriteOff(sectionId) {' +
+                '    var selected = getSelectedCheckboxes(sectionId);' +
+                '    if (selected.length === 0) { alert(\'Select at least one transaction to write off.\'); return; }' +
+                '    var modeSelect = document.getElementById(\'creditMode-\' + sectionId);' +
+                '    var creditMode = modeSelect ? modeSelect.value : \'apply\';' +
+                '    var credits = selected.filter(function(cb) { return cb.getAttribute(\'data-type\') === \'custcred\'; }).length;' +
+                '    var invoices = selected.length - credits;' +
+                '    var confirmMsg = \'Write off \' + selected.length + \' transaction(s)?\\n\\n\' +' +
+                '        (invoices > 0 ? \'- \' + invoices + \' invoice(s) will be written off to the Bad Debt Account\\n\' : \'\') +' +
+                '        (credits > 0 ? \'- \' + credits + \' credit memo(s) will be \' + (creditMode === \'refund\' ? \'refunded to the customer\' : \'applied to the customer\\\'s open invoices\') + \'\\n\' : \'\');' +
+                '    if (!confirm(confirmMsg)) return;' +
+                '    ' +
+                '    var ids = selected.map(function(cb) { return cb.value; });' +
+                '    showLoading(\'Writing off \' + ids.length + \' transaction(s)...\');' +
+                '    var xhr = new XMLHttpRequest();' +
+                '    xhr.open(\'POST\', \'' + scriptUrl + '\', true);' +
+                '    xhr.setRequestHeader(\'Content-Type\', \'application/x-www-form-urlencoded\');' +
+                '    xhr.onload = function() {' +
+                '        hideLoading();' +
+                '        var resp;' +
+                '        try {' +
+                '            resp = JSON.parse(xhr.responseText);' +
+                '        } catch (e) {' +
+                '            alert(\'Error: unexpected response from the server.\');' +
+                '            return;' +
+                '        }' +
+                '        if (!resp.success) { alert(resp.message); return; }' +
+                '        (resp.processedIds || []).forEach(function(id) {' +
+                '            var row = document.querySelector(\'#table-\' + sectionId + \' tr[data-txn-id="\' + id + \'"]\');' +
+                '            if (!row) return;' +
+                '            var cb = row.querySelector(\'input.txn-checkbox\');' +
+                '            if (cb) { cb.checked = false; cb.disabled = true; }' +
+                '            row.classList.add(\'written-off\');' +
+                '        });' +
+                '        (resp.failedIds || []).forEach(function(id) {' +
+                '            var row = document.querySelector(\'#table-\' + sectionId + \' tr[data-txn-id="\' + id + \'"]\');' +
+                '            if (row) row.classList.add(\'write-off-failed\');' +
+                '        });' +
+                '        updateWriteOffSelection(sectionId);' +
+                '        alert(resp.message);' +
+                '    };' +
+                '    xhr.onerror = function() {' +
+                '        hideLoading();' +
+                '        alert(\'Error: the write-off request failed. Check your connection and try again.\');' +
+                '    };' +
+                '    xhr.send(\'action=write-off&transactionIds=\' + encodeURIComponent(ids.join(\',\')) + \'&creditMode=\' + encodeURIComponent(creditMode));' +
+                '}' +
+                '' +
+                'function getSelectedMatches() {' +
+                '    return Array.from(document.querySelectorAll(\'#table-matches input.match-checkbox:checked\')).filter(function(cb) {' +
+                '        return !cb.disabled;' +
+                '    });' +
+                '}' +
+                '' +
+                'function toggleAllMatches(checked) {' +
+                '    var boxes = document.querySelectorAll(\'#table-matches input.match-checkbox\');' +
+                '    for (var i = 0; i < boxes.length; i++) {' +
+                '        if (!boxes[i].disabled) boxes[i].checked = checked;' +
+                '    }' +
+                '    updateNetOffSelection();' +
+                '}' +
+                '' +
+                'function updateNetOffSelection() {' +
+                '    var selected = getSelectedMatches();' +
+                '    var total = selected.reduce(function(sum, cb) { return sum + (parseFloat(cb.getAttribute(\'data-amount\')) || 0); }, 0);' +
+                '    var summary = document.getElementById(\'netOffSelection\');' +
+                '    if (summary) summary.textContent = selected.length + \' match(es) selected - $\' + total.toFixed(2).replace(/\\d(?=(\\d{3})+\\.)/g, \'$&,\');' +
+                '    var btn = document.getElementById(\'applyNetOffBtn\');' +
+                '    if (btn) btn.disabled = selected.length === 0;' +
+                '}' +
+                '' +
+                'function applyNetOffMatches() {' +
+                '    var selected = getSelectedMatches();' +
+                '    if (selected.length === 0) { alert(\'Select at least one match to apply.\'); return; }' +
+                '    if (!confirm(\'Apply \' + selected.length + \' credit memo match(es) to their invoices?\')) return;' +
+                '    ' +
+                '    var matches = selected.map(function(cb) {' +
+                '        return { creditId: cb.getAttribute(\'data-credit-id\'), invoiceId: cb.getAttribute(\'data-invoice-id\'), amount: parseFloat(cb.getAttribute(\'data-amount\')) };' +
+                '    });' +
+                '    showLoading(\'Applying \' + matches.length + \' match(es)...\');' +
+                '    var xhr = new XMLHttpRequest();' +
+                '    xhr.open(\'POST\', \'' + scriptUrl + '\', true);' +
+                '    xhr.setRequestHeader(\'Content-Type\', \'application/x-www-form-urlencoded\');' +
+                '    xhr.onload = function() {' +
+                '        hideLoading();' +
+                '        var resp;' +
+                '        try {' +
+                '            resp = JSON.parse(xhr.responseText);' +
+                '        } catch (e) {' +
+                '            alert(\'Error: unexpected response from the server.\');' +
+                '            return;' +
+                '        }' +
+                '        if (!resp.success) { alert(resp.message); return; }' +
+                '        (resp.processedIds || []).forEach(function(id) {' +
+                '            var row = document.querySelector(\'#table-matches tr[data-match-id="\' + id + \'"]\');' +
+                '            if (!row) return;' +
+                '            var cb = row.querySelector(\'input.match-checkbox\');' +
+                '            if (cb) { cb.checked = false; cb.disabled = true; }' +
+                '            row.classList.add(\'written-off\');' +
+                '        });' +
+                '        (resp.failedIds || []).forEach(function(id) {' +
+                '            var row = document.querySelector(\'#table-matches tr[data-match-id="\' + id + \'"]\');' +
+                '            if (row) row.classList.add(\'write-off-failed\');' +
+                '        });' +
+                '        updateNetOffSelection();' +
+                '        alert(resp.message);' +
+                '    };' +
+                '    xhr.onerror = function() {' +
+                '        hideLoading();' +
+                '        alert(\'Error: the request to apply the matches failed. Check your connection and try again.\');' +
+                '    };' +
+                '    xhr.send(\'action=net-off&matches=\' + encodeURIComponent(JSON.stringify(matches)));' +
                 '}';
         }
 
@@ -0,0 +1,282 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Restlet
+ * @NModuleScope SameAccount
+ *
+ * Service Write-Off API
+ *
+ * Purpose: Versioned JSON API over the Service Write-Off Portal operations, for reconciliation
+ * spreadsheets and scripts that drive the write-off process without the portal UI. Every operation
+ * runs through service_writeoff_lib.js, the same code the portal uses, and writes the same
+ * customrecord_service_wo_audit ledger entries (details.source = 'api').
+ *
+ * Requests:
+ *   GET  ?version=1&resource=sales-orders
+ *        Lists the Service dept Sales Orders with unbilled lines (the portal's list).
+ *   POST { "version": 1, "action": "<action>", "soIds": ["123", "456"], ... }
+ *        action is one of queue, unqueue, close, auto-bill, cbsi-preview, cbsi-bill-je,
+ *        partial-lines (one SO; billLineIds / closeLineIds) or add-note (note / followUpDate YYYY-MM-DD /
+ *        noteMode "append" to keep each SO's current note above the new one; default "replace").
+ *        "soId": "123" may be sent instead of soIds.
+ *
+ * Every response has the same envelope:
+ *   { apiVersion, action, success, data, error }
+ * error is null on success, otherwise { code, message }. SO actions return data.results with one
+ * { soId, success, data, error } per SO (success is false if any SO failed) and data.notProcessed
+ * with the SOs left untouched when the governance limit was reached.
+ */
+
+define(['N/log', 'N/runtime', './service_writeoff_lib'],
+    function(log, runtime, writeOffLib) {
+
+        var API_VERSION = 1;
+        var SUPPORTED_VERSIONS = [1];
+
+        // Stop before a CBSI run (the most expensive action) could exhaust the RESTlet's 5,000 units
+        var GOVERNANCE_THRESHOLD = 200;
+
+        var ERROR_CODES = {
+            unsupportedVersion: 'UNSUPPORTED_VERSION',
+            unknownAction: 'UNKNOWN_ACTION',
+            invalidRequest: 'INVALID_REQUEST',
+            settingsInvalid: 'SETTINGS_INVALID',
+            actionFailed: 'ACTION_FAILED',
+            unexpected: 'UNEXPECTED_ERROR'
+        };
+
+        /**
+         * Per-SO actions: run(soId, body) returns the action's result object.
+         * audit is false for read-only actions, which are not recorded in the ledger.
+         */
+        var SO_ACTIONS = {
+            'queue': {
+                audit: true,
+                run: function(soId) { return writeOffLib.queueSalesOrder(soId); }
+            },
+            'unqueue': {
+                audit: true,
+                run: function(soId) { return writeOffLib.unqueueSalesOrder(soId); }
+            },
+            'close': {
+                audit: true,
+                run: function(soId) { return writeOffLib.closeSalesOrder(soId); }
+            },
+            'auto-bill': {
+                audit: true,
+                run: function(soId) { return writeOffLib.autoBillSalesOrder(soId); }
+            },
+            'cbsi-preview': {
+                audit: false,
+                run: function(soId) { return writeOffLib.previewCBSI(soId); }
+            },
+            'cbsi-bill-je': {
+                audit: true,
+                run: function(soId) { return writeOffLib.cbsiBillAndJE(soId); }
+            },
+            'partial-lines': {
+                audit: true,
+                single: true,
+                run: function(soId, body) { return writeOffLib.partialWriteOff(soId, body.billLineIds, body.closeLineIds); }
+            },
+            'add-note': {
+                audit: true,
+                run: function(soId, body) { return writeOffLib.saveResearchNote(soId, body.note, body.followUpDate, body.noteMode === 'append'); }
+            }
+        };
+
+        /**
+         * Handles GET requests - read-only resources
+         * @param {Object} params - Query string parameters
+         * @returns {Object} Response envelope
+         */
+        function get(params) {
+            var resource = params.resource || '';
+
+            return respond('list', params.version, function() {
+                if (resource !== 'sales-orders') {
+                    throw createApiError(ERROR_CODES.invalidRequest, 'Unknown resource "' + resource + '". Supported: sales-orders.');
+                }
+
+                var salesOrders = writeOffLib.findUnbilledSalesOrders().map(writeOffLib.toSalesOrderModel);
+
+                return { data: { count: salesOrders.length, salesOrders: salesOrders } };
+            });
+        }
+
+        /**
+         * Handles POST requests - runs one action against one or more Sales Orders
+         * @param {Object} body - Parsed JSON request body
+         * @returns {Object} Response envelope
+         */
+        function post(body) {
+            body = body || {};
+            var action = body.action || '';
+
+            return respond(action, body.version, function() {
+                var definition = SO_ACTIONS.hasOwnProperty(action) ? SO_ACTIONS[action] : null;
+                if (!definition) {
+                    throw createApiError(ERROR_CODES.unknownAction, 'Unknown action "' + action + '". Supported: ' + Object.keys(SO_ACTIONS).join(', ') + '.');
+                }
+
+                var soIds = getSOIds(body);
+                if (soIds.length === 0) {
+                    throw createApiError(ERROR_CODES.invalidRequest, 'soId or soIds is required.');
+                }
+                if (definition.single && soIds.length > 1) {
+                    throw createApiError(ERROR_CODES.invalidRequest, 'Action "' + action + '" takes a single soId.');
+                }
+
+                return runSOAction(action, definition, soIds, body);
+            });
+        }
+
+        /**
+         * Runs a per-SO action for each SO, stopping before the governance limit
+         * @param {string} action - Action name
+         * @param {Object} definition - Entry from SO_ACTIONS
+         * @param {Array} soIds - Sales Order internal IDs
+         * @param {Object} body - Request body, passed through to the action
+         * @returns {Object} { success, data: { results, processed, failed, notProcessed } }
+         */
+        function runSOAction(action, definition, soIds, body) {
+            var results = [];
+            var failed = 0;
+            var notProcessed = [];
+
+            for (var i = 0; i < soIds.length; i++) {
+                var soId = soIds[i];
+
+                if (runtime.getCurrentScript().getRemainingUsage() < GOVERNANCE_THRESHOLD) {
+                    notProcessed = soIds.slice(i);
+                    log.audit('API - Governance Limit Approaching', { action: action, processed: results.length, notProcessed: notProcessed.length });
+                    break;
+                }
+
+                try {
+                    var result = definition.run(soId, body);
+                    results.push({ soId: soId, success: true, data: result, error: null });
+
+                    if (definition.audit) {
+                        writeOffLib.writeAuditEntry({
+                            action: action,
+                            soId: soId,
+                            success: true,
+                            invoiceId: result.invoiceId,
+                            jeId: result.jeId,
+                            paymentId: result.paymentId,
+                            // CBSI reports amount; auto-bill and partial-lines bill their routing total
+                            amount: result.amount || (result.invoiceId && result.routing ? result.routing.total : null),
+                            details: { source: 'api', result: result }
+                        });
+                    }
+                } catch (e) {
+                    var message = writeOffLib.getCleanErrorMessage(e);
+                    failed++;
+                    results.push({
+                        soId: soId,
+                        success: false,
+                        data: (e.routing || e.rollback) ? { routing: e.routing || null, rollback: e.rollback || null } : null,
+                        error: { code: ERROR_CODES.actionFailed, message: message }
+                    });
+                    log.error('API Action Error', { action: action, soId: soId, error: e.toString() });
+
+                    if (definition.audit) {
+                        writeOffLib.writeAuditEntry({
+                            action: action,
+                            soId: soId,
+                            success: false,
+                            error: message,
+                            details: { source: 'api', rollback: e.rollback || null, routing: e.routing || null }
+                        });
+                    }
+                }
+            }
+
+            return {
+                success: failed === 0 && notProcessed.length === 0,
+                data: {
+                    results: results,
+                    processed: results.length - failed,
+                    failed: failed,
+                    notProcessed: notProcessed
+                }
+            };
+        }
+
+        /**
+         * Checks the version and settings, runs the handler and wraps its outcome in the envelope
+         * @param {string} action - Action (or 'list') echoed back in the envelope
+         * @param {number|string} version - Requested API version
+         * @param {Function} handler - Returns { success?, data }; throws on request-level errors
+         * @returns {Object} Response envelope
+         */
+        function respond(action, version, handler) {
+            try {
+                if (SUPPORTED_VERSIONS.indexOf(parseInt(version, 10)) < 0) {
+                    throw createApiError(ERROR_CODES.unsupportedVersion, 'Unsupported API version "' + (version || '') + '". Supported: ' + SUPPORTED_VERSIONS.join(', ') + '.');
+                }
+
+                var settings = writeOffLib.loadSettings();
+                if (settings.errors.length > 0) {
+                    throw createApiError(ERROR_CODES.settingsInvalid, 'Service Write-Off Settings are invalid: ' + settings.errors.join(' '));
+                }
+
+                var outcome = handler();
+
+                return envelope(action, outcome.success !== false, outcome.data, null);
+            } catch (e) {
+                log.error('API Request Error', { action: action, error: e.toString() });
+                return envelope(action, false, null, {
+                    code: e.apiCode || ERROR_CODES.unexpected,
+                    message: writeOffLib.getCleanErrorMessage(e)
+                });
+            }
+        }
+
+        /**
+         * Builds the response envelope shared by every request
+         * @returns {Object} { apiVersion, action, success, data, error }
+         */
+        function envelope(action, success, data, error) {
+            return {
+                apiVersion: API_VERSION,
+                action: action,
+                success: success,
+                data: data,
+                error: error
+            };
+        }
+
+        /**
+         * Builds a request-level error carrying its API error code
+         * @param {string} code - One of ERROR_CODES
+         * @param {string} message - User-facing message
+         * @returns {Error} Error with apiCode and cleanMessage set
+         */
+        function createApiError(code, message) {
+            var error = new Error(message);
+            error.apiCode = code;
+            error.cleanMessage = message;
+            return error;
+        }
+
+        /**
+         * Reads soIds (array or comma-separated string) or a single soId from the request body
+         * @param {Object} body - Request body
+         * @returns {Array} Trimmed, non-empty Sales Order IDs
+         */
+        function getSOIds(body) {
+            var soIds = body.soIds !== undefined ? body.soIds : body.soId;
+            if (soIds === undefined || soIds === null) {
+                return [];
+            }
+
+            var list = Array.isArray(soIds) ? soIds : String(soIds).split(',');
+            return list.map(function(id) { return String(id).trim(); }).filter(function(id) { return id; });
+        }
+
+        return {
+            get: get,
+            post: post
+        };
+    });
@@ -0,0 +1,154 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType MapReduceScript
+ * @NModuleScope SameAccount
+ *
+ * Service Write-Off Bulk Action Processor
+ *
+ * Purpose: Runs a bulk Close / Auto-Bill / CBSI job submitted by the Service Write-Off Portal
+ * in the background, so large selections are not cut off by Suitelet governance.
+ *
+ * Script parameter custscript_swo_bulk_job_id points at the customrecord_service_wo_bulk_job
+ * record created by the portal. Each SO is processed in its own map() invocation and its outcome
+ * is written to the write-off run ledger (customrecord_service_wo_audit) linked to the job,
+ * which the portal's action=job-status endpoint reads to report progress.
+ */
+
+define(['N/query', 'N/log', 'N/record', 'N/runtime', './service_writeoff_lib'],
+    function(query, log, record, runtime, writeOffLib) {
+
+        var BULK_JOB = writeOffLib.BULK_JOB;
+
+        /**
+         * Reads the job record and returns one entry per selected SO
+         * @returns {Array} Array of { jobId, action, userId, soId }
+         */
+        function getInputData() {
+            var jobId = getJobId();
+
+            var jobs = query.runSuiteQL({
+                query: 'SELECT ' + BULK_JOB.fields.action + ' AS action, ' + BULK_JOB.fields.soIds + ' AS so_ids, ' +
+                    BULK_JOB.fields.submittedBy + ' AS submitted_by ' +
+                    'FROM ' + BULK_JOB.type + ' WHERE id = ?',
+                params: [jobId]
+            }).asMappedResults();
+
+            if (jobs.length === 0) {
+                throw new Error('Bulk job ' + jobId + ' not found');
+            }
+
+            var action = jobs[0].action;
+            var userId = jobs[0].submitted_by;
+            var soIds = String(jobs[0].so_ids || '').split(',').filter(function(id) { return id.trim(); });
+
+            log.audit('Bulk Job Started', { jobId: jobId, action: action, count: soIds.length });
+
+            return soIds.map(function(soId) {
+                return { jobId: jobId, action: action, userId: userId, soId: soId.trim() };
+            });
+        }
+
+        /**
+         * Runs the job's action against a single SO and records the outcome
+         * @param {Object} context - Map context; value is a JSON entry from getInputData
+         */
+        function map(context) {
+            var entry = JSON.parse(context.value);
+            var success = false;
+            var message = '';
+            var details = {};
+
+            try {
+                details = writeOffLib.runBulkAction(entry.action, entry.soId);
+                success = true;
+            } catch (e) {
+                message = writeOffLib.getCleanErrorMessage(e);
+                if (e.rollback || e.routing) {
+                    details = { rollback: e.rollback || null, routing: e.routing || null };
+                }
+                log.error('Bulk Job SO Error', { jobId: entry.jobId, soId: entry.soId, action: entry.action, error: e.toString() });
+            }
+
+            writeOffLib.writeAuditEntry({
+                action: entry.action,
+                soId: entry.soId,
+                success: success,
+                invoiceId: details.invoiceId,
+                jeId: details.jeId,
+                paymentId: details.paymentId,
+                amount: details.amount,
+                error: message,
+                details: details,
+                bulk: true,
+                jobId: entry.jobId,
+                userId: entry.userId
+            });
+
+            context.write({
+                key: entry.soId,
+                value: success ? 'OK' : 'FAILED'
+            });
+        }
+
+        /**
+         * Stamps the job as completed and logs totals
+         * @param {Object} summary - Summary context
+         */
+        function summarize(summary) {
+            var jobId = getJobId();
+            var processed = 0;
+            var failed = 0;
+
+            summary.output.iterator().each(function(key, value) {
+                if (value === 'OK') {
+                    processed++;
+                } else {
+                    failed++;
+                }
+                return true;
+            });
+
+            if (summary.inputSummary.error) {
+                log.error('Input Error', summary.inputSummary.error);
+            }
+
+            summary.mapSummary.errors.iterator().each(function(key, error) {
+                log.error('Map Error', 'Entry ' + key + ': ' + error);
+                return true;
+            });
+
+            try {
+                var values = {};
+                values[BULK_JOB.fields.completed] = new Date();
+                record.submitFields({
+                    type: BULK_JOB.type,
+                    id: jobId,
+                    values: values
+                });
+            } catch (e) {
+                log.error('Could not stamp bulk job completion', { jobId: jobId, error: e.toString() });
+            }
+
+            log.audit('Bulk Job Complete', {
+                jobId: jobId,
+                processed: processed,
+                failed: failed,
+                usage: summary.usage,
+                seconds: summary.seconds
+            });
+        }
+
+        /**
+         * Returns the bulk job record ID passed by the portal
+         * @returns {string} Job record internal ID
+         */
+        function getJobId() {
+            return runtime.getCurrentScript().getParameter({ name: 'custscript_swo_bulk_job_id' });
+        }
+
+        return {
+            getInputData: getInputData,
+            map: map,
+            summarize: summarize
+        };
+    });
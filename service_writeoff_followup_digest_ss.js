@@ -0,0 +1,136 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType ScheduledScript
+ * @NModuleScope SameAccount
+ *
+ * Service Write-Off Follow-Up Digest
+ *
+ * Purpose: Emails each research note owner a daily digest of their follow-ups due today or overdue
+ * (writeOffLib.findFollowUpsDue, the same list as the portal's Follow-Ups tab). The owner is the
+ * author of the SO's latest research note thread entry; follow-ups without one are logged, not emailed.
+ *
+ * Each digest links back to the Service Write-Off Portal with soIds=..., which opens the portal
+ * with the table limited to the Sales Orders in the digest.
+ *
+ * Script parameter custscript_swo_digest_author (required) is the employee the digests are sent from;
+ * without it nothing is sent, so no digest appears to come from its own recipient. Deploy it on a
+ * daily schedule. A run that nears the governance limit stops and logs the owner IDs it did not reach;
+ * the next run starts from the first owner again.
+ */
+
+define(['N/email', 'N/log', 'N/runtime', 'N/url', './service_writeoff_lib'],
+    function(email, log, runtime, url, writeOffLib) {
+
+        // email.send costs 20 units; stop with room to spare. No position is saved: the next run starts
+        // from the first owner again, so the owners not reached are logged by ID
+        var GOVERNANCE_THRESHOLD = 50;
+
+        /**
+         * Sends one digest per note owner
+         * @param {Object} context - Scheduled script context
+         */
+        function execute(context) {
+            var authorId = runtime.getCurrentScript().getParameter({ name: 'custscript_swo_digest_author' });
+
+            if (!authorId) {
+                log.error('Follow-Up Digest Not Sent', 'Script parameter custscript_swo_digest_author (digest sender) is not set on the deployment');
+                return;
+            }
+
+            var groups = writeOffLib.groupFollowUpsByOwner(writeOffLib.findFollowUpsDue());
+            var sent = 0;
+            var unowned = 0;
+
+            for (var i = 0; i < groups.length; i++) {
+                var group = groups[i];
+
+                if (!group.ownerId) {
+                    unowned = group.followUps.length;
+                    log.audit('Follow-Ups Without Owner', {
+                        count: unowned,
+                        soIds: group.followUps.map(function(f) { return f.soId; }).join(',')
+                    });
+                    continue;
+                }
+
+                if (runtime.getCurrentScript().getRemainingUsage() < GOVERNANCE_THRESHOLD) {
+                    var skipped = groups.slice(i).filter(function(g) { return g.ownerId; });
+                    log.error('Follow-Up Digest Stopped', {
+                        message: 'Governance limit reached after ' + sent + ' digest(s); ' + skipped.length + ' owner(s) not sent a digest',
+                        skippedOwnerIds: skipped.map(function(g) { return g.ownerId; }).join(',')
+                    });
+                    break;
+                }
+
+                try {
+                    email.send({
+                        author: authorId,
+                        recipients: [group.ownerId],
+                        subject: 'Service Write-Off follow-ups due: ' + group.overdueCount + ' overdue, ' + group.dueTodayCount + ' due today',
+                        body: buildDigestBody(group)
+                    });
+                    sent++;
+                } catch (e) {
+                    log.error('Follow-Up Digest Error', { ownerId: group.ownerId, ownerName: group.ownerName, error: e.toString() });
+                }
+            }
+
+            log.audit('Follow-Up Digest Complete', { digestsSent: sent, owners: groups.length, followUpsWithoutOwner: unowned });
+        }
+
+        /**
+         * Builds the HTML email for one owner: a table of their follow-ups and a link to the portal
+         * filtered to them
+         * @param {Object} group - Owner group from writeOffLib.groupFollowUpsByOwner
+         * @returns {string} HTML body
+         */
+        function buildDigestBody(group) {
+            var portalUrl = getPortalUrl(group.followUps.map(function(f) { return f.soId; }));
+
+            var rows = group.followUps.map(function(f) {
+                return '<tr>' +
+                    '<td>' + escapeHtml(f.soNumber) + '</td>' +
+                    '<td>' + escapeHtml(f.customerName) + '</td>' +
+                    '<td>' + escapeHtml(f.followUpDate) + '</td>' +
+                    '<td>' + (f.dueStatus === 'overdue' ? f.daysOverdue + ' day(s) overdue' : 'Due today') + '</td>' +
+                    '<td>' + escapeHtml(f.researchNotes.substring(0, 200)) + '</td>' +
+                    '</tr>';
+            }).join('');
+
+            return '<p>Hi ' + escapeHtml(group.ownerName) + ',</p>' +
+                '<p>These Sales Orders have research note follow-ups due today or overdue.</p>' +
+                '<table border="1" cellpadding="4" cellspacing="0" style="border-collapse: collapse; font-size: 13px;">' +
+                '<tr><th>Sales Order</th><th>Customer</th><th>Follow Up</th><th>Due</th><th>Research Note</th></tr>' +
+                rows +
+                '</table>' +
+                '<p><a href="' + escapeHtml(portalUrl) + '">Open these ' + group.followUps.length + ' Sales Order(s) in the Service Write-Off Portal</a></p>';
+        }
+
+        /**
+         * Absolute portal URL that opens with the table limited to the given Sales Orders
+         * @param {Array} soIds - Sales Order internal IDs
+         * @returns {string} URL
+         */
+        function getPortalUrl(soIds) {
+            return 'https://' + url.resolveDomain({ hostType: url.HostType.APPLICATION }) +
+                url.resolveScript({
+                    scriptId: 'customscript_service_writeoff_portal',
+                    deploymentId: 'customdeploy_service_writeoff_portal',
+                    params: { soIds: soIds.join(',') }
+                });
+        }
+
+        /**
+         * Escapes HTML special characters
+         * @param {string} text
+         * @returns {string} Escaped text
+         */
+        function escapeHtml(text) {
+            if (!text) return '';
+            return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        }
+
+        return {
+            execute: execute
+        };
+    });
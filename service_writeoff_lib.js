@@ -0,0 +1,2070 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ *
+ * Service Write-Off Library
+ *
+ * Purpose: Per-Sales Order write-off operations shared by the Service Write-Off Portal
+ * (single-SO actions and synchronous bulk handlers), the Service Write-Off API RESTlet and the
+ * Service Write-Off Bulk Action Map/Reduce script: the unbilled SO query (paged, plus its summary
+ * totals), queueing, research note threads, close / bill / CBSI, the 2024 master list's invoice and
+ * credit memo write-off (bad debt JE, apply or refund) and net-off matching of open credits against
+ * open invoices per customer, plus the write-off run ledger every
+ * action is recorded in, the research note follow-ups due (grouped by note owner), the portal's
+ * saved filter presets and the environment settings (CBSI customer, accounts, department, payment
+ * method...) all scripts read.
+ *
+ * Every operation works on a single SO (or transaction), throws on failure and returns a plain result
+ * object on success, so callers decide how to report and continue.
+ */
+
+define(['N/record', 'N/log', 'N/runtime', 'N/query', 'N/transaction'],
+    function(record, log, runtime, query, transaction) {
+
+        /**
+         * Custom record holding one background bulk job submitted from the portal
+         */
+        var BULK_JOB = {
+            type: 'customrecord_service_wo_bulk_job',
+            fields: {
+                action: 'custrecord_swo_job_action',
+                soIds: 'custrecord_swo_job_so_ids',
+                total: 'custrecord_swo_job_total',
+                taskId: 'custrecord_swo_job_task_id',
+                submittedBy: 'custrecord_swo_job_submitted_by',
+                completed: 'custrecord_swo_job_completed'
+            }
+        };
+
+        /**
+         * Custom record holding one write-off run ledger entry (one per action per SO).
+         * The record's system "created" date is the entry timestamp.
+         */
+        var AUDIT_LOG = {
+            type: 'customrecord_service_wo_audit',
+            fields: {
+                user: 'custrecord_swo_audit_user',
+                action: 'custrecord_swo_audit_action',
+                salesOrder: 'custrecord_swo_audit_so',
+                invoice: 'custrecord_swo_audit_invoice',
+                journal: 'custrecord_swo_audit_je',
+                payment: 'custrecord_swo_audit_payment',
+                amount: 'custrecord_swo_audit_amount',
+                success: 'custrecord_swo_audit_success',
+                error: 'custrecord_swo_audit_error',
+                details: 'custrecord_swo_audit_details',
+                bulk: 'custrecord_swo_audit_bulk',
+                job: 'custrecord_swo_audit_job'
+            }
+        };
+
+        /**
+         * Portal actions recorded in the ledger, with their display labels
+         */
+        var AUDIT_ACTIONS = {
+            'queue': 'Queue for Bill & Write-Off',
+            'unqueue': 'Remove from Queue',
+            'close': 'Close (Cancel)',
+            'auto-bill': 'Auto-Bill (Invoice)',
+            'cbsi-bill-je': 'CBSI (Bill and JE)',
+            'partial-lines': 'Bill / Close Lines',
+            'add-note': 'Research Note',
+            'write-off-invoice': 'Write Off Invoice',
+            'apply-credit': 'Apply Credit Memo',
+            'refund-credit': 'Refund Credit Memo',
+            'net-off': 'Net-Off Credit'
+        };
+
+        /**
+         * Bulk actions that can run as a background job
+         */
+        var BULK_ACTIONS = ['close', 'auto-bill', 'cbsi-bill-je'];
+
+        /**
+         * Custom record holding one entry of a Sales Order's research note thread. Entries are only
+         * ever added; the SO's custbody_service_research_notes / followupdate mirror the latest one
+         * for saved searches. The entry's created date is its timestamp.
+         */
+        var RESEARCH_NOTE = {
+            type: 'customrecord_service_wo_note',
+            fields: {
+                salesOrder: 'custrecord_swo_note_so',
+                author: 'custrecord_swo_note_author',
+                text: 'custrecord_swo_note_text',
+                followUpDate: 'custrecord_swo_note_followup'
+            }
+        };
+
+        /**
+         * Custom record holding one named portal filter preset (filter checkboxes, search text and sort).
+         * The record name is the preset name; shared presets are offered to the whole team.
+         */
+        var FILTER_PRESET = {
+            type: 'customrecord_service_wo_filter_preset',
+            fields: {
+                owner: 'custrecord_swo_preset_owner',
+                shared: 'custrecord_swo_preset_shared',
+                state: 'custrecord_swo_preset_state'
+            }
+        };
+
+        /**
+         * Page size for the unbilled Sales Order query (runSuiteQLPaged allows 5 - 1000)
+         */
+        var UNBILLED_PAGE_SIZE = 1000;
+
+        /**
+         * Custom record holding the environment-specific internal IDs (one active record per account).
+         * Sandbox and production differ, so nothing here has a hard-coded default.
+         */
+        var SETTINGS = {
+            type: 'customrecord_service_wo_settings',
+            fields: {
+                cbsiEntity: 'custrecord_swo_set_cbsi_entity',
+                cbsiDebitAccount: 'custrecord_swo_set_debit_account',
+                cbsiCreditAccount: 'custrecord_swo_set_credit_account',
+                serviceDepartment: 'custrecord_swo_set_department',
+                paymentMethod: 'custrecord_swo_set_payment_method',
+                writeOffItem: 'custrecord_swo_set_write_off_item',
+                masterListCategories: 'custrecord_swo_set_categories',
+                badDebtAccount: 'custrecord_swo_set_bad_debt_account',
+                refundMethod: 'custrecord_swo_set_refund_method'
+            }
+        };
+
+        /**
+         * How each setting is validated: label for error messages, the SuiteQL table the ID must
+         * exist (and be active) in, whether it holds several IDs (multi-select) and whether it may be
+         * left empty (only the master list write-off needs it, and checks for it itself)
+         */
+        var SETTING_RULES = {
+            cbsiEntity: { label: 'CBSI Customer', table: 'customer' },
+            cbsiDebitAccount: { label: 'CBSI JE Debit Account', table: 'account' },
+            cbsiCreditAccount: { label: 'CBSI JE Credit Account', table: 'account' },
+            serviceDepartment: { label: 'Service Department', table: 'department' },
+            paymentMethod: { label: 'CBSI Payment Method', table: 'paymentmethod' },
+            writeOffItem: { label: 'Write-Off Item', table: 'item' },
+            masterListCategories: { label: 'Master List Customer Categories', table: 'customercategory', multiple: true },
+            badDebtAccount: { label: 'Bad Debt Account', table: 'account', optional: true },
+            refundMethod: { label: 'Refund Method', table: 'paymentmethod', optional: true }
+        };
+
+        /**
+         * Column shown as the display name of each referenced record (previews, error pages)
+         */
+        var NAME_COLUMNS = {
+            customer: 'altname',
+            account: 'accountsearchdisplayname',
+            department: 'name',
+            paymentmethod: 'name',
+            item: 'itemid',
+            customercategory: 'name'
+        };
+
+        var cachedSettings = null;
+        var cachedLabels = null;
+
+        /**
+         * Extracts a user-friendly error message from a NetSuite error object
+         * @param {Error} error - The error object
+         * @returns {string} Clean error message
+         */
+        function getCleanErrorMessage(error) {
+            if (!error) return 'Unknown error';
+
+            // Errors raised by this library may already carry a user-facing message
+            if (error.cleanMessage) {
+                return error.cleanMessage;
+            }
+
+            // Try to get the message property first
+            var message = error.message || error.toString();
+
+            // Common error patterns to simplify
+            if (message.indexOf('Address Validation Failed') >= 0) {
+                return 'Address validation error: Shipping address contains phone number. Please fix the address on this Sales Order.';
+            }
+
+            if (message.indexOf('Please enter value(s) for:') >= 0) {
+                // Extract the field name
+                var match = message.match(/Please enter value\(s\) for: (.+?)(?:\n|$)/);
+                if (match) {
+                    return 'Missing required field: ' + match[1];
+                }
+                return message; // Return as-is if we can't parse it
+            }
+
+            // If the message is very long or contains stack traces, try to get just the first line
+            if (message.length > 200 || message.indexOf('\\n') >= 0) {
+                var firstLine = message.split('\\n')[0];
+                if (firstLine.length > 200) {
+                    return firstLine.substring(0, 200) + '...';
+                }
+                return firstLine;
+            }
+
+            return message;
+        }
+
+        /**
+         * Reads and validates the settings record
+         * @returns {Object} { values, labels, errors } - values / labels keyed like SETTINGS.fields; errors is an array of messages
+         */
+        function loadSettings() {
+            var values = {};
+            var labels = {};
+            var errors = [];
+            var key;
+
+            var selectList = [];
+            for (key in SETTINGS.fields) {
+                selectList.push(SETTINGS.fields[key] + ' AS ' + key);
+            }
+
+            var rows = query.runSuiteQL({
+                query: 'SELECT id, ' + selectList.join(', ') + ' FROM ' + SETTINGS.type +
+                    " WHERE isinactive = 'F' ORDER BY id"
+            }).asMappedResults();
+
+            if (rows.length === 0) {
+                errors.push('No active Service Write-Off Settings record (' + SETTINGS.type + ') was found.');
+                return { values: values, labels: labels, errors: errors };
+            }
+            if (rows.length > 1) {
+                errors.push('More than one active Service Write-Off Settings record was found (IDs ' +
+                    rows.map(function(r) { return r.id; }).join(', ') + '). Inactivate all but one.');
+                return { values: values, labels: labels, errors: errors };
+            }
+
+            // SuiteQL returns column aliases in lower case
+            var row = rows[0];
+            var lookups = {};
+
+            for (key in SETTING_RULES) {
+                var rule = SETTING_RULES[key];
+                var raw = row[key.toLowerCase()];
+                var ids = String(raw === null || raw === undefined ? '' : raw).split(',').map(function(id) {
+                    return id.trim();
+                }).filter(function(id) {
+                    return id !== '';
+                });
+
+                if (ids.length === 0) {
+                    if (!rule.optional) {
+                        errors.push(rule.label + ' is not set.');
+                    }
+                    continue;
+                }
+
+                var invalid = ids.filter(function(id) { return !/^\d+$/.test(id); });
+                if (invalid.length > 0) {
+                    errors.push(rule.label + ' has an invalid internal ID: ' + invalid.join(', '));
+                    continue;
+                }
+
+                values[key] = rule.multiple ? ids : ids[0];
+                lookups[rule.table] = (lookups[rule.table] || []).concat(ids);
+            }
+
+            // One query for every referenced record, so a missing or inactive target is reported by name
+            var unions = [];
+            var unionParams = [];
+            for (var table in lookups) {
+                unions.push("SELECT '" + table + "' AS tbl, id, isinactive, " + NAME_COLUMNS[table] + ' AS name FROM ' + table +
+                    ' WHERE id IN (' + lookups[table].map(function() { return '?'; }).join(', ') + ')');
+                unionParams = unionParams.concat(lookups[table]);
+            }
+
+            if (unions.length > 0) {
+                var found = {};
+                var names = {};
+                query.runSuiteQL({ query: unions.join(' UNION ALL '), params: unionParams }).asMappedResults().forEach(function(r) {
+                    found[r.tbl + ':' + r.id] = r.isinactive;
+                    names[r.tbl + ':' + r.id] = r.name;
+                });
+
+                for (key in values) {
+                    var refRule = SETTING_RULES[key];
+                    var refIds = [].concat(values[key]);
+                    labels[key] = refIds.map(function(id) {
+                        return names[refRule.table + ':' + id] || id;
+                    }).join(', ');
+                    for (var i = 0; i < refIds.length; i++) {
+                        var state = found[refRule.table + ':' + refIds[i]];
+                        if (state === undefined) {
+                            errors.push(refRule.label + ' points at ' + refRule.table + ' ' + refIds[i] + ', which does not exist.');
+                        } else if (state === 'T' || state === true) {
+                            errors.push(refRule.label + ' points at ' + refRule.table + ' ' + refIds[i] + ', which is inactive.');
+                        }
+                    }
+                }
+            }
+
+            return { values: values, labels: labels, errors: errors };
+        }
+
+        /**
+         * Returns the validated settings, loading them once per script execution
+         * @returns {Object} Settings values keyed like SETTINGS.fields
+         * @throws {Error} When the settings record is missing or invalid
+         */
+        function getSettings() {
+            if (cachedSettings) {
+                return cachedSettings;
+            }
+
+            var loaded = loadSettings();
+            if (loaded.errors.length > 0) {
+                log.error('Service Write-Off Settings Invalid', loaded.errors);
+                throw new Error('Service Write-Off Settings are invalid: ' + loaded.errors.join(' '));
+            }
+
+            cachedSettings = loaded.values;
+            cachedLabels = loaded.labels;
+            return cachedSettings;
+        }
+
+        /**
+         * Returns the display names of the configured records, keyed like SETTINGS.fields
+         * @returns {Object} Labels, e.g. { cbsiEntity: 'CBSI', cbsiDebitAccount: '6100 Warranty Expense', ... }
+         */
+        function getSettingLabels() {
+            getSettings();
+            return cachedLabels;
+        }
+
+        /**
+         * Closes every line of a Sales Order
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Object} { savedId, linesClosed }
+         */
+        function closeSalesOrder(soId) {
+            var soRecord = record.load({
+                type: record.Type.SALES_ORDER,
+                id: soId
+            });
+
+            var lineCount = soRecord.getLineCount({ sublistId: 'item' });
+            log.debug('closeSalesOrder - Processing lines', { soId: soId, lineCount: lineCount });
+
+            for (var j = 0; j < lineCount; j++) {
+                soRecord.setSublistValue({
+                    sublistId: 'item',
+                    fieldId: 'isclosed',
+                    line: j,
+                    value: true
+                });
+            }
+
+            var savedId = soRecord.save({
+                enableSourcing: false,
+                ignoreMandatoryFields: true
+            });
+
+            log.audit('SO Closed', { soId: soId, savedId: savedId, linesClosed: lineCount });
+
+            return { savedId: savedId, linesClosed: lineCount };
+        }
+
+        /**
+         * Decides what to do with a prospective invoice total:
+         * 'bill' when positive, 'close' when $0 (nothing to bill, so the SO is closed instead)
+         * and 'block' when negative (a credit cannot be billed or written off as an invoice)
+         * @param {number} total - Prospective invoice total
+         * @returns {Object} { decision, total, message }
+         */
+        function routeByTotal(total) {
+            total = Math.round((parseFloat(total) || 0) * 100) / 100;
+
+            if (total > 0) {
+                return { decision: 'bill', total: total, message: 'Invoice total $' + total.toFixed(2) + ' - billed.' };
+            }
+            if (total === 0) {
+                return { decision: 'close', total: 0, message: 'Invoice total would be $0.00 - the Sales Order was closed instead of billed.' };
+            }
+            return {
+                decision: 'block',
+                total: total,
+                message: 'Invoice total would be -$' + Math.abs(total).toFixed(2) + ' (a credit) - blocked. ' +
+                    'Review the Sales Order and issue a credit memo manually if the customer is owed money.'
+            };
+        }
+
+        /**
+         * Pre-flight: transforms the SO to an invoice in dynamic mode (so the total is calculated)
+         * without saving it, and routes it by total. The record is only read - dynamic mode re-sources
+         * terms, address, tax and pricing, so billing saves a standard-mode transform instead.
+         * @param {string} soId - Sales Order internal ID
+         * @param {string} [entityId] - Customer to bill instead of the SO's own (CBSI)
+         * @returns {Object} { invoiceRecord, routing }
+         */
+        function preflightInvoice(soId, entityId) {
+            var invoiceRecord = record.transform({
+                fromType: record.Type.SALES_ORDER,
+                fromId: soId,
+                toType: record.Type.INVOICE,
+                isDynamic: true
+            });
+
+            if (entityId) {
+                invoiceRecord.setValue({ fieldId: 'entity', value: entityId });
+            }
+
+            var routing = routeByTotal(invoiceRecord.getValue({ fieldId: 'total' }));
+
+            log.debug('Invoice pre-flight', { soId: soId, entityId: entityId, routing: routing });
+
+            return { invoiceRecord: invoiceRecord, routing: routing };
+        }
+
+        /**
+         * Transforms the SO to the invoice that is saved, in standard mode
+         * @param {string} soId - Sales Order internal ID
+         * @param {string} [entityId] - Customer to bill instead of the SO's own (CBSI)
+         * @returns {Record} Unsaved invoice
+         */
+        function transformToInvoice(soId, entityId) {
+            var invoiceRecord = record.transform({
+                fromType: record.Type.SALES_ORDER,
+                fromId: soId,
+                toType: record.Type.INVOICE,
+                isDynamic: false
+            });
+
+            if (entityId) {
+                invoiceRecord.setValue({ fieldId: 'entity', value: entityId });
+            }
+
+            return invoiceRecord;
+        }
+
+        /**
+         * Builds the error thrown for a blocked routing decision
+         * @param {Object} routing - Result of routeByTotal
+         * @returns {Error} Error carrying the routing as error.routing
+         */
+        function createRoutingError(routing) {
+            var error = new Error(routing.message);
+            error.cleanMessage = routing.message;
+            error.routing = routing;
+            return error;
+        }
+
+        /**
+         * Closes the SO in place of billing a $0 invoice
+         * @param {string} soId - Sales Order internal ID
+         * @param {Object} routing - Result of routeByTotal
+         * @returns {Object} { routing, invoiceId: null, linesClosed }
+         */
+        function closeInsteadOfBilling(soId, routing) {
+            var closeResult = closeSalesOrder(soId);
+            log.audit('SO Closed Instead of Billed', { soId: soId, total: routing.total });
+            return { routing: routing, invoiceId: null, invoiceTranid: null, linesClosed: closeResult.linesClosed };
+        }
+
+        /**
+         * Returns a transaction's document number
+         * @param {string} id - Transaction internal ID
+         * @returns {string} tranid
+         */
+        function getTranid(id) {
+            var rows = query.runSuiteQL({ query: 'SELECT tranid FROM transaction WHERE id = ?', params: [id] }).asMappedResults();
+            return rows.length > 0 ? rows[0].tranid : String(id);
+        }
+
+        /**
+         * Transforms a Sales Order to an invoice and saves it, after the pre-flight routing:
+         * a $0 SO is closed instead and a negative one is blocked
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Object} { routing, invoiceId, invoiceTranid } (invoice fields null when closed instead)
+         * @throws {Error} With error.routing when the total is negative
+         */
+        function autoBillSalesOrder(soId) {
+            var preflight = preflightInvoice(soId);
+            var routing = preflight.routing;
+
+            if (routing.decision === 'close') {
+                return closeInsteadOfBilling(soId, routing);
+            }
+            if (routing.decision === 'block') {
+                throw createRoutingError(routing);
+            }
+
+            var invoiceId = transformToInvoice(soId).save();
+            var invoiceTranid = getTranid(invoiceId);
+
+            log.audit('SO Auto-Billed', { soId: soId, invoiceTranid: invoiceTranid, invoiceId: invoiceId, total: routing.total });
+
+            return { routing: routing, invoiceId: invoiceId, invoiceTranid: invoiceTranid };
+        }
+
+        /**
+         * Undoes the records a failed run created, newest first. Each record is deleted; if NetSuite
+         * refuses the delete (closed period, applied elsewhere...) it is voided instead. Deleted records
+         * are reported without their ID, so ledger entries only point at records that still exist.
+         * @param {Array} created - [{ type, id, label }] in creation order
+         * @returns {Object} { rolledBack: [{ type, id (voided only), label, method }], notRolledBack: [{ type, id, label, error }] }
+         */
+        function rollbackCreatedRecords(created) {
+            var result = { rolledBack: [], notRolledBack: [] };
+
+            for (var i = created.length - 1; i >= 0; i--) {
+                var entry = created[i];
+                try {
+                    record.delete({ type: entry.type, id: entry.id });
+                    result.rolledBack.push({ type: entry.type, label: entry.label, method: 'deleted' });
+                } catch (deleteError) {
+                    try {
+                        transaction.void({ type: entry.type, id: entry.id });
+                        result.rolledBack.push({ type: entry.type, id: entry.id, label: entry.label, method: 'voided' });
+                    } catch (voidError) {
+                        result.notRolledBack.push({
+                            type: entry.type,
+                            id: entry.id,
+                            label: entry.label,
+                            error: getCleanErrorMessage(deleteError) + ' / void: ' + getCleanErrorMessage(voidError)
+                        });
+                    }
+                }
+            }
+
+            log.audit('Rollback Complete', result);
+
+            return result;
+        }
+
+        /**
+         * Summarises a rollback result for an error message
+         * @param {Object} rollback - Result of rollbackCreatedRecords
+         * @returns {string} e.g. "Rolled back: Journal Entry 123 (deleted), Invoice 456 (deleted)."
+         */
+        function describeRollback(rollback) {
+            var parts = [];
+            if (rollback.rolledBack.length > 0) {
+                parts.push('Rolled back: ' + rollback.rolledBack.map(function(r) {
+                    return r.label + ' (' + r.method + ')';
+                }).join(', ') + '.');
+            }
+            if (rollback.notRolledBack.length > 0) {
+                parts.push('NOT rolled back - fix manually: ' + rollback.notRolledBack.map(function(r) {
+                    return r.label + ' (' + r.error + ')';
+                }).join(', ') + '.');
+            }
+            return parts.join(' ');
+        }
+
+        /**
+         * CBSI Bill and JE - the one engine behind the single-SO action, the inline bulk fallback and
+         * the bulk Map/Reduce: invoice to the CBSI customer, write-off JE, apply the JE to the invoice
+         * through a temporary customer payment (validated to a zero net effect), then delete the payment.
+         * The pre-flight routing runs first: a $0 SO is closed instead and a negative one is blocked.
+         * If any step fails, the records already created are rolled back and the thrown error carries
+         * the rollback result as error.rollback.
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Object} { routing, invoiceId, invoiceTranid, jeId, jeTranid, paymentId, temporaryPaymentId, amount, validation }
+         */
+        function cbsiBillAndJE(soId) {
+            return runWithRollback(postCBSI, soId);
+        }
+
+        /**
+         * Runs a posting function and rolls back the records it saved if it throws
+         * @param {Function} post - function(id, created) that records each saved record in created
+         * @param {string} id - Internal ID passed to post
+         * @returns {Object} What post returns
+         * @throws {Error} With the rollback result as error.rollback (and error.routing when post set one)
+         */
+        function runWithRollback(post, id) {
+            var created = [];
+
+            try {
+                return post(id, created);
+            } catch (e) {
+                var rollback = rollbackCreatedRecords(created);
+                var error = new Error(getCleanErrorMessage(e) + (created.length > 0 ? ' ' + describeRollback(rollback) : ''));
+                error.cleanMessage = error.message;
+                error.rollback = rollback;
+                error.routing = e.routing;
+                throw error;
+            }
+        }
+
+        /**
+         * Posts the CBSI invoice, JE and temporary payment, recording each saved record in created
+         * @param {string} soId - Sales Order internal ID
+         * @param {Array} created - Receives { type, id, label } for every record saved
+         * @returns {Object} { routing, invoiceId, invoiceTranid, jeId, jeTranid, paymentId, temporaryPaymentId, amount, validation }
+         */
+        function postCBSI(soId, created) {
+            var settings = getSettings();
+
+            // STEP 1: Transform SO to Invoice billed to the CBSI customer and route by its total
+            var preflight = preflightInvoice(soId, settings.cbsiEntity);
+            var routing = preflight.routing;
+
+            if (routing.decision === 'close') {
+                var closed = closeInsteadOfBilling(soId, routing);
+                closed.amount = 0;
+                return closed;
+            }
+            if (routing.decision === 'block') {
+                throw createRoutingError(routing);
+            }
+
+            var invoiceRecord = transformToInvoice(soId, settings.cbsiEntity);
+            var invoiceId = invoiceRecord.save({
+                enableSourcing: true,
+                ignoreMandatoryFields: true
+            });
+            created.push({ type: record.Type.INVOICE, id: invoiceId, label: 'Invoice ' + invoiceId });
+
+            // Reload to get accurate values
+            invoiceRecord = record.load({ type: record.Type.INVOICE, id: invoiceId });
+            var invoiceTranid = invoiceRecord.getValue({ fieldId: 'tranid' });
+            var invoiceTotal = parseFloat(invoiceRecord.getValue({ fieldId: 'total' }) || 0);
+            created[created.length - 1].label = 'Invoice ' + invoiceTranid;
+
+            // The JE direction assumes a positive invoice; never post one the wrong way round
+            if (!(invoiceTotal > 0)) {
+                throw new Error('Saved invoice ' + invoiceTranid + ' has a total of ' + invoiceTotal + ' (pre-flight showed ' + routing.total + ') - expected a positive total.');
+            }
+
+            log.audit('CBSI Invoice Created', { soId: soId, invoiceTranid: invoiceTranid, invoiceId: invoiceId, total: invoiceTotal });
+
+            // STEP 2: Create Journal Entry - debit the CBSI debit account (Service dept), credit the CBSI credit account (CBSI customer)
+            var jeRecord = record.create({ type: record.Type.JOURNAL_ENTRY, isDynamic: false });
+            var jeMemo = 'Automated CBSI Adjustment ' + invoiceTranid;
+            jeRecord.setValue({ fieldId: 'memo', value: jeMemo });
+
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'account', line: 0, value: settings.cbsiDebitAccount });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'debit', line: 0, value: invoiceTotal });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'department', line: 0, value: settings.serviceDepartment });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'memo', line: 0, value: jeMemo });
+
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'account', line: 1, value: settings.cbsiCreditAccount });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'credit', line: 1, value: invoiceTotal });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'entity', line: 1, value: settings.cbsiEntity });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'memo', line: 1, value: jeMemo });
+
+            var jeId = jeRecord.save();
+            created.push({ type: record.Type.JOURNAL_ENTRY, id: jeId, label: 'Journal Entry ' + jeId });
+
+            // Reload to get tranid
+            jeRecord = record.load({ type: record.Type.JOURNAL_ENTRY, id: jeId });
+            var jeTranid = jeRecord.getValue({ fieldId: 'tranid' });
+            created[created.length - 1].label = 'Journal Entry ' + jeTranid;
+
+            log.audit('CBSI JE Created', { soId: soId, jeTranid: jeTranid, jeId: jeId, amount: invoiceTotal });
+
+            // STEP 3: Apply JE to Invoice using a temporary Customer Payment
+            var application = applyCreditToInvoice(invoiceId, jeId, invoiceTotal, 'CBSI JE Application: ' + jeTranid, created);
+
+            log.audit('CBSI Bill and JE Complete', { soId: soId, invoiceTranid: invoiceTranid, jeTranid: jeTranid, amount: invoiceTotal });
+
+            return {
+                routing: routing,
+                invoiceId: invoiceId,
+                invoiceTranid: invoiceTranid,
+                jeId: jeId,
+                jeTranid: jeTranid,
+                paymentId: application.paymentId,
+                temporaryPaymentId: application.temporaryPaymentId,
+                amount: invoiceTotal,
+                validation: application.validation
+            };
+        }
+
+        /**
+         * Applies a credit (a JE crediting the customer, or a credit memo) to an invoice through a
+         * temporary customer payment that moves nothing else: auto-selected invoices are cleared, and
+         * the payment is only saved when the applied and credited amounts match with a zero net effect.
+         * The payment is deleted afterwards; the application stands without it. paymentId is only set
+         * when the delete failed and the payment still exists, so the ledger never points at a deleted
+         * record; temporaryPaymentId is kept for the entry's details.
+         * @param {string} invoiceId - Invoice internal ID
+         * @param {string} creditId - Internal ID of the credit transaction
+         * @param {number} amount - Amount to apply
+         * @param {string} memo - Payment memo
+         * @param {Array} created - Receives the payment while it exists
+         * @returns {Object} { paymentId, temporaryPaymentId, validation }
+         */
+        function applyCreditToInvoice(invoiceId, creditId, amount, memo, created) {
+            var customerPayment = record.transform({
+                fromType: record.Type.INVOICE,
+                fromId: invoiceId,
+                toType: record.Type.CUSTOMER_PAYMENT,
+                isDynamic: false
+            });
+
+            customerPayment.setValue({ fieldId: 'trandate', value: new Date() });
+            customerPayment.setValue({ fieldId: 'paymentmethod', value: getSettings().paymentMethod });
+            customerPayment.setValue({ fieldId: 'memo', value: memo });
+            customerPayment.setValue({ fieldId: 'payment', value: amount });
+
+            // Clear all auto-selected apply lines
+            var applyLineCount = customerPayment.getLineCount({ sublistId: 'apply' });
+            for (var j = 0; j < applyLineCount; j++) {
+                try {
+                    if (customerPayment.getSublistValue({ sublistId: 'apply', fieldId: 'apply', line: j })) {
+                        customerPayment.setSublistValue({ sublistId: 'apply', fieldId: 'apply', line: j, value: false });
+                        customerPayment.setSublistValue({ sublistId: 'apply', fieldId: 'amount', line: j, value: 0 });
+                    }
+                } catch (clearError) {
+                    log.debug('Could not clear apply line', { line: j, error: clearError.toString() });
+                }
+            }
+
+            // Find and select the credit transaction
+            var creditLineCount = customerPayment.getLineCount({ sublistId: 'credit' });
+            var creditLineUpdated = false;
+            var actualCreditAmount = 0;
+
+            for (var c = 0; c < creditLineCount; c++) {
+                var creditDocId = customerPayment.getSublistValue({ sublistId: 'credit', fieldId: 'doc', line: c });
+                var creditRefNum = customerPayment.getSublistValue({ sublistId: 'credit', fieldId: 'refnum', line: c });
+
+                if (creditDocId == creditId || creditRefNum == creditId) {
+                    try {
+                        customerPayment.setSublistValue({ sublistId: 'credit', fieldId: 'apply', line: c, value: true });
+                        customerPayment.setSublistValue({ sublistId: 'credit', fieldId: 'amount', line: c, value: amount });
+                        actualCreditAmount = customerPayment.getSublistValue({ sublistId: 'credit', fieldId: 'amount', line: c });
+                        creditLineUpdated = true;
+                    } catch (creditSetError) {
+                        log.error('Error setting credit line', { error: creditSetError.toString(), line: c, creditDocId: creditDocId });
+                    }
+                    break;
+                }
+            }
+
+            // Select the invoice for application
+            applyLineCount = customerPayment.getLineCount({ sublistId: 'apply' });
+            var invoiceLineUpdated = false;
+            var actualApplyAmount = 0;
+
+            for (var k = 0; k < applyLineCount; k++) {
+                var docId = customerPayment.getSublistValue({ sublistId: 'apply', fieldId: 'doc', line: k });
+
+                if (docId == invoiceId) {
+                    try {
+                        customerPayment.setSublistValue({ sublistId: 'apply', fieldId: 'apply', line: k, value: true });
+                        customerPayment.setSublistValue({ sublistId: 'apply', fieldId: 'amount', line: k, value: amount });
+                        actualApplyAmount = customerPayment.getSublistValue({ sublistId: 'apply', fieldId: 'amount', line: k });
+                        invoiceLineUpdated = true;
+                    } catch (setError) {
+                        log.error('Error selecting invoice line', { error: setError.toString(), line: k, docId: docId });
+                    }
+                    break;
+                }
+            }
+
+            // CRITICAL VALIDATION - the payment must move nothing but the JE credit onto the invoice
+            var netEffect = actualApplyAmount - actualCreditAmount;
+            var amountsMatch = (actualApplyAmount == actualCreditAmount) && (actualApplyAmount == amount);
+            var validation = {
+                expectedAmount: amount,
+                applyAmount: actualApplyAmount,
+                creditAmount: actualCreditAmount,
+                netEffect: netEffect
+            };
+
+            log.debug('Credit application validation before payment save', validation);
+
+            if (!invoiceLineUpdated) {
+                throw new Error('VALIDATION FAILED: Could not select target invoice');
+            }
+
+            if (!creditLineUpdated) {
+                throw new Error('VALIDATION FAILED: Could not select credit transaction (JE)');
+            }
+
+            if (!amountsMatch) {
+                throw new Error('VALIDATION FAILED: Amounts do not match. Expected: ' + amount + ', Apply: ' + actualApplyAmount + ', Credit: ' + actualCreditAmount);
+            }
+
+            if (Math.abs(netEffect) > 0.01) {
+                throw new Error('VALIDATION FAILED: Net effect is not zero: ' + netEffect);
+            }
+
+            // Save the payment to apply the credit
+            var paymentId = customerPayment.save();
+            created.push({ type: record.Type.CUSTOMER_PAYMENT, id: paymentId, label: 'Customer Payment ' + paymentId });
+
+            // Delete the temporary payment - the credit application stands without it
+            var paymentDeleted = false;
+            try {
+                record.delete({ type: record.Type.CUSTOMER_PAYMENT, id: paymentId });
+                created.pop();
+                paymentDeleted = true;
+            } catch (deleteError) {
+                log.error('Error deleting temporary payment record', {
+                    error: deleteError.toString(),
+                    paymentId: paymentId,
+                    invoiceId: invoiceId,
+                    creditId: creditId,
+                    note: 'Credit was applied successfully, but payment record remains'
+                });
+            }
+
+            return {
+                paymentId: paymentDeleted ? null : paymentId,
+                temporaryPaymentId: paymentId,
+                validation: validation
+            };
+        }
+
+        /**
+         * Writes the open balance of an invoice off to the Bad Debt Account: a JE debiting the Bad Debt
+         * Account and crediting the invoice's A/R account for the customer, applied to the invoice like
+         * the CBSI JE. Rolled back like cbsiBillAndJE when a step fails.
+         * @param {string} invoiceId - Invoice internal ID
+         * @returns {Object} { invoiceId, invoiceTranid, jeId, jeTranid, paymentId, temporaryPaymentId, amount, validation }
+         */
+        function writeOffInvoice(invoiceId) {
+            return runWithRollback(postInvoiceWriteOff, invoiceId);
+        }
+
+        /**
+         * Posts the write-off JE and applies it, recording each saved record in created
+         * @param {string} invoiceId - Invoice internal ID
+         * @param {Array} created - Receives { type, id, label } for every record saved
+         * @returns {Object} { invoiceId, invoiceTranid, jeId, jeTranid, paymentId, temporaryPaymentId, amount, validation }
+         */
+        function postInvoiceWriteOff(invoiceId, created) {
+            var settings = getSettings();
+            if (!settings.badDebtAccount) {
+                throw new Error('Set the Bad Debt Account on the Service Write-Off Settings record before writing off invoices.');
+            }
+
+            var invoiceRecord = record.load({ type: record.Type.INVOICE, id: invoiceId });
+            var invoiceTranid = invoiceRecord.getValue({ fieldId: 'tranid' });
+            var amount = Math.round((parseFloat(invoiceRecord.getValue({ fieldId: 'amountremaining' })) || 0) * 100) / 100;
+
+            if (!(amount > 0)) {
+                throw new Error('Invoice ' + invoiceTranid + ' has no open balance to write off.');
+            }
+
+            var jeMemo = 'Service Write-Off ' + invoiceTranid;
+            var jeRecord = record.create({ type: record.Type.JOURNAL_ENTRY, isDynamic: false });
+            jeRecord.setValue({ fieldId: 'memo', value: jeMemo });
+
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'account', line: 0, value: settings.badDebtAccount });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'debit', line: 0, value: amount });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'department', line: 0, value: settings.serviceDepartment });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'memo', line: 0, value: jeMemo });
+
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'account', line: 1, value: invoiceRecord.getValue({ fieldId: 'account' }) });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'credit', line: 1, value: amount });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'entity', line: 1, value: invoiceRecord.getValue({ fieldId: 'entity' }) });
+            jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'memo', line: 1, value: jeMemo });
+
+            var jeId = jeRecord.save();
+            created.push({ type: record.Type.JOURNAL_ENTRY, id: jeId, label: 'Journal Entry ' + jeId });
+            var jeTranid = getTranid(jeId);
+            created[created.length - 1].label = 'Journal Entry ' + jeTranid;
+
+            var application = applyCreditToInvoice(invoiceId, jeId, amount, 'Write-Off JE Application: ' + jeTranid, created);
+
+            log.audit('Invoice Written Off', { invoiceId: invoiceId, invoiceTranid: invoiceTranid, jeTranid: jeTranid, amount: amount });
+
+            return {
+                invoiceId: invoiceId,
+                invoiceTranid: invoiceTranid,
+                jeId: jeId,
+                jeTranid: jeTranid,
+                paymentId: application.paymentId,
+                temporaryPaymentId: application.temporaryPaymentId,
+                amount: amount,
+                validation: application.validation
+            };
+        }
+
+        /**
+         * Applies a credit memo's unapplied amount to the customer's open invoices, oldest first as
+         * NetSuite lists them on the apply sublist
+         * @param {string} creditMemoId - Credit memo internal ID
+         * @returns {Object} { creditMemoId, creditMemoTranid, amount, unapplied, appliedTo: [{ invoiceId, invoiceTranid, amount }] }
+         */
+        function applyCreditMemo(creditMemoId) {
+            var creditMemo = record.load({ type: record.Type.CREDIT_MEMO, id: creditMemoId });
+            var creditMemoTranid = creditMemo.getValue({ fieldId: 'tranid' });
+            var remaining = Math.round((parseFloat(creditMemo.getValue({ fieldId: 'unapplied' })) || 0) * 100) / 100;
+            var appliedTo = [];
+
+            if (!(remaining > 0)) {
+                throw new Error('Credit memo ' + creditMemoTranid + ' has no unapplied amount.');
+            }
+
+            var lineCount = creditMemo.getLineCount({ sublistId: 'apply' });
+            for (var i = 0; i < lineCount && remaining > 0; i++) {
+                if (creditMemo.getSublistValue({ sublistId: 'apply', fieldId: 'apply', line: i })) {
+                    continue;
+                }
+                var due = parseFloat(creditMemo.getSublistValue({ sublistId: 'apply', fieldId: 'due', line: i })) || 0;
+                if (!(due > 0)) {
+                    continue;
+                }
+
+                var amount = Math.min(due, remaining);
+                creditMemo.setSublistValue({ sublistId: 'apply', fieldId: 'apply', line: i, value: true });
+                creditMemo.setSublistValue({ sublistId: 'apply', fieldId: 'amount', line: i, value: amount });
+                remaining = Math.round((remaining - amount) * 100) / 100;
+                appliedTo.push({
+                    invoiceId: creditMemo.getSublistValue({ sublistId: 'apply', fieldId: 'doc', line: i }),
+                    invoiceTranid: creditMemo.getSublistValue({ sublistId: 'apply', fieldId: 'refnum', line: i }),
+                    amount: amount
+                });
+            }
+
+            if (appliedTo.length === 0) {
+                throw new Error('Credit memo ' + creditMemoTranid + ' was not applied: the customer has no open invoices. Refund it instead.');
+            }
+
+            creditMemo.save({ enableSourcing: false, ignoreMandatoryFields: true });
+
+            var applied = appliedTo.reduce(function(sum, a) { return sum + a.amount; }, 0);
+            log.audit('Credit Memo Applied', { creditMemoId: creditMemoId, creditMemoTranid: creditMemoTranid, appliedTo: appliedTo, unapplied: remaining });
+
+            return {
+                creditMemoId: creditMemoId,
+                creditMemoTranid: creditMemoTranid,
+                amount: Math.round(applied * 100) / 100,
+                unapplied: remaining,
+                appliedTo: appliedTo
+            };
+        }
+
+        /**
+         * Refunds a credit memo's unapplied amount to the customer with the configured Refund Method
+         * @param {string} creditMemoId - Credit memo internal ID
+         * @returns {Object} { creditMemoId, creditMemoTranid, refundId, refundTranid, amount }
+         */
+        function refundCreditMemo(creditMemoId) {
+            var settings = getSettings();
+            if (!settings.refundMethod) {
+                throw new Error('Set the Refund Method on the Service Write-Off Settings record before refunding credit memos.');
+            }
+
+            var creditMemoTranid = getTranid(creditMemoId);
+
+            // Transforming from the credit memo keeps the customer and A/R account and lists the credit to refund
+            var refund = record.transform({
+                fromType: record.Type.CREDIT_MEMO,
+                fromId: creditMemoId,
+                toType: record.Type.CUSTOMER_REFUND,
+                isDynamic: false
+            });
+
+            refund.setValue({ fieldId: 'paymentmethod', value: settings.refundMethod });
+            refund.setValue({ fieldId: 'memo', value: 'Service Write-Off Refund ' + creditMemoTranid });
+
+            // Refund only this credit memo
+            var amount = 0;
+            var lineCount = refund.getLineCount({ sublistId: 'apply' });
+            for (var i = 0; i < lineCount; i++) {
+                var isTarget = refund.getSublistValue({ sublistId: 'apply', fieldId: 'doc', line: i }) == creditMemoId;
+                refund.setSublistValue({ sublistId: 'apply', fieldId: 'apply', line: i, value: isTarget });
+                if (isTarget) {
+                    amount = Math.round((parseFloat(refund.getSublistValue({ sublistId: 'apply', fieldId: 'due', line: i })) || 0) * 100) / 100;
+                    refund.setSublistValue({ sublistId: 'apply', fieldId: 'amount', line: i, value: amount });
+                }
+            }
+
+            if (!(amount > 0)) {
+                throw new Error('Credit memo ' + creditMemoTranid + ' has no unapplied amount to refund.');
+            }
+
+            var refundId = refund.save({ enableSourcing: true, ignoreMandatoryFields: true });
+            var refundTranid = getTranid(refundId);
+
+            log.audit('Credit Memo Refunded', { creditMemoId: creditMemoId, creditMemoTranid: creditMemoTranid, refundTranid: refundTranid, amount: amount });
+
+            return {
+                creditMemoId: creditMemoId,
+                creditMemoTranid: creditMemoTranid,
+                refundId: refundId,
+                refundTranid: refundTranid,
+                amount: amount
+            };
+        }
+
+        /**
+         * Proposes credit-to-invoice applications per customer: each open credit is first matched to
+         * an open invoice of exactly its amount, then what is left is applied to the customer's
+         * invoices oldest first. Transactions are taken in the order given, which must be oldest first.
+         * @param {Array} transactions - { id, tranid, customer_id, customer_name, amount_remaining } (credits negative)
+         * @returns {Array} One entry per customer with at least one match: { customerId, customerName,
+         *     matches: [{ creditId, creditTranid, invoiceId, invoiceTranid, amount, exact, creditResidual, invoiceResidual }],
+         *     matchedAmount, invoiceResidual, creditResidual }
+         */
+        function proposeNetOffMatches(transactions) {
+            var customers = {};
+            var order = [];
+
+            // Amounts in cents, so exact matches and residuals are not thrown off by floating point
+            transactions.forEach(function(txn) {
+                var cents = Math.round((parseFloat(txn.amount_remaining) || 0) * 100);
+                if (cents === 0) {
+                    return;
+                }
+                var key = String(txn.customer_id);
+                if (!customers[key]) {
+                    customers[key] = { customerId: key, customerName: txn.customer_name || '', invoices: [], credits: [] };
+                    order.push(key);
+                }
+                (cents > 0 ? customers[key].invoices : customers[key].credits).push({
+                    id: String(txn.id),
+                    tranid: txn.tranid,
+                    remaining: Math.abs(cents)
+                });
+            });
+
+            return order.map(function(key) {
+                var customer = customers[key];
+                var matches = [];
+
+                function match(credit, invoice, cents, exact) {
+                    credit.remaining -= cents;
+                    invoice.remaining -= cents;
+                    matches.push({ credit: credit, invoice: invoice, cents: cents, exact: exact });
+                }
+
+                customer.credits.forEach(function(credit) {
+                    var invoice = customer.invoices.filter(function(inv) {
+                        return inv.remaining === credit.remaining;
+                    })[0];
+                    if (invoice) {
+                        match(credit, invoice, credit.remaining, true);
+                    }
+                });
+
+                customer.credits.forEach(function(credit) {
+                    customer.invoices.forEach(function(invoice) {
+                        if (credit.remaining > 0 && invoice.remaining > 0) {
+                            match(credit, invoice, Math.min(credit.remaining, invoice.remaining), false);
+                        }
+                    });
+                });
+
+                function sumRemaining(txns) {
+                    return txns.reduce(function(sum, txn) { return sum + txn.remaining; }, 0) / 100;
+                }
+
+                return {
+                    customerId: customer.customerId,
+                    customerName: customer.customerName,
+                    matches: matches.map(function(m) {
+                        return {
+                            creditId: m.credit.id,
+                            creditTranid: m.credit.tranid,
+                            invoiceId: m.invoice.id,
+                            invoiceTranid: m.invoice.tranid,
+                            amount: m.cents / 100,
+                            exact: m.exact,
+                            creditResidual: m.credit.remaining / 100,
+                            invoiceResidual: m.invoice.remaining / 100
+                        };
+                    }),
+                    matchedAmount: matches.reduce(function(sum, m) { return sum + m.cents; }, 0) / 100,
+                    invoiceResidual: sumRemaining(customer.invoices),
+                    creditResidual: sumRemaining(customer.credits)
+                };
+            }).filter(function(customer) {
+                return customer.matches.length > 0;
+            });
+        }
+
+        /**
+         * Applies an open credit (credit memo or crediting JE) to an invoice of the same customer
+         * through a temporary customer payment, like the CBSI JE application. Rolled back if it fails.
+         * @param {string} invoiceId - Invoice internal ID
+         * @param {string} creditId - Credit internal ID
+         * @param {number} amount - Amount to apply
+         * @returns {Object} { invoiceId, creditId, creditTranid, paymentId, temporaryPaymentId, amount, validation }
+         */
+        function applyNetOffMatch(invoiceId, creditId, amount) {
+            return runWithRollback(function(id, created) {
+                var creditTranid = getTranid(creditId);
+                var application = applyCreditToInvoice(id, creditId, amount, 'Service Net-Off: ' + creditTranid, created);
+
+                log.audit('Net-Off Applied', { invoiceId: id, creditTranid: creditTranid, amount: amount });
+
+                return {
+                    invoiceId: id,
+                    creditId: creditId,
+                    creditTranid: creditTranid,
+                    paymentId: application.paymentId,
+                    temporaryPaymentId: application.temporaryPaymentId,
+                    amount: amount,
+                    validation: application.validation
+                };
+            }, invoiceId);
+        }
+
+        /**
+         * Builds what cbsiBillAndJE would post for a Sales Order without saving anything:
+         * the invoice to the CBSI customer (transformed in dynamic mode so the total is calculated)
+         * and the proposed JE lines and payment. JE lines are only proposed when the routing is 'bill'.
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Object} { soId, soNumber, routing, customer, invoiceTotal, invoiceLines, jeLines, paymentMethod }
+         */
+        function previewCBSI(soId) {
+            var settings = getSettings();
+            var labels = getSettingLabels();
+
+            var preflight = preflightInvoice(soId, settings.cbsiEntity);
+            var invoiceRecord = preflight.invoiceRecord;
+            var routing = preflight.routing;
+
+            var soNumber = String(invoiceRecord.getText({ fieldId: 'createdfrom' }) || '').replace(/^Sales Order\s*#?/i, '');
+            var invoiceTotal = routing.total;
+
+            var invoiceLines = [];
+            var lineCount = invoiceRecord.getLineCount({ sublistId: 'item' });
+            for (var i = 0; i < lineCount; i++) {
+                invoiceLines.push({
+                    item: invoiceRecord.getSublistText({ sublistId: 'item', fieldId: 'item', line: i }),
+                    quantity: invoiceRecord.getSublistValue({ sublistId: 'item', fieldId: 'quantity', line: i }),
+                    amount: parseFloat(invoiceRecord.getSublistValue({ sublistId: 'item', fieldId: 'amount', line: i }) || 0)
+                });
+            }
+
+            var preview = {
+                soId: soId,
+                soNumber: soNumber,
+                routing: routing,
+                customer: labels.cbsiEntity,
+                invoiceTotal: invoiceTotal,
+                invoiceLines: invoiceLines,
+                jeLines: [],
+                paymentMethod: labels.paymentMethod
+            };
+
+            if (routing.decision !== 'bill') {
+                return preview;
+            }
+
+            // Same lines cbsiBillAndJE creates; the invoice number is only known once it is saved
+            var jeMemo = 'Automated CBSI Adjustment (new invoice for SO ' + soNumber + ')';
+
+            preview.jeLines = [
+                {
+                    account: labels.cbsiDebitAccount,
+                    debit: invoiceTotal,
+                    credit: 0,
+                    department: labels.serviceDepartment,
+                    name: '',
+                    memo: jeMemo
+                },
+                {
+                    account: labels.cbsiCreditAccount,
+                    debit: 0,
+                    credit: invoiceTotal,
+                    department: '',
+                    name: labels.cbsiEntity,
+                    memo: jeMemo
+                }
+            ];
+
+            return preview;
+        }
+
+        /**
+         * Line-level partial write-off: invoices only the chosen SO lines and closes the chosen others;
+         * every other line stays open. Line IDs are the SO's item line IDs (transactionline.id).
+         * The invoice is routed by its own total like a whole-SO auto-bill: $0 closes those lines
+         * instead and a negative total is blocked. If closing fails the invoice is rolled back.
+         * @param {string} soId - Sales Order internal ID
+         * @param {Array} billLineIds - Line IDs to invoice
+         * @param {Array} closeLineIds - Line IDs to close
+         * @returns {Object} { routing, invoiceId, invoiceTranid, billedLines, closedLines }
+         * @throws {Error} With error.routing / error.rollback when blocked or rolled back
+         */
+        function partialWriteOff(soId, billLineIds, closeLineIds) {
+            billLineIds = normalizeLineIds(billLineIds);
+            closeLineIds = normalizeLineIds(closeLineIds);
+
+            if (billLineIds.length === 0 && closeLineIds.length === 0) {
+                throw new Error('Choose at least one line to bill or close.');
+            }
+            billLineIds.forEach(function(lineId) {
+                if (closeLineIds.indexOf(lineId) >= 0) {
+                    throw new Error('Line ' + lineId + ' cannot be both billed and closed.');
+                }
+            });
+
+            var result = runWithRollback(function(id, created) {
+                return postPartialWriteOff(id, billLineIds, closeLineIds, created);
+            }, soId);
+
+            log.audit('SO Lines Billed / Closed', { soId: soId, result: result });
+
+            return result;
+        }
+
+        /**
+         * Invoices the chosen lines and closes the others, recording the saved invoice in created.
+         * The total is routed on a dynamic-mode pre-flight with the same lines kept; the invoice that
+         * is saved is a standard-mode transform, like a whole-SO auto-bill.
+         * @param {string} soId - Sales Order internal ID
+         * @param {Array} billLineIds - Normalized line IDs to invoice
+         * @param {Array} closeLineIds - Normalized line IDs to close
+         * @param {Array} created - Receives { type, id, label } for every record saved
+         * @returns {Object} { routing, invoiceId, invoiceTranid, billedLines, closedLines }
+         */
+        function postPartialWriteOff(soId, billLineIds, closeLineIds, created) {
+            var result = { routing: null, invoiceId: null, invoiceTranid: null, billedLines: [], closedLines: [] };
+
+            if (billLineIds.length > 0) {
+                var preflight = preflightInvoice(soId);
+                result.billedLines = keepInvoiceLines(preflight.invoiceRecord, billLineIds);
+
+                assertAllLinesFound(billLineIds, result.billedLines, 'billable');
+
+                result.routing = routeByTotal(preflight.invoiceRecord.getValue({ fieldId: 'total' }));
+
+                if (result.routing.decision === 'block') {
+                    throw createRoutingError(result.routing);
+                }
+
+                if (result.routing.decision === 'close') {
+                    // Nothing to bill on these lines, so they are closed with the rest
+                    closeLineIds = closeLineIds.concat(result.billedLines);
+                    result.billedLines = [];
+                } else {
+                    var invoiceRecord = transformToInvoice(soId);
+                    keepInvoiceLines(invoiceRecord, billLineIds);
+
+                    result.invoiceId = invoiceRecord.save();
+                    result.invoiceTranid = getTranid(result.invoiceId);
+                    created.push({ type: record.Type.INVOICE, id: result.invoiceId, label: 'Invoice ' + result.invoiceTranid });
+                }
+            }
+
+            if (closeLineIds.length > 0) {
+                var soRecord = record.load({
+                    type: record.Type.SALES_ORDER,
+                    id: soId
+                });
+
+                var lineCount = soRecord.getLineCount({ sublistId: 'item' });
+                for (var j = 0; j < lineCount; j++) {
+                    var lineId = String(soRecord.getSublistValue({ sublistId: 'item', fieldId: 'line', line: j }));
+                    if (closeLineIds.indexOf(lineId) >= 0) {
+                        soRecord.setSublistValue({ sublistId: 'item', fieldId: 'isclosed', line: j, value: true });
+                        result.closedLines.push(lineId);
+                    }
+                }
+
+                assertAllLinesFound(closeLineIds, result.closedLines, 'on this Sales Order');
+
+                soRecord.save({
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                });
+            }
+
+            return result;
+        }
+
+        /**
+         * Removes every invoice item line that does not bill one of the chosen SO lines
+         * @param {Record} invoiceRecord - Unsaved invoice transformed from the SO
+         * @param {Array} billLineIds - SO line IDs to keep
+         * @returns {Array} The SO line IDs kept, in line order
+         */
+        function keepInvoiceLines(invoiceRecord, billLineIds) {
+            var kept = [];
+
+            // orderline is the SO line the invoice line bills
+            for (var i = invoiceRecord.getLineCount({ sublistId: 'item' }) - 1; i >= 0; i--) {
+                var orderLine = String(invoiceRecord.getSublistValue({ sublistId: 'item', fieldId: 'orderline', line: i }));
+                if (billLineIds.indexOf(orderLine) >= 0) {
+                    kept.unshift(orderLine);
+                } else {
+                    invoiceRecord.removeLine({ sublistId: 'item', line: i });
+                }
+            }
+
+            return kept;
+        }
+
+        /**
+         * Turns a comma-separated string or array of line IDs into a de-duplicated array of strings
+         * @param {string|Array} lineIds - Line IDs
+         * @returns {Array} Line IDs as strings
+         */
+        function normalizeLineIds(lineIds) {
+            var list = Array.isArray(lineIds) ? lineIds : String(lineIds || '').split(',');
+            var ids = [];
+            list.forEach(function(id) {
+                id = String(id).trim();
+                if (id && ids.indexOf(id) < 0) {
+                    ids.push(id);
+                }
+            });
+            return ids;
+        }
+
+        /**
+         * Throws if any requested line was not found on the record
+         * @param {Array} requested - Line IDs asked for
+         * @param {Array} found - Line IDs actually matched
+         * @param {string} what - Describes where they were looked for, for the message
+         */
+        function assertAllLinesFound(requested, found, what) {
+            var missing = requested.filter(function(id) { return found.indexOf(id) < 0; });
+            if (missing.length > 0) {
+                throw new Error('Line(s) ' + missing.join(', ') + ' are not ' + what + ' (already billed, closed or removed). Reload the list and try again.');
+            }
+        }
+
+        /**
+         * FROM / WHERE shared by the unbilled Sales Order list and its summary: open Service dept
+         * Pending Billing Sales Order lines not yet on an invoice. Lines closed by a partial write-off
+         * leave the SO Pending Billing, so they are filtered out here. Takes one parameter, the Service department.
+         * @returns {string} SQL fragment
+         */
+        function getUnbilledLinesFromWhere() {
+            return "FROM transaction so " +
+                "INNER JOIN transactionline so_line ON so_line.transaction = so.id " +
+                "LEFT JOIN customer cust ON so.entity = cust.id " +
+                "LEFT JOIN item ON so_line.item = item.id " +
+                "WHERE so.type = 'SalesOrd' " +
+                // Status 'F' = Pending Billing
+                // We do not bill the manufacturer until all line items are fulfilled to the customer
+                // so the only transactions that are ready for billing are completely fulfilled which 
+                // means Pending Billing status. Fulfillment discrepancies must be managed in a separate process.
+                "AND so.status = 'F' " +
+                "AND so_line.department = ? " +
+                "AND so_line.taxline = 'F' " +
+                "AND so_line.mainline = 'F' " +
+                "AND so_line.item IS NOT NULL " +
+                "AND so_line.quantity != 0 " +
+                "AND so_line.isclosed = 'F' " +
+                "AND NOT EXISTS ( " +
+                "    SELECT 1 FROM transactionline inv_line " +
+                "    INNER JOIN transaction inv ON inv_line.transaction = inv.id " +
+                "    WHERE inv_line.createdfrom = so.id " +
+                "    AND inv_line.item = so_line.item " +
+                "    AND inv.type = 'CustInvc' " +
+                "    AND inv_line.taxline = 'F' " +
+                "    AND inv_line.mainline = 'F' " +
+                ") ";
+        }
+
+        /**
+         * Builds the main SuiteQL query behind the portal list and the API: one row per Service dept
+         * Sales Order with unbilled line items, ordered by SO number. With afterId the query takes a
+         * second parameter and returns only SOs with a higher internal ID, ordered by ID, so chunks
+         * read one after another do not shift when SOs drop off the list in between.
+         * @param {boolean} [afterId] - Add the so.id > ? keyset condition
+         * @returns {string} SQL
+         */
+        function getUnbilledSalesOrderSql(afterId) {
+            return "SELECT " +
+                "so.id AS so_id, " +
+                "so.tranid AS so_number, " +
+                "so.trandate AS so_date, " +
+                "so.entity AS customer_id, " +
+                "MAX(cust.altname) AS customer_name, " +
+                "so.status AS so_status, " +
+                "MAX(BUILTIN.DF(so.status)) AS so_status_text, " +
+                "so.custbody_f4n_job_id AS job_id, " +
+                "so.custbody_service_queued_for_write_off AS queued_date, " +
+                "MAX(BUILTIN.DF(so.custbody_bas_fa_warranty_type)) AS warranty_type, " +
+                "so.custbody24 AS epic_auth, " +
+                "so.shipdate AS ship_date, " +
+                "so.custbody_bas_estimated_ship_date AS est_ship_date, " +
+                "so.custbody_f4n_details AS job_details, " +
+                "so.custbody21 AS billing_completed_by, " +
+                "so.custbody_f4n_job_state AS job_state, " +
+                "so.custbody_f4n_scheduled AS scheduled_date, " +
+                "so.custbody_f4n_started AS job_started, " +
+                "so.custbody_f4n_completed AS job_completed, " +
+                "so.custbody_service_research_notes AS research_notes, " +
+                "so.custbody_service_research_followupdate AS follow_up_date, " +
+                "MAX(BUILTIN.DF(so.custbody_bas_fa_parts_status)) AS parts_status, " +
+                "COUNT(so_line.item) AS unbilled_line_count, " +
+                "SUM(so_line.netamount) AS total_unbilled_amount, " +
+                "LISTAGG(COALESCE(item.itemid, 'Item #' || so_line.item) || '~~' || so_line.quantity || '~~' || so_line.netamount || '~~' || so_line.id, '||') WITHIN GROUP (ORDER BY so_line.linesequencenumber) AS unbilled_items_detail " +
+                getUnbilledLinesFromWhere() +
+                (afterId ? "AND so.id > ? " : "") +
+                "GROUP BY so.id, so.tranid, so.trandate, so.entity, so.status, so.custbody_f4n_job_id, so.custbody_service_queued_for_write_off, so.custbody24, so.shipdate, so.custbody_bas_estimated_ship_date, so.custbody_f4n_details, so.custbody21, so.custbody_f4n_job_state, so.custbody_f4n_scheduled, so.custbody_f4n_started, so.custbody_f4n_completed, so.custbody_service_research_notes, so.custbody_service_research_followupdate " +
+                (afterId ? "ORDER BY so.id" : "ORDER BY so.tranid, so.id");
+        }
+
+        /**
+         * Runs the main query paged, so results are not capped at the 5,000 rows runSuiteQL returns
+         * @param {number} [pageSize] - Rows per page (5 - 1000), defaults to UNBILLED_PAGE_SIZE
+         * @returns {PagedData} N/query paged data
+         */
+        function runUnbilledSalesOrderQuery(pageSize) {
+            var settings = getSettings();
+
+            return query.runSuiteQLPaged({
+                query: getUnbilledSalesOrderSql(),
+                params: [settings.serviceDepartment],
+                pageSize: pageSize || UNBILLED_PAGE_SIZE
+            });
+        }
+
+        /**
+         * Returns every Service dept Sales Order with unbilled line items, one row per SO
+         * @returns {Array} Array of sales order records with aggregated unbilled data
+         */
+        function findUnbilledSalesOrders() {
+            log.debug('findUnbilledSalesOrders - START', 'Running paged SuiteQL query');
+
+            var pagedData = runUnbilledSalesOrderQuery();
+            var results = [];
+
+            for (var p = 0; p < pagedData.pageRanges.length; p++) {
+                results = results.concat(pagedData.fetch({ index: p }).data.asMappedResults());
+            }
+
+            log.audit('Query Results', 'Found ' + results.length + ' Sales Orders with unbilled items (' + pagedData.pageRanges.length + ' page(s))');
+
+            return results;
+        }
+
+        /**
+         * Returns the next chunk of findUnbilledSalesOrders for loading the portal list: the SOs with an
+         * internal ID above lastId, in ID order (the portal client puts its table back in SO number order).
+         * Pass the last row's so_id back to read the chunk after it.
+         * @param {number} lastId - so_id of the last row already loaded (0 for the first chunk)
+         * @param {number} [pageSize] - Rows per chunk (5 - 1000)
+         * @returns {Object} { rows, lastId, hasMore, remainingCount } - remainingCount includes rows
+         */
+        function findUnbilledSalesOrdersAfter(lastId, pageSize) {
+            var settings = getSettings();
+
+            var pagedData = query.runSuiteQLPaged({
+                query: getUnbilledSalesOrderSql(true),
+                params: [settings.serviceDepartment, lastId || 0],
+                pageSize: pageSize || UNBILLED_PAGE_SIZE
+            });
+            var rows = pagedData.pageRanges.length > 0 ? pagedData.fetch({ index: 0 }).data.asMappedResults() : [];
+            var nextLastId = rows.length > 0 ? parseInt(rows[rows.length - 1].so_id, 10) : (lastId || 0);
+
+            log.debug('findUnbilledSalesOrdersAfter', { lastId: lastId, nextLastId: nextLastId, remainingCount: pagedData.count, rows: rows.length });
+
+            return {
+                rows: rows,
+                lastId: nextLastId,
+                hasMore: pagedData.pageRanges.length > 1,
+                remainingCount: pagedData.count
+            };
+        }
+
+        /**
+         * Totals over every unbilled Sales Order (not just a loaded page), all and queued
+         * @returns {Object} { soCount, lineCount, amount, queuedSOCount, queuedLineCount, queuedAmount } - amounts positive
+         */
+        function summarizeUnbilledSalesOrders() {
+            var settings = getSettings();
+
+            var sql = "SELECT " +
+                "COUNT(DISTINCT so.id) AS so_count, " +
+                "COUNT(so_line.item) AS line_count, " +
+                "SUM(so_line.netamount) AS amount, " +
+                "COUNT(DISTINCT CASE WHEN so.custbody_service_queued_for_write_off IS NOT NULL THEN so.id END) AS queued_so_count, " +
+                "SUM(CASE WHEN so.custbody_service_queued_for_write_off IS NOT NULL THEN 1 ELSE 0 END) AS queued_line_count, " +
+                "SUM(CASE WHEN so.custbody_service_queued_for_write_off IS NOT NULL THEN so_line.netamount ELSE 0 END) AS queued_amount " +
+                getUnbilledLinesFromWhere();
+
+            var row = query.runSuiteQL({ query: sql, params: [settings.serviceDepartment] }).asMappedResults()[0] || {};
+
+            // SO line amounts are negative
+            return {
+                soCount: parseInt(row.so_count || 0, 10),
+                lineCount: parseInt(row.line_count || 0, 10),
+                amount: parseFloat(row.amount || 0) * -1,
+                queuedSOCount: parseInt(row.queued_so_count || 0, 10),
+                queuedLineCount: parseInt(row.queued_line_count || 0, 10),
+                queuedAmount: parseFloat(row.queued_amount || 0) * -1
+            };
+        }
+
+        /**
+         * Shapes a findUnbilledSalesOrders row into a typed Sales Order object: amounts positive,
+         * the unbilled lines parsed out of unbilled_items_detail. Dates stay in the NetSuite date format.
+         * The portal table and the API both return this shape.
+         * @param {Object} row - Row from findUnbilledSalesOrders
+         * @returns {Object} Sales Order summary
+         */
+        function toSalesOrderModel(row) {
+            var lines = [];
+            var items = row.unbilled_items_detail ? String(row.unbilled_items_detail).split('||') : [];
+
+            for (var i = 0; i < items.length; i++) {
+                var parts = items[i].split('~~');
+                if (parts.length >= 4) {
+                    lines.push({
+                        lineId: parts[3],
+                        item: parts[0],
+                        quantity: parseFloat(parts[1] || 0) * -1,
+                        amount: parseFloat(parts[2] || 0) * -1
+                    });
+                }
+            }
+
+            return {
+                soId: row.so_id,
+                soNumber: row.so_number,
+                soDate: row.so_date || null,
+                status: row.so_status,
+                statusText: String(row.so_status_text || '').replace(/^Sales Order\s*:\s*/i, ''),
+                customerId: row.customer_id,
+                customerName: row.customer_name || '',
+                jobId: row.job_id || '',
+                warrantyType: row.warranty_type || '',
+                epicAuth: row.epic_auth || '',
+                shipDate: row.ship_date || null,
+                estimatedShipDate: row.est_ship_date || null,
+                queuedDate: row.queued_date || null,
+                researchNotes: row.research_notes || '',
+                followUpDate: row.follow_up_date || null,
+                jobDetails: row.job_details || '',
+                jobState: row.job_state || '',
+                billingCompletedBy: row.billing_completed_by || '',
+                partsStatus: row.parts_status || '',
+                scheduledDate: row.scheduled_date || null,
+                jobStarted: row.job_started || null,
+                jobCompleted: row.job_completed || null,
+                unbilledLineCount: parseInt(row.unbilled_line_count || 0, 10),
+                unbilledAmount: parseFloat(row.total_unbilled_amount || 0) * -1,
+                unbilledLines: lines
+            };
+        }
+
+        /**
+         * Queues a Sales Order for the Bill & Write-Off Map/Reduce by stamping today's date
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Object} { soId, queuedDate }
+         */
+        function queueSalesOrder(soId) {
+            var todayDate = new Date();
+
+            record.submitFields({
+                type: record.Type.SALES_ORDER,
+                id: soId,
+                values: {
+                    custbody_service_queued_for_write_off: todayDate
+                },
+                options: {
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                }
+            });
+
+            log.audit('SO Queued', 'Sales Order ' + soId + ' queued for write-off on ' + todayDate.toISOString());
+
+            return { soId: soId, queuedDate: todayDate };
+        }
+
+        /**
+         * Removes a Sales Order from the write-off queue (clears the queue date)
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Object} { soId }
+         */
+        function unqueueSalesOrder(soId) {
+            record.submitFields({
+                type: record.Type.SALES_ORDER,
+                id: soId,
+                values: {
+                    custbody_service_queued_for_write_off: ''
+                },
+                options: {
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                }
+            });
+
+            log.audit('SO Unqueued', 'Sales Order ' + soId + ' removed from write-off queue');
+
+            return { soId: soId };
+        }
+
+        /**
+         * Adds a research note to a Sales Order's thread and mirrors it, with the follow-up date, onto
+         * the SO. Without a note only the follow-up date is set (or cleared); earlier notes are never changed.
+         * A note saved on the SO before the thread existed becomes the thread's first (legacy) entry,
+         * so replacing the SO's note does not lose it.
+         * @param {string} soId - Sales Order internal ID
+         * @param {string} note - Research note text
+         * @param {string} followUpDate - Follow-up date as YYYY-MM-DD (HTML date input format), or empty
+         * @param {boolean} [append] - Add the note below the SO's current note instead of replacing it
+         *     (the thread gets the new note either way)
+         * @returns {Object} { soId, note, followUpDate, entryId, researchNotes } - followUpDate in M/D/YYYY
+         *     (NetSuite format); entryId is null when no note was added; researchNotes is the SO's note
+         *     field afterwards, or null when it was not changed
+         */
+        function saveResearchNote(soId, note, followUpDate, append) {
+            note = String(note || '').trim();
+            var nsFollowUpDate = toNetSuiteDate(followUpDate);
+            var entryId = null;
+            var researchNotes = null;
+            var values = { custbody_service_research_followupdate: nsFollowUpDate };
+
+            if (note) {
+                var mirror = getResearchNoteMirror(soId);
+                if (mirror.note && queryResearchNoteRows(soId).length === 0) {
+                    createResearchNoteEntry(soId, null, mirror.note, mirror.followUpDate);
+                }
+                entryId = createResearchNoteEntry(soId, runtime.getCurrentUser().id, note, nsFollowUpDate);
+
+                // Latest note mirror, read by saved searches and the portal's notes filter
+                var current = append ? mirror.note : '';
+                researchNotes = current ? current + '\n\n' + note : note;
+                values = { custbody_service_research_notes: researchNotes, custbody_service_research_followupdate: nsFollowUpDate };
+            }
+
+            record.submitFields({
+                type: record.Type.SALES_ORDER,
+                id: soId,
+                values: values,
+                options: {
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                }
+            });
+
+            log.audit(note ? 'Research Note Added' : 'Follow-Up Date Set', 'Sales Order ' + soId + ' - Note: ' + (note.substring(0, 50) || '(none)') + ' - Follow Up: ' + (nsFollowUpDate || '(cleared)'));
+
+            return { soId: soId, note: note, followUpDate: nsFollowUpDate, entryId: entryId, researchNotes: researchNotes };
+        }
+
+        /**
+         * Saves one entry of a Sales Order's research note thread
+         * @param {string} soId - Sales Order internal ID
+         * @param {string|null} authorId - Employee who wrote the note; null for a legacy note
+         * @param {string} note - Note text
+         * @param {string} [followUpDate] - Follow-up date as M/D/YYYY
+         * @returns {string} Entry internal ID
+         */
+        function createResearchNoteEntry(soId, authorId, note, followUpDate) {
+            var entry = record.create({ type: RESEARCH_NOTE.type });
+            entry.setValue({ fieldId: RESEARCH_NOTE.fields.salesOrder, value: soId });
+            if (authorId) {
+                entry.setValue({ fieldId: RESEARCH_NOTE.fields.author, value: authorId });
+            }
+            entry.setValue({ fieldId: RESEARCH_NOTE.fields.text, value: note });
+            if (followUpDate) {
+                entry.setValue({ fieldId: RESEARCH_NOTE.fields.followUpDate, value: followUpDate });
+            }
+            return String(entry.save({ ignoreMandatoryFields: true }));
+        }
+
+        /**
+         * Reads the research note and follow-up date fields of a Sales Order
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Object} { note, followUpDate } - note is '' and followUpDate null when not set
+         */
+        function getResearchNoteMirror(soId) {
+            var so = query.runSuiteQL({
+                query: "SELECT custbody_service_research_notes AS note, custbody_service_research_followupdate AS follow_up_date " +
+                    "FROM transaction WHERE id = ?",
+                params: [soId]
+            }).asMappedResults()[0];
+
+            return { note: (so && so.note) || '', followUpDate: (so && so.follow_up_date) || null };
+        }
+
+        /**
+         * Reads a Sales Order's active research note thread entries, newest first
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Array} Rows { id, created, author_id, author_name, note, follow_up_date }
+         */
+        function queryResearchNoteRows(soId) {
+            var f = RESEARCH_NOTE.fields;
+            return query.runSuiteQL({
+                query: "SELECT n.id, TO_CHAR(n.created, 'YYYY-MM-DD HH24:MI') AS created, " +
+                    "n." + f.author + " AS author_id, BUILTIN.DF(n." + f.author + ") AS author_name, " +
+                    "n." + f.text + " AS note, n." + f.followUpDate + " AS follow_up_date " +
+                    "FROM " + RESEARCH_NOTE.type + " n " +
+                    "WHERE n." + f.salesOrder + " = ? AND n.isinactive = 'F' " +
+                    "ORDER BY n.id DESC",
+                params: [soId]
+            }).asMappedResults();
+        }
+
+        /**
+         * Lists a Sales Order's research note thread, newest first. A note saved before the thread
+         * existed is a legacy entry (no author or timestamp): the SO's note field while the thread is
+         * empty, the entry saveResearchNote keeps it in once the thread has started.
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Array} [{ id, created, authorId, authorName, note, followUpDate, legacy }]
+         */
+        function listResearchNotes(soId) {
+            var rows = queryResearchNoteRows(soId);
+
+            if (rows.length === 0) {
+                var mirror = getResearchNoteMirror(soId);
+                return mirror.note ? [{
+                    id: null, created: '', authorId: null, authorName: '', note: mirror.note, followUpDate: mirror.followUpDate, legacy: true
+                }] : [];
+            }
+
+            return rows.map(function(row) {
+                var legacy = !row.author_id;
+                return {
+                    id: String(row.id),
+                    created: legacy ? '' : row.created,
+                    authorId: legacy ? null : String(row.author_id),
+                    authorName: legacy ? '' : row.author_name || '',
+                    note: row.note || '',
+                    followUpDate: row.follow_up_date || null,
+                    legacy: legacy
+                };
+            });
+        }
+
+        /**
+         * Converts a YYYY-MM-DD date to M/D/YYYY (NetSuite format); anything else is returned as-is
+         * @param {string} isoDate - Date as YYYY-MM-DD
+         * @returns {string} Date as M/D/YYYY, or '' when empty
+         */
+        function toNetSuiteDate(isoDate) {
+            if (!isoDate) return '';
+
+            var dateParts = String(isoDate).split('-');
+            if (dateParts.length !== 3) {
+                return isoDate;
+            }
+            return parseInt(dateParts[1], 10) + '/' + parseInt(dateParts[2], 10) + '/' + dateParts[0];
+        }
+
+        /**
+         * Lists the unbilled Service dept Sales Orders whose research note follow-up date is today or
+         * earlier, with the author of the SO's latest research note thread entry (legacy notes and
+         * notes saved outside the portal have no owner)
+         * @returns {Array} [{ soId, soNumber, customerName, researchNotes, followUpDate, dueStatus,
+         *     daysOverdue, unbilledAmount, ownerId, ownerName, ownerEmail }] - dueStatus is
+         *     'overdue' or 'due-today'; oldest follow-up first
+         */
+        function findFollowUpsDue() {
+            var settings = getSettings();
+
+            var sql = "SELECT " +
+                "so.id AS so_id, " +
+                "so.tranid AS so_number, " +
+                "MAX(cust.altname) AS customer_name, " +
+                "so.custbody_service_research_notes AS research_notes, " +
+                "so.custbody_service_research_followupdate AS follow_up_date, " +
+                "TRUNC(SYSDATE) - so.custbody_service_research_followupdate AS days_overdue, " +
+                "SUM(so_line.netamount) AS total_unbilled_amount " +
+                getUnbilledLinesFromWhere() +
+                "AND so.custbody_service_research_followupdate <= TRUNC(SYSDATE) " +
+                "GROUP BY so.id, so.tranid, so.custbody_service_research_notes, so.custbody_service_research_followupdate " +
+                "ORDER BY so.custbody_service_research_followupdate, so.tranid";
+
+            var rows = query.runSuiteQL({ query: sql, params: [settings.serviceDepartment] }).asMappedResults();
+            var owners = findNoteOwners(rows.map(function(row) { return String(row.so_id); }));
+
+            return rows.map(function(row) {
+                var daysOverdue = parseInt(row.days_overdue || 0, 10);
+                var owner = owners[String(row.so_id)] || {};
+                return {
+                    soId: String(row.so_id),
+                    soNumber: row.so_number,
+                    customerName: row.customer_name || '',
+                    researchNotes: row.research_notes || '',
+                    followUpDate: row.follow_up_date,
+                    dueStatus: daysOverdue > 0 ? 'overdue' : 'due-today',
+                    daysOverdue: daysOverdue,
+                    unbilledAmount: parseFloat(row.total_unbilled_amount || 0) * -1,
+                    ownerId: owner.id || null,
+                    ownerName: owner.name || '',
+                    ownerEmail: owner.email || ''
+                };
+            });
+        }
+
+        /**
+         * Finds the owner of each Sales Order's research note: the author of its latest thread entry.
+         * The add-note ledger entries are not used - they are also written when only the follow-up
+         * date changes.
+         * @param {Array} soIds - Sales Order internal IDs
+         * @returns {Object} soId -> { id, name, email }
+         */
+        function findNoteOwners(soIds) {
+            var f = RESEARCH_NOTE.fields;
+            var owners = {};
+
+            // IN lists are capped at 1,000 values
+            for (var start = 0; start < soIds.length; start += 1000) {
+                var chunk = soIds.slice(start, start + 1000);
+                var rows = query.runSuiteQL({
+                    query: "SELECT n." + f.salesOrder + " AS so_id, " +
+                        "n." + f.author + " AS user_id, " +
+                        "BUILTIN.DF(n." + f.author + ") AS user_name, " +
+                        "emp.email AS user_email " +
+                        "FROM " + RESEARCH_NOTE.type + " n " +
+                        "LEFT JOIN employee emp ON emp.id = n." + f.author + " " +
+                        "WHERE n.isinactive = 'F' " +
+                        "AND n." + f.author + " IS NOT NULL " +
+                        "AND n." + f.salesOrder + " IN (" + chunk.map(function() { return '?'; }).join(', ') + ") " +
+                        "ORDER BY n.id DESC",
+                    params: chunk
+                }).asMappedResults();
+
+                rows.forEach(function(row) {
+                    var soId = String(row.so_id);
+                    if (!owners[soId]) {
+                        owners[soId] = { id: String(row.user_id), name: row.user_name || '', email: row.user_email || '' };
+                    }
+                });
+            }
+
+            return owners;
+        }
+
+        /**
+         * Groups follow-ups by note owner: owners by name, follow-ups without an owner last
+         * @param {Array} followUps - From findFollowUpsDue
+         * @returns {Array} [{ ownerId, ownerName, ownerEmail, overdueCount, dueTodayCount, followUps }]
+         */
+        function groupFollowUpsByOwner(followUps) {
+            var groups = {};
+            var order = [];
+
+            followUps.forEach(function(followUp) {
+                var key = followUp.ownerId || '';
+                if (!groups[key]) {
+                    groups[key] = {
+                        ownerId: followUp.ownerId,
+                        ownerName: followUp.ownerId ? followUp.ownerName : 'No Owner',
+                        ownerEmail: followUp.ownerEmail,
+                        overdueCount: 0,
+                        dueTodayCount: 0,
+                        followUps: []
+                    };
+                    order.push(key);
+                }
+                groups[key].followUps.push(followUp);
+                if (followUp.dueStatus === 'overdue') {
+                    groups[key].overdueCount++;
+                } else {
+                    groups[key].dueTodayCount++;
+                }
+            });
+
+            return order.map(function(key) {
+                return groups[key];
+            }).sort(function(a, b) {
+                if (!a.ownerId || !b.ownerId) return a.ownerId ? -1 : 1;
+                return a.ownerName.toLowerCase() < b.ownerName.toLowerCase() ? -1 : 1;
+            });
+        }
+
+        /**
+         * Writes one ledger entry. Never throws - a failed audit write must not fail the action itself.
+         * @param {Object} entry - { action, soId, success, invoiceId, jeId, paymentId, amount, error, details, bulk, jobId, userId };
+         *     soId is empty for master list transactions
+         * @returns {number|null} Ledger record internal ID, or null if it could not be written
+         */
+        function writeAuditEntry(entry) {
+            try {
+                var userId = entry.userId || runtime.getCurrentUser().id;
+                var auditRecord = record.create({ type: AUDIT_LOG.type });
+
+                auditRecord.setValue({ fieldId: AUDIT_LOG.fields.action, value: entry.action });
+                if (entry.soId) {
+                    auditRecord.setValue({ fieldId: AUDIT_LOG.fields.salesOrder, value: entry.soId });
+                }
+                auditRecord.setValue({ fieldId: AUDIT_LOG.fields.success, value: !!entry.success });
+                auditRecord.setValue({ fieldId: AUDIT_LOG.fields.bulk, value: !!entry.bulk });
+
+                if (userId > 0) {
+                    auditRecord.setValue({ fieldId: AUDIT_LOG.fields.user, value: userId });
+                }
+                if (entry.invoiceId) {
+                    auditRecord.setValue({ fieldId: AUDIT_LOG.fields.invoice, value: entry.invoiceId });
+                }
+                if (entry.jeId) {
+                    auditRecord.setValue({ fieldId: AUDIT_LOG.fields.journal, value: entry.jeId });
+                }
+                if (entry.paymentId) {
+                    auditRecord.setValue({ fieldId: AUDIT_LOG.fields.payment, value: entry.paymentId });
+                }
+                if (entry.amount || entry.amount === 0) {
+                    auditRecord.setValue({ fieldId: AUDIT_LOG.fields.amount, value: entry.amount });
+                }
+                if (entry.error) {
+                    auditRecord.setValue({ fieldId: AUDIT_LOG.fields.error, value: String(entry.error).substring(0, 300) });
+                }
+                if (entry.details) {
+                    auditRecord.setValue({ fieldId: AUDIT_LOG.fields.details, value: JSON.stringify(entry.details) });
+                }
+                if (entry.jobId) {
+                    auditRecord.setValue({ fieldId: AUDIT_LOG.fields.job, value: entry.jobId });
+                }
+
+                return auditRecord.save({ ignoreMandatoryFields: true });
+            } catch (e) {
+                log.error('Audit Entry Error', { entry: JSON.stringify(entry), error: e.toString() });
+                return null;
+            }
+        }
+
+        /**
+         * Lists the filter presets a user can pick: their own plus every shared one
+         * @param {number} [userId] - Employee internal ID, defaults to the current user
+         * @returns {Array} [{ id, name, ownerId, ownerName, shared, mine, state }] ordered by name
+         */
+        function listFilterPresets(userId) {
+            userId = userId || runtime.getCurrentUser().id;
+
+            var rows = query.runSuiteQL({
+                query: "SELECT p.id, p.name, p." + FILTER_PRESET.fields.owner + " AS owner_id, " +
+                    "BUILTIN.DF(p." + FILTER_PRESET.fields.owner + ") AS owner_name, " +
+                    "p." + FILTER_PRESET.fields.shared + " AS shared, " +
+                    "p." + FILTER_PRESET.fields.state + " AS state " +
+                    "FROM " + FILTER_PRESET.type + " p " +
+                    "WHERE p.isinactive = 'F' AND (p." + FILTER_PRESET.fields.owner + " = ? OR p." + FILTER_PRESET.fields.shared + " = 'T') " +
+                    "ORDER BY p.name",
+                params: [userId]
+            }).asMappedResults();
+
+            return rows.map(function(row) {
+                var state = {};
+                try {
+                    state = JSON.parse(row.state || '{}');
+                } catch (e) {
+                    log.error('Filter Preset State Unreadable', { id: row.id, error: e.toString() });
+                }
+                return {
+                    id: String(row.id),
+                    name: row.name,
+                    ownerId: String(row.owner_id),
+                    ownerName: row.owner_name || '',
+                    shared: row.shared === 'T' || row.shared === true,
+                    mine: String(row.owner_id) === String(userId),
+                    state: state
+                };
+            });
+        }
+
+        /**
+         * Saves a filter preset for the current user. A preset of theirs with the same name
+         * (case-insensitive) is overwritten.
+         * @param {string} name - Preset name
+         * @param {Object} state - Filter state from the portal ({ search, checkboxes, sort })
+         * @param {boolean} shared - Offer the preset to the whole team
+         * @returns {Object} { id, name, shared, replaced }
+         */
+        function saveFilterPreset(name, state, shared) {
+            name = String(name || '').trim();
+            if (!name) {
+                throw new Error('Enter a name for the preset.');
+            }
+            if (name.length > 100) {
+                throw new Error('Preset names are limited to 100 characters.');
+            }
+            if (!state || typeof state !== 'object') {
+                throw new Error('The preset has no filter state to save.');
+            }
+
+            var userId = runtime.getCurrentUser().id;
+            var existing = listFilterPresets(userId).filter(function(preset) {
+                return preset.mine && preset.name.toLowerCase() === name.toLowerCase();
+            })[0];
+
+            var presetRecord = existing ?
+                record.load({ type: FILTER_PRESET.type, id: existing.id }) :
+                record.create({ type: FILTER_PRESET.type });
+
+            presetRecord.setValue({ fieldId: 'name', value: name });
+            presetRecord.setValue({ fieldId: FILTER_PRESET.fields.owner, value: userId });
+            presetRecord.setValue({ fieldId: FILTER_PRESET.fields.shared, value: !!shared });
+            presetRecord.setValue({ fieldId: FILTER_PRESET.fields.state, value: JSON.stringify(state) });
+            var id = presetRecord.save({ ignoreMandatoryFields: true });
+
+            log.audit('Filter Preset Saved', { id: id, name: name, shared: !!shared, replaced: !!existing });
+
+            return { id: String(id), name: name, shared: !!shared, replaced: !!existing };
+        }
+
+        /**
+         * Deletes one of the current user's filter presets; shared presets can only be deleted by their owner
+         * @param {string} presetId - Preset internal ID
+         * @returns {Object} { id, name }
+         */
+        function deleteFilterPreset(presetId) {
+            var preset = listFilterPresets().filter(function(p) {
+                return p.id === String(presetId);
+            })[0];
+
+            if (!preset) {
+                throw new Error('Filter preset ' + presetId + ' was not found.');
+            }
+            if (!preset.mine) {
+                throw new Error('"' + preset.name + '" belongs to ' + (preset.ownerName || 'another user') + '; only its owner can delete it.');
+            }
+
+            record.delete({ type: FILTER_PRESET.type, id: preset.id });
+            log.audit('Filter Preset Deleted', { id: preset.id, name: preset.name });
+
+            return { id: preset.id, name: preset.name };
+        }
+
+        /**
+         * Runs one bulk action against a single Sales Order
+         * @param {string} action - One of BULK_ACTIONS
+         * @param {string} soId - Sales Order internal ID
+         * @returns {Object} Result object from the underlying operation
+         */
+        function runBulkAction(action, soId) {
+            if (action === 'close') {
+                return closeSalesOrder(soId);
+            } else if (action === 'auto-bill') {
+                return autoBillSalesOrder(soId);
+            } else if (action === 'cbsi-bill-je') {
+                return cbsiBillAndJE(soId);
+            }
+            throw new Error('Unsupported bulk action: ' + action);
+        }
+
+        return {
+            BULK_JOB: BULK_JOB,
+            BULK_ACTIONS: BULK_ACTIONS,
+            AUDIT_LOG: AUDIT_LOG,
+            AUDIT_ACTIONS: AUDIT_ACTIONS,
+            FILTER_PRESET: FILTER_PRESET,
+            RESEARCH_NOTE: RESEARCH_NOTE,
+            SETTINGS: SETTINGS,
+            loadSettings: loadSettings,
+            getSettings: getSettings,
+            getSettingLabels: getSettingLabels,
+            getCleanErrorMessage: getCleanErrorMessage,
+            closeSalesOrder: closeSalesOrder,
+            autoBillSalesOrder: autoBillSalesOrder,
+            routeByTotal: routeByTotal,
+            cbsiBillAndJE: cbsiBillAndJE,
+            writeOffInvoice: writeOffInvoice,
+            applyCreditMemo: applyCreditMemo,
+            refundCreditMemo: refundCreditMemo,
+            proposeNetOffMatches: proposeNetOffMatches,
+            applyNetOffMatch: applyNetOffMatch,
+            runWithRollback: runWithRollback,
+            rollbackCreatedRecords: rollbackCreatedRecords,
+            describeRollback: describeRollback,
+            previewCBSI: previewCBSI,
+            partialWriteOff: partialWriteOff,
+            findUnbilledSalesOrders: findUnbilledSalesOrders,
+            findUnbilledSalesOrdersAfter: findUnbilledSalesOrdersAfter,
+            summarizeUnbilledSalesOrders: summarizeUnbilledSalesOrders,
+            toSalesOrderModel: toSalesOrderModel,
+            queueSalesOrder: queueSalesOrder,
+            unqueueSalesOrder: unqueueSalesOrder,
+            saveResearchNote: saveResearchNote,
+            listResearchNotes: listResearchNotes,
+            findFollowUpsDue: findFollowUpsDue,
+            groupFollowUpsByOwner: groupFollowUpsByOwner,
+            listFilterPresets: listFilterPresets,
+            saveFilterPreset: saveFilterPreset,
+            deleteFilterPreset: deleteFilterPreset,
+            runBulkAction: runBulkAction,
+            writeAuditEntry: writeAuditEntry
+        };
+    });
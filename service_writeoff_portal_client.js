@@ -0,0 +1,1989 @@
+/**
+ * Service Write-Off Portal - Client Script
+ *
+ * Browser-side logic for the page built by service_writeoff_portal_suitelet.js: search and checkbox
+ * filters and their saved presets, column sorting, the selection summary, single and bulk actions,
+ * background job progress, tooltips, the CBSI preview, the line picker, the research note modal and its
+ * note thread (fetched per SO on first use, then cached), and the Follow-Ups and History tabs.
+ *
+ * This is a plain browser script, not a SuiteScript module. The Suitelet loads it from the File Cabinet
+ * (N/file) into a <script src> tag and only emits the bootstrapping data it needs beforehand:
+ * - SUITELET_URL: URL of the portal Suitelet that every AJAX call goes to
+ * - FILTER_PRESETS: saved filter presets the user can pick (writeOffLib.listFilterPresets)
+ * - AGE_BUCKETS: aging buckets [{ key, label, maxDays }] for the Age column, chips and cards
+ * - SO_ID_FILTER: Sales Order IDs the table is limited to (opened from a follow-up digest), or null
+ *
+ * load-data returns Sales Orders as objects (writeOffLib.toSalesOrderModel); the rows are rendered here
+ * and carry only data-so-id. Filters, tooltips and totals read the object behind a row (getRowSalesOrder).
+ *
+ * Functions are global because the table rows and modals call them from inline onclick handlers.
+ * Nothing runs on load, so the file can be evaluated in a DOM test environment (e.g. jsdom).
+ */
+
+/**
+ * Search box handler
+ */
+function filterTable() {
+    applyFilters();
+}
+
+/**
+ * Filter cards built from the values present in the loaded Sales Orders, so a job state or
+ * warranty type added in NetSuite gets its own checkbox instead of disappearing from the table
+ */
+var VALUE_FILTERS = {
+    jobState: { field: "jobState", containerId: "filterJobStateOptions", idPrefix: "filterJobState", emptyLabel: "No Job State" },
+    warrantyType: { field: "warrantyType", containerId: "filterWarrantyOptions", idPrefix: "filterWarranty", emptyLabel: "No Warranty Type" }
+};
+
+/**
+ * Key a Sales Order is filtered under: its value, trimmed and lower-cased ("" when there is none,
+ * including the unselected "-- Please Select --" list value)
+ * @param {string} value - Field value
+ * @returns {string} Filter key
+ */
+function getValueFilterKey(value) {
+    var key = String(value || "").trim().toLowerCase();
+    return key === "-- please select --" ? "" : key;
+}
+
+/**
+ * Checkbox ID of a filter value; stable across loads so presets can restore it
+ * @param {Object} group - VALUE_FILTERS entry
+ * @param {string} key - Filter key
+ * @returns {string} Element ID
+ */
+function getValueFilterId(group, key) {
+    return group.idPrefix + (key ? "-" + key.replace(/[^a-z0-9]+/g, "-") : "None");
+}
+
+/**
+ * @param {Object} group - VALUE_FILTERS entry
+ * @param {Object} so - Sales Order
+ * @returns {boolean} Whether the checkbox of the SO's value is checked (true until it is rendered)
+ */
+function isValueFilterChecked(group, so) {
+    var checkbox = document.getElementById(getValueFilterId(group, getValueFilterKey(so[group.field])));
+    return checkbox ? checkbox.checked : true;
+}
+
+/**
+ * Distinct values of a filter group in the loaded Sales Orders with their counts: "none" first,
+ * then by label
+ * @param {Object} group - VALUE_FILTERS entry
+ * @returns {Array} [{ key, label, count }]
+ */
+function getValueFilterOptions(group) {
+    var byKey = {};
+    Object.keys(salesOrdersById).forEach(function(soId) {
+        var value = salesOrdersById[soId][group.field];
+        var key = getValueFilterKey(value);
+        if (!byKey[key]) {
+            byKey[key] = { key: key, label: key ? String(value).trim() : group.emptyLabel, count: 0 };
+        }
+        byKey[key].count++;
+    });
+    return Object.keys(byKey).map(function(key) {
+        return byKey[key];
+    }).sort(function(a, b) {
+        if (!a.key || !b.key) return a.key ? 1 : -1;
+        return a.label.toLowerCase() < b.label.toLowerCase() ? -1 : 1;
+    });
+}
+
+/**
+ * Rebuilds the job state and warranty type filter cards from the loaded Sales Orders. Values
+ * already shown keep their checkbox state; new values start checked.
+ */
+function renderValueFilters() {
+    Object.keys(VALUE_FILTERS).forEach(function(name) {
+        var group = VALUE_FILTERS[name];
+        var container = document.getElementById(group.containerId);
+        if (!container) return;
+        container.innerHTML = getValueFilterOptions(group).map(function(option) {
+            var id = getValueFilterId(group, option.key);
+            var existing = document.getElementById(id);
+            var checked = existing ? existing.checked : true;
+            return "<label class=\"filter-item\">" +
+                "<input type=\"checkbox\" id=\"" + escapeHtml(id) + "\"" + (checked ? " checked" : "") + " onchange=\"applyFilters()\">" +
+                "<span class=\"filter-label\">" + escapeHtml(option.label) + "</span>" +
+                "<span class=\"filter-count\">" + option.count + "</span>" +
+                "</label>";
+        }).join("");
+    });
+}
+
+var AGE_COLUMN = 15;
+
+/**
+ * Model field the age is counted from (the "Age (days) from" selector)
+ * @returns {string} "shipDate", "jobCompleted" or "soDate"
+ */
+function getAgeBasis() {
+    var select = document.getElementById("ageBasisSelect");
+    return select && select.value ? select.value : "shipDate";
+}
+
+/**
+ * Days from the selected date to today; negative for a date still ahead (e.g. a future ship date)
+ * @param {Object} so - Sales Order
+ * @returns {number|null} Age in days, null when the SO has no such date
+ */
+function getAgeDays(so) {
+    var from = parseDate(so[getAgeBasis()]);
+    if (!from) return null;
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Math.round((today.getTime() - from.getTime()) / 86400000);
+}
+
+/**
+ * @param {number|null} days - Age in days
+ * @returns {string} AGE_BUCKETS key ("none" without a date); anything not yet 30 days old is in the first bucket
+ */
+function getAgeBucketKey(days) {
+    if (days === null) return "none";
+    for (var i = 0; i < AGE_BUCKETS.length; i++) {
+        if (AGE_BUCKETS[i].maxDays === null || days <= AGE_BUCKETS[i].maxDays) {
+            return AGE_BUCKETS[i].key;
+        }
+    }
+    return AGE_BUCKETS[AGE_BUCKETS.length - 1].key;
+}
+
+/**
+ * Age chip checkbox ID of a bucket (same IDs as the Suitelet renders)
+ * @param {string} key - AGE_BUCKETS key, or "none"
+ * @returns {string} Element ID
+ */
+function getAgeFilterId(key) {
+    return key === "none" ? "filterAgeNone" : "filterAge-" + key;
+}
+
+/**
+ * Fills the aging cards: SO count and unbilled amount per bucket over every loaded Sales Order
+ */
+function updateAgingSummary() {
+    var totals = { none: { count: 0, amount: 0 } };
+    AGE_BUCKETS.forEach(function(bucket) {
+        totals[bucket.key] = { count: 0, amount: 0 };
+    });
+    Object.keys(salesOrdersById).forEach(function(soId) {
+        var so = salesOrdersById[soId];
+        var bucketTotals = totals[getAgeBucketKey(getAgeDays(so))];
+        bucketTotals.count++;
+        bucketTotals.amount += so.unbilledAmount || 0;
+    });
+    Object.keys(totals).forEach(function(key) {
+        var countEl = document.getElementById("ageCount-" + key);
+        var amountEl = document.getElementById("ageAmount-" + key);
+        if (countEl) countEl.textContent = totals[key].count;
+        if (amountEl) amountEl.textContent = formatMoney(totals[key].amount);
+    });
+}
+
+/**
+ * "Age (days) from" handler: recounts the Age column, the aging cards and the age filter
+ */
+function applyAgeBasis() {
+    Object.keys(salesOrdersById).forEach(function(soId) {
+        var cell = document.getElementById("age-cell-" + soId);
+        if (cell) cell.textContent = formatAge(getAgeDays(salesOrdersById[soId]));
+    });
+    var select = document.getElementById("ageBasisSelect");
+    var label = document.getElementById("ageBasisLabel");
+    if (label && select && select.selectedIndex >= 0) {
+        label.textContent = "(since " + select.options[select.selectedIndex].text + ")";
+    }
+    updateAgingSummary();
+    applyFilters();
+    if (currentSort && currentSort.column === AGE_COLUMN) {
+        sortTable(AGE_COLUMN, currentSort.dir);
+    }
+}
+
+/**
+ * @param {number|null} days - Age in days
+ * @returns {string} Age column text
+ */
+function formatAge(days) {
+    return days === null ? "—" : String(days);
+}
+
+/**
+ * Shows or hides each row against the search box (| = OR, space = AND) and the
+ * ship date, research note, job state, warranty and age checkboxes (and SO_ID_FILTER, when set)
+ */
+function applyFilters() {
+    var input = document.getElementById("searchBox");
+    var filter = input ? input.value.toUpperCase() : "";
+    var oldShipDatesCheckbox = document.getElementById("filterOldShipDates");
+    var futureShipDatesCheckbox = document.getElementById("filterFutureShipDates");
+    var noShipDateCheckbox = document.getElementById("filterNoShipDate");
+    var showOldShipDates = oldShipDatesCheckbox ? oldShipDatesCheckbox.checked : true;
+    var showFutureShipDates = futureShipDatesCheckbox ? futureShipDatesCheckbox.checked : false;
+    var showNoShipDate = noShipDateCheckbox ? noShipDateCheckbox.checked : true;
+    var hasResearchNotesCheckbox = document.getElementById("filterHasResearchNotes");
+    var noResearchNotesCheckbox = document.getElementById("filterNoResearchNotes");
+    var showHasResearchNotes = hasResearchNotesCheckbox ? hasResearchNotesCheckbox.checked : true;
+    var showNoResearchNotes = noResearchNotesCheckbox ? noResearchNotesCheckbox.checked : true;
+    var tbody = document.getElementById("reportTableBody");
+    if (!tbody) return;
+    var tr = tbody.children;
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+    var visibleCount = 0;
+    var totalCount = tr.length;
+    for (var i = 0; i < tr.length; i++) {
+        var row = tr[i];
+        var so = getRowSalesOrder(row) || {};
+        var showRow = true;
+        var txtValue = row.textContent || row.innerText;
+        if (filter) {
+            var txtValueUpper = txtValue.toUpperCase();
+            if (filter.indexOf("|") > -1) {
+                var orTerms = filter.split("|");
+                var matchFound = false;
+                for (var j = 0; j < orTerms.length; j++) {
+                    var term = orTerms[j].trim();
+                    if (term && txtValueUpper.indexOf(term) > -1) {
+                        matchFound = true;
+                        break;
+                    }
+                }
+                if (!matchFound) showRow = false;
+            } else if (filter.indexOf(" ") > -1) {
+                var andTerms = filter.split(" ");
+                for (var k = 0; k < andTerms.length; k++) {
+                    var andTerm = andTerms[k].trim();
+                    if (andTerm && txtValueUpper.indexOf(andTerm) === -1) {
+                        showRow = false;
+                        break;
+                    }
+                }
+            } else {
+                if (txtValueUpper.indexOf(filter) === -1) {
+                    showRow = false;
+                }
+            }
+        }
+        if (showRow) {
+            var researchNotes = so.researchNotes || "";
+            var hasNotes = researchNotes.trim().length > 0;
+            if (hasNotes && !showHasResearchNotes) {
+                showRow = false;
+            } else if (!hasNotes && !showNoResearchNotes) {
+                showRow = false;
+            }
+        }
+        if (showRow) {
+            var shipDate = parseDate(so.shipDate);
+            if (!shipDate) {
+                showRow = showNoShipDate;
+            } else {
+                if (shipDate >= today) {
+                    showRow = showFutureShipDates;
+                } else {
+                    showRow = showOldShipDates;
+                }
+            }
+        }
+        if (showRow && SO_ID_FILTER) {
+            showRow = SO_ID_FILTER.indexOf(String(so.soId)) >= 0;
+        }
+        if (showRow) {
+            showRow = isValueFilterChecked(VALUE_FILTERS.jobState, so) && isValueFilterChecked(VALUE_FILTERS.warrantyType, so);
+        }
+        if (showRow) {
+            var ageCheckbox = document.getElementById(getAgeFilterId(getAgeBucketKey(getAgeDays(so))));
+            showRow = ageCheckbox ? ageCheckbox.checked : true;
+        }
+        if (showRow) {
+            row.style.display = "";
+            visibleCount++;
+        } else {
+            row.style.display = "none";
+        }
+    }
+    var filterCountEl = document.getElementById("filterShipDateCount");
+    if (filterCountEl) {
+        filterCountEl.textContent = "Showing: " + visibleCount + " / " + totalCount;
+    }
+    updateSelectedSummary();
+}
+
+var sortDir = {};
+var currentSort = null;
+
+/**
+ * Sorts the Sales Order table by a column, toggling ascending / descending
+ * @param {number} n - Column index
+ * @param {string} [direction] - "asc" or "desc" instead of toggling (presets, re-sorting after a load)
+ */
+function sortTable(n, direction) {
+    var table = document.getElementById("dataTable");
+    var tbody = document.getElementById("reportTableBody");
+    var rows = Array.from(tbody.rows);
+    var numericCols = [13, 14, AGE_COLUMN];
+    var dateCols = [3, 9, 10, 11];
+    var isNumeric = numericCols.indexOf(n) > -1;
+    var isDate = dateCols.indexOf(n) > -1;
+    sortDir[n] = direction || (sortDir[n] === "asc" ? "desc" : "asc");
+    var dir = sortDir[n];
+    currentSort = { column: n, dir: dir };
+    rows.sort(function(a, b) {
+        var xCell = a.cells[n];
+        var yCell = b.cells[n];
+        if (!xCell || !yCell) return 0;
+        var xVal = (xCell.innerText || "").split("\n")[0].trim();
+        var yVal = (yCell.innerText || "").split("\n")[0].trim();
+        var xCmp, yCmp;
+        if (isNumeric) {
+            xCmp = parseFloat(xVal.replace(/[^0-9.-]/g, "")) || 0;
+            yCmp = parseFloat(yVal.replace(/[^0-9.-]/g, "")) || 0;
+        } else if (isDate) {
+            xCmp = xVal ? new Date(xVal).getTime() : 0;
+            yCmp = yVal ? new Date(yVal).getTime() : 0;
+        } else {
+            xCmp = xVal.toLowerCase();
+            yCmp = yVal.toLowerCase();
+        }
+        if (xCmp < yCmp) return dir === "asc" ? -1 : 1;
+        if (xCmp > yCmp) return dir === "asc" ? 1 : -1;
+        return 0;
+    });
+    rows.forEach(function(row) { tbody.appendChild(row); });
+}
+
+/**
+ * Current search box text, age basis, filter checkboxes and sort column, as a filter preset stores them
+ * @returns {Object} { search, ageBasis, checkboxes: { id: checked }, sort: { column, dir } | null }
+ */
+function getFilterState() {
+    var searchBox = document.getElementById("searchBox");
+    var checkboxes = {};
+    Array.prototype.forEach.call(document.querySelectorAll(".filter-section input[type=checkbox]"), function(checkbox) {
+        checkboxes[checkbox.id] = checkbox.checked;
+    });
+    return {
+        search: searchBox ? searchBox.value : "",
+        ageBasis: getAgeBasis(),
+        checkboxes: checkboxes,
+        sort: currentSort ? { column: currentSort.column, dir: currentSort.dir } : null
+    };
+}
+
+/**
+ * Restores a saved filter state. Checkboxes the preset does not mention keep their current value.
+ * @param {Object} state - State from getFilterState
+ */
+function applyFilterState(state) {
+    state = state || {};
+    var searchBox = document.getElementById("searchBox");
+    if (searchBox) searchBox.value = state.search || "";
+    var ageBasisSelect = document.getElementById("ageBasisSelect");
+    if (ageBasisSelect && state.ageBasis && ageBasisSelect.value !== state.ageBasis) {
+        ageBasisSelect.value = state.ageBasis;
+        applyAgeBasis();
+    }
+    var saved = state.checkboxes || {};
+    Array.prototype.forEach.call(document.querySelectorAll(".filter-section input[type=checkbox]"), function(checkbox) {
+        if (saved.hasOwnProperty(checkbox.id)) {
+            checkbox.checked = !!saved[checkbox.id];
+        }
+    });
+    applyFilters();
+    if (state.sort && typeof state.sort.column === "number") {
+        sortTable(state.sort.column, state.sort.dir === "desc" ? "desc" : "asc");
+    }
+}
+
+/**
+ * Filter preset dropdown handler
+ * @param {string} presetId - Selected preset ID ("" for none)
+ */
+function applyPreset(presetId) {
+    var preset = findPreset(presetId);
+    var deleteBtn = document.getElementById("filterPresetDelete");
+    if (deleteBtn) deleteBtn.disabled = !(preset && preset.mine);
+    if (preset) {
+        applyFilterState(preset.state);
+    }
+}
+
+/**
+ * @param {string} presetId - Preset ID
+ * @returns {Object|null} The preset from FILTER_PRESETS
+ */
+function findPreset(presetId) {
+    for (var i = 0; i < FILTER_PRESETS.length; i++) {
+        if (FILTER_PRESETS[i].id === String(presetId)) {
+            return FILTER_PRESETS[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Fills the preset dropdown: the user's own presets, then the ones teammates shared
+ * @param {string} [selectedId] - Preset to leave selected
+ */
+function renderPresetOptions(selectedId) {
+    var select = document.getElementById("filterPresetSelect");
+    if (!select) return;
+    var mine = "";
+    var shared = "";
+    FILTER_PRESETS.forEach(function(preset) {
+        var option = "<option value=\"" + escapeHtml(preset.id) + "\"" + (preset.id === selectedId ? " selected" : "") + ">";
+        if (preset.mine) {
+            mine += option + escapeHtml(preset.name) + (preset.shared ? " (shared)" : "") + "</option>";
+        } else {
+            shared += option + escapeHtml(preset.name) + " - " + escapeHtml(preset.ownerName) + "</option>";
+        }
+    });
+    select.innerHTML = "<option value=\"\">Saved filters...</option>" +
+        (mine ? "<optgroup label=\"My Filters\">" + mine + "</optgroup>" : "") +
+        (shared ? "<optgroup label=\"Shared by the Team\">" + shared + "</optgroup>" : "");
+    select.value = selectedId || "";
+    var deleteBtn = document.getElementById("filterPresetDelete");
+    var selected = findPreset(selectedId);
+    if (deleteBtn) deleteBtn.disabled = !(selected && selected.mine);
+}
+
+/**
+ * Saves the current filters, search text and sort as a named preset; saving under the name of
+ * one of your presets updates it
+ */
+function savePreset() {
+    var select = document.getElementById("filterPresetSelect");
+    var current = findPreset(select ? select.value : "");
+    var name = prompt("Name this filter preset:", current && current.mine ? current.name : "");
+    if (name === null) return;
+    name = name.trim();
+    if (!name) {
+        alert("Enter a name for the preset.");
+        return;
+    }
+    var shared = confirm("Share \"" + name + "\" with the whole team?\n\nOK = shared, Cancel = only you.");
+    postPresetAction("action=save-preset&name=" + encodeURIComponent(name) + "&shared=" + (shared ? "T" : "F") +
+        "&state=" + encodeURIComponent(JSON.stringify(getFilterState())), function(resp) {
+        renderPresetOptions(resp.presetId);
+    });
+}
+
+/**
+ * Deletes the selected preset (only your own presets can be deleted)
+ */
+function deletePreset() {
+    var select = document.getElementById("filterPresetSelect");
+    var preset = findPreset(select ? select.value : "");
+    if (!preset || !preset.mine) return;
+    if (!confirm("Delete the filter preset \"" + preset.name + "\"?" + (preset.shared ? "\n\nIt is shared, so it disappears for the whole team." : ""))) {
+        return;
+    }
+    postPresetAction("action=delete-preset&presetId=" + encodeURIComponent(preset.id), function() {
+        renderPresetOptions("");
+    });
+}
+
+/**
+ * Posts a preset save / delete and takes the refreshed preset list from the response
+ * @param {string} body - Form-encoded request body
+ * @param {Function} onSuccess - Called with the response after FILTER_PRESETS is updated
+ */
+function postPresetAction(body, onSuccess) {
+    var xhr = new XMLHttpRequest();
+    xhr.open("POST", SUITELET_URL, true);
+    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState !== 4) return;
+        try {
+            var resp = JSON.parse(xhr.responseText);
+            if (!resp.success) {
+                alert("Error: " + resp.message);
+                return;
+            }
+            FILTER_PRESETS = resp.presets || [];
+            onSuccess(resp);
+            alert(resp.message);
+        } catch (e) {
+            alert("Error processing response: " + e.toString());
+        }
+    };
+    xhr.send(body);
+}
+
+/**
+ * Header checkbox: selects every visible, enabled row
+ */
+function toggleSelectAll(checkbox) {
+    var checkboxes = document.querySelectorAll(".so-checkbox");
+    for (var i = 0; i < checkboxes.length; i++) {
+        var row = checkboxes[i].closest("tr");
+        if (row && row.style.display !== "none") {
+            checkboxes[i].checked = checkbox.checked;
+        }
+    }
+    updateSelectedSummary();
+}
+
+/**
+ * Recalculates the Selected summary cards from the checked rows
+ */
+function updateSelectedSummary() {
+    var checkboxes = document.querySelectorAll(".so-checkbox:checked");
+    var selectedCount = checkboxes.length;
+    var selectedLines = 0;
+    var selectedAmount = 0;
+    for (var i = 0; i < checkboxes.length; i++) {
+        var so = getRowSalesOrder(checkboxes[i].closest("tr"));
+        if (so) {
+            selectedLines += so.unbilledLineCount;
+            selectedAmount += so.unbilledAmount;
+        }
+    }
+    var selectedCountEl = document.getElementById("selectedCount");
+    var selectedLinesEl = document.getElementById("selectedLines");
+    var selectedAmountEl = document.getElementById("selectedAmount");
+    var bulkActionSelect = document.getElementById("bulkActionSelect");
+    var bulkActionBtn = document.getElementById("bulkActionBtn");
+    if (selectedCountEl) selectedCountEl.textContent = selectedCount;
+    if (selectedLinesEl) selectedLinesEl.textContent = selectedLines;
+    if (selectedAmountEl) selectedAmountEl.textContent = "$" + selectedAmount.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    if (bulkActionSelect) {
+        bulkActionSelect.disabled = (selectedCount === 0);
+    }
+    if (bulkActionBtn) {
+        bulkActionBtn.disabled = (selectedCount === 0);
+    }
+}
+
+/**
+ * Runs the bulk action chosen in the dropdown against the checked Sales Orders
+ */
+function executeBulkAction() {
+    var bulkActionSelect = document.getElementById("bulkActionSelect");
+    var action = bulkActionSelect ? bulkActionSelect.value : "";
+    if (!action) {
+        alert("Please select a bulk action from the dropdown.");
+        return;
+    }
+    var checkboxes = document.querySelectorAll(".so-checkbox:checked");
+    if (checkboxes.length === 0) {
+        alert("Please select at least one Sales Order.");
+        return;
+    }
+    var soIds = [];
+    for (var i = 0; i < checkboxes.length; i++) {
+        soIds.push(checkboxes[i].value);
+    }
+    var actionLabels = {
+        "queue": "Queue for Bill & Write-Off",
+        "close": "Close (Cancel)",
+        "auto-bill": "Auto-Bill (Invoice)",
+        "cbsi-bill-je": "CBSI (Bill and JE)",
+        "add-note": "Add Research Note / Follow Up"
+    };
+    var actionLabel = actionLabels[action] || action;
+    var confirmMsg = actionLabel + " " + soIds.length + " Sales Order(s)?\n\n";
+    if (action === "queue") {
+        confirmMsg += "This will mark them as queued for future processing.";
+    } else if (action === "close") {
+        confirmMsg += "This will close all selected orders and cannot be easily undone.";
+    } else if (action === "auto-bill") {
+        confirmMsg += "This will create invoices for all selected orders.";
+    }
+    if (action === "cbsi-bill-je") {
+        openCBSIPreview(soIds, function() { submitBulkAction(action, soIds); });
+        return;
+    }
+    if (action === "add-note") {
+        openBulkResearchNoteModal(soIds);
+        return;
+    }
+    if (!confirm(confirmMsg)) {
+        return;
+    }
+    submitBulkAction(action, soIds);
+}
+
+/**
+ * Posts a bulk action; CBSI runs are previewed first by the caller
+ * @param {string} action - Bulk action
+ * @param {Array} soIds - Selected Sales Order IDs
+ * @param {string} [extraParams] - More form fields, starting with "&"
+ */
+function submitBulkAction(action, soIds, extraParams) {
+    showLoading();
+    var xhr = new XMLHttpRequest();
+    xhr.open("POST", SUITELET_URL, true);
+    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            hideLoading();
+            try {
+                var resp = JSON.parse(xhr.responseText);
+                if (resp.success && resp.jobId) {
+                    startJobProgress(action, resp);
+                } else if (resp.success) {
+                    handleBulkActionResponse(action, resp);
+                } else {
+                    alert("Error: " + resp.message);
+                }
+            } catch (e) {
+                alert("Error processing response: " + e.toString());
+            }
+        }
+    };
+    xhr.send("selectedSOIds=" + soIds.join(",") + "&bulkAction=" + action + (extraParams || ""));
+}
+
+/**
+ * Updates the table from an inline bulk response, or starts polling a background job
+ */
+function handleBulkActionResponse(action, resp) {
+    var processedIds = resp.processedIds || resp.queuedIds || [];
+    var failedIds = resp.failedIds || [];
+    if (action === "queue") {
+        var queuedLines = 0;
+        var queuedAmount = 0;
+        for (var i = 0; i < processedIds.length; i++) {
+            var queuedCell = document.getElementById("queued-cell-" + processedIds[i]);
+            if (queuedCell) {
+                queuedCell.innerHTML = "<span class=\"queued-checkmark\">✓</span><span class=\"unqueue-x\" onclick=\"handleUnqueue(" + processedIds[i] + ", event)\" title=\"Remove from queue\">✕</span>";
+            }
+            var checkbox = document.querySelector(".so-checkbox[value=\"" + processedIds[i] + "\"]");
+            if (checkbox) {
+                var so = getRowSalesOrder(checkbox.closest("tr"));
+                if (so) {
+                    queuedLines += so.unbilledLineCount;
+                    queuedAmount += so.unbilledAmount;
+                    so.queuedDate = formatDate(new Date());
+                }
+                checkbox.checked = resp.governanceStopped ? true : false;
+                checkbox.disabled = resp.governanceStopped ? false : true;
+            }
+        }
+        var queuedTotalEl = document.getElementById("queuedTotal");
+        var queuedTotalLinesEl = document.getElementById("queuedTotalLines");
+        var queuedTotalAmountEl = document.getElementById("queuedTotalAmount");
+        if (queuedTotalEl) queuedTotalEl.textContent = parseInt(queuedTotalEl.textContent || 0) + processedIds.length;
+        if (queuedTotalLinesEl) queuedTotalLinesEl.textContent = parseInt(queuedTotalLinesEl.textContent || 0) + queuedLines;
+        if (queuedTotalAmountEl) {
+            var currentAmt = parseFloat(queuedTotalAmountEl.textContent.replace(/[^0-9.-]/g, "") || 0);
+            queuedTotalAmountEl.textContent = "$" + (currentAmt + queuedAmount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+        }
+    } else if (action === "add-note") {
+        for (var i = 0; i < processedIds.length; i++) {
+            var checkbox = document.querySelector(".so-checkbox[value=\"" + processedIds[i] + "\"]");
+            var so = checkbox ? getRowSalesOrder(checkbox.closest("tr")) : null;
+            if (so) {
+                if (resp.researchNotes && resp.researchNotes.hasOwnProperty(processedIds[i])) {
+                    so.researchNotes = resp.researchNotes[processedIds[i]];
+                }
+                so.followUpDate = resp.followUpDate || null;
+                updateResearchNoteCells(so);
+            }
+            delete noteThreadsBySoId[processedIds[i]];
+            if (checkbox && !resp.governanceStopped) checkbox.checked = false;
+        }
+        applyFilters();
+    } else if (action === "close" || action === "auto-bill" || action === "cbsi-bill-je") {
+        for (var i = 0; i < processedIds.length; i++) {
+            var checkbox = document.querySelector(".so-checkbox[value=\"" + processedIds[i] + "\"]");
+            if (checkbox) {
+                var row = checkbox.closest("tr");
+                if (row && !resp.governanceStopped) {
+                    row.style.display = "none";
+                } else if (row && resp.governanceStopped) {
+                    checkbox.checked = false;
+                }
+            }
+        }
+    }
+    updateSelectedSummary();
+    alert(resp.message);
+}
+
+var jobPollTimer = null;
+var jobSeenIds = {};
+
+/**
+ * Opens the progress modal for a background bulk job and starts polling it
+ */
+function startJobProgress(action, resp) {
+    jobSeenIds = {};
+    var modal = document.getElementById("jobProgressModal");
+    var label = document.getElementById("jobProgressLabel");
+    var fill = document.getElementById("jobProgressFill");
+    var list = document.getElementById("jobProgressResults");
+    if (label) label.textContent = resp.message;
+    if (fill) fill.style.width = "0%";
+    if (list) list.innerHTML = "";
+    if (modal) modal.style.display = "flex";
+    pollJobStatus(action, resp.jobId);
+}
+
+/**
+ * Polls action=job-status until the job finishes
+ */
+function pollJobStatus(action, jobId) {
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", SUITELET_URL + "&action=job-status&jobId=" + encodeURIComponent(jobId), true);
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            var label = document.getElementById("jobProgressLabel");
+            try {
+                var resp = JSON.parse(xhr.responseText);
+                if (!resp.success) {
+                    if (label) label.textContent = "Error: " + resp.message;
+                    return;
+                }
+                updateJobProgress(action, resp);
+                if (!resp.done) {
+                    jobPollTimer = setTimeout(function() { pollJobStatus(action, jobId); }, 3000);
+                }
+            } catch (e) {
+                if (label) label.textContent = "Error reading job status: " + e.toString();
+            }
+        }
+    };
+    xhr.send();
+}
+
+/**
+ * Renders job progress and removes the rows of Sales Orders already processed
+ */
+function updateJobProgress(action, resp) {
+    var label = document.getElementById("jobProgressLabel");
+    var fill = document.getElementById("jobProgressFill");
+    var list = document.getElementById("jobProgressResults");
+    var pct = resp.total ? Math.round(resp.completedCount / resp.total * 100) : 0;
+    if (fill) fill.style.width = pct + "%";
+    if (label) label.textContent = (resp.done ? "Finished - " : "Processing - ") + resp.message + " (" + pct + "%)";
+    var results = resp.results || [];
+    for (var i = 0; i < results.length; i++) {
+        var r = results[i];
+        if (jobSeenIds[r.soId]) continue;
+        jobSeenIds[r.soId] = true;
+        if (list) {
+            var item = document.createElement("div");
+            item.className = "job-result " + (r.success ? "job-result-ok" : "job-result-failed");
+            var routing = r.details && r.details.routing;
+            var note = r.success ? (routing && routing.decision !== "bill" ? ": " + routing.message : "") : ": " + r.message;
+            item.textContent = (r.success ? "✓ " : "✕ ") + (r.soNumber || ("SO #" + r.soId)) + note;
+            list.appendChild(item);
+        }
+        if (r.success) {
+            var checkbox = document.querySelector(".so-checkbox[value=\"" + r.soId + "\"]");
+            if (checkbox) {
+                checkbox.checked = false;
+                var row = checkbox.closest("tr");
+                if (row) row.style.display = "none";
+            }
+        }
+    }
+    updateSelectedSummary();
+}
+
+/**
+ * Closes the progress modal; the job itself keeps running
+ */
+function closeJobProgress() {
+    if (jobPollTimer) clearTimeout(jobPollTimer);
+    jobPollTimer = null;
+    var modal = document.getElementById("jobProgressModal");
+    if (modal) modal.style.display = "none";
+    updateSelectedSummary();
+}
+
+var historyLoaded = false;
+var followUpsLoaded = false;
+
+/**
+ * Switches between the Sales Orders, Follow-Ups and History tabs, loading Follow-Ups and History on first view
+ * @param {string} tab - "salesOrders", "followUps" or "history"
+ */
+function switchTab(tab) {
+    ["salesOrders", "followUps", "history"].forEach(function(name) {
+        var suffix = name.charAt(0).toUpperCase() + name.slice(1);
+        document.getElementById("tab" + suffix).style.display = name === tab ? "" : "none";
+        document.getElementById("tabBtn" + suffix).className = "tab-btn" + (name === tab ? " tab-btn-active" : "");
+    });
+    if (tab === "history" && !historyLoaded) loadHistory();
+    if (tab === "followUps" && !followUpsLoaded) loadFollowUps();
+}
+
+/**
+ * Loads the Follow-Ups tab: notes due today or overdue, one table per note owner
+ */
+function loadFollowUps() {
+    followUpsLoaded = true;
+    var status = document.getElementById("followUpStatus");
+    var container = document.getElementById("followUpGroups");
+    status.textContent = "Loading follow-ups...";
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", SUITELET_URL + "&action=follow-ups", true);
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState !== 4) return;
+        try {
+            var resp = JSON.parse(xhr.responseText);
+            if (!resp.success) {
+                status.textContent = "Error: " + resp.message;
+                return;
+            }
+            container.innerHTML = resp.groups.map(renderFollowUpGroup).join("");
+            status.textContent = resp.total === 0 ? "No follow-ups are due." :
+                resp.total + " follow-up(s) due: " + resp.overdueCount + " overdue, " + resp.dueTodayCount + " due today.";
+        } catch (e) {
+            status.textContent = "Error loading follow-ups: " + e.toString();
+        }
+    };
+    xhr.send();
+}
+
+/**
+ * @param {Object} group - { ownerName, overdueCount, dueTodayCount, followUps } from action=follow-ups
+ * @returns {string} The owner's heading and follow-up table
+ */
+function renderFollowUpGroup(group) {
+    var rows = group.followUps.map(function(f) {
+        var due = f.dueStatus === "overdue" ?
+            "<span class=\"follow-up-overdue\">" + f.daysOverdue + " day(s) overdue</span>" :
+            "<span class=\"follow-up-today\">Due today</span>";
+        return "<tr>" +
+            "<td class=\"col-slate\"><a href=\"/app/accounting/transactions/salesord.nl?id=" + escapeHtml(f.soId) + "\" target=\"_blank\" class=\"transaction-link\">" + escapeHtml(f.soNumber) + "</a></td>" +
+            "<td class=\"col-slate\">" + escapeHtml(f.customerName) + "</td>" +
+            "<td class=\"col-slate\">" + formatDate(f.followUpDate) + "</td>" +
+            "<td class=\"col-slate\">" + due + "</td>" +
+            "<td class=\"col-slate\">" + escapeHtmlKeepBreaks(f.researchNotes) + "</td>" +
+            "<td class=\"col-teal amount\">" + formatMoney(f.unbilledAmount) + "</td>" +
+            "</tr>";
+    }).join("");
+    return "<div class=\"follow-up-group\">" +
+        "<h3 class=\"follow-up-owner\">" + escapeHtml(group.ownerName) + " - " + group.overdueCount + " overdue, " + group.dueTodayCount + " due today</h3>" +
+        "<div class=\"table-wrapper\"><table>" +
+        "<thead><tr><th class=\"th-slate\">Sales Order</th><th class=\"th-slate\">Customer</th><th class=\"th-slate\">Follow Up</th><th class=\"th-slate\">Due</th><th class=\"th-slate\">Research Note</th><th class=\"th-teal\">Unbilled Amount</th></tr></thead>" +
+        "<tbody>" + rows + "</tbody>" +
+        "</table></div>" +
+        "</div>";
+}
+
+/**
+ * Shows every Sales Order again after opening the portal from a follow-up digest link
+ */
+function clearSoIdFilter() {
+    SO_ID_FILTER = null;
+    var banner = document.getElementById("soIdFilterBanner");
+    if (banner) banner.style.display = "none";
+    applyFilters();
+}
+
+/**
+ * Fills a History cell with a link to a transaction, or a dash
+ */
+function historyLink(cell, type, id, text) {
+    if (!id) return;
+    var a = document.createElement("a");
+    a.href = "/app/accounting/transactions/" + type + ".nl?id=" + encodeURIComponent(id);
+    a.target = "_blank";
+    a.textContent = text || id;
+    cell.appendChild(a);
+}
+
+/**
+ * Loads ledger entries matching the History filters
+ */
+function loadHistory() {
+    historyLoaded = true;
+    var status = document.getElementById("historyStatus");
+    var body = document.getElementById("historyTableBody");
+    var query = "&action=history" +
+        "&so=" + encodeURIComponent(document.getElementById("historySo").value.trim()) +
+        "&user=" + encodeURIComponent(document.getElementById("historyUser").value.trim()) +
+        "&auditAction=" + encodeURIComponent(document.getElementById("historyAction").value) +
+        "&dateFrom=" + encodeURIComponent(document.getElementById("historyDateFrom").value) +
+        "&dateTo=" + encodeURIComponent(document.getElementById("historyDateTo").value);
+    status.textContent = "Loading history...";
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", SUITELET_URL + query, true);
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            try {
+                var resp = JSON.parse(xhr.responseText);
+                if (!resp.success) {
+                    status.textContent = "Error: " + resp.message;
+                    return;
+                }
+                body.innerHTML = "";
+                for (var i = 0; i < resp.entries.length; i++) {
+                    var e = resp.entries[i];
+                    var tr = document.createElement("tr");
+                    var cells = [];
+                    for (var c = 0; c < 9; c++) {
+                        var td = document.createElement("td");
+                        td.className = "col-slate";
+                        tr.appendChild(td);
+                        cells.push(td);
+                    }
+                    cells[0].textContent = e.created;
+                    cells[1].textContent = e.user;
+                    cells[2].textContent = e.actionLabel + (e.bulk ? " (bulk)" : "");
+                    historyLink(cells[3], "salesord", e.soId, e.soNumber);
+                    historyLink(cells[4], "custinvc", e.invoiceId, e.invoiceNumber);
+                    historyLink(cells[5], "journal", e.jeId, e.jeNumber);
+                    historyLink(cells[6], "custpymt", e.paymentId, e.paymentNumber);
+                    cells[7].textContent = (e.amount !== null && e.amount !== undefined && e.amount !== "") ? "$" + parseFloat(e.amount).toFixed(2) : "";
+                    cells[8].textContent = e.success ? "✓ Success" : "✕ " + e.error;
+                    cells[8].className = "col-slate " + (e.success ? "history-ok" : "history-failed");
+                    body.appendChild(tr);
+                }
+                status.textContent = resp.entries.length + " entr" + (resp.entries.length === 1 ? "y" : "ies") + (resp.limited ? " (showing the most recent 500 - narrow the filters to see more)" : "");
+            } catch (err) {
+                status.textContent = "Error loading history: " + err.toString();
+            }
+        }
+    };
+    xhr.send();
+}
+
+/**
+ * Shows the full-page loading overlay
+ */
+function showLoading() {
+    document.getElementById("loadingOverlay").style.display = "flex";
+}
+
+/**
+ * Hides the full-page loading overlay
+ */
+function hideLoading() {
+    document.getElementById("loadingOverlay").style.display = "none";
+}
+
+var salesOrdersById = {};
+
+/**
+ * Sales Order behind a table row, as returned by load-data (writeOffLib.toSalesOrderModel). Filters,
+ * tooltips and totals read from it; actions that change an SO update it.
+ * @param {HTMLElement} row - Table row
+ * @returns {Object|null} Sales Order, or null for no row
+ */
+function getRowSalesOrder(row) {
+    return row ? salesOrdersById[row.getAttribute("data-so-id")] || null : null;
+}
+
+/**
+ * Escapes HTML special characters
+ */
+function escapeHtml(text) {
+    if (text === null || text === undefined) return "";
+    var map = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#039;" };
+    return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+}
+
+/**
+ * Escapes a NetSuite long text field but keeps its <br> line breaks
+ */
+function escapeHtmlKeepBreaks(text) {
+    return escapeHtml(text).replace(/&lt;br\s*\/?&gt;/gi, "<br>");
+}
+
+/**
+ * Formats an amount as $1,234.56
+ */
+function formatMoney(value) {
+    return "$" + (parseFloat(value) || 0).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+}
+
+/**
+ * Parses a NetSuite date (M/D/YYYY) or date input value (YYYY-MM-DD) as a local date
+ * @returns {Date|null} Date at midnight, or null when empty or invalid
+ */
+function parseDate(value) {
+    if (!value) return null;
+    var d;
+    var iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        d = new Date(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+    } else {
+        d = new Date(value);
+    }
+    if (isNaN(d.getTime())) return null;
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+/**
+ * Formats a date as M/D/YYYY, or "" when empty
+ */
+function formatDate(value) {
+    var d = value instanceof Date ? value : parseDate(value);
+    return d ? (d.getMonth() + 1) + "/" + d.getDate() + "/" + d.getFullYear() : "";
+}
+
+/**
+ * Formats a date as YYYY-MM-DD for date inputs, or "" when empty
+ */
+function toInputDate(value) {
+    var d = parseDate(value);
+    if (!d) return "";
+    return d.getFullYear() + "-" + ("0" + (d.getMonth() + 1)).slice(-2) + "-" + ("0" + d.getDate()).slice(-2);
+}
+
+/**
+ * Builds the table row of a Sales Order
+ * @param {Object} so - Sales Order from load-data
+ * @returns {string} Row HTML
+ */
+function renderSalesOrderRow(so) {
+    var soId = escapeHtml(so.soId);
+    var html = "<tr class=\"line-items-row\" data-so-id=\"" + soId + "\" onmouseenter=\"showLineItemsTooltip(this); showJobDetailsTooltip(this);\" onmouseleave=\"hideLineItemsTooltip(); hideJobDetailsTooltip();\">";
+    html += "<td class=\"col-checkbox\"><input type=\"checkbox\" class=\"so-checkbox\" value=\"" + soId + "\" onchange=\"updateSelectedSummary()\"></td>";
+    html += "<td class=\"col-actions\"><select class=\"actions-dropdown\" onchange=\"handleAction(this, " + soId + ")\" onclick=\"event.stopPropagation();\"><option value=\"\">▼</option><option value=\"queue\">Queue for Bill & Write-Off</option><option value=\"close\">Close (Cancel)</option><option value=\"bill\">Manual Bill (Invoice)</option><option value=\"auto-bill\">Auto-Bill (Invoice)</option><option value=\"cbsi-bill-je\">CBSI (Bill and JE)</option><option value=\"partial-lines\">Bill / Close Lines...</option><option value=\"add-note\">Add Research Note</option></select></td>";
+    var noteIcon = "<span class=\"research-note-icon\" id=\"note-icon-" + soId + "\"" + (so.researchNotes ? "" : " style=\"display:none;\"") + " title=\"Has research notes\">ℹ️</span>";
+    var soLink = so.soNumber ? "<a href=\"/app/accounting/transactions/salesord.nl?id=" + soId + "\" target=\"_blank\" class=\"transaction-link\">" + escapeHtml(so.soNumber) + "</a>" : "<span class=\"no-data\">—</span>";
+    html += "<td class=\"col-slate\">" + soLink + " " + noteIcon + "</td>";
+    html += "<td class=\"col-slate follow-up-cell\" id=\"follow-up-cell-" + soId + "\">" + formatDate(so.followUpDate) + "</td>";
+    html += "<td class=\"col-slate queued-cell\" id=\"queued-cell-" + soId + "\">";
+    if (so.queuedDate) {
+        html += "<span class=\"queued-checkmark\">✓</span><span class=\"unqueue-x\" onclick=\"handleUnqueue(" + soId + ", event)\" title=\"Remove from queue\">✕</span>";
+    }
+    html += "</td>";
+    html += "<td class=\"col-slate\">" + escapeHtml(so.jobId) + "</td>";
+    html += "<td class=\"col-slate\">" + escapeHtml(so.warrantyType) + "</td>";
+    html += "<td class=\"col-slate\">" + escapeHtml(so.epicAuth) + "</td>";
+    var customerLink = so.customerId && so.customerName ? "<a href=\"/app/common/entity/custjob.nl?id=" + escapeHtml(so.customerId) + "\" target=\"_blank\" class=\"customer-link\">" + escapeHtml(so.customerName) + "</a>" : "<span class=\"no-data\">—</span>";
+    html += "<td class=\"col-slate\">" + customerLink + "</td>";
+    html += "<td class=\"col-slate\">" + formatDate(so.soDate) + "</td>";
+    html += "<td class=\"col-slate\">" + formatDate(so.shipDate) + "</td>";
+    html += "<td class=\"col-slate\">" + formatDate(so.estimatedShipDate) + "</td>";
+    html += "<td class=\"col-slate\">" + escapeHtml(so.statusText) + "</td>";
+    html += "<td class=\"col-teal amount line-picker-cell\" id=\"unbilled-lines-cell-" + soId + "\" onclick=\"openLinePicker(" + soId + ", this.closest('tr'))\" title=\"Click to bill or close individual lines\">" + so.unbilledLineCount + "</td>";
+    html += "<td class=\"col-teal amount\" id=\"unbilled-amount-cell-" + soId + "\">" + formatMoney(so.unbilledAmount) + "</td>";
+    html += "<td class=\"col-teal amount\" id=\"age-cell-" + soId + "\">" + formatAge(getAgeDays(so)) + "</td>";
+    html += "</tr>";
+    return html;
+}
+
+/**
+ * Adds a chunk of Sales Orders to the model and renders their rows
+ * @param {Array} salesOrders - Sales Orders from load-data
+ * @returns {string} Rows HTML
+ */
+function addSalesOrders(salesOrders) {
+    var html = "";
+    for (var i = 0; i < salesOrders.length; i++) {
+        salesOrdersById[salesOrders[i].soId] = salesOrders[i];
+        html += renderSalesOrderRow(salesOrders[i]);
+    }
+    return html;
+}
+
+var reportLoadId = 0;
+
+/**
+ * Loads the Sales Order table chunk by chunk via loadData=true&lastId=N, each chunk starting after
+ * the last SO the previous one returned. The first chunk fills the summary totals and shows the
+ * table; later chunks are appended as they arrive and the table is kept in SO number order (or
+ * the chosen column sort, put back once every chunk is in).
+ */
+function loadReportData() {
+    try {
+        document.getElementById("loadButtonContainer").style.display = "none";
+        showLoading();
+        reportLoadId++;
+        loadReportPage(reportLoadId, 0, 0, 0);
+    } catch (e) {
+        alert("Error in loadReportData: " + e.toString());
+    }
+}
+
+/**
+ * Requests one chunk of the Sales Order table, then the next one until every SO is loaded
+ * @param {number} loadId - Load the chunk belongs to; chunks of an older load are dropped
+ * @param {number} lastId - Internal ID of the last SO loaded so far (0 for the first chunk)
+ * @param {number} page - Zero-based chunk number
+ * @param {number} loadedBefore - Sales Orders the earlier chunks returned
+ */
+function loadReportPage(loadId, lastId, page, loadedBefore) {
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", SUITELET_URL + "&loadData=true&lastId=" + lastId, true);
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState !== 4 || loadId !== reportLoadId) {
+            return;
+        }
+        hideLoading();
+        try {
+            var resp = JSON.parse(xhr.responseText);
+            if (!resp.success) {
+                reportLoadFailed(page, "Error loading data: " + resp.message);
+                return;
+            }
+            var reportTableBody = document.getElementById("reportTableBody");
+            if (page === 0) {
+                var summaryTotal = document.getElementById("summaryTotal");
+                var summaryTotalLines = document.getElementById("summaryTotalLines");
+                var summaryTotalAmount = document.getElementById("summaryTotalAmount");
+                var queuedTotal = document.getElementById("queuedTotal");
+                var queuedTotalLines = document.getElementById("queuedTotalLines");
+                var queuedTotalAmount = document.getElementById("queuedTotalAmount");
+                var reportContent = document.getElementById("reportContent");
+                if (summaryTotal) summaryTotal.textContent = resp.summaryTotal;
+                if (summaryTotalLines) summaryTotalLines.textContent = resp.summaryTotalLines;
+                if (summaryTotalAmount) summaryTotalAmount.textContent = "$" + parseFloat(resp.summaryTotalAmount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+                if (queuedTotal) queuedTotal.textContent = resp.queuedTotal;
+                if (queuedTotalLines) queuedTotalLines.textContent = resp.queuedTotalLines;
+                if (queuedTotalAmount) queuedTotalAmount.textContent = "$" + parseFloat(resp.queuedTotalAmount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+                salesOrdersById = {};
+                if (reportTableBody) reportTableBody.innerHTML = addSalesOrders(resp.salesOrders);
+                var presetSelect = document.getElementById("filterPresetSelect");
+                renderPresetOptions(presetSelect ? presetSelect.value : "");
+                if (reportContent) {
+                    reportContent.className = "";
+                    reportContent.style.display = "block";
+                }
+            } else if (reportTableBody) {
+                reportTableBody.insertAdjacentHTML("beforeend", addSalesOrders(resp.salesOrders));
+            }
+            if (!currentSort) {
+                // Chunks arrive in internal ID order; keep the table in SO number order as it grows
+                sortByDefaultOrder();
+            }
+            renderValueFilters();
+            updateAgingSummary();
+            var loaded = loadedBefore + resp.salesOrders.length;
+            var hasMore = !!resp.hasMore;
+            updateLoadProgress(hasMore ? "Loading Sales Orders... " + loaded + " of " + (loadedBefore + resp.remainingCount) + " loaded" : "");
+            applyFilters();
+            if (hasMore) {
+                loadReportPage(loadId, resp.lastId, page + 1, loaded);
+            } else if (currentSort) {
+                // Rows arrive in internal ID order; put the last sort (or the preset's) back
+                sortTable(currentSort.column, currentSort.dir);
+            }
+        } catch (e) {
+            reportLoadFailed(page, "Error parsing response: " + e.toString());
+        }
+    };
+    xhr.send();
+}
+
+/**
+ * Orders the table by SO number (then internal ID), its order while no column sort is chosen
+ */
+function sortByDefaultOrder() {
+    var tbody = document.getElementById("reportTableBody");
+    if (!tbody || !tbody.rows) return;
+    var rows = Array.from(tbody.rows);
+    rows.sort(function(a, b) {
+        var x = getRowSalesOrder(a);
+        var y = getRowSalesOrder(b);
+        var xNumber = x ? String(x.soNumber) : "";
+        var yNumber = y ? String(y.soNumber) : "";
+        if (xNumber !== yNumber) return xNumber < yNumber ? -1 : 1;
+        return (x ? Number(x.soId) : 0) - (y ? Number(y.soId) : 0);
+    });
+    rows.forEach(function(row) { tbody.appendChild(row); });
+}
+
+/**
+ * Reports a failed chunk. A failed first chunk brings the Load button back; a later one keeps
+ * the rows already loaded.
+ * @param {number} page - Zero-based chunk number that failed
+ * @param {string} message - Error message
+ */
+function reportLoadFailed(page, message) {
+    if (page === 0) {
+        alert(message);
+        var loadBtn = document.getElementById("loadButtonContainer");
+        if (loadBtn) loadBtn.style.display = "block";
+        updateLoadProgress("");
+        return;
+    }
+    updateLoadProgress("Stopped loading after " + page + " chunk(s): " + message + " - reload the page to see every Sales Order.");
+}
+
+/**
+ * Shows (or hides, when empty) the chunk loading status above the table
+ * @param {string} text - Status text
+ */
+function updateLoadProgress(text) {
+    var progressEl = document.getElementById("loadProgress");
+    if (!progressEl) return;
+    progressEl.textContent = text;
+    progressEl.style.display = text ? "block" : "none";
+}
+
+/**
+ * Removes a Sales Order from the Bill & Write-Off queue (the ✕ next to its queue date)
+ * @param {string} soId - Sales Order internal ID
+ * @param {Event} event - Click event, kept from reaching the row
+ */
+function handleUnqueue(soId, event) {
+    event.stopPropagation();
+    if (!confirm("Remove this Sales Order from the Bill & Write-Off queue?\n\nThis will clear the queue date and allow it to be processed later.")) {
+        return;
+    }
+    showLoading();
+    var xhr = new XMLHttpRequest();
+    xhr.open("POST", SUITELET_URL, true);
+    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            hideLoading();
+            try {
+                var resp = JSON.parse(xhr.responseText);
+                if (resp.success) {
+                    alert(resp.message);
+                    var queuedCell = document.getElementById("queued-cell-" + soId);
+                    if (queuedCell) {
+                        queuedCell.innerHTML = "";
+                    }
+                    var checkbox = document.querySelector(".so-checkbox[value=\"" + soId + "\"]");
+                    if (checkbox) {
+                        checkbox.disabled = false;
+                        checkbox.checked = false;
+                    }
+                    var queuedTotalEl = document.getElementById("queuedTotal");
+                    var queuedTotalLinesEl = document.getElementById("queuedTotalLines");
+                    var queuedTotalAmountEl = document.getElementById("queuedTotalAmount");
+                    var so = getRowSalesOrder(queuedCell ? queuedCell.closest("tr") : null);
+                    if (so) {
+                        so.queuedDate = null;
+                        var unbilledLines = so.unbilledLineCount;
+                        var unbilledAmount = so.unbilledAmount;
+                        if (queuedTotalEl) queuedTotalEl.textContent = Math.max(0, parseInt(queuedTotalEl.textContent || 0) - 1);
+                        if (queuedTotalLinesEl) queuedTotalLinesEl.textContent = Math.max(0, parseInt(queuedTotalLinesEl.textContent || 0) - unbilledLines);
+                        if (queuedTotalAmountEl) {
+                            var currentAmt = parseFloat(queuedTotalAmountEl.textContent.replace(/[^0-9.-]/g, "") || 0);
+                            queuedTotalAmountEl.textContent = "$" + Math.max(0, currentAmt - unbilledAmount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+                        }
+                    }
+                } else {
+                    alert("Error: " + resp.message);
+                }
+            } catch (e) {
+                alert("Error processing response: " + e.toString());
+            }
+        }
+    };
+    xhr.send("action=unqueue&soId=" + soId);
+}
+
+/**
+ * Shows the unbilled line items of a row
+ */
+function showLineItemsTooltip(row) {
+    var tooltip = document.getElementById("lineItemsTooltip");
+    var tooltipContent = document.getElementById("tooltipContent");
+    var tooltipHeader = tooltip ? tooltip.querySelector(".tooltip-header") : null;
+    var so = getRowSalesOrder(row);
+    if (!tooltip || !tooltipContent || !so || so.unbilledLines.length === 0) return;
+    if (tooltipHeader) tooltipHeader.textContent = "Unbilled Line Items: " + formatMoney(so.unbilledAmount);
+    var html = "<table class=\"tooltip-table\"><tr><th>Item</th><th>Qty</th><th>Amount</th></tr>";
+    for (var i = 0; i < so.unbilledLines.length; i++) {
+        var line = so.unbilledLines[i];
+        html += "<tr><td class=\"tooltip-item\">" + escapeHtml(line.item) + "</td><td class=\"tooltip-qty\">" + line.quantity + "</td><td class=\"tooltip-amount\">" + formatMoney(line.amount) + "</td></tr>";
+    }
+    html += "</table>";
+    tooltipContent.innerHTML = html;
+    tooltip.className = "line-items-tooltip visible";
+}
+
+/**
+ * Hides the unbilled line items tooltip
+ */
+function hideLineItemsTooltip() {
+    var tooltip = document.getElementById("lineItemsTooltip");
+    if (tooltip) tooltip.className = "line-items-tooltip";
+}
+
+var jobTooltipSoId = null;
+
+/**
+ * Shows job details, the research note thread (latest three) and follow-up date of a row
+ */
+function showJobDetailsTooltip(row) {
+    var tooltip = document.getElementById("jobDetailsTooltip");
+    var tooltipContent = document.getElementById("jobDetailsContent");
+    var so = getRowSalesOrder(row);
+    if (!tooltip || !tooltipContent || !so) return;
+    jobTooltipSoId = so.soId;
+    var html = "";
+    if (so.researchNotes) {
+        // The latest note until the thread arrives
+        var thread = noteThreadsBySoId[so.soId];
+        var notesHtml = thread ? renderNoteThread(thread, 3) : escapeHtmlKeepBreaks(so.researchNotes);
+        html += "<div class=\"research-notes-section\"><div class=\"research-notes-label\">Research Notes:</div><div class=\"research-notes-value\" id=\"tooltipNoteThread\">" + notesHtml + "</div></div>";
+        if (!thread) {
+            loadNoteThread(so.soId, function(notes) {
+                var threadEl = document.getElementById("tooltipNoteThread");
+                if (jobTooltipSoId === so.soId && threadEl) threadEl.innerHTML = renderNoteThread(notes, 3);
+            });
+        }
+    }
+    if (so.followUpDate) {
+        html += "<div class=\"research-notes-section\"><div class=\"research-notes-label\">Follow Up Date:</div><div class=\"research-notes-value\">" + formatDate(so.followUpDate) + "</div></div>";
+    }
+    var details = so.jobDetails ? escapeHtmlKeepBreaks(so.jobDetails) : "None";
+    html += "<div class=\"job-detail-section full-width\"><div class=\"job-detail-label\">Job Details:</div><div class=\"job-detail-value\">" + details + "</div></div>";
+    html += "<div class=\"job-detail-columns\">";
+    html += "<div class=\"job-detail-column\">";
+    html += "<div class=\"job-detail-section\"><div class=\"job-detail-label\">Billing Completed By:</div><div class=\"job-detail-value\">" + (escapeHtml(so.billingCompletedBy) || "None") + "</div></div>";
+    html += "<div class=\"job-detail-section\"><div class=\"job-detail-label\">Job State:</div><div class=\"job-detail-value\">" + (escapeHtml(so.jobState) || "None") + "</div></div>";
+    html += "<div class=\"job-detail-section\"><div class=\"job-detail-label\">Parts Status:</div><div class=\"job-detail-value\">" + (escapeHtml(so.partsStatus) || "None") + "</div></div>";
+    html += "</div>";
+    html += "<div class=\"job-detail-column\">";
+    var formattedScheduled = formatDate(so.scheduledDate) || "None";
+    html += "<div class=\"job-detail-section\"><div class=\"job-detail-label\">Scheduled Date:</div><div class=\"job-detail-value\">" + formattedScheduled + "</div></div>";
+    var formattedStarted = formatDate(so.jobStarted) || "None";
+    html += "<div class=\"job-detail-section\"><div class=\"job-detail-label\">Job Started:</div><div class=\"job-detail-value\">" + formattedStarted + "</div></div>";
+    var formattedCompleted = formatDate(so.jobCompleted) || "None";
+    html += "<div class=\"job-detail-section\"><div class=\"job-detail-label\">Job Completed:</div><div class=\"job-detail-value\">" + formattedCompleted + "</div></div>";
+    html += "</div>";
+    html += "</div>";
+    tooltipContent.innerHTML = html;
+    tooltip.className = "job-details-tooltip visible";
+}
+
+/**
+ * Hides the job details tooltip
+ */
+function hideJobDetailsTooltip() {
+    jobTooltipSoId = null;
+    var tooltip = document.getElementById("jobDetailsTooltip");
+    if (tooltip) tooltip.className = "job-details-tooltip";
+}
+
+/**
+ * Runs the action picked in a row's dropdown
+ * @param {HTMLSelectElement} selectElement - Row action dropdown
+ * @param {string} soId - Sales Order internal ID
+ */
+function handleAction(selectElement, soId) {
+    var action = selectElement.value;
+    if (!action) return;
+    selectElement.value = "";
+    if (action === "queue") {
+        if (!confirm("Queue this Sales Order for Bill & Write-Off?\n\nThis will mark it for processing by the scheduled script.")) {
+            return;
+        }
+        showLoading();
+        var xhr = new XMLHttpRequest();
+        xhr.open("POST", SUITELET_URL, true);
+        xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+        xhr.onreadystatechange = function() {
+            if (xhr.readyState === 4) {
+                hideLoading();
+                try {
+                    var resp = JSON.parse(xhr.responseText);
+                    if (resp.success) {
+                        alert(resp.message);
+                        var queuedCell = document.getElementById("queued-cell-" + soId);
+                        if (queuedCell) {
+                            queuedCell.innerHTML = "<span class=\"queued-checkmark\">✓</span><span class=\"unqueue-x\" onclick=\"handleUnqueue(" + soId + ", event)\" title=\"Remove from queue\">✕</span>";
+                        }
+                        var checkbox = document.querySelector(".so-checkbox[value=\"" + soId + "\"]");
+                        if (checkbox) {
+                            checkbox.checked = false;
+                            checkbox.disabled = true;
+                        }
+                        var queuedTotalEl = document.getElementById("queuedTotal");
+                        var queuedTotalLinesEl = document.getElementById("queuedTotalLines");
+                        var queuedTotalAmountEl = document.getElementById("queuedTotalAmount");
+                        var so = getRowSalesOrder(selectElement.closest("tr"));
+                        if (so) {
+                            so.queuedDate = formatDate(new Date());
+                            var unbilledLines = so.unbilledLineCount;
+                            var unbilledAmount = so.unbilledAmount;
+                            if (queuedTotalEl) queuedTotalEl.textContent = parseInt(queuedTotalEl.textContent || 0) + 1;
+                            if (queuedTotalLinesEl) queuedTotalLinesEl.textContent = parseInt(queuedTotalLinesEl.textContent || 0) + unbilledLines;
+                            if (queuedTotalAmountEl) {
+                                var currentAmt = parseFloat(queuedTotalAmountEl.textContent.replace(/[^0-9.-]/g, "") || 0);
+                                queuedTotalAmountEl.textContent = "$" + (currentAmt + unbilledAmount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+                            }
+                        }
+                    } else {
+                        alert("Error: " + resp.message);
+                    }
+                } catch (e) {
+                    alert("Error processing response: " + e.toString());
+                }
+            }
+        };
+        xhr.send("action=queue&soId=" + soId);
+    } else if (action === "close") {
+        if (!confirm("Close (Cancel) this Sales Order?\n\nThis will set the status to Closed and cannot be easily undone.")) {
+            return;
+        }
+        showLoading();
+        var xhr = new XMLHttpRequest();
+        xhr.open("POST", SUITELET_URL, true);
+        xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+        xhr.onreadystatechange = function() {
+            if (xhr.readyState === 4) {
+                hideLoading();
+                try {
+                    var resp = JSON.parse(xhr.responseText);
+                    if (resp.success) {
+                        alert(resp.message);
+                        var row = selectElement.closest("tr");
+                        if (row) row.style.display = "none";
+                    } else {
+                        alert("Error: " + resp.message);
+                    }
+                } catch (e) {
+                    alert("Error processing response: " + e.toString());
+                }
+            }
+        };
+        xhr.send("action=close&soId=" + soId);
+    } else if (action === "bill") {
+        var invoiceUrl = "/app/accounting/transactions/custinvc.nl?id=" + soId + "&e=T&transform=salesord&billremaining=T&memdoc=0&whence=";
+        window.open(invoiceUrl, "_blank");
+    } else if (action === "auto-bill") {
+        if (!confirm("Automatically create invoice for this Sales Order?\n\nThis will transform and save the invoice immediately.")) {
+            return;
+        }
+        showLoading();
+        var xhr = new XMLHttpRequest();
+        xhr.open("POST", SUITELET_URL, true);
+        xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+        xhr.onreadystatechange = function() {
+            if (xhr.readyState === 4) {
+                hideLoading();
+                try {
+                    var resp = JSON.parse(xhr.responseText);
+                    if (resp.success) {
+                        alert(resp.invoiceTranid ? resp.message + " Invoice: " + resp.invoiceTranid : resp.message);
+                        var row = selectElement.closest("tr");
+                        if (row) row.style.display = "none";
+                    } else {
+                        alert("Error: " + resp.message);
+                    }
+                } catch (e) {
+                    alert("Error processing response: " + e.toString());
+                }
+            }
+        };
+        xhr.send("action=auto-bill&soId=" + soId);
+    } else if (action === "cbsi-bill-je") {
+        openCBSIPreview([soId], function() { submitSingleCBSI(soId, selectElement); });
+    } else if (action === "partial-lines") {
+        openLinePicker(soId, selectElement.closest("tr"));
+    } else if (action === "add-note") {
+        openResearchNoteModal(soId, selectElement.closest("tr"));
+    }
+}
+
+/**
+ * Posts CBSI Bill and JE for one Sales Order once its preview is confirmed
+ */
+function submitSingleCBSI(soId, selectElement) {
+    showLoading();
+    var xhr = new XMLHttpRequest();
+    xhr.open("POST", SUITELET_URL, true);
+    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            hideLoading();
+            try {
+                var resp = JSON.parse(xhr.responseText);
+                if (resp.success) {
+                    if (resp.routing && resp.routing.decision === "close") {
+                        alert(resp.message);
+                    } else {
+                        alert(resp.message + "\n\nInvoice: " + resp.invoiceTranid + "\nJE: " + resp.jeTranid + "\nAmount: $" + resp.amount.toFixed(2));
+                    }
+                    var row = selectElement.closest("tr");
+                    if (row) row.style.display = "none";
+                } else {
+                    alert("Error: " + resp.message);
+                }
+            } catch (e) {
+                alert("Error processing response: " + e.toString());
+            }
+        }
+    };
+    xhr.send("action=cbsi-bill-je&soId=" + soId);
+}
+
+var cbsiPreviewConfirmFn = null;
+
+/**
+ * Requests a CBSI preview (nothing is saved) and opens it for confirmation
+ * @param {Array} soIds - Sales Order internal IDs
+ * @param {Function} onConfirm - Called when the user confirms the preview
+ */
+function openCBSIPreview(soIds, onConfirm) {
+    showLoading();
+    var xhr = new XMLHttpRequest();
+    xhr.open("POST", SUITELET_URL, true);
+    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            hideLoading();
+            try {
+                var resp = JSON.parse(xhr.responseText);
+                if (!resp.success) {
+                    alert("Error: " + resp.message);
+                    return;
+                }
+                renderCBSIPreview(resp);
+                cbsiPreviewConfirmFn = onConfirm;
+                document.getElementById("cbsiPreviewModal").style.display = "flex";
+            } catch (e) {
+                alert("Error processing response: " + e.toString());
+            }
+        }
+    };
+    xhr.send("action=cbsi-bill-je&preview=T&selectedSOIds=" + soIds.join(","));
+}
+
+/**
+ * Appends a text cell to a preview table row
+ */
+function previewCell(tr, text, className) {
+    var td = document.createElement("td");
+    td.textContent = text;
+    if (className) td.className = className;
+    tr.appendChild(td);
+}
+
+/**
+ * Formats an amount for the CBSI preview
+ */
+function previewMoney(value) {
+    return value ? "$" + parseFloat(value).toFixed(2) : "";
+}
+
+/**
+ * Renders the invoice and JE lines of each previewed Sales Order
+ */
+function renderCBSIPreview(resp) {
+    var summary = document.getElementById("cbsiPreviewSummary");
+    var content = document.getElementById("cbsiPreviewContent");
+    var okCount = 0;
+    content.innerHTML = "";
+    for (var i = 0; i < resp.previews.length; i++) {
+        var p = resp.previews[i];
+        var box = document.createElement("div");
+        box.className = "cbsi-preview-so" + (p.success ? "" : " cbsi-preview-error");
+        var header = document.createElement("div");
+        header.className = "cbsi-preview-so-header";
+        box.appendChild(header);
+        if (!p.success) {
+            header.textContent = "SO #" + p.soId + ": " + p.message;
+            content.appendChild(box);
+            continue;
+        }
+        if (p.routing.decision === "block") {
+            box.className += " cbsi-preview-error";
+            header.textContent = "SO " + p.soNumber + ": " + p.routing.message;
+            content.appendChild(box);
+            continue;
+        }
+        okCount++;
+        if (p.routing.decision === "close") {
+            header.textContent = "SO " + p.soNumber + ": invoice total would be $0.00 - the Sales Order will be closed instead of billed.";
+            content.appendChild(box);
+            continue;
+        }
+        header.textContent = "SO " + p.soNumber + " → Invoice to " + p.customer + ": $" + p.invoiceTotal.toFixed(2) + " (" + p.invoiceLines.length + " line(s)), applied with payment method " + p.paymentMethod;
+        var table = document.createElement("table");
+        table.className = "cbsi-preview-table";
+        var head = document.createElement("tr");
+        var cols = ["Account", "Debit", "Credit", "Department", "Name", "Memo"];
+        for (var c = 0; c < cols.length; c++) {
+            var th = document.createElement("th");
+            th.textContent = cols[c];
+            head.appendChild(th);
+        }
+        table.appendChild(head);
+        for (var j = 0; j < p.jeLines.length; j++) {
+            var line = p.jeLines[j];
+            var tr = document.createElement("tr");
+            previewCell(tr, line.account);
+            previewCell(tr, previewMoney(line.debit), "cbsi-preview-amount");
+            previewCell(tr, previewMoney(line.credit), "cbsi-preview-amount");
+            previewCell(tr, line.department);
+            previewCell(tr, line.name);
+            previewCell(tr, line.memo);
+            table.appendChild(tr);
+        }
+        box.appendChild(table);
+        content.appendChild(box);
+    }
+    summary.textContent = resp.message + " Total to write off: $" + resp.totalAmount.toFixed(2);
+    document.getElementById("cbsiPreviewConfirm").disabled = (okCount === 0);
+}
+
+/**
+ * Closes the CBSI preview without posting
+ */
+function closeCBSIPreview() {
+    document.getElementById("cbsiPreviewModal").style.display = "none";
+    cbsiPreviewConfirmFn = null;
+}
+
+/**
+ * Closes the CBSI preview and runs the confirmed action
+ */
+function confirmCBSIPreview() {
+    var fn = cbsiPreviewConfirmFn;
+    closeCBSIPreview();
+    if (fn) fn();
+}
+
+var linePickerSOId = null;
+var linePickerRow = null;
+var linePickerLines = [];
+
+/**
+ * Opens the Bill / Close Lines picker for a Sales Order
+ */
+function openLinePicker(soId, row) {
+    var so = getRowSalesOrder(row);
+    var lines = so ? so.unbilledLines : [];
+    if (lines.length === 0) {
+        alert("No unbilled lines found for this Sales Order. Reload the page and try again.");
+        return;
+    }
+    hideLineItemsTooltip();
+    linePickerSOId = soId;
+    linePickerRow = row;
+    linePickerLines = lines;
+    var soLink = row.querySelector(".col-slate a");
+    document.getElementById("linePickerTitle").textContent = "Sales Order " + (soLink ? soLink.textContent : "#" + soId) + ": choose what happens to each unbilled line. Lines left open stay on the Sales Order.";
+    var body = document.getElementById("linePickerBody");
+    body.innerHTML = "";
+    var choices = ["bill", "close", "open"];
+    for (var i = 0; i < lines.length; i++) {
+        var tr = document.createElement("tr");
+        previewCell(tr, lines[i].item);
+        previewCell(tr, String(lines[i].quantity), "cbsi-preview-amount");
+        previewCell(tr, "$" + lines[i].amount.toFixed(2), "cbsi-preview-amount");
+        for (var c = 0; c < choices.length; c++) {
+            var td = document.createElement("td");
+            td.className = "line-picker-choice";
+            var radio = document.createElement("input");
+            radio.type = "radio";
+            radio.name = "lineChoice_" + lines[i].lineId;
+            radio.value = choices[c];
+            radio.checked = (choices[c] === "open");
+            radio.onchange = updateLinePickerSummary;
+            td.appendChild(radio);
+            tr.appendChild(td);
+        }
+        body.appendChild(tr);
+    }
+    updateLinePickerSummary();
+    document.getElementById("linePickerModal").style.display = "flex";
+}
+
+/**
+ * Collects the picker choices into bill and close line ID lists
+ */
+function getLinePickerChoices() {
+    var result = { bill: [], close: [], open: [], billAmount: 0, closeAmount: 0 };
+    for (var i = 0; i < linePickerLines.length; i++) {
+        var line = linePickerLines[i];
+        var checked = document.querySelector("input[name=\"lineChoice_" + line.lineId + "\"]:checked");
+        var choice = checked ? checked.value : "open";
+        result[choice].push(line.lineId);
+        if (choice === "bill") result.billAmount += line.amount;
+        if (choice === "close") result.closeAmount += line.amount;
+    }
+    return result;
+}
+
+/**
+ * Shows how many lines will be billed, closed and left open
+ */
+function updateLinePickerSummary() {
+    var choices = getLinePickerChoices();
+    document.getElementById("linePickerSummary").textContent = "Bill: " + choices.bill.length + " line(s), $" + choices.billAmount.toFixed(2) + "  |  Close: " + choices.close.length + " line(s), $" + choices.closeAmount.toFixed(2) + "  |  Leave open: " + choices.open.length + " line(s)";
+    document.getElementById("linePickerApply").disabled = (choices.bill.length === 0 && choices.close.length === 0);
+}
+
+/**
+ * Closes the line picker without changes
+ */
+function closeLinePicker() {
+    document.getElementById("linePickerModal").style.display = "none";
+    linePickerSOId = null;
+    linePickerRow = null;
+    linePickerLines = [];
+}
+
+/**
+ * Posts action=partial-lines with the chosen lines
+ */
+function applyLinePicker() {
+    var choices = getLinePickerChoices();
+    if (choices.bill.length === 0 && choices.close.length === 0) return;
+    if (!confirm("Bill " + choices.bill.length + " line(s) and close " + choices.close.length + " line(s) on this Sales Order?\n\nBilled lines are invoiced immediately; closed lines cannot be easily reopened.")) {
+        return;
+    }
+    var soId = linePickerSOId;
+    var row = linePickerRow;
+    var lines = linePickerLines;
+    closeLinePicker();
+    showLoading();
+    var xhr = new XMLHttpRequest();
+    xhr.open("POST", SUITELET_URL, true);
+    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            hideLoading();
+            try {
+                var resp = JSON.parse(xhr.responseText);
+                if (resp.success) {
+                    alert(resp.message);
+                    removePickedLines(soId, row, lines, resp.billedLines.concat(resp.closedLines));
+                } else {
+                    alert("Error: " + resp.message);
+                }
+            } catch (e) {
+                alert("Error processing response: " + e.toString());
+            }
+        }
+    };
+    xhr.send("action=partial-lines&soId=" + soId + "&billLineIds=" + choices.bill.join(",") + "&closeLineIds=" + choices.close.join(","));
+}
+
+/**
+ * Drops billed / closed lines from a row's Sales Order, removing the row once no unbilled lines remain
+ */
+function removePickedLines(soId, row, lines, doneLineIds) {
+    var remaining = [];
+    var remainingAmount = 0;
+    for (var i = 0; i < lines.length; i++) {
+        if (doneLineIds.indexOf(lines[i].lineId) < 0) {
+            remaining.push(lines[i]);
+            remainingAmount += lines[i].amount;
+        }
+    }
+    if (remaining.length === 0) {
+        row.style.display = "none";
+        return;
+    }
+    var so = getRowSalesOrder(row);
+    if (so) {
+        so.unbilledLines = remaining;
+        so.unbilledLineCount = remaining.length;
+        so.unbilledAmount = remainingAmount;
+    }
+    var linesCell = document.getElementById("unbilled-lines-cell-" + soId);
+    var amountCell = document.getElementById("unbilled-amount-cell-" + soId);
+    if (linesCell) linesCell.textContent = remaining.length;
+    if (amountCell) amountCell.textContent = formatMoney(remainingAmount);
+}
+
+var currentNoteSOId = null;
+var currentNoteRow = null;
+var currentNoteBulkSOIds = null;
+var noteThreadsBySoId = {};
+
+/**
+ * Opens the research note modal for a Sales Order: its note thread above an empty box for a new note
+ * @param {string} soId - Sales Order internal ID
+ * @param {HTMLElement} row - Table row
+ */
+function openResearchNoteModal(soId, row) {
+    currentNoteSOId = soId;
+    currentNoteRow = row;
+    var modal = document.getElementById("researchNoteModal");
+    var textarea = document.getElementById("researchNoteInput");
+    var dateInput = document.getElementById("followUpDateInput");
+    var thread = document.getElementById("researchNoteThread");
+    if (modal && textarea) {
+        setResearchNoteModalMode(null);
+        textarea.value = "";
+        if (dateInput) {
+            var so = getRowSalesOrder(row);
+            dateInput.value = so ? toInputDate(so.followUpDate) : "";
+        }
+        if (thread) {
+            thread.innerHTML = "<div class=\"note-entry-meta\">Loading notes...</div>";
+            loadNoteThread(soId, function(notes) {
+                if (currentNoteSOId === soId) thread.innerHTML = renderNoteThread(notes, 0);
+            });
+        }
+        modal.style.display = "flex";
+        textarea.focus();
+    }
+}
+
+/**
+ * Opens the research note modal for the selected Sales Orders: one note and follow-up date for all
+ * @param {Array} soIds - Selected Sales Order IDs
+ */
+function openBulkResearchNoteModal(soIds) {
+    var modal = document.getElementById("researchNoteModal");
+    var textarea = document.getElementById("researchNoteInput");
+    var dateInput = document.getElementById("followUpDateInput");
+    if (modal && textarea) {
+        setResearchNoteModalMode(soIds);
+        textarea.value = "";
+        if (dateInput) dateInput.value = "";
+        modal.style.display = "flex";
+        textarea.focus();
+    }
+}
+
+/**
+ * Switches the research note modal between one SO (thread shown) and the selected SOs (append / replace shown)
+ * @param {Array|null} soIds - Selected Sales Order IDs, or null for one SO
+ */
+function setResearchNoteModalMode(soIds) {
+    currentNoteBulkSOIds = soIds;
+    var thread = document.getElementById("researchNoteThread");
+    var label = document.getElementById("researchNoteLabel");
+    var modeRow = document.getElementById("researchNoteModeRow");
+    var modeSelect = document.getElementById("researchNoteModeSelect");
+    if (thread) {
+        thread.innerHTML = "";
+        thread.style.display = soIds ? "none" : "";
+    }
+    if (label) {
+        label.textContent = soIds ? "Add a note to the " + soIds.length + " selected Sales Orders:" : "Add a note to this Sales Order:";
+    }
+    if (modeRow) modeRow.style.display = soIds ? "" : "none";
+    if (modeSelect) modeSelect.value = "append";
+}
+
+/**
+ * Gets a Sales Order's note thread (newest first), from the cache once fetched
+ * @param {string} soId - Sales Order internal ID
+ * @param {Function} callback - Called with the notes; not called when the request fails
+ */
+function loadNoteThread(soId, callback) {
+    if (noteThreadsBySoId[soId]) {
+        callback(noteThreadsBySoId[soId]);
+        return;
+    }
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", SUITELET_URL + "&action=note-thread&soId=" + encodeURIComponent(soId), true);
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState !== 4) return;
+        try {
+            var resp = JSON.parse(xhr.responseText);
+            if (resp.success) {
+                noteThreadsBySoId[soId] = resp.notes;
+                callback(resp.notes);
+            }
+        } catch (e) {
+            console.error("Error loading research notes:", e);
+        }
+    };
+    xhr.send();
+}
+
+/**
+ * @param {Array} notes - Note thread, newest first
+ * @param {number} [limit] - Most entries to show (0 or omitted for all); the rest are counted
+ * @returns {string} Thread HTML
+ */
+function renderNoteThread(notes, limit) {
+    if (!notes || notes.length === 0) {
+        return "<div class=\"note-entry-meta\">No research notes yet.</div>";
+    }
+    var shown = limit ? notes.slice(0, limit) : notes;
+    var html = shown.map(function(n) {
+        var meta = n.legacy ? "Earlier note (before note history)" : escapeHtml(n.authorName || "Unknown user") + " · " + escapeHtml(n.created);
+        if (n.followUpDate) meta += " · Follow up " + formatDate(n.followUpDate);
+        return "<div class=\"note-entry\"><div class=\"note-entry-meta\">" + meta + "</div>" +
+            "<div class=\"note-entry-text\">" + escapeHtmlKeepBreaks(n.note) + "</div></div>";
+    }).join("");
+    if (shown.length < notes.length) {
+        html += "<div class=\"note-entry-meta\">+ " + (notes.length - shown.length) + " earlier note(s)</div>";
+    }
+    return html;
+}
+
+/**
+ * Closes the research note modal
+ */
+function closeResearchNoteModal() {
+    var modal = document.getElementById("researchNoteModal");
+    if (modal) modal.style.display = "none";
+    currentNoteSOId = null;
+    currentNoteRow = null;
+    currentNoteBulkSOIds = null;
+}
+
+/**
+ * Adds the note to the thread (if one was typed) and saves the follow-up date, then updates the row.
+ * Opened for the selected SOs, posts them as bulk add-note instead.
+ */
+function saveResearchNote() {
+    var textarea = document.getElementById("researchNoteInput");
+    var dateInput = document.getElementById("followUpDateInput");
+    var newNote = textarea ? textarea.value.trim() : "";
+    var followUpDate = dateInput ? dateInput.value : "";
+    if (currentNoteBulkSOIds) {
+        saveBulkResearchNote(currentNoteBulkSOIds, newNote, followUpDate);
+        return;
+    }
+    var soId = currentNoteSOId;
+    var row = currentNoteRow;
+    closeResearchNoteModal();
+    var so = getRowSalesOrder(row);
+    if (so) {
+        if (newNote) so.researchNotes = so.researchNotes ? so.researchNotes + "\n\n" + newNote : newNote;
+        so.followUpDate = formatDate(followUpDate) || null;
+        updateResearchNoteCells(so);
+    }
+    applyFilters();
+    var xhr = new XMLHttpRequest();
+    xhr.open("POST", SUITELET_URL, true);
+    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            try {
+                var resp = JSON.parse(xhr.responseText);
+                if (!resp.success) {
+                    alert("Error saving research note: " + resp.message + "\n\nPlease refresh the page.");
+                } else if (resp.notes) {
+                    noteThreadsBySoId[soId] = resp.notes;
+                    if (so && resp.researchNotes) so.researchNotes = resp.researchNotes;
+                }
+            } catch (e) {
+                console.error("Error processing response:", e);
+            }
+        }
+    };
+    xhr.send("action=add-note&soId=" + soId + "&note=" + encodeURIComponent(newNote) + "&followUpDate=" + encodeURIComponent(followUpDate));
+}
+
+/**
+ * Posts one note and follow-up date for the selected SOs; an empty note and date is refused rather than
+ * clearing every follow-up date
+ */
+function saveBulkResearchNote(soIds, newNote, followUpDate) {
+    if (!newNote && !followUpDate) {
+        alert("Enter a note or a follow-up date to apply to the selected Sales Orders.");
+        return;
+    }
+    var modeSelect = document.getElementById("researchNoteModeSelect");
+    var noteMode = modeSelect && modeSelect.value === "replace" ? "replace" : "append";
+    closeResearchNoteModal();
+    submitBulkAction("add-note", soIds, "&note=" + encodeURIComponent(newNote) + "&noteMode=" + noteMode + "&followUpDate=" + encodeURIComponent(followUpDate));
+}
+
+/**
+ * Shows a Sales Order's note icon and follow-up date cell from its model
+ * @param {Object} so - Sales Order
+ */
+function updateResearchNoteCells(so) {
+    var noteIcon = document.getElementById("note-icon-" + so.soId);
+    if (noteIcon) {
+        noteIcon.style.display = so.researchNotes ? "inline" : "none";
+    }
+    var followUpCell = document.getElementById("follow-up-cell-" + so.soId);
+    if (followUpCell) {
+        followUpCell.textContent = formatDate(so.followUpDate);
+    }
+}
@@ -5,23 +5,98 @@
  * 
  * Service Write-Off Portal
  * 
- * Purpose: Displays Service Department (Dept 13) Sales Orders with unbilled line items.
+ * Purpose: Displays Service Department Sales Orders with unbilled line items.
  * Allows bulk selection and processing via "Bill & Write-Off" action.
  * 
  * User can select multiple SOs via checkboxes and submit for bulk processing.
- * Scheduled script will:
+ * The Map/Reduce script service_writeoff_queue_processor_mr.js drains the queue:
  * 1. Transform SO to Invoice
- * 2. If invoice total > $0, create write-off Credit Memo with item 306698
+ * 2. If invoice total > $0, create write-off Credit Memo with the configured write-off item
  * 3. Apply credit memo to invoice
+ * 4. Clear the queue date and stamp the result on custbody_service_write_off_result
  * 
- * Query Logic: Finds Sales Orders in department 13 with unbilled line items:
+ * Bulk Close / Auto-Bill / CBSI are submitted as a background job run by
+ * service_writeoff_bulk_action_mr.js; the page polls action=job-status for progress.
+ * 
+ * Every action (single and bulk) writes a customrecord_service_wo_audit ledger entry,
+ * listed on the History tab via action=history.
+ * 
+ * Research notes are an append-only thread per SO (customrecord_service_wo_note, action=note-thread);
+ * add-note adds an entry and mirrors it onto the SO's research note field. bulkAction=add-note applies
+ * one note (appended to or replacing each SO's note field) and follow-up date to every selected SO inline.
+ * 
+ * The Follow-Ups tab (action=follow-ups) lists research note follow-ups due today or overdue, grouped
+ * by the author of the latest note thread entry. service_writeoff_followup_digest_ss.js emails each of them a
+ * daily digest linking back here with soIds=..., which limits the table to those SOs and loads it.
+ * 
+ * CBSI (single and bulk) first posts with preview=T, which returns the invoice total and proposed
+ * JE lines without saving anything; the real run only starts once the user confirms the preview.
+ * 
+ * Auto-Bill and CBSI route each SO by its prospective invoice total (pre-flight, nothing saved):
+ * $0 closes the SO instead of billing it, a negative total is blocked, a positive total is billed.
+ * The routing decision is returned with each result.
+ * 
+ * Bill / Close Lines (action=partial-lines) works below the SO level: clicking an SO's unbilled line
+ * count opens a line picker, and only the chosen lines are invoiced (billLineIds) or closed
+ * (closeLineIds); the rest stay open on the SO.
+ * 
+ * The browser-side logic lives in service_writeoff_portal_client.js, which must sit next to this
+ * Suitelet in the File Cabinet. The page loads it by URL and only emits SUITELET_URL, the user's
+ * FILTER_PRESETS and the AGE_BUCKETS before it.
+ * 
+ * Aging: the client counts each SO's age in days from its ship date, job completed date or SO date
+ * (ageBasisSelect) and buckets it by AGE_BUCKETS for the Age column, the age chips and the aging cards.
+ * 
+ * Filter presets (customrecord_service_wo_filter_preset) save the filter checkboxes, search text and
+ * sort column under a name, per user or shared with the team; action=save-preset / delete-preset
+ * return the refreshed list.
+ * 
+ * Environment-specific IDs (CBSI customer, JE accounts, Service department, payment method,
+ * write-off item) come from the customrecord_service_wo_settings record, validated on page load.
+ * 
+ * Query Logic: Finds Sales Orders in the Service department with unbilled line items:
  * - Status NOT IN ('H' Closed, 'G' Billed)
  * - Has line items not yet invoiced (NOT EXISTS check)
  * - Aggregates unbilled lines and amounts per SO
+ * - Runs paged (runSuiteQLPaged); the page requests the rows in chunks of LOAD_PAGE_SIZE, each one
+ *   starting after the last SO internal ID loaded, and appends each chunk as it arrives, while the
+ *   summary cards come from a separate aggregate query
  */
 
-define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime'],
-    function(serverWidget, query, log, url, record, runtime) {
+define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime', 'N/task', 'N/file', './service_writeoff_lib'],
+    function(serverWidget, query, log, url, record, runtime, task, file, writeOffLib) {
+
+        /**
+         * Browser-side portal logic, kept in the File Cabinet next to this Suitelet
+         */
+        var CLIENT_SCRIPT_PATH = './service_writeoff_portal_client.js';
+
+        /**
+         * Sales Orders per load-data chunk; the client keeps requesting the chunk after the last SO loaded until it has them all
+         */
+        var LOAD_PAGE_SIZE = 500;
+
+        /**
+         * Aging buckets for the Age column, the age filter chips and the aging summary cards, in days
+         * since the selected date (ship date, job completed or SO date). maxDays is inclusive; the last
+         * bucket is open-ended. SOs without the selected date fall in a separate "No Date" bucket.
+         */
+        var AGE_BUCKETS = [
+            { key: '0-30', label: '0–30', maxDays: 30 },
+            { key: '31-60', label: '31–60', maxDays: 60 },
+            { key: '61-90', label: '61–90', maxDays: 90 },
+            { key: '91-180', label: '91–180', maxDays: 180 },
+            { key: '180-plus', label: '180+', maxDays: null }
+        ];
+
+        /**
+         * Dates the age can be counted from: Sales Order model field -> label
+         */
+        var AGE_BASES = [
+            { field: 'shipDate', label: 'Ship Date' },
+            { field: 'jobCompleted', label: 'Job Completed' },
+            { field: 'soDate', label: 'SO Date' }
+        ];
 
         /**
          * Handles GET requests to the Suitelet
@@ -48,6 +123,17 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             });
             
             try {
+                // Check if this is a filter preset save / delete (no Sales Order involved)
+                if (params.action === 'save-preset') {
+                    log.debug('handlePost - Routing to handleSaveFilterPreset', { name: params.name, shared: params.shared });
+                    return handleSaveFilterPreset(context);
+                }
+                
+                if (params.action === 'delete-preset' && params.presetId) {
+                    log.debug('handlePost - Routing to handleDeleteFilterPreset', { presetId: params.presetId });
+                    return handleDeleteFilterPreset(context);
+                }
+                
                 // Check if this is a close action
                 if (params.action === 'close' && params.soId) {
                     log.debug('handlePost - Routing to handleCloseSalesOrder', { soId: params.soId });
@@ -60,6 +146,12 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                     return handleAutoBillSalesOrder(context);
                 }
                 
+                // Check if this is a CBSI preview (single soId or bulk selectedSOIds) - nothing is saved
+                if (params.action === 'cbsi-bill-je' && params.preview === 'T') {
+                    log.debug('handlePost - Routing to handleCBSIPreview', { soId: params.soId, selectedSOIds: params.selectedSOIds });
+                    return handleCBSIPreview(context);
+                }
+                
                 // Check if this is a CBSI bill and JE action
                 if (params.action === 'cbsi-bill-je' && params.soId) {
                     log.debug('handlePost - Routing to handleCBSIBillAndJE', { soId: params.soId });
@@ -78,6 +170,12 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                     return handleUnqueueSalesOrder(context);
                 }
                 
+                // Check if this is a line-level bill / close action
+                if (params.action === 'partial-lines' && params.soId) {
+                    log.debug('handlePost - Routing to handlePartialLines', { soId: params.soId, billLineIds: params.billLineIds, closeLineIds: params.closeLineIds });
+                    return handlePartialLines(context);
+                }
+                
                 // Check if this is an add-note action
                 if (params.action === 'add-note' && params.soId) {
                     log.debug('handlePost - Routing to handleAddResearchNote', { soId: params.soId });
@@ -102,17 +200,15 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 
                 log.audit('Bulk Action', 'Processing ' + bulkAction + ' for ' + soIdArray.length + ' Sales Orders: ' + soIdArray.join(', '));
                 
-                // Route to appropriate bulk handler
-                if (bulkAction === 'close') {
-                    return handleBulkClose(context, soIdArray);
-                } else if (bulkAction === 'auto-bill') {
-                    return handleBulkAutoBill(context, soIdArray);
-                } else if (bulkAction === 'cbsi-bill-je') {
-                    return handleBulkCBSI(context, soIdArray);
+                // Close / Auto-Bill / CBSI run as a background job; queue stays inline (4 units per SO)
+                if (writeOffLib.BULK_ACTIONS.indexOf(bulkAction) >= 0) {
+                    return handleSubmitBulkJob(context, bulkAction, soIdArray);
                 }
                 
-                // Get today's date
-                var todayDate = new Date();
+                // Notes stay inline too (about 25 units per SO)
+                if (bulkAction === 'add-note') {
+                    return handleBulkAddNote(context, soIdArray);
+                }
                 
                 // Update each SO with queue date using record.submitFields (only 4 governance units per record)
                 var queuedIds = [];
@@ -121,22 +217,13 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 for (var i = 0; i < soIdArray.length; i++) {
                     var soId = soIdArray[i];
                     try {
-                        record.submitFields({
-                            type: record.Type.SALES_ORDER,
-                            id: soId,
-                            values: {
-                                custbody_service_queued_for_write_off: todayDate
-                            },
-                            options: {
-                                enableSourcing: false,
-                                ignoreMandatoryFields: true
-                            }
-                        });
+                        writeOffLib.queueSalesOrder(soId);
                         queuedIds.push(soId);
-                        log.audit('SO Queued', 'Sales Order ' + soId + ' queued for write-off on ' + todayDate.toISOString());
+                        writeOffLib.writeAuditEntry({ action: 'queue', soId: soId, success: true, bulk: true });
                     } catch (e) {
                         failedIds.push(soId);
                         log.error('Queue Error', 'Failed to queue SO ' + soId + ': ' + e.toString());
+                        writeOffLib.writeAuditEntry({ action: 'queue', soId: soId, success: false, bulk: true, error: e.toString() });
                     }
                 }
                 
@@ -162,43 +249,6 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             }
         }
 
-        /**
-         * Extracts a user-friendly error message from a NetSuite error object
-         * @param {Error} error - The error object
-         * @returns {string} Clean error message
-         */
-        function getCleanErrorMessage(error) {
-            if (!error) return 'Unknown error';
-            
-            // Try to get the message property first
-            var message = error.message || error.toString();
-            
-            // Common error patterns to simplify
-            if (message.indexOf('Address Validation Failed') >= 0) {
-                return 'Address validation error: Shipping address contains phone number. Please fix the address on this Sales Order.';
-            }
-            
-            if (message.indexOf('Please enter value(s) for:') >= 0) {
-                // Extract the field name
-                var match = message.match(/Please enter value\(s\) for: (.+?)(?:\n|$)/);
-                if (match) {
-                    return 'Missing required field: ' + match[1];
-                }
-                return message; // Return as-is if we can't parse it
-            }
-            
-            // If the message is very long or contains stack traces, try to get just the first line
-            if (message.length > 200 || message.indexOf('\\n') >= 0) {
-                var firstLine = message.split('\\n')[0];
-                if (firstLine.length > 200) {
-                    return firstLine.substring(0, 200) + '...';
-                }
-                return firstLine;
-            }
-            
-            return message;
-        }
-
         /**
          * Handles closing a Sales Order
          */
@@ -210,41 +260,10 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             log.debug('handleCloseSalesOrder - START', { soId: soId });
             
             try {
-                log.debug('handleCloseSalesOrder - Loading SO record', { soId: soId });
+                // Same close as the bulk and Map/Reduce paths
+                var closeResult = writeOffLib.closeSalesOrder(soId);
                 
-                // Load and close the sales order
-                var soRecord = record.load({
-                    type: record.Type.SALES_ORDER,
-                    id: soId
-                });
-                
-                log.debug('handleCloseSalesOrder - SO loaded successfully', {
-                    soId: soId,
-                    currentStatus: soRecord.getValue({ fieldId: 'orderstatus' }),
-                    currentStatusText: soRecord.getText({ fieldId: 'orderstatus' })
-                });
-                
-                log.debug('handleCloseSalesOrder - Attempting to close by setting line items', { soId: soId });
-                
-                // Close all line items instead of setting orderstatus directly
-                var lineCount = soRecord.getLineCount({ sublistId: 'item' });
-                
-                log.debug('handleCloseSalesOrder - Line count', { lineCount: lineCount });
-                
-                for (var i = 0; i < lineCount; i++) {
-                    soRecord.setSublistValue({
-                        sublistId: 'item',
-                        fieldId: 'isclosed',
-                        line: i,
-                        value: true
-                    });
-                }
-                
-                log.debug('handleCloseSalesOrder - All lines marked as closed, saving...', { soId: soId });
-                
-                var savedId = soRecord.save();
-                
-                log.audit('SO Closed', 'Sales Order ' + soId + ' closed successfully. Saved ID: ' + savedId);
+                writeOffLib.writeAuditEntry({ action: 'close', soId: soId, success: true, details: closeResult });
                 
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
@@ -272,8 +291,9 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 
                 log.error('Close SO Error - DETAILED', errorDetails);
                 
-                var cleanMessage = getCleanErrorMessage(e);
+                var cleanMessage = writeOffLib.getCleanErrorMessage(e);
                 log.error('Close SO Error - Simple', 'Failed to close SO ' + soId + ': ' + cleanMessage);
+                writeOffLib.writeAuditEntry({ action: 'close', soId: soId, success: false, error: cleanMessage });
                 
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
@@ -294,38 +314,23 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             log.debug('handleAutoBillSalesOrder - START', { soId: soId });
             
             try {
-                log.debug('handleAutoBillSalesOrder - Transforming SO to Invoice', { soId: soId });
-                
-                // Transform SO to Invoice
-                var invoiceRecord = record.transform({
-                    fromType: record.Type.SALES_ORDER,
-                    fromId: soId,
-                    toType: record.Type.INVOICE,
-                    isDynamic: false
-                });
+                // Pre-flight routes by total: $0 closes the SO instead, negative is blocked
+                var invoiceResult = writeOffLib.autoBillSalesOrder(soId);
+                var closedInstead = (invoiceResult.routing.decision === 'close');
                 
-                log.debug('handleAutoBillSalesOrder - Invoice transformed, saving...', { soId: soId });
-                
-                // Save the invoice and capture tranid
-                var invoiceId = invoiceRecord.save({
-                    enableSourcing: true,
-                    ignoreMandatoryFields: false
-                });
-                
-                // Get the invoice tranid
-                var invoiceTranid = invoiceRecord.getValue({ fieldId: 'tranid' });
-                
-                log.audit('SO Auto-Billed', 'Sales Order ' + soId + ' transformed to Invoice ' + invoiceTranid + ' (ID: ' + invoiceId + ')');
+                log.audit('SO Auto-Billed', 'Sales Order ' + soId + ': ' + invoiceResult.routing.message + (closedInstead ? '' : ' Invoice ' + invoiceResult.invoiceTranid + ' (ID: ' + invoiceResult.invoiceId + ')'));
+                writeOffLib.writeAuditEntry({ action: 'auto-bill', soId: soId, success: true, invoiceId: invoiceResult.invoiceId, amount: invoiceResult.routing.total, details: invoiceResult });
                 
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
                     success: true, 
-                    message: 'Invoice created successfully.',
-                    invoiceTranid: invoiceTranid,
-                    invoiceId: invoiceId
+                    message: closedInstead ? invoiceResult.routing.message : 'Invoice created successfully.',
+                    routing: invoiceResult.routing,
+                    invoiceTranid: invoiceResult.invoiceTranid,
+                    invoiceId: invoiceResult.invoiceId
                 }));
             } catch (e) {
-                var cleanMessage = getCleanErrorMessage(e);
+                var cleanMessage = writeOffLib.getCleanErrorMessage(e);
                 
                 log.error('Auto-Bill Error', {
                     soId: soId,
@@ -335,16 +340,20 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                     cleanMessage: cleanMessage,
                     stack: e.stack || 'No stack trace available'
                 });
+                writeOffLib.writeAuditEntry({ action: 'auto-bill', soId: soId, success: false, error: cleanMessage, details: e.routing ? { routing: e.routing } : null });
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
                     success: false, 
-                    message: 'Error creating invoice: ' + cleanMessage
+                    message: (e.routing ? '' : 'Error creating invoice: ') + cleanMessage,
+                    routing: e.routing || null
                 }));
             }
         }
 
         /**
-         * Handles CBSI Bill and JE - Creates invoice with entity 335, creates JE, applies JE to invoice
+         * Handles CBSI Bill and JE - Creates invoice to the CBSI customer, creates JE, applies JE to invoice.
+         * Runs the shared engine in writeOffLib.cbsiBillAndJE; on failure every record already created
+         * is rolled back (newest first) and the response reports what was and was not undone.
          */
         function handleCBSIBillAndJE(context) {
             var response = context.response;
@@ -354,384 +363,111 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             try {
                 log.audit('CBSI Bill and JE Started', 'Processing SO ' + soId);
                 
-                // STEP 1: Transform SO to Invoice and change entity to 335 (CBSI)
-                var invoiceRecord = record.transform({
-                    fromType: record.Type.SALES_ORDER,
-                    fromId: soId,
-                    toType: record.Type.INVOICE,
-                    isDynamic: false
-                });
-                
-                // Change entity to 335 (CBSI)
-                invoiceRecord.setValue({
-                    fieldId: 'entity',
-                    value: 335
-                });
-                
-                // Save the invoice
-                var invoiceId = invoiceRecord.save({
-                    enableSourcing: true,
-                    ignoreMandatoryFields: true
-                });
-                
-                // Reload to get accurate values
-                invoiceRecord = record.load({
-                    type: record.Type.INVOICE,
-                    id: invoiceId
-                });
-                
-                var invoiceTranid = invoiceRecord.getValue({ fieldId: 'tranid' });
-                var invoiceTotal = Math.abs(parseFloat(invoiceRecord.getValue({ fieldId: 'total' }) || 0));
+                var cbsiResult = writeOffLib.cbsiBillAndJE(soId);
                 
-                log.audit('Invoice Created', 'Invoice ' + invoiceTranid + ' (ID: ' + invoiceId + ') with total: $' + invoiceTotal);
-                
-                // STEP 2: Create Journal Entry
-                var jeRecord = record.create({
-                    type: record.Type.JOURNAL_ENTRY,
-                    isDynamic: false
-                });
-                
-                var jeMemo = 'Automated CBSI Adjustment ' + invoiceTranid;
-                jeRecord.setValue({ fieldId: 'memo', value: jeMemo });
-                
-                // Line 1: Debit Account 470, Dept 13
-                jeRecord.setSublistValue({
-                    sublistId: 'line',
-                    fieldId: 'account',
-                    line: 0,
-                    value: 470
-                });
-                jeRecord.setSublistValue({
-                    sublistId: 'line',
-                    fieldId: 'debit',
-                    line: 0,
-                    value: invoiceTotal
-                });
-                jeRecord.setSublistValue({
-                    sublistId: 'line',
-                    fieldId: 'department',
-                    line: 0,
-                    value: 13
-                });
-                jeRecord.setSublistValue({
-                    sublistId: 'line',
-                    fieldId: 'memo',
-                    line: 0,
-                    value: jeMemo
-                });
-                
-                // Line 2: Credit Account 119, Entity 335
-                jeRecord.setSublistValue({
-                    sublistId: 'line',
-                    fieldId: 'account',
-                    line: 1,
-                    value: 119
-                });
-                jeRecord.setSublistValue({
-                    sublistId: 'line',
-                    fieldId: 'credit',
-                    line: 1,
-                    value: invoiceTotal
-                });
-                jeRecord.setSublistValue({
-                    sublistId: 'line',
-                    fieldId: 'entity',
-                    line: 1,
-                    value: 335
-                });
-                jeRecord.setSublistValue({
-                    sublistId: 'line',
-                    fieldId: 'memo',
-                    line: 1,
-                    value: jeMemo
+                writeOffLib.writeAuditEntry({
+                    action: 'cbsi-bill-je',
+                    soId: soId,
+                    success: true,
+                    invoiceId: cbsiResult.invoiceId,
+                    jeId: cbsiResult.jeId,
+                    paymentId: cbsiResult.paymentId,
+                    amount: cbsiResult.amount,
+                    details: cbsiResult
                 });
                 
-                var jeId = jeRecord.save();
-                
-                // Reload to get tranid
-                jeRecord = record.load({
-                    type: record.Type.JOURNAL_ENTRY,
-                    id: jeId
-                });
-                var jeTranid = jeRecord.getValue({ fieldId: 'tranid' });
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ 
+                    success: true, 
+                    message: cbsiResult.routing.decision === 'close' ? cbsiResult.routing.message : 'CBSI Bill and JE completed successfully.',
+                    routing: cbsiResult.routing,
+                    invoiceTranid: cbsiResult.invoiceTranid,
+                    jeTranid: cbsiResult.jeTranid,
+                    amount: cbsiResult.amount,
+                    validation: cbsiResult.validation
+                }));
                 
-                log.audit('JE Created', 'JE ' + jeTranid + ' (ID: ' + jeId + ') with amount: $' + invoiceTotal);
+            } catch (e) {
+                var cleanMessage = writeOffLib.getCleanErrorMessage(e);
                 
-                // STEP 3: Apply JE to Invoice using Customer Payment (following reference script pattern)
-                var customerPayment = record.transform({
-                    fromType: record.Type.INVOICE,
-                    fromId: invoiceId,
-                    toType: record.Type.CUSTOMER_PAYMENT,
-                    isDynamic: false
+                log.error('CBSI Bill and JE Error', 'Failed to process SO ' + soId + ': ' + cleanMessage);
+                writeOffLib.writeAuditEntry({
+                    action: 'cbsi-bill-je',
+                    soId: soId,
+                    success: false,
+                    error: cleanMessage,
+                    details: { rollback: e.rollback || null, routing: e.routing || null }
                 });
-                
-                // Set payment details
-                customerPayment.setValue({ fieldId: 'trandate', value: new Date() });
-                customerPayment.setValue({ fieldId: 'paymentmethod', value: 15 }); // 15 = ACCT'G
-                customerPayment.setValue({ fieldId: 'memo', value: 'CBSI JE Application: ' + jeTranid });
-                customerPayment.setValue({ fieldId: 'payment', value: invoiceTotal });
-                
-                // STEP 4: Clear all auto-selected apply lines
-                var applyLineCount = customerPayment.getLineCount({ sublistId: 'apply' });
-                
-                log.debug('Clearing auto-selected apply lines', { applyLineCount: applyLineCount });
-                
-                for (var j = 0; j < applyLineCount; j++) {
-                    try {
-                        var isApplied = customerPayment.getSublistValue({
-                            sublistId: 'apply',
-                            fieldId: 'apply',
-                            line: j
-                        });
-                        
-                        if (isApplied) {
-                            customerPayment.setSublistValue({
-                                sublistId: 'apply',
-                                fieldId: 'apply',
-                                line: j,
-                                value: false
-                            });
-                            customerPayment.setSublistValue({
-                                sublistId: 'apply',
-                                fieldId: 'amount',
-                                line: j,
-                                value: 0
-                            });
-                        }
-                    } catch (clearError) {
-                        log.debug('Could not clear apply line', { line: j, error: clearError.toString() });
-                    }
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ 
+                    success: false, 
+                    message: 'Error in CBSI Bill and JE: ' + cleanMessage,
+                    routing: e.routing || null,
+                    rollback: e.rollback || null
+                }));
+            }
+        }
+
+        /**
+         * Handles CBSI preview - returns the invoice total and proposed JE lines for one or more
+         * Sales Orders without saving anything, so the user can confirm before the real run
+         */
+        function handleCBSIPreview(context) {
+            var response = context.response;
+            var params = context.request.parameters;
+            var soIdArray = (params.soId ? String(params.soId) : String(params.selectedSOIds || '')).split(',').filter(function(id) { return id.trim(); });
+            var GOVERNANCE_THRESHOLD = 50;
+            var previews = [];
+            var totalAmount = 0;
+            var truncated = false;
+            
+            try {
+                if (soIdArray.length === 0) {
+                    throw new Error('No Sales Orders selected for preview.');
                 }
                 
-                // STEP 5: Find and select the credit transaction (JE)
-                var creditLineCount = customerPayment.getLineCount({ sublistId: 'credit' });
-                var creditLineUpdated = false;
-                var actualCreditAmount = 0;
-                
-                log.debug('Selecting credit transaction', {
-                    jeId: jeId,
-                    creditLineCount: creditLineCount,
-                    targetAmount: invoiceTotal
-                });
-                
-                for (var c = 0; c < creditLineCount; c++) {
-                    var creditDocId = customerPayment.getSublistValue({
-                        sublistId: 'credit',
-                        fieldId: 'doc',
-                        line: c
-                    });
-                    
-                    var creditRefNum = customerPayment.getSublistValue({
-                        sublistId: 'credit',
-                        fieldId: 'refnum',
-                        line: c
-                    });
+                for (var i = 0; i < soIdArray.length; i++) {
+                    var soId = soIdArray[i].trim();
                     
-                    if (creditDocId == jeId || creditRefNum == jeId) {
-                        try {
-                            customerPayment.setSublistValue({
-                                sublistId: 'credit',
-                                fieldId: 'apply',
-                                line: c,
-                                value: true
-                            });
-                            
-                            customerPayment.setSublistValue({
-                                sublistId: 'credit',
-                                fieldId: 'amount',
-                                line: c,
-                                value: invoiceTotal
-                            });
-                            
-                            actualCreditAmount = customerPayment.getSublistValue({
-                                sublistId: 'credit',
-                                fieldId: 'amount',
-                                line: c
-                            });
-                            
-                            creditLineUpdated = true;
-                            
-                            log.debug('Selected credit transaction', {
-                                line: c,
-                                creditDocId: creditDocId,
-                                creditRefNum: creditRefNum,
-                                targetAmount: invoiceTotal,
-                                actualCreditAmount: actualCreditAmount
-                            });
-                        } catch (creditSetError) {
-                            log.error('Error setting credit line', {
-                                error: creditSetError.toString(),
-                                line: c,
-                                creditDocId: creditDocId
-                            });
-                        }
+                    // Transforms cost governance; preview what fits and say so
+                    if (runtime.getCurrentScript().getRemainingUsage() < GOVERNANCE_THRESHOLD) {
+                        truncated = true;
+                        log.audit('CBSI Preview - Governance Limit Approaching', { previewed: previews.length, requested: soIdArray.length });
                         break;
                     }
-                }
-                
-                // STEP 6: Select the invoice for application
-                applyLineCount = customerPayment.getLineCount({ sublistId: 'apply' });
-                var invoiceLineUpdated = false;
-                var actualApplyAmount = 0;
-                
-                log.debug('Selecting invoice for application', {
-                    targetInvoiceId: invoiceId,
-                    targetAmount: invoiceTotal,
-                    applyLineCount: applyLineCount
-                });
-                
-                for (var j = 0; j < applyLineCount; j++) {
-                    var docId = customerPayment.getSublistValue({
-                        sublistId: 'apply',
-                        fieldId: 'doc',
-                        line: j
-                    });
                     
-                    if (docId == invoiceId) {
-                        try {
-                            customerPayment.setSublistValue({
-                                sublistId: 'apply',
-                                fieldId: 'apply',
-                                line: j,
-                                value: true
-                            });
-                            
-                            customerPayment.setSublistValue({
-                                sublistId: 'apply',
-                                fieldId: 'amount',
-                                line: j,
-                                value: invoiceTotal
-                            });
-                            
-                            actualApplyAmount = customerPayment.getSublistValue({
-                                sublistId: 'apply',
-                                fieldId: 'amount',
-                                line: j
-                            });
-                            
-                            invoiceLineUpdated = true;
-                            
-                            log.debug('Selected invoice for application', {
-                                line: j,
-                                docId: docId,
-                                targetAmount: invoiceTotal,
-                                actualApplyAmount: actualApplyAmount
-                            });
-                        } catch (setError) {
-                            log.error('Error selecting invoice line', {
-                                error: setError.toString(),
-                                line: j,
-                                docId: docId
-                            });
+                    try {
+                        var preview = writeOffLib.previewCBSI(soId);
+                        preview.success = true;
+                        if (preview.routing.decision === 'bill') {
+                            totalAmount += preview.invoiceTotal;
                         }
-                        break;
+                        previews.push(preview);
+                    } catch (e) {
+                        log.error('CBSI Preview Error', { soId: soId, error: e.toString() });
+                        previews.push({ soId: soId, success: false, message: writeOffLib.getCleanErrorMessage(e) });
                     }
                 }
                 
-                // STEP 7: CRITICAL VALIDATION
-                var netEffect = actualApplyAmount - actualCreditAmount;
-                var amountsMatch = (actualApplyAmount == actualCreditAmount) && (actualApplyAmount == invoiceTotal);
-                
-                log.debug('FINAL VALIDATION BEFORE SAVE', {
-                    expectedAmount: invoiceTotal,
-                    actualApplyAmount: actualApplyAmount,
-                    actualCreditAmount: actualCreditAmount,
-                    netEffect: netEffect,
-                    amountsMatch: amountsMatch,
-                    invoiceLineUpdated: invoiceLineUpdated,
-                    creditLineUpdated: creditLineUpdated
-                });
-                
-                if (!invoiceLineUpdated) {
-                    throw new Error('VALIDATION FAILED: Could not select target invoice');
-                }
-                
-                if (!creditLineUpdated) {
-                    throw new Error('VALIDATION FAILED: Could not select credit transaction (JE)');
+                var message = 'Preview of ' + previews.length + ' Sales Order(s). Nothing has been created yet.';
+                if (truncated) {
+                    message += ' Only the first ' + previews.length + ' of ' + soIdArray.length + ' could be previewed; the rest will use the same accounts.';
                 }
                 
-                if (!amountsMatch) {
-                    throw new Error('VALIDATION FAILED: Amounts do not match. Expected: ' + invoiceTotal + ', Apply: ' + actualApplyAmount + ', Credit: ' + actualCreditAmount);
-                }
-                
-                if (Math.abs(netEffect) > 0.01) {
-                    throw new Error('VALIDATION FAILED: Net effect is not zero: ' + netEffect);
-                }
-                
-                // STEP 8: Save the payment to apply the credit
-                log.debug('ALL VALIDATIONS PASSED - Saving payment', {
-                    paymentAmount: invoiceTotal,
-                    applyAmount: actualApplyAmount,
-                    creditAmount: actualCreditAmount,
-                    netEffect: netEffect
-                });
-                
-                var paymentId = customerPayment.save();
-                
-                log.debug('Customer payment saved - credit applied successfully', {
-                    paymentId: paymentId,
-                    netEffect: '$0.00',
-                    appliedAmount: actualApplyAmount,
-                    creditAmount: actualCreditAmount,
-                    invoiceId: invoiceId,
-                    jeId: jeId
-                });
-                
-                // STEP 9: DELETE THE PAYMENT RECORD SINCE IT'S NO LONGER NEEDED
-                // The credit application has been processed, but we don't need the payment record
-                try {
-                    log.debug('Deleting temporary payment record', {
-                        paymentId: paymentId,
-                        reason: 'Credit application complete - payment record not needed'
-                    });
-                    
-                    record.delete({
-                        type: record.Type.CUSTOMER_PAYMENT,
-                        id: paymentId
-                    });
-                    
-                    log.debug('Temporary payment record deleted successfully', {
-                        deletedPaymentId: paymentId,
-                        invoiceId: invoiceId,
-                        jeId: jeId,
-                        result: 'Credit applied without payment record'
-                    });
-                } catch (deleteError) {
-                    log.error('Error deleting temporary payment record', {
-                        error: deleteError.toString(),
-                        paymentId: paymentId,
-                        invoiceId: invoiceId,
-                        jeId: jeId,
-                        note: 'Credit was applied successfully, but payment record remains'
-                    });
-                }
-                
-                log.audit('CBSI Bill and JE Complete', {
-                    invoiceTranid: invoiceTranid,
-                    invoiceId: invoiceId,
-                    jeTranid: jeTranid,
-                    jeId: jeId,
-                    amount: invoiceTotal
-                });
-                
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
-                response.write(JSON.stringify({ 
-                    success: true, 
-                    message: 'CBSI Bill and JE completed successfully.',
-                    invoiceTranid: invoiceTranid,
-                    jeTranid: jeTranid,
-                    amount: invoiceTotal
+                response.write(JSON.stringify({
+                    success: true,
+                    preview: true,
+                    previews: previews,
+                    totalAmount: totalAmount,
+                    requestedCount: soIdArray.length,
+                    truncated: truncated,
+                    message: message
                 }));
-                
             } catch (e) {
-                var cleanMessage = getCleanErrorMessage(e);
-                
-                log.error('CBSI Bill and JE Error', 'Failed to process SO ' + soId + ': ' + cleanMessage);
+                log.error('CBSI Preview Error', e.toString());
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
-                response.write(JSON.stringify({ 
-                    success: false, 
-                    message: 'Error in CBSI Bill and JE: ' + cleanMessage
-                }));
+                response.write(JSON.stringify({ success: false, message: 'Error building CBSI preview: ' + writeOffLib.getCleanErrorMessage(e) }));
             }
         }
 
@@ -746,23 +482,8 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             log.debug('handleQueueSingleSO - START', { soId: soId });
             
             try {
-                var todayDate = new Date();
-                
-                log.debug('handleQueueSingleSO - Setting queue date', { soId: soId, date: todayDate });
-                
-                record.submitFields({
-                    type: record.Type.SALES_ORDER,
-                    id: soId,
-                    values: {
-                        custbody_service_queued_for_write_off: todayDate
-                    },
-                    options: {
-                        enableSourcing: false,
-                        ignoreMandatoryFields: true
-                    }
-                });
-                
-                log.audit('SO Queued', 'Sales Order ' + soId + ' queued for write-off on ' + todayDate.toISOString());
+                writeOffLib.queueSalesOrder(soId);
+                writeOffLib.writeAuditEntry({ action: 'queue', soId: soId, success: true });
                 
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
@@ -779,6 +500,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 };
                 
                 log.error('Queue Single SO Error - DETAILED', errorDetails);
+                writeOffLib.writeAuditEntry({ action: 'queue', soId: soId, success: false, error: e.toString() });
                 
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
@@ -799,21 +521,8 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             log.debug('handleUnqueueSalesOrder - START', { soId: soId });
             
             try {
-                log.debug('handleUnqueueSalesOrder - Removing queue date', { soId: soId });
-                
-                record.submitFields({
-                    type: record.Type.SALES_ORDER,
-                    id: soId,
-                    values: {
-                        custbody_service_queued_for_write_off: '' // Clear the date
-                    },
-                    options: {
-                        enableSourcing: false,
-                        ignoreMandatoryFields: true
-                    }
-                });
-                
-                log.audit('SO Unqueued', 'Sales Order ' + soId + ' removed from write-off queue');
+                writeOffLib.unqueueSalesOrder(soId);
+                writeOffLib.writeAuditEntry({ action: 'unqueue', soId: soId, success: true });
                 
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
@@ -830,6 +539,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 };
                 
                 log.error('Unqueue SO Error - DETAILED', errorDetails);
+                writeOffLib.writeAuditEntry({ action: 'unqueue', soId: soId, success: false, error: e.toString() });
                 
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
@@ -839,6 +549,70 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             }
         }
 
+        /**
+         * Handles Bill / Close Lines - invoices the lines in billLineIds and closes the lines in
+         * closeLineIds (comma-separated SO line IDs); every other line stays open
+         */
+        function handlePartialLines(context) {
+            var response = context.response;
+            var params = context.request.parameters;
+            var soId = params.soId;
+            
+            try {
+                var lineResult = writeOffLib.partialWriteOff(soId, params.billLineIds, params.closeLineIds);
+                
+                var parts = [];
+                if (lineResult.invoiceId) {
+                    parts.push(lineResult.billedLines.length + ' line(s) billed on Invoice ' + lineResult.invoiceTranid + ' ($' + lineResult.routing.total.toFixed(2) + ')');
+                }
+                if (lineResult.closedLines.length > 0) {
+                    parts.push(lineResult.closedLines.length + ' line(s) closed');
+                }
+                if (lineResult.routing && lineResult.routing.decision === 'close') {
+                    parts.push('the lines chosen for billing total $0.00, so they were closed instead');
+                }
+                
+                log.audit('SO Lines Billed / Closed', 'Sales Order ' + soId + ': ' + parts.join(', '));
+                writeOffLib.writeAuditEntry({
+                    action: 'partial-lines',
+                    soId: soId,
+                    success: true,
+                    invoiceId: lineResult.invoiceId,
+                    amount: lineResult.invoiceId ? lineResult.routing.total : null,
+                    details: lineResult
+                });
+                
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({
+                    success: true,
+                    message: 'Done: ' + parts.join(', ') + '.',
+                    routing: lineResult.routing,
+                    invoiceId: lineResult.invoiceId,
+                    invoiceTranid: lineResult.invoiceTranid,
+                    billedLines: lineResult.billedLines,
+                    closedLines: lineResult.closedLines
+                }));
+            } catch (e) {
+                var cleanMessage = writeOffLib.getCleanErrorMessage(e);
+                
+                log.error('Bill / Close Lines Error', { soId: soId, billLineIds: params.billLineIds, closeLineIds: params.closeLineIds, error: e.toString() });
+                writeOffLib.writeAuditEntry({
+                    action: 'partial-lines',
+                    soId: soId,
+                    success: false,
+                    error: cleanMessage,
+                    details: { billLineIds: params.billLineIds || '', closeLineIds: params.closeLineIds || '', rollback: e.rollback || null, routing: e.routing || null }
+                });
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({
+                    success: false,
+                    message: 'Error billing / closing lines: ' + cleanMessage,
+                    routing: e.routing || null,
+                    rollback: e.rollback || null
+                }));
+            }
+        }
+
         /**
          * Handles adding a research note to a Sales Order
          */
@@ -849,47 +623,22 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             var note = params.note || '';
             var followUpDateParam = params.followUpDate || '';
             
-            // Convert date from YYYY-MM-DD (HTML date input format) to M/D/YYYY (NetSuite format)
-            var followUpDate = '';
-            if (followUpDateParam) {
-                try {
-                    var dateParts = followUpDateParam.split('-');
-                    if (dateParts.length === 3) {
-                        var year = dateParts[0];
-                        var month = parseInt(dateParts[1], 10); // Remove leading zero
-                        var day = parseInt(dateParts[2], 10); // Remove leading zero
-                        followUpDate = month + '/' + day + '/' + year;
-                    }
-                } catch (dateErr) {
-                    log.error('Date Conversion Error', { original: followUpDateParam, error: dateErr.toString() });
-                    followUpDate = followUpDateParam; // Use original if conversion fails
-                }
-            }
-            
-            log.debug('handleAddResearchNote - START', { soId: soId, noteLength: note.length, followUpDateParam: followUpDateParam, followUpDate: followUpDate });
+            log.debug('handleAddResearchNote - START', { soId: soId, noteLength: note.length, followUpDateParam: followUpDateParam });
             
             try {
-                record.submitFields({
-                    type: record.Type.SALES_ORDER,
-                    id: soId,
-                    values: {
-                        custbody_service_research_notes: note,
-                        custbody_service_research_followupdate: followUpDate
-                    },
-                    options: {
-                        enableSourcing: false,
-                        ignoreMandatoryFields: true
-                    }
-                });
-                
-                log.audit('Research Note Added', 'Sales Order ' + soId + ' - Note: ' + (note.substring(0, 50) || '(cleared)') + ' - Follow Up: ' + (followUpDate || '(cleared)'));
+                // The date input sends YYYY-MM-DD; the lib stores it as M/D/YYYY. The note is added
+                // below the SO's current one, like the bulk add-note's append mode
+                var noteResult = writeOffLib.saveResearchNote(soId, note, followUpDateParam, true);
+                writeOffLib.writeAuditEntry({ action: 'add-note', soId: soId, success: true, details: { note: note.substring(0, 200), followUpDate: noteResult.followUpDate } });
                 
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
                     success: true, 
-                    message: note ? 'Research note saved.' : 'Research note cleared.',
+                    message: noteResult.entryId ? 'Research note added.' : 'Follow-up date saved.',
                     soId: soId,
-                    followUpDate: followUpDateParam
+                    followUpDate: followUpDateParam,
+                    researchNotes: noteResult.researchNotes,
+                    notes: writeOffLib.listResearchNotes(soId)
                 }));
             } catch (e) {
                 var errorDetails = {
@@ -900,6 +649,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 };
                 
                 log.error('Add Research Note Error - DETAILED', errorDetails);
+                writeOffLib.writeAuditEntry({ action: 'add-note', soId: soId, success: false, error: e.toString() });
                 
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
                 response.write(JSON.stringify({ 
@@ -910,7 +660,395 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
         }
 
         /**
-         * Handles bulk close for multiple Sales Orders
+         * Saves the current user's filter preset (overwriting theirs of the same name) and returns
+         * the refreshed preset list for the dropdown
+         */
+        function handleSaveFilterPreset(context) {
+            var response = context.response;
+            var params = context.request.parameters;
+            
+            try {
+                var state = JSON.parse(params.state || 'null');
+                var saved = writeOffLib.saveFilterPreset(params.name, state, params.shared === 'T');
+                
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ 
+                    success: true, 
+                    message: 'Filter preset "' + saved.name + '" ' + (saved.replaced ? 'updated.' : 'saved.'),
+                    presetId: saved.id,
+                    presets: writeOffLib.listFilterPresets()
+                }));
+            } catch (e) {
+                log.error('Save Filter Preset Error', e.toString());
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ success: false, message: 'Error saving filter preset: ' + e.message }));
+            }
+        }
+
+        /**
+         * Deletes one of the current user's filter presets and returns the refreshed preset list
+         */
+        function handleDeleteFilterPreset(context) {
+            var response = context.response;
+            var params = context.request.parameters;
+            
+            try {
+                var deleted = writeOffLib.deleteFilterPreset(params.presetId);
+                
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ 
+                    success: true, 
+                    message: 'Filter preset "' + deleted.name + '" deleted.',
+                    presets: writeOffLib.listFilterPresets()
+                }));
+            } catch (e) {
+                log.error('Delete Filter Preset Error', e.toString());
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ success: false, message: 'Error deleting filter preset: ' + e.message }));
+            }
+        }
+
+        /**
+         * Submits a bulk Close / Auto-Bill / CBSI as a background Map/Reduce job.
+         * Falls back to inline (governance-limited) processing when the job cannot be submitted,
+         * e.g. when every deployment of the Map/Reduce script is busy.
+         */
+        function handleSubmitBulkJob(context, bulkAction, soIdArray) {
+            var response = context.response;
+            var BULK_JOB = writeOffLib.BULK_JOB;
+            var jobId = null;
+            
+            try {
+                var jobRecord = record.create({ type: BULK_JOB.type });
+                jobRecord.setValue({ fieldId: BULK_JOB.fields.action, value: bulkAction });
+                jobRecord.setValue({ fieldId: BULK_JOB.fields.soIds, value: soIdArray.join(',') });
+                jobRecord.setValue({ fieldId: BULK_JOB.fields.total, value: soIdArray.length });
+                jobRecord.setValue({ fieldId: BULK_JOB.fields.submittedBy, value: runtime.getCurrentUser().id });
+                jobId = jobRecord.save();
+                
+                var mrTask = task.create({
+                    taskType: task.TaskType.MAP_REDUCE,
+                    scriptId: 'customscript_service_writeoff_bulk_mr',
+                    params: {
+                        custscript_swo_bulk_job_id: jobId
+                    }
+                });
+                var taskId = mrTask.submit();
+                
+                var values = {};
+                values[BULK_JOB.fields.taskId] = taskId;
+                record.submitFields({
+                    type: BULK_JOB.type,
+                    id: jobId,
+                    values: values
+                });
+                
+                log.audit('Bulk Job Submitted', { jobId: jobId, taskId: taskId, action: bulkAction, count: soIdArray.length });
+                
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({
+                    success: true,
+                    async: true,
+                    jobId: jobId,
+                    total: soIdArray.length,
+                    message: 'Background job submitted for ' + soIdArray.length + ' Sales Order(s).'
+                }));
+            } catch (e) {
+                log.error('Bulk Job Submit Error - processing inline', {
+                    jobId: jobId,
+                    action: bulkAction,
+                    error: e.toString()
+                });
+                
+                if (jobId) {
+                    try {
+                        record.delete({ type: BULK_JOB.type, id: jobId });
+                    } catch (deleteError) {
+                        log.error('Could not delete unsubmitted bulk job', { jobId: jobId, error: deleteError.toString() });
+                    }
+                }
+                
+                if (bulkAction === 'close') {
+                    return handleBulkClose(context, soIdArray);
+                } else if (bulkAction === 'auto-bill') {
+                    return handleBulkAutoBill(context, soIdArray);
+                }
+                return handleBulkCBSI(context, soIdArray);
+            }
+        }
+
+        /**
+         * Handles AJAX polling for a background bulk job's progress
+         */
+        function handleJobStatus(context) {
+            var response = context.response;
+            var jobId = context.request.parameters.jobId;
+            var BULK_JOB = writeOffLib.BULK_JOB;
+            var AUDIT_LOG = writeOffLib.AUDIT_LOG;
+            
+            try {
+                var jobs = query.runSuiteQL({
+                    query: 'SELECT ' +
+                        BULK_JOB.fields.action + ' AS action, ' +
+                        BULK_JOB.fields.total + ' AS total, ' +
+                        BULK_JOB.fields.taskId + ' AS task_id, ' +
+                        BULK_JOB.fields.completed + ' AS completed ' +
+                        'FROM ' + BULK_JOB.type + ' WHERE id = ?',
+                    params: [jobId]
+                }).asMappedResults();
+                
+                if (jobs.length === 0) {
+                    throw new Error('Bulk job ' + jobId + ' not found.');
+                }
+                
+                var job = jobs[0];
+                
+                // Per-SO outcomes are the ledger entries the job wrote
+                var rows = query.runSuiteQL({
+                    query: 'SELECT ' +
+                        'a.' + AUDIT_LOG.fields.salesOrder + ' AS so_id, ' +
+                        'BUILTIN.DF(a.' + AUDIT_LOG.fields.salesOrder + ') AS so_number, ' +
+                        'a.' + AUDIT_LOG.fields.success + ' AS success, ' +
+                        'a.' + AUDIT_LOG.fields.error + ' AS message, ' +
+                        'a.' + AUDIT_LOG.fields.details + ' AS details ' +
+                        'FROM ' + AUDIT_LOG.type + ' a ' +
+                        'WHERE a.' + AUDIT_LOG.fields.job + ' = ? ' +
+                        'ORDER BY a.id',
+                    params: [jobId]
+                }).asMappedResults();
+                
+                var results = [];
+                var processedIds = [];
+                var failedIds = [];
+                var failureDetails = {};
+                
+                for (var i = 0; i < rows.length; i++) {
+                    var row = rows[i];
+                    var soId = String(row.so_id);
+                    var succeeded = (row.success === 'T' || row.success === true);
+                    var details = {};
+                    try {
+                        details = row.details ? JSON.parse(row.details) : {};
+                    } catch (parseErr) {
+                        details = {};
+                    }
+                    
+                    if (succeeded) {
+                        processedIds.push(soId);
+                    } else {
+                        failedIds.push(soId);
+                        failureDetails[soId] = row.message || 'Unknown error';
+                    }
+                    
+                    results.push({
+                        soId: soId,
+                        soNumber: (row.so_number || '').replace(/^Sales Order\s*#?/i, ''),
+                        success: succeeded,
+                        message: row.message || '',
+                        details: details
+                    });
+                }
+                
+                var status = 'PENDING';
+                var stage = '';
+                if (job.task_id) {
+                    var taskStatus = task.checkStatus({ taskId: job.task_id });
+                    status = String(taskStatus.status);
+                    stage = taskStatus.stage ? String(taskStatus.stage) : '';
+                }
+                
+                var total = parseInt(job.total || 0, 10);
+                var done = !!job.completed || status === String(task.TaskStatus.COMPLETE) || status === String(task.TaskStatus.FAILED);
+                
+                var message = results.length + ' of ' + total + ' Sales Order(s) processed.';
+                if (done) {
+                    message = processedIds.length + ' of ' + total + ' Sales Order(s) completed.';
+                    if (failedIds.length > 0) {
+                        message += ' Failed: ' + failedIds.length;
+                    }
+                    if (status === String(task.TaskStatus.FAILED)) {
+                        message += ' The background job failed - check the script execution log.';
+                    }
+                }
+                
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({
+                    success: true,
+                    jobId: jobId,
+                    action: job.action,
+                    status: status,
+                    stage: stage,
+                    done: done,
+                    total: total,
+                    completedCount: results.length,
+                    processedIds: processedIds,
+                    failedIds: failedIds,
+                    failureDetails: failureDetails,
+                    results: results,
+                    message: message
+                }));
+            } catch (e) {
+                log.error('Job Status Error', { jobId: jobId, error: e.toString() });
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ success: false, message: 'Error reading job status: ' + e.toString() }));
+            }
+        }
+
+        /**
+         * Handles AJAX request for the History tab - returns write-off ledger entries
+         * Optional filters: so (SO number), user (name), auditAction, dateFrom / dateTo (YYYY-MM-DD)
+         */
+        function handleHistory(context) {
+            var response = context.response;
+            var params = context.request.parameters;
+            var AUDIT_LOG = writeOffLib.AUDIT_LOG;
+            var f = AUDIT_LOG.fields;
+            var where = [];
+            var queryParams = [];
+
+            try {
+                if (params.so) {
+                    where.push('UPPER(BUILTIN.DF(a.' + f.salesOrder + ')) LIKE ?');
+                    queryParams.push('%' + String(params.so).toUpperCase() + '%');
+                }
+                if (params.user) {
+                    where.push('UPPER(BUILTIN.DF(a.' + f.user + ')) LIKE ?');
+                    queryParams.push('%' + String(params.user).toUpperCase() + '%');
+                }
+                if (params.auditAction) {
+                    where.push('a.' + f.action + ' = ?');
+                    queryParams.push(params.auditAction);
+                }
+                if (params.dateFrom) {
+                    where.push("a.created >= TO_DATE(?, 'YYYY-MM-DD')");
+                    queryParams.push(params.dateFrom);
+                }
+                if (params.dateTo) {
+                    where.push("a.created < TO_DATE(?, 'YYYY-MM-DD') + 1");
+                    queryParams.push(params.dateTo);
+                }
+
+                var sql = 'SELECT * FROM (' +
+                    'SELECT ' +
+                    'a.id AS entry_id, ' +
+                    "TO_CHAR(a.created, 'YYYY-MM-DD HH24:MI') AS created, " +
+                    'BUILTIN.DF(a.' + f.user + ') AS user_name, ' +
+                    'a.' + f.action + ' AS action, ' +
+                    'a.' + f.salesOrder + ' AS so_id, ' +
+                    'BUILTIN.DF(a.' + f.salesOrder + ') AS so_number, ' +
+                    'a.' + f.invoice + ' AS invoice_id, ' +
+                    'BUILTIN.DF(a.' + f.invoice + ') AS invoice_number, ' +
+                    'a.' + f.journal + ' AS je_id, ' +
+                    'BUILTIN.DF(a.' + f.journal + ') AS je_number, ' +
+                    'a.' + f.payment + ' AS payment_id, ' +
+                    'BUILTIN.DF(a.' + f.payment + ') AS payment_number, ' +
+                    'a.' + f.amount + ' AS amount, ' +
+                    'a.' + f.success + ' AS success, ' +
+                    'a.' + f.error + ' AS error, ' +
+                    'a.' + f.bulk + ' AS bulk ' +
+                    'FROM ' + AUDIT_LOG.type + ' a ' +
+                    (where.length > 0 ? 'WHERE ' + where.join(' AND ') + ' ' : '') +
+                    'ORDER BY a.id DESC' +
+                    ') WHERE ROWNUM <= 500';
+
+                var rows = query.runSuiteQL({ query: sql, params: queryParams }).asMappedResults();
+
+                var entries = rows.map(function(row) {
+                    return {
+                        id: row.entry_id,
+                        created: row.created,
+                        user: row.user_name || '',
+                        action: row.action,
+                        actionLabel: writeOffLib.AUDIT_ACTIONS[row.action] || row.action,
+                        soId: row.so_id,
+                        soNumber: String(row.so_number || '').replace(/^Sales Order\s*#?/i, ''),
+                        invoiceId: row.invoice_id,
+                        invoiceNumber: String(row.invoice_number || '').replace(/^Invoice\s*#?/i, ''),
+                        jeId: row.je_id,
+                        jeNumber: String(row.je_number || '').replace(/^Journal\s*#?/i, ''),
+                        paymentId: row.payment_id,
+                        paymentNumber: String(row.payment_number || '').replace(/^Payment\s*#?/i, ''),
+                        amount: row.amount,
+                        success: row.success === 'T' || row.success === true,
+                        error: row.error || '',
+                        bulk: row.bulk === 'T' || row.bulk === true
+                    };
+                });
+
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({
+                    success: true,
+                    entries: entries,
+                    limited: entries.length >= 500
+                }));
+            } catch (e) {
+                log.error('History Error', e.toString());
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ success: false, message: 'Error loading history: ' + e.toString() }));
+            }
+        }
+
+        /**
+         * Handles AJAX request for the Follow-Ups tab - research note follow-ups due today or overdue,
+         * grouped by the user who set the note
+         */
+        function handleFollowUps(context) {
+            var response = context.response;
+
+            try {
+                var followUps = writeOffLib.findFollowUpsDue();
+                var overdueCount = followUps.filter(function(followUp) {
+                    return followUp.dueStatus === 'overdue';
+                }).length;
+
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({
+                    success: true,
+                    total: followUps.length,
+                    overdueCount: overdueCount,
+                    dueTodayCount: followUps.length - overdueCount,
+                    groups: writeOffLib.groupFollowUpsByOwner(followUps)
+                }));
+            } catch (e) {
+                log.error('Follow-Ups Error', e.toString());
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ success: false, message: 'Error loading follow-ups: ' + e.toString() }));
+            }
+        }
+
+        /**
+         * Handles AJAX request for a Sales Order's research note thread (the note modal and tooltip)
+         */
+        function handleNoteThread(context) {
+            var response = context.response;
+            var soId = context.request.parameters.soId;
+
+            try {
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ success: true, soId: soId, notes: writeOffLib.listResearchNotes(soId) }));
+            } catch (e) {
+                log.error('Note Thread Error', { soId: soId, error: e.toString() });
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ success: false, message: 'Error loading research notes: ' + e.toString() }));
+            }
+        }
+
+        /**
+         * Reads the soIds page parameter (the follow-up digest links to the portal with the SOs it lists)
+         * @param {string} soIds - Comma-separated Sales Order internal IDs
+         * @returns {Array|null} Numeric ID strings, or null when the parameter is absent or has none
+         */
+        function parseSoIdFilter(soIds) {
+            var ids = String(soIds || '').split(',').map(function(id) {
+                return id.trim();
+            }).filter(function(id) {
+                return /^\d+$/.test(id);
+            });
+            return ids.length > 0 ? ids : null;
+        }
+
+        /**
+         * Handles bulk close for multiple Sales Orders (inline fallback for handleSubmitBulkJob)
          */
         function handleBulkClose(context, soIdArray) {
             var response = context.response;
@@ -940,62 +1078,20 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 }
                 
                 try {
-                    log.debug('Bulk Close - Loading SO', { soId: soId });
-                    
-                    var soRecord = record.load({
-                        type: record.Type.SALES_ORDER,
-                        id: soId
-                    });
-                    
-                    log.debug('Bulk Close - SO Loaded', { 
-                        soId: soId, 
-                        status: soRecord.getValue({ fieldId: 'status' }),
-                        statusText: soRecord.getText({ fieldId: 'status' })
-                    });
-                    
-                    var lineCount = soRecord.getLineCount({ sublistId: 'item' });
-                    log.debug('Bulk Close - Processing lines', { soId: soId, lineCount: lineCount });
-                    
-                    for (var j = 0; j < lineCount; j++) {
-                        var lineIsClosed = soRecord.getSublistValue({
-                            sublistId: 'item',
-                            fieldId: 'isclosed',
-                            line: j
-                        });
-                        
-                        log.debug('Bulk Close - Line status', { 
-                            soId: soId, 
-                            line: j, 
-                            currentlyClosed: lineIsClosed 
-                        });
-                        
-                        soRecord.setSublistValue({
-                            sublistId: 'item',
-                            fieldId: 'isclosed',
-                            line: j,
-                            value: true
-                        });
-                    }
-                    
-                    log.debug('Bulk Close - About to save SO', { soId: soId, lineCount: lineCount });
-                    
-                    var savedId = soRecord.save({
-                        enableSourcing: false,
-                        ignoreMandatoryFields: true
-                    });
-                    
-                    log.debug('Bulk Close - IMMEDIATELY after save() returned', { soId: soId, savedId: savedId, typeOfSavedId: typeof savedId });
+                    var closeResult = writeOffLib.closeSalesOrder(soId);
                     
                     processedIds.push(soId);
-                    log.audit('Bulk Close - SO Closed Successfully', { soId: soId, savedId: savedId, linesClosed: lineCount });
+                    log.audit('Bulk Close - SO Closed Successfully', { soId: soId, savedId: closeResult.savedId, linesClosed: closeResult.linesClosed });
+                    writeOffLib.writeAuditEntry({ action: 'close', soId: soId, success: true, bulk: true, details: closeResult });
                 } catch (e) {
                     log.debug('Bulk Close - CATCH BLOCK ENTERED', { soId: soId, errorType: typeof e });
                     
                     failedIds.push(soId);
                     
                     // Extract user-friendly error message
-                    var userMessage = getCleanErrorMessage(e);
+                    var userMessage = writeOffLib.getCleanErrorMessage(e);
                     failureDetails[soId] = userMessage;
+                    writeOffLib.writeAuditEntry({ action: 'close', soId: soId, success: false, bulk: true, error: userMessage });
                     
                     var errorDetails = {
                         soId: soId,
@@ -1050,13 +1146,15 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
         }
 
         /**
-         * Handles bulk auto-bill for multiple Sales Orders
+         * Handles bulk auto-bill for multiple Sales Orders (inline fallback for handleSubmitBulkJob)
          */
         function handleBulkAutoBill(context, soIdArray) {
             var response = context.response;
             var processedIds = [];
             var failedIds = [];
             var invoiceDetails = [];
+            var closedIds = []; // $0 totals closed instead of billed
+            var failureDetails = {}; // Track error messages per SO
             var governanceStopped = false;
             var GOVERNANCE_THRESHOLD = 50;
             
@@ -1080,24 +1178,19 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 }
                 
                 try {
-                    log.debug('Bulk Auto-Bill - Transforming SO to Invoice', { soId: soId });
-                    
-                    var invoiceRecord = record.transform({
-                        fromType: record.Type.SALES_ORDER,
-                        fromId: soId,
-                        toType: record.Type.INVOICE,
-                        isDynamic: false
-                    });
-                    
-                    log.debug('Bulk Auto-Bill - Invoice transformed, saving', { soId: soId });
-                    var invoiceId = invoiceRecord.save();
-                    var invoiceTranid = invoiceRecord.getValue({ fieldId: 'tranid' });
+                    var invoiceResult = writeOffLib.autoBillSalesOrder(soId);
                     
                     processedIds.push(soId);
-                    invoiceDetails.push({ soId: soId, invoiceTranid: invoiceTranid, invoiceId: invoiceId });
-                    log.audit('Bulk Auto-Bill - Invoice Created Successfully', { soId: soId, invoiceTranid: invoiceTranid, invoiceId: invoiceId });
+                    if (invoiceResult.routing.decision === 'close') {
+                        closedIds.push(soId);
+                    }
+                    invoiceDetails.push({ soId: soId, routing: invoiceResult.routing, invoiceTranid: invoiceResult.invoiceTranid, invoiceId: invoiceResult.invoiceId });
+                    log.audit('Bulk Auto-Bill - Complete Successfully', { soId: soId, routing: invoiceResult.routing.decision, invoiceTranid: invoiceResult.invoiceTranid, invoiceId: invoiceResult.invoiceId });
+                    writeOffLib.writeAuditEntry({ action: 'auto-bill', soId: soId, success: true, bulk: true, invoiceId: invoiceResult.invoiceId, amount: invoiceResult.routing.total, details: invoiceResult });
                 } catch (e) {
                     failedIds.push(soId);
+                    failureDetails[soId] = writeOffLib.getCleanErrorMessage(e);
+                    writeOffLib.writeAuditEntry({ action: 'auto-bill', soId: soId, success: false, bulk: true, error: failureDetails[soId], details: e.routing ? { routing: e.routing } : null });
                     
                     var errorDetails = {
                         soId: soId,
@@ -1116,9 +1209,17 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 }
             }
             
-            var message = processedIds.length + ' Invoice(s) created.';
+            var message = (processedIds.length - closedIds.length) + ' Invoice(s) created.';
+            if (closedIds.length > 0) {
+                message += ' ' + closedIds.length + ' Sales Order(s) had a $0 total and were closed instead.';
+            }
             if (failedIds.length > 0) {
                 message += ' Failed: ' + failedIds.length;
+                var errorSummary = [];
+                for (var f = 0; f < failedIds.length; f++) {
+                    errorSummary.push('SO #' + failedIds[f] + ': ' + failureDetails[failedIds[f]]);
+                }
+                message += '\n\nFailure details:\n' + errorSummary.join('\n');
             }
             if (governanceStopped) {
                 message += ' GOVERNANCE LIMIT: Processed ' + processedIds.length + ' of ' + soIdArray.length + '. Remaining items still selected - click again to continue.';
@@ -1131,19 +1232,23 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 processedIds: processedIds,
                 failedIds: failedIds,
                 invoiceDetails: invoiceDetails,
+                closedIds: closedIds,
+                failureDetails: failureDetails,
                 governanceStopped: governanceStopped,
                 count: processedIds.length
             }));
         }
 
         /**
-         * Handles bulk CBSI Bill and JE for multiple Sales Orders
+         * Handles bulk CBSI Bill and JE for multiple Sales Orders (inline fallback for handleSubmitBulkJob)
          */
         function handleBulkCBSI(context, soIdArray) {
             var response = context.response;
             var processedIds = [];
             var failedIds = [];
-            var cbsiDetails = [];
+            var cbsiDetails = []; // Per-SO outcome, success or failure
+            var closedIds = []; // $0 totals closed instead of billed
+            var failureDetails = {}; // Track error messages per SO
             var governanceStopped = false;
             var GOVERNANCE_THRESHOLD = 150; // Higher threshold for CBSI due to complexity
             
@@ -1167,96 +1272,39 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 }
                 
                 try {
-                    // This is a simplified version - full CBSI logic from handleCBSIBillAndJE
-                    var invoiceRecord = record.transform({
-                        fromType: record.Type.SALES_ORDER,
-                        fromId: soId,
-                        toType: record.Type.INVOICE,
-                        isDynamic: false
-                    });
-                    
-                    invoiceRecord.setValue({ fieldId: 'entity', value: 335 });
-                    var invoiceId = invoiceRecord.save({ ignoreMandatoryFields: true });
-                    
-                    invoiceRecord = record.load({ type: record.Type.INVOICE, id: invoiceId });
-                    var invoiceTranid = invoiceRecord.getValue({ fieldId: 'tranid' });
-                    var invoiceTotal = Math.abs(parseFloat(invoiceRecord.getValue({ fieldId: 'total' }) || 0));
-                    
-                    // Create JE (simplified - keeping essential parts)
-                    var jeRecord = record.create({ type: record.Type.JOURNAL_ENTRY, isDynamic: false });
-                    var jeMemo = 'Automated CBSI Adjustment ' + invoiceTranid;
-                    jeRecord.setValue({ fieldId: 'memo', value: jeMemo });
-                    
-                    jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'account', line: 0, value: 470 });
-                    jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'debit', line: 0, value: invoiceTotal });
-                    jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'department', line: 0, value: 13 });
-                    jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'memo', line: 0, value: jeMemo });
-                    
-                    jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'account', line: 1, value: 119 });
-                    jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'credit', line: 1, value: invoiceTotal });
-                    jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'entity', line: 1, value: 335 });
-                    jeRecord.setSublistValue({ sublistId: 'line', fieldId: 'memo', line: 1, value: jeMemo });
-                    
-                    var jeId = jeRecord.save();
-                    jeRecord = record.load({ type: record.Type.JOURNAL_ENTRY, id: jeId });
-                    var jeTranid = jeRecord.getValue({ fieldId: 'tranid' });
-                    
-                    // Apply JE to Invoice (simplified - essential parts only)
-                    var customerPayment = record.transform({
-                        fromType: record.Type.INVOICE,
-                        fromId: invoiceId,
-                        toType: record.Type.CUSTOMER_PAYMENT,
-                        isDynamic: false
-                    });
-                    
-                    customerPayment.setValue({ fieldId: 'trandate', value: new Date() });
-                    customerPayment.setValue({ fieldId: 'paymentmethod', value: 15 });
-                    customerPayment.setValue({ fieldId: 'memo', value: 'CBSI JE Application: ' + jeTranid });
-                    customerPayment.setValue({ fieldId: 'payment', value: invoiceTotal });
-                    
-                    // Clear auto-selected applies
-                    var applyLineCount = customerPayment.getLineCount({ sublistId: 'apply' });
-                    for (var j = 0; j < applyLineCount; j++) {
-                        try {
-                            customerPayment.setSublistValue({ sublistId: 'apply', fieldId: 'apply', line: j, value: false });
-                            customerPayment.setSublistValue({ sublistId: 'apply', fieldId: 'amount', line: j, value: 0 });
-                        } catch (e) { /* ignore */ }
-                    }
-                    
-                    // Select credit (JE)
-                    var creditLineCount = customerPayment.getLineCount({ sublistId: 'credit' });
-                    for (var c = 0; c < creditLineCount; c++) {
-                        var creditDocId = customerPayment.getSublistValue({ sublistId: 'credit', fieldId: 'doc', line: c });
-                        if (creditDocId == jeId) {
-                            customerPayment.setSublistValue({ sublistId: 'credit', fieldId: 'apply', line: c, value: true });
-                            customerPayment.setSublistValue({ sublistId: 'credit', fieldId: 'amount', line: c, value: invoiceTotal });
-                            break;
-                        }
-                    }
-                    
-                    // Select invoice
-                    applyLineCount = customerPayment.getLineCount({ sublistId: 'apply' });
-                    for (var j = 0; j < applyLineCount; j++) {
-                        var docId = customerPayment.getSublistValue({ sublistId: 'apply', fieldId: 'doc', line: j });
-                        if (docId == invoiceId) {
-                            customerPayment.setSublistValue({ sublistId: 'apply', fieldId: 'apply', line: j, value: true });
-                            customerPayment.setSublistValue({ sublistId: 'apply', fieldId: 'amount', line: j, value: invoiceTotal });
-                            break;
-                        }
-                    }
-                    
-                    var paymentId = customerPayment.save();
-                    
-                    // Delete temp payment
-                    try {
-                        record.delete({ type: record.Type.CUSTOMER_PAYMENT, id: paymentId });
-                    } catch (e) { /* ignore deletion errors */ }
+                    var cbsiResult = writeOffLib.cbsiBillAndJE(soId);
                     
                     processedIds.push(soId);
-                    cbsiDetails.push({ soId: soId, invoiceTranid: invoiceTranid, jeTranid: jeTranid, amount: invoiceTotal });
-                    log.audit('Bulk CBSI - Complete Successfully', { soId: soId, invoiceTranid: invoiceTranid, jeTranid: jeTranid, amount: invoiceTotal });
+                    if (cbsiResult.routing.decision === 'close') {
+                        closedIds.push(soId);
+                    }
+                    cbsiDetails.push({
+                        soId: soId,
+                        success: true,
+                        routing: cbsiResult.routing,
+                        invoiceTranid: cbsiResult.invoiceTranid,
+                        jeTranid: cbsiResult.jeTranid,
+                        amount: cbsiResult.amount,
+                        validation: cbsiResult.validation
+                    });
+                    log.audit('Bulk CBSI - Complete Successfully', { soId: soId, invoiceTranid: cbsiResult.invoiceTranid, jeTranid: cbsiResult.jeTranid, amount: cbsiResult.amount });
+                    writeOffLib.writeAuditEntry({
+                        action: 'cbsi-bill-je',
+                        soId: soId,
+                        success: true,
+                        bulk: true,
+                        invoiceId: cbsiResult.invoiceId,
+                        jeId: cbsiResult.jeId,
+                        paymentId: cbsiResult.paymentId,
+                        amount: cbsiResult.amount,
+                        details: cbsiResult
+                    });
                 } catch (e) {
                     failedIds.push(soId);
+                    var userMessage = writeOffLib.getCleanErrorMessage(e);
+                    failureDetails[soId] = userMessage;
+                    cbsiDetails.push({ soId: soId, success: false, message: userMessage, routing: e.routing || null, rollback: e.rollback || null });
+                    writeOffLib.writeAuditEntry({ action: 'cbsi-bill-je', soId: soId, success: false, bulk: true, error: userMessage, details: { rollback: e.rollback || null, routing: e.routing || null } });
                     
                     var errorDetails = {
                         soId: soId,
@@ -1275,9 +1323,17 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 }
             }
             
-            var message = processedIds.length + ' CBSI transactions completed.';
+            var message = (processedIds.length - closedIds.length) + ' CBSI transactions completed.';
+            if (closedIds.length > 0) {
+                message += ' ' + closedIds.length + ' Sales Order(s) had a $0 total and were closed instead.';
+            }
             if (failedIds.length > 0) {
                 message += ' Failed: ' + failedIds.length;
+                var errorSummary = [];
+                for (var f = 0; f < failedIds.length; f++) {
+                    errorSummary.push('SO #' + failedIds[f] + ': ' + failureDetails[failedIds[f]]);
+                }
+                message += '\n\nFailure details:\n' + errorSummary.join('\n');
             }
             if (governanceStopped) {
                 message += ' GOVERNANCE LIMIT: Processed ' + processedIds.length + ' of ' + soIdArray.length + '. Remaining items still selected - click again to continue.';
@@ -1290,6 +1346,85 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 processedIds: processedIds,
                 failedIds: failedIds,
                 cbsiDetails: cbsiDetails,
+                closedIds: closedIds,
+                failureDetails: failureDetails,
+                governanceStopped: governanceStopped,
+                count: processedIds.length
+            }));
+        }
+
+        /**
+         * Handles bulk add-note: one research note and follow-up date for every selected SO. The note
+         * is added to each SO's thread; noteMode=append keeps the SO's current note field above it,
+         * replace (the default) overwrites the field.
+         */
+        function handleBulkAddNote(context, soIdArray) {
+            var response = context.response;
+            var params = context.request.parameters;
+            var note = String(params.note || '').trim();
+            var followUpDateParam = params.followUpDate || '';
+            var append = params.noteMode === 'append';
+            var processedIds = [];
+            var failedIds = [];
+            var failureDetails = {};
+            var researchNotes = {};
+            var followUpDate = null;
+            var governanceStopped = false;
+            var GOVERNANCE_THRESHOLD = 50;
+            
+            log.debug('handleBulkAddNote - START', { count: soIdArray.length, noteLength: note.length, append: append, followUpDateParam: followUpDateParam });
+            
+            // An empty note and date would clear every selected follow-up date
+            if (!note && !followUpDateParam) {
+                response.setHeader({ name: 'Content-Type', value: 'application/json' });
+                response.write(JSON.stringify({ success: false, message: 'Enter a note or a follow-up date to apply.' }));
+                return;
+            }
+            
+            for (var i = 0; i < soIdArray.length; i++) {
+                var soId = soIdArray[i];
+                
+                if (runtime.getCurrentScript().getRemainingUsage() < GOVERNANCE_THRESHOLD) {
+                    log.audit('Governance Limit Approaching', { processed: processedIds.length, remaining: soIdArray.length - i });
+                    governanceStopped = true;
+                    break;
+                }
+                
+                try {
+                    var noteResult = writeOffLib.saveResearchNote(soId, note, followUpDateParam, append);
+                    processedIds.push(soId);
+                    followUpDate = noteResult.followUpDate;
+                    if (noteResult.researchNotes !== null) {
+                        researchNotes[soId] = noteResult.researchNotes;
+                    }
+                    writeOffLib.writeAuditEntry({ action: 'add-note', soId: soId, success: true, bulk: true, details: { note: note.substring(0, 200), followUpDate: noteResult.followUpDate, mode: append ? 'append' : 'replace' } });
+                } catch (e) {
+                    failedIds.push(soId);
+                    failureDetails[soId] = writeOffLib.getCleanErrorMessage(e);
+                    log.error('Bulk Add Note Error', { soId: soId, error: e.toString() });
+                    writeOffLib.writeAuditEntry({ action: 'add-note', soId: soId, success: false, bulk: true, error: failureDetails[soId] });
+                }
+            }
+            
+            var message = (note ? 'Research note added to ' : 'Follow-up date set on ') + processedIds.length + ' Sales Order(s).';
+            if (failedIds.length > 0) {
+                message += ' Failed: ' + failedIds.length + '\n\nFailure details:\n' + failedIds.map(function(fid) {
+                    return 'SO #' + fid + ': ' + failureDetails[fid];
+                }).join('\n');
+            }
+            if (governanceStopped) {
+                message += '\n\nGOVERNANCE LIMIT: Processed ' + processedIds.length + ' of ' + soIdArray.length + '. Remaining items still selected - click again to continue.';
+            }
+            
+            response.setHeader({ name: 'Content-Type', value: 'application/json' });
+            response.write(JSON.stringify({
+                success: true,
+                message: message,
+                processedIds: processedIds,
+                failedIds: failedIds,
+                failureDetails: failureDetails,
+                researchNotes: researchNotes,
+                followUpDate: followUpDate,
                 governanceStopped: governanceStopped,
                 count: processedIds.length
             }));
@@ -1307,9 +1442,37 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 return handleLoadData(context);
             }
 
+            // Check if this is an AJAX poll for a background bulk job
+            if (params.action === 'job-status' && params.jobId) {
+                return handleJobStatus(context);
+            }
+
+            // Check if this is an AJAX request for the History tab
+            if (params.action === 'history') {
+                return handleHistory(context);
+            }
+
+            // Check if this is an AJAX request for the Follow-Ups tab
+            if (params.action === 'follow-ups') {
+                return handleFollowUps(context);
+            }
+
+            // Check if this is an AJAX request for one SO's research note thread
+            if (params.action === 'note-thread' && params.soId) {
+                return handleNoteThread(context);
+            }
+
             log.audit('Service Write-Off Portal', 'Showing initial empty page');
 
             try {
+                // Refuse to render the portal against missing or inactive settings
+                var settingsCheck = writeOffLib.loadSettings();
+                if (settingsCheck.errors.length > 0) {
+                    log.error('Service Write-Off Settings Invalid', settingsCheck.errors);
+                    response.writePage(buildSettingsErrorForm(settingsCheck.errors));
+                    return;
+                }
+
                 // Create NetSuite form (preserves menu bar and navigation)
                 var form = serverWidget.createForm({
                     title: 'Service Write-Off Portal'
@@ -1323,7 +1486,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 });
                 
                 // Build HTML content (without full page structure)
-                var html = buildReportHTML(null);
+                var html = buildReportHTML(null, parseSoIdFilter(params.soIds));
                 htmlField.defaultValue = html;
                 
                 // Write the form page (keeps NetSuite chrome)
@@ -1339,65 +1502,70 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
         }
 
         /**
-         * Handles AJAX request to load report data
+         * Builds the error page shown when the settings record is missing or invalid
+         * @param {Array} errors - Validation messages from writeOffLib.loadSettings
+         * @returns {Form} NetSuite form
+         */
+        function buildSettingsErrorForm(errors) {
+            var form = serverWidget.createForm({ title: 'Service Write-Off Portal - Configuration Error' });
+            var field = form.addField({ id: 'custpage_error', type: serverWidget.FieldType.INLINEHTML, label: ' ' });
+
+            var html = '<div style="color:#8B0000;padding:20px;font-family:Arial,sans-serif;">' +
+                '<h2>Service Write-Off Settings need attention</h2>' +
+                '<p>The portal cannot run until the Service Write-Off Settings record (' + writeOffLib.SETTINGS.type + ') is fixed:</p>' +
+                '<ul>';
+            for (var i = 0; i < errors.length; i++) {
+                html += '<li>' + escapeHtml(errors[i]) + '</li>';
+            }
+            html += '</ul>' +
+                '<p>Customization &gt; Lists, Records, &amp; Fields &gt; Record Types &gt; Service Write-Off Settings</p>' +
+                '</div>';
+
+            field.defaultValue = html;
+            return form;
+        }
+
+        /**
+         * Handles AJAX request to load report data, one chunk of Sales Orders per call
+         * (loadData=true&lastId=N, the so_id the previous chunk ended on); the first chunk also returns the summary totals
          */
         function handleLoadData(context) {
             var response = context.response;
+            var lastId = parseInt(context.request.parameters.lastId || 0, 10) || 0;
+            var isFirstChunk = (lastId === 0);
             
-            log.debug('handleLoadData - START', 'Loading unbilled SO data via AJAX');
-            log.audit('Service Write-Off Portal', 'Loading unbilled SO data via AJAX');
+            log.debug('handleLoadData - START', 'Loading unbilled SO data via AJAX, after SO id ' + lastId);
 
             try {
-                log.debug('handleLoadData - Calling runMainQuery');
-                
-                // Run the main query - returns one row per SO with aggregated unbilled data
-                var salesOrders = runMainQuery();
-                
-                log.debug('handleLoadData - Query complete', { resultCount: salesOrders.length });
-                log.audit('Query Complete', 'Found ' + salesOrders.length + ' Sales Orders with unbilled items');
-
-                // Calculate summary stats for ALL data and QUEUED data
-                var totalSOs = salesOrders.length;
-                var totalUnbilledLineCount = 0;
-                var totalUnbilledAmount = 0;
-                var queuedSOs = 0;
-                var queuedUnbilledLineCount = 0;
-                var queuedUnbilledAmount = 0;
-                
-                for (var i = 0; i < salesOrders.length; i++) {
-                    var so = salesOrders[i];
-                    var unbilledLines = parseInt(so.unbilled_line_count || 0);
-                    var unbilledAmt = parseFloat(so.total_unbilled_amount || 0) * -1;
-                    
-                    totalUnbilledLineCount += unbilledLines;
-                    totalUnbilledAmount += unbilledAmt;
-                    
-                    // Track queued totals
-                    if (so.queued_date) {
-                        queuedSOs++;
-                        queuedUnbilledLineCount += unbilledLines;
-                        queuedUnbilledAmount += unbilledAmt;
-                    }
-                }
+                // The SOs after the last one loaded - one row per SO with aggregated unbilled data
+                var chunk = writeOffLib.findUnbilledSalesOrdersAfter(lastId, LOAD_PAGE_SIZE);
+                
+                log.debug('handleLoadData - Query complete', { lastId: lastId, nextLastId: chunk.lastId, rows: chunk.rows.length, remainingCount: chunk.remainingCount });
 
-                // Build table body HTML on server
-                var tableBodyHtml = '';
-                for (var t = 0; t < salesOrders.length; t++) {
-                    tableBodyHtml += buildTableRow(salesOrders[t]);
+                // Structured SO objects (same shape as the API); the client renders the rows
+                var result = {
+                    success: true,
+                    lastId: chunk.lastId,
+                    hasMore: chunk.hasMore,
+                    remainingCount: chunk.remainingCount,
+                    salesOrders: chunk.rows.map(writeOffLib.toSalesOrderModel)
+                };
+
+                // The first chunk carries the summary cards, totalled over every SO by a separate aggregate query
+                if (isFirstChunk) {
+                    var summary = writeOffLib.summarizeUnbilledSalesOrders();
+                    log.audit('Query Complete', 'Found ' + summary.soCount + ' Sales Orders with unbilled items');
+
+                    result.summaryTotal = summary.soCount;
+                    result.summaryTotalLines = summary.lineCount;
+                    result.summaryTotalAmount = summary.amount;
+                    result.queuedTotal = summary.queuedSOCount;
+                    result.queuedTotalLines = summary.queuedLineCount;
+                    result.queuedTotalAmount = summary.queuedAmount;
                 }
 
-                // Return JSON response with pre-rendered HTML and summary stats
                 response.setHeader({ name: 'Content-Type', value: 'application/json' });
-                response.write(JSON.stringify({ 
-                    success: true, 
-                    summaryTotal: totalSOs,
-                    summaryTotalLines: totalUnbilledLineCount,
-                    summaryTotalAmount: totalUnbilledAmount,
-                    queuedTotal: queuedSOs,
-                    queuedTotalLines: queuedUnbilledLineCount,
-                    queuedTotalAmount: queuedUnbilledAmount,
-                    tableBodyHtml: tableBodyHtml
-                }));
+                response.write(JSON.stringify(result));
 
             } catch (e) {
                 log.error('Load Data Error', e.toString());
@@ -1406,81 +1574,13 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             }
         }
 
-        /**
-         * Runs the main SuiteQL query to get Service dept Sales Orders with unbilled line items
-         * @returns {Array} Array of sales order records with aggregated unbilled data
-         */
-        function runMainQuery() {
-            log.debug('runMainQuery - START', 'Building and executing SuiteQL query');
-            
-            var sql = "SELECT " +
-                "so.id AS so_id, " +
-                "so.tranid AS so_number, " +
-                "so.trandate AS so_date, " +
-                "so.entity AS customer_id, " +
-                "MAX(cust.altname) AS customer_name, " +
-                "so.status AS so_status, " +
-                "MAX(BUILTIN.DF(so.status)) AS so_status_text, " +
-                "so.custbody_f4n_job_id AS job_id, " +
-                "so.custbody_service_queued_for_write_off AS queued_date, " +
-                "MAX(BUILTIN.DF(so.custbody_bas_fa_warranty_type)) AS warranty_type, " +
-                "so.custbody24 AS epic_auth, " +
-                "so.shipdate AS ship_date, " +
-                "so.custbody_bas_estimated_ship_date AS est_ship_date, " +
-                "so.custbody_f4n_details AS job_details, " +
-                "so.custbody21 AS billing_completed_by, " +
-                "so.custbody_f4n_job_state AS job_state, " +
-                "so.custbody_f4n_scheduled AS scheduled_date, " +
-                "so.custbody_f4n_started AS job_started, " +
-                "so.custbody_f4n_completed AS job_completed, " +
-                "so.custbody_service_research_notes AS research_notes, " +
-                "so.custbody_service_research_followupdate AS follow_up_date, " +
-                "MAX(BUILTIN.DF(so.custbody_bas_fa_parts_status)) AS parts_status, " +
-                "COUNT(so_line.item) AS unbilled_line_count, " +
-                "SUM(so_line.netamount) AS total_unbilled_amount, " +
-                "LISTAGG(COALESCE(item.itemid, 'Item #' || so_line.item) || '~~' || so_line.quantity || '~~' || so_line.netamount, '||') WITHIN GROUP (ORDER BY so_line.linesequencenumber) AS unbilled_items_detail " +
-                "FROM transaction so " +
-                "INNER JOIN transactionline so_line ON so_line.transaction = so.id " +
-                "LEFT JOIN customer cust ON so.entity = cust.id " +
-                "LEFT JOIN item ON so_line.item = item.id " +
-                "WHERE so.type = 'SalesOrd' " +
-                // Status 'F' = Pending Billing
-                // We do not bill the manufacturer until all line items are fulfilled to the customer
-                // so the only transactions that are ready for billing are completely fulfilled which 
-                // means Pending Billing status. Fulfillment discrepancies must be managed in a separate process.
-                "AND so.status = 'F' " +
-                "AND so_line.department = 13 " +
-                "AND so_line.taxline = 'F' " +
-                "AND so_line.mainline = 'F' " +
-                "AND so_line.item IS NOT NULL " +
-                "AND so_line.quantity != 0 " +
-                "AND NOT EXISTS ( " +
-                "    SELECT 1 FROM transactionline inv_line " +
-                "    INNER JOIN transaction inv ON inv_line.transaction = inv.id " +
-                "    WHERE inv_line.createdfrom = so.id " +
-                "    AND inv_line.item = so_line.item " +
-                "    AND inv.type = 'CustInvc' " +
-                "    AND inv_line.taxline = 'F' " +
-                "    AND inv_line.mainline = 'F' " +
-                ") " +
-                "GROUP BY so.id, so.tranid, so.trandate, so.entity, so.status, so.custbody_f4n_job_id, so.custbody_service_queued_for_write_off, so.custbody24, so.shipdate, so.custbody_bas_estimated_ship_date, so.custbody_f4n_details, so.custbody21, so.custbody_f4n_job_state, so.custbody_f4n_scheduled, so.custbody_f4n_started, so.custbody_f4n_completed, so.custbody_service_research_notes, so.custbody_service_research_followupdate " +
-                "ORDER BY so.tranid";
-
-            log.audit('Running Unbilled SO Query', sql);
-            
-            var results = query.runSuiteQL({ query: sql }).asMappedResults();
-            
-            log.audit('Query Results', 'Found ' + results.length + ' Sales Orders with unbilled items');
-            
-            return results;
-        }
-
         /**
          * Builds the HTML content for the report (embedded in NetSuite form)
          * @param {Array} data - Sales Order data
+         * @param {Array|null} [soIdFilter] - Sales Order IDs to limit the table to; the page then loads on open
          * @returns {string} HTML content
          */
-        function buildReportHTML(data) {
+        function buildReportHTML(data, soIdFilter) {
             // Get current suitelet URL for AJAX calls
             var suiteletUrl = url.resolveScript({
                 scriptId: 'customscript_service_writeoff_portal',
@@ -1492,8 +1592,8 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
             var displayData = data || [];
             
             // Build embedded HTML - Scripts must come FIRST before any onclick handlers
-            var html = '<script>var SUITELET_URL = "' + suiteletUrl + '";</script>' +
-                '<script>' + getJavaScript() + '</script>' +
+            var html = '<script>' + getBootstrapScript(suiteletUrl, getFilterPresets(), soIdFilter || null) + '</script>' +
+                '<script src="' + escapeHtml(getClientScriptUrl()) + '"></script>' +
                 '<style>' + getStyles() + '</style>' +
                 '<div id="loadingOverlay" class="loading-overlay" style="display:none;">' +
                 '<div class="loading-spinner"></div>' +
@@ -1501,25 +1601,45 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 '</div>' +
                 '<div class="report-container">' +
                 '<div id="successMessage" class="success-msg" style="display:none;"></div>' +
+                '<div class="tab-bar">' +
+                '<button type="button" id="tabBtnSalesOrders" class="tab-btn tab-btn-active" onclick="switchTab(\'salesOrders\')">📋 Sales Orders</button>' +
+                '<button type="button" id="tabBtnFollowUps" class="tab-btn" onclick="switchTab(\'followUps\')">⏰ Follow-Ups</button>' +
+                '<button type="button" id="tabBtnHistory" class="tab-btn" onclick="switchTab(\'history\')">🕘 History</button>' +
+                '</div>' +
+                '<div id="tabSalesOrders">' +
                 '<div id="loadButtonContainer" class="load-button-container"' + (isInitialLoad ? '' : ' style="display:none;"') + '>' +
                 '<button type="button" id="loadDataBtn" class="load-btn" onclick="loadReportData()">🔄 Load Service Write-Off Data</button>' +
                 '<p class="load-hint">Click to load Service Department Sales Orders requiring write-off action.</p>' +
                 '</div>' +
                 '<div id="reportContent"' + (isInitialLoad ? ' class="hidden"' : '') + '>' +
+                (soIdFilter ? '<div id="soIdFilterBanner" class="so-filter-banner">Showing the ' + soIdFilter.length + ' Sales Order(s) from your follow-up digest. ' +
+                    '<a href="#" onclick="clearSoIdFilter(); return false;">Show all Sales Orders</a></div>' : '') +
                 '<div id="summarySection">' + buildSummarySection(displayData) + '</div>' +
                 '<h2 class="section-header">📋 Sales Orders for Write-Off Review</h2>' +
-                '<div id="tableSection">' + buildDataTable(displayData) + '</div>' +
+                '<div id="loadProgress" class="load-progress" style="display:none;"></div>' +
+                '<div id="tableSection">' + buildDataTable() + '</div>' +
+                '</div>' +
                 '</div>' +
+                '<div id="tabFollowUps" style="display:none;">' + buildFollowUpSection() + '</div>' +
+                '<div id="tabHistory" style="display:none;">' + buildHistorySection() + '</div>' +
                 '<div id="jobDetailsTooltip" class="job-details-tooltip"><div class="tooltip-header">Job Information</div><div id="jobDetailsContent"></div></div>' +
-                '<div id="lineItemsTooltip" class="line-items-tooltip"><div class="tooltip-header">Unbilled Line Items:</div><div id="tooltipContent"></div></div>' +
+                '<div id="lineItemsTooltip" class="line-items-tooltip"><div class="tooltip-header">Unbilled Line Items:</div><div id="tooltipContent"></div><div class="tooltip-hint">Click the line count to bill or close individual lines.</div></div>' +
                 '<div id="researchNoteModal" class="modal-overlay" style="display:none;">' +
                 '<div class="modal-content">' +
                 '<div class="modal-header">📝 Research Note</div>' +
                 '<div class="modal-body">' +
-                '<label class="modal-label">Enter research note for this Sales Order:</label>' +
-                '<textarea id="researchNoteInput" class="modal-textarea" rows="6" placeholder="Enter notes here..."></textarea>' +
+                '<div id="researchNoteThread" class="note-thread"></div>' +
+                '<label id="researchNoteLabel" class="modal-label">Add a note to this Sales Order:</label>' +
+                '<textarea id="researchNoteInput" class="modal-textarea" rows="4" placeholder="Earlier notes are kept; leave empty to only change the follow-up date..."></textarea>' +
                 '<label class="modal-label" style="margin-top: 15px;">Follow Up Date:</label>' +
                 '<input type="date" id="followUpDateInput" class="modal-input" />' +
+                '<div id="researchNoteModeRow" style="display:none;">' +
+                '<label class="modal-label" style="margin-top: 15px;">Each Sales Order\'s Research Notes field:</label>' +
+                '<select id="researchNoteModeSelect" class="modal-input">' +
+                '<option value="append">Append - keep the current note above this one</option>' +
+                '<option value="replace">Replace - show only this note</option>' +
+                '</select>' +
+                '</div>' +
                 '</div>' +
                 '<div class="modal-footer">' +
                 '<button type="button" class="modal-btn modal-btn-cancel" onclick="closeResearchNoteModal()">Cancel</button>' +
@@ -1527,11 +1647,159 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 '</div>' +
                 '</div>' +
                 '</div>' +
+                '<div id="cbsiPreviewModal" class="modal-overlay" style="display:none;">' +
+                '<div class="modal-content modal-content-wide">' +
+                '<div class="modal-header">🔍 CBSI Bill and JE Preview</div>' +
+                '<div class="modal-body">' +
+                '<div id="cbsiPreviewSummary" class="job-progress-label"></div>' +
+                '<div id="cbsiPreviewContent" class="cbsi-preview-content"></div>' +
+                '</div>' +
+                '<div class="modal-footer">' +
+                '<button type="button" class="modal-btn modal-btn-cancel" onclick="closeCBSIPreview()">Cancel</button>' +
+                '<button type="button" id="cbsiPreviewConfirm" class="modal-btn modal-btn-save" onclick="confirmCBSIPreview()">Confirm &amp; Post</button>' +
+                '</div>' +
+                '</div>' +
+                '</div>' +
+                '<div id="linePickerModal" class="modal-overlay" style="display:none;">' +
+                '<div class="modal-content modal-content-wide">' +
+                '<div class="modal-header">🧾 Bill / Close Lines</div>' +
+                '<div class="modal-body">' +
+                '<div id="linePickerTitle" class="job-progress-label"></div>' +
+                '<div class="cbsi-preview-content">' +
+                '<table class="cbsi-preview-table">' +
+                '<thead><tr><th>Item</th><th class="cbsi-preview-amount">Qty</th><th class="cbsi-preview-amount">Amount</th><th>Bill</th><th>Close</th><th>Leave Open</th></tr></thead>' +
+                '<tbody id="linePickerBody"></tbody>' +
+                '</table>' +
+                '</div>' +
+                '<div id="linePickerSummary" class="line-picker-summary"></div>' +
+                '</div>' +
+                '<div class="modal-footer">' +
+                '<button type="button" class="modal-btn modal-btn-cancel" onclick="closeLinePicker()">Cancel</button>' +
+                '<button type="button" id="linePickerApply" class="modal-btn modal-btn-save" onclick="applyLinePicker()">Apply</button>' +
+                '</div>' +
+                '</div>' +
+                '</div>' +
+                '<div id="jobProgressModal" class="modal-overlay" style="display:none;">' +
+                '<div class="modal-content">' +
+                '<div class="modal-header">⚙️ Bulk Job Progress</div>' +
+                '<div class="modal-body">' +
+                '<div id="jobProgressLabel" class="job-progress-label"></div>' +
+                '<div class="job-progress-bar"><div id="jobProgressFill" class="job-progress-fill"></div></div>' +
+                '<div id="jobProgressResults" class="job-progress-results"></div>' +
+                '<p class="job-progress-hint">The job keeps running in the background if you close this window.</p>' +
+                '</div>' +
+                '<div class="modal-footer">' +
+                '<button type="button" class="modal-btn modal-btn-cancel" onclick="closeJobProgress()">Close</button>' +
+                '</div>' +
+                '</div>' +
+                '</div>' +
                 '</div>';
 
+            // Opened from the follow-up digest: load straight away, once the elements above exist
+            if (soIdFilter) {
+                html += '<script>loadReportData();</script>';
+            }
+
             return html;
         }
 
+        /**
+         * Returns the data the client script needs before it loads
+         * @param {string} suiteletUrl - URL the client posts its AJAX calls to
+         * @param {Array} filterPresets - Presets the current user can pick (writeOffLib.listFilterPresets)
+         * @param {Array|null} soIdFilter - Sales Order IDs to limit the table to, or null
+         * @returns {string} JavaScript declaring the bootstrap globals
+         */
+        function getBootstrapScript(suiteletUrl, filterPresets, soIdFilter) {
+            return 'var SUITELET_URL = ' + toScriptLiteral(suiteletUrl) + ';' +
+                'var FILTER_PRESETS = ' + toScriptLiteral(filterPresets) + ';' +
+                'var AGE_BUCKETS = ' + toScriptLiteral(AGE_BUCKETS) + ';' +
+                'var SO_ID_FILTER = ' + toScriptLiteral(soIdFilter) + ';';
+        }
+
+        /**
+         * Serializes a value for an inline script
+         * @param {*} value - Any JSON value
+         * @returns {string} JavaScript literal
+         */
+        function toScriptLiteral(value) {
+            // JSON keeps quotes from breaking out of strings; escaping "<" keeps "</script>" inside the script tag
+            return JSON.stringify(value).replace(/</g, '\\u003c');
+        }
+
+        /**
+         * Loads the filter presets for the page; a failure only costs the dropdown, not the portal
+         * @returns {Array} Presets, or [] when they cannot be read
+         */
+        function getFilterPresets() {
+            try {
+                return writeOffLib.listFilterPresets();
+            } catch (e) {
+                log.error('Filter Presets Unavailable', e.toString());
+                return [];
+            }
+        }
+
+        /**
+         * Resolves the File Cabinet URL of the portal client script
+         * @returns {string} Client script URL
+         */
+        function getClientScriptUrl() {
+            return file.load({ id: CLIENT_SCRIPT_PATH }).url;
+        }
+
+        /**
+         * Builds the Follow-Ups tab: research notes due today or overdue, grouped by note owner and
+         * filled by loadFollowUps()
+         * @returns {string} Follow-Ups section HTML
+         */
+        function buildFollowUpSection() {
+            return '<h2 class="section-header">⏰ Due for Follow-Up</h2>' +
+                '<div class="history-filters">' +
+                '<button type="button" class="action-btn-large" onclick="loadFollowUps()">Refresh</button>' +
+                '</div>' +
+                '<div id="followUpStatus" class="history-status">Loading follow-ups...</div>' +
+                '<div id="followUpGroups"></div>';
+        }
+
+        /**
+         * Builds the History tab: ledger filters and an empty results table filled by loadHistory()
+         * @returns {string} History section HTML
+         */
+        function buildHistorySection() {
+            var actionOptions = '<option value="">All Actions</option>';
+            for (var key in writeOffLib.AUDIT_ACTIONS) {
+                actionOptions += '<option value="' + key + '">' + escapeHtml(writeOffLib.AUDIT_ACTIONS[key]) + '</option>';
+            }
+
+            return '<h2 class="section-header">🕘 Write-Off History</h2>' +
+                '<div class="history-filters">' +
+                '<input type="text" id="historySo" class="history-input" placeholder="SO #">' +
+                '<input type="text" id="historyUser" class="history-input" placeholder="User">' +
+                '<select id="historyAction" class="history-input">' + actionOptions + '</select>' +
+                '<label class="history-label">From <input type="date" id="historyDateFrom" class="history-input"></label>' +
+                '<label class="history-label">To <input type="date" id="historyDateTo" class="history-input"></label>' +
+                '<button type="button" class="action-btn-large" onclick="loadHistory()">Search</button>' +
+                '</div>' +
+                '<div id="historyStatus" class="history-status">Click Search to load history.</div>' +
+                '<div class="table-wrapper">' +
+                '<table id="historyTable">' +
+                '<thead><tr>' +
+                '<th class="th-slate">Date</th>' +
+                '<th class="th-slate">User</th>' +
+                '<th class="th-slate">Action</th>' +
+                '<th class="th-slate">Sales Order</th>' +
+                '<th class="th-slate">Invoice</th>' +
+                '<th class="th-slate">Journal Entry</th>' +
+                '<th class="th-slate">Payment</th>' +
+                '<th class="th-slate">Amount</th>' +
+                '<th class="th-slate">Result</th>' +
+                '</tr></thead>' +
+                '<tbody id="historyTableBody"></tbody>' +
+                '</table>' +
+                '</div>';
+        }
+
         /**
          * Builds summary statistics section with three horizontal summaries (all, queued, selected)
          * @param {Array} data - Sales Order data
@@ -1586,6 +1854,13 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 '</div>' +
                 '<div class="filter-section">' +
                 '<h3 class="filter-section-header">🔍 Filters</h3>' +
+                '<div class="filter-preset-bar">' +
+                '<select id="filterPresetSelect" class="filter-preset-select" onchange="applyPreset(this.value)">' +
+                '<option value="">Saved filters...</option>' +
+                '</select>' +
+                '<button type="button" class="filter-preset-btn" onclick="savePreset()">💾 Save</button>' +
+                '<button type="button" id="filterPresetDelete" class="filter-preset-btn" onclick="deletePreset()" disabled>🗑 Delete</button>' +
+                '</div>' +
                 '<div class="filter-cards-row">' +
                 '<div class="filter-card">' +
                 '<div class="filter-subsection-header">Ship Dates</div>' +
@@ -1613,62 +1888,76 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 '</div>' +
                 '<div class="filter-card">' +
                 '<div class="filter-subsection-header">Job State</div>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterJobScheduled" checked onchange="applyFilters()">' +
-                '<span class="filter-label">Scheduled</span>' +
-                '</label>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterJobActive" checked onchange="applyFilters()">' +
-                '<span class="filter-label">Active</span>' +
-                '</label>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterJobPaused" checked onchange="applyFilters()">' +
-                '<span class="filter-label">Paused</span>' +
-                '</label>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterJobCompleted" checked onchange="applyFilters()">' +
-                '<span class="filter-label">Completed</span>' +
-                '</label>' +
+                '<div id="filterJobStateOptions" class="filter-options"></div>' +
                 '</div>' +
                 '<div class="filter-card">' +
                 '<div class="filter-subsection-header">Warranty Type</div>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterWarrantyNone" checked onchange="applyFilters()">' +
-                '<span class="filter-label">No Warranty Type</span>' +
-                '</label>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterWarrantyCBSI" checked onchange="applyFilters()">' +
-                '<span class="filter-label">CBSI</span>' +
-                '</label>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterWarrantyCOD" checked onchange="applyFilters()">' +
-                '<span class="filter-label">Cash on Delivery</span>' +
-                '</label>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterWarrantyExtended" checked onchange="applyFilters()">' +
-                '<span class="filter-label">Extended Warranty</span>' +
-                '</label>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterWarrantyMfg" checked onchange="applyFilters()">' +
-                '<span class="filter-label">Mfg Warranty Term</span>' +
-                '</label>' +
-                '<label class="filter-item">' +
-                '<input type="checkbox" id="filterWarrantyShop" checked onchange="applyFilters()">' +
-                '<span class="filter-label">Shop Ticket</span>' +
-                '</label>' +
+                '<div id="filterWarrantyOptions" class="filter-options"></div>' +
                 '</div>' +
                 '</div>' +
+                buildAgeFilterRow() +
                 '<div class="filter-showing-count" id="filterShipDateCount">Showing: 0 / 0</div>' +
                 '</div>' +
+                buildAgingSection() +
                 '</div>';
         }
 
         /**
-         * Builds the main data table with checkbox selection
-         * @param {Array} data - Sales Order data
+         * Builds the age filter chips (one checkbox per AGE_BUCKETS entry plus "No Date") and the
+         * selector of the date the age is counted from
+         * @returns {string} Filter row HTML
+         */
+        function buildAgeFilterRow() {
+            var basisOptions = AGE_BASES.map(function(basis) {
+                return '<option value="' + basis.field + '">' + escapeHtml(basis.label) + '</option>';
+            }).join('');
+            var chips = AGE_BUCKETS.concat([{ key: 'none', label: 'No Date' }]).map(function(bucket) {
+                return '<label class="age-chip">' +
+                    '<input type="checkbox" id="' + getAgeFilterId(bucket.key) + '" checked onchange="applyFilters()">' +
+                    '<span>' + escapeHtml(bucket.label) + '</span>' +
+                    '</label>';
+            }).join('');
+
+            return '<div class="age-filter-row">' +
+                '<span class="filter-subsection-header age-filter-label">Age (days) from</span>' +
+                '<select id="ageBasisSelect" class="age-basis-select" onchange="applyAgeBasis()">' + basisOptions + '</select>' +
+                chips +
+                '</div>';
+        }
+
+        /**
+         * Builds the aging summary cards: SO count and unbilled amount per age bucket, filled in by the client
+         * @returns {string} Aging section HTML
+         */
+        function buildAgingSection() {
+            var cards = AGE_BUCKETS.concat([{ key: 'none', label: 'No Date' }]).map(function(bucket) {
+                return '<div class="summary-card card-age">' +
+                    '<div class="summary-value" id="ageCount-' + bucket.key + '">0</div>' +
+                    '<div class="summary-label">' + escapeHtml(bucket.label) + (bucket.key === 'none' ? '' : ' days') + '</div>' +
+                    '<div class="summary-sublabel" id="ageAmount-' + bucket.key + '">$0.00</div>' +
+                    '</div>';
+            }).join('');
+
+            return '<div class="summary-section aging-section">' +
+                '<h3 class="summary-section-header">🕒 Aging <span id="ageBasisLabel">(since Ship Date)</span></h3>' +
+                '<div class="aging-cards">' + cards + '</div>' +
+                '</div>';
+        }
+
+        /**
+         * Checkbox ID of an age bucket; the client script builds the same IDs
+         * @param {string} key - AGE_BUCKETS key, or "none"
+         * @returns {string} Element ID
+         */
+        function getAgeFilterId(key) {
+            return key === 'none' ? 'filterAgeNone' : 'filterAge-' + key;
+        }
+
+        /**
+         * Builds the main data table with checkbox selection; the client fills the body from load-data
          * @returns {string} Table HTML
          */
-        function buildDataTable(data) {
+        function buildDataTable() {
             var html = '<div class="table-controls">' +
                 '<input type="text" id="searchBox" placeholder="Search table... (Use | for OR, space for AND)" onkeyup="filterTable()">' +
                 '<div class="bulk-action-container">' +
@@ -1678,6 +1967,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 '<option value="close">Close (Cancel)</option>' +
                 '<option value="auto-bill">Auto-Bill (Invoice)</option>' +
                 '<option value="cbsi-bill-je">CBSI (Bill and JE)</option>' +
+                '<option value="add-note">Add Research Note / Follow Up</option>' +
                 '</select>' +
                 '<button type="button" id="bulkActionBtn" class="action-btn-large" onclick="executeBulkAction()" disabled>Apply</button>' +
                 '</div>' +
@@ -1701,207 +1991,15 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 '<th class="th-slate" onclick="sortTable(12)">SO Status<span class="sort-arrow">↕</span></th>' +
                 '<th class="th-teal" onclick="sortTable(13)">Unbilled<br>Line Count<span class="sort-arrow">↕</span></th>' +
                 '<th class="th-teal" onclick="sortTable(14)">Total Unbilled<br>Amount<span class="sort-arrow">↕</span></th>' +
+                '<th class="th-teal" onclick="sortTable(15)">Age<br>(Days)<span class="sort-arrow">↕</span></th>' +
                 '</tr>' +
                 '</thead>' +
-                '<tbody id="reportTableBody">';
-
-            var dataLength = data ? data.length : 0;
-            for (var i = 0; i < dataLength; i++) {
-                html += buildTableRow(data[i]);
-            }
-
-            html += '</tbody></table></div>';
-            return html;
-        }
-
-        /**
-         * Builds a single table row with checkbox for selection
-         * @param {Object} record - Sales Order record data
-         * @returns {string} Table row HTML
-         */
-        function buildTableRow(record) {
-            var soId = record.so_id;
-            var unbilledLines = parseInt(record.unbilled_line_count || 0);
-            var unbilledAmount = parseFloat(record.total_unbilled_amount || 0) * -1;
-            var unbilledDetail = record.unbilled_items_detail || '';
-            var jobDetails = record.job_details || '';
-            var billingCompletedBy = record.billing_completed_by || '';
-            var jobState = record.job_state || '';
-            var partsStatus = record.parts_status || '';
-            var scheduledDate = record.scheduled_date || '';
-            var jobStarted = record.job_started || '';
-            var jobCompleted = record.job_completed || '';
-            var queuedDate = record.queued_date || '';
-            
-            var shipDateRaw = record.ship_date || '';
-            var warrantyType = record.warranty_type || '';
-            var researchNotes = record.research_notes || '';
-            var followUpDate = record.follow_up_date || '';
-            var followUpDateForInput = toInputDateFormat(followUpDate); // Convert to YYYY-MM-DD for date input
-            var html = '<tr class="line-items-row" data-so-id="' + soId + '" data-unbilled-lines="' + unbilledLines + '" data-unbilled-amount="' + unbilledAmount + '" data-unbilled-detail="' + unbilledDetail + '" data-job-details="' + escapeHtml(jobDetails) + '" data-billing-completed-by="' + escapeHtml(billingCompletedBy) + '" data-job-state="' + escapeHtml(jobState) + '" data-parts-status="' + escapeHtml(partsStatus) + '" data-scheduled-date="' + scheduledDate + '" data-job-started="' + jobStarted + '" data-job-completed="' + jobCompleted + '" data-ship-date="' + shipDateRaw + '" data-warranty-type="' + escapeHtml(warrantyType) + '" data-research-notes="' + escapeHtml(researchNotes) + '" data-follow-up-date="' + followUpDateForInput + '" onmouseenter="showLineItemsTooltip(this); showJobDetailsTooltip(this);" onmouseleave="hideLineItemsTooltip(); hideJobDetailsTooltip();">';
-            
-            // Checkbox column
-            html += '<td class="col-checkbox"><input type="checkbox" class="so-checkbox" value="' + soId + '" onchange="updateSelectedSummary()"></td>';
-            
-            // Actions dropdown
-            html += '<td class="col-actions"><select class="actions-dropdown" onchange="handleAction(this, ' + soId + ')" onclick="event.stopPropagation();"><option value="">▼</option><option value="queue">Queue for Bill & Write-Off</option><option value="close">Close (Cancel)</option><option value="bill">Manual Bill (Invoice)</option><option value="auto-bill">Auto-Bill (Invoice)</option><option value="cbsi-bill-je">CBSI (Bill and JE)</option><option value="add-note">Add Research Note</option></select></td>';
-            
-            // Sales Order columns (slate group)
-            var noteIcon = researchNotes ? ' <span class="research-note-icon" id="note-icon-' + soId + '" title="Has research notes">ℹ️</span>' : '<span class="research-note-icon" id="note-icon-' + soId + '" style="display:none;" title="Has research notes">ℹ️</span>';
-            html += '<td class="col-slate">' + buildTransactionLink(record.so_id, record.so_number, 'salesord') + noteIcon + '</td>';
-            html += '<td class="col-slate follow-up-cell" id="follow-up-cell-' + soId + '">' + formatDate(followUpDateForInput) + '</td>';
-            html += '<td class="col-slate queued-cell" id="queued-cell-' + soId + '">';
-            if (queuedDate) {
-                html += '<span class="queued-checkmark">✓</span><span class="unqueue-x" onclick="handleUnqueue(' + soId + ', event)" title="Remove from queue">✕</span>';
-            }
-            html += '</td>';
-            html += '<td class="col-slate">' + escapeHtml(record.job_id || '') + '</td>';
-            html += '<td class="col-slate">' + escapeHtml(record.warranty_type || '') + '</td>';
-            html += '<td class="col-slate">' + escapeHtml(record.epic_auth || '') + '</td>';
-            html += '<td class="col-slate">' + buildCustomerLink(record.customer_id, record.customer_name) + '</td>';
-            html += '<td class="col-slate">' + formatDate(record.so_date) + '</td>';
-            html += '<td class="col-slate">' + formatDate(record.ship_date) + '</td>';
-            html += '<td class="col-slate">' + formatDate(record.est_ship_date) + '</td>';
-            html += '<td class="col-slate">' + escapeHtml((record.so_status_text || '').replace(/^Sales Order\s*:\s*/i, '')) + '</td>';
-            
-            // Unbilled data (teal group)
-            html += '<td class="col-teal amount">' + unbilledLines + '</td>';
-            html += '<td class="col-teal amount">';
-            html += '$' + formatAmount(unbilledAmount);
-            html += '</td>';
-            
-            html += '</tr>';
-            return html;
-        }
-
-        /**
-         * Builds tooltip HTML for unbilled line items
-         * @param {string} itemsDetail - Delimited string of item details (item~~qty~~amount||...)
-         * @returns {string} Tooltip HTML
-         */
-        function buildLineItemsTooltip(itemsDetail) {
-            if (!itemsDetail) return '';
-            
-            var html = '<div class="line-items-tooltip">';
-            html += '<div class="tooltip-header">Unbilled Line Items:</div>';
-            html += '<table class="tooltip-table">';
-            html += '<tr><th>Item</th><th>Qty</th><th>Amount</th></tr>';
-            
-            // Parse the delimited string: item~~qty~~amount||item~~qty~~amount
-            var items = itemsDetail.split('||');
-            for (var i = 0; i < items.length; i++) {
-                var parts = items[i].split('~~');
-                if (parts.length === 3) {
-                    var itemName = parts[0];
-                    var qty = parseFloat(parts[1] || 0);
-                    var amount = parseFloat(parts[2] || 0);
-                    
-                    html += '<tr>';
-                    html += '<td class="tooltip-item">' + escapeHtml(itemName) + '</td>';
-                    html += '<td class="tooltip-qty">' + qty + '</td>';
-                    html += '<td class="tooltip-amount">$' + formatAmount(amount) + '</td>';
-                    html += '</tr>';
-                }
-            }
-            
-            html += '</table>';
-            html += '</div>';
+                '<tbody id="reportTableBody"></tbody>' +
+                '</table>' +
+                '</div>';
             return html;
         }
 
-        /**
-         * Builds a clickable transaction link
-         * @param {string} id - Transaction internal ID
-         * @param {string} tranid - Transaction number
-         * @param {string} type - Transaction type
-         * @returns {string} Link HTML
-         */
-        function buildTransactionLink(id, tranid, type) {
-            if (!id || !tranid) {
-                return '<span class="no-data">—</span>';
-            }
-            
-            var recordType = type.toLowerCase();
-            var urlPath = '/app/accounting/transactions/' + recordType + '.nl?id=' + id;
-            
-            return '<a href="' + urlPath + '" target="_blank" class="transaction-link">' +
-                   escapeHtml(tranid) + '</a>';
-        }
-
-        /**
-         * Builds a clickable customer link
-         * @param {string} id - Customer internal ID
-         * @param {string} name - Customer name
-         * @returns {string} Link HTML
-         */
-        function buildCustomerLink(id, name) {
-            if (!id || !name) {
-                return '<span class="no-data">—</span>';
-            }
-            
-            var urlPath = '/app/common/entity/custjob.nl?id=' + id;
-            return '<a href="' + urlPath + '" target="_blank" class="customer-link">' +
-                   escapeHtml(name) + '</a>';
-        }
-
-        /**
-         * Formats a currency amount
-         * @param {number} amount
-         * @returns {string} Formatted amount
-         */
-        function formatAmount(amount) {
-            if (!amount && amount !== 0) return '0.00';
-            return parseFloat(amount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-        }
-
-        /**
-         * Formats a date value
-         * @param {string} dateValue
-         * @returns {string} Formatted date
-         */
-        function formatDate(dateValue) {
-            if (!dateValue) return '';
-            try {
-                // If date is in YYYY-MM-DD format, parse it as local date to avoid timezone issues
-                if (typeof dateValue === 'string' && dateValue.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                    var parts = dateValue.split('-');
-                    var year = parseInt(parts[0], 10);
-                    var month = parseInt(parts[1], 10) - 1; // Month is 0-indexed
-                    var day = parseInt(parts[2], 10);
-                    var d = new Date(year, month, day);
-                    return (d.getMonth() + 1) + '/' + d.getDate() + '/' + d.getFullYear();
-                }
-                var d = new Date(dateValue);
-                return (d.getMonth() + 1) + '/' + d.getDate() + '/' + d.getFullYear();
-            } catch (e) {
-                return dateValue;
-            }
-        }
-
-        /**
-         * Converts a date to YYYY-MM-DD format for HTML date inputs
-         * @param {string} dateValue
-         * @returns {string} Date in YYYY-MM-DD format
-         */
-        function toInputDateFormat(dateValue) {
-            if (!dateValue) return '';
-            try {
-                var d;
-                // If already in YYYY-MM-DD format, return as-is
-                if (typeof dateValue === 'string' && dateValue.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                    return dateValue;
-                }
-                d = new Date(dateValue);
-                if (isNaN(d.getTime())) return '';
-                var year = d.getFullYear();
-                var month = String(d.getMonth() + 1).padStart(2, '0');
-                var day = String(d.getDate()).padStart(2, '0');
-                return year + '-' + month + '-' + day;
-            } catch (e) {
-                return '';
-            }
-        }
-
         /**
          * Escapes HTML special characters
          * @param {string} text
@@ -1948,10 +2046,34 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 '.summary-card.card-selected .summary-value { color: #8A9A5B; }' +
                 '.summary-card.card-selected-lines .summary-value { color: #6B7F3F; }' +
                 '.summary-card.card-selected-amount .summary-value { color: #556B2F; }' +
+                '.aging-section { grid-column: 1 / -1; }' +
+                '.aging-cards { display: grid; grid-template-columns: repeat(6, 1fr); gap: 10px; }' +
+                '.summary-card.card-age { border-left-color: #7B3F00; background: #F7F0EA; }' +
+                '.summary-card.card-age .summary-value { color: #7B3F00; }' +
                 '.summary-label { font-size: 12px; color: #2d3a33; font-weight: 600; }' +
                 '.summary-sublabel { font-size: 11px; color: #6b7c72; margin-top: 4px; font-style: italic; }' +
                 /* Filter section */
                 '.filter-section { display: flex; flex-direction: column; gap: 10px; }' +
+                '.filter-preset-bar { display: flex; gap: 6px; justify-content: center; align-items: center; margin: 0 0 8px 0; }' +
+                '.filter-preset-select { min-width: 220px; padding: 4px 6px; border: 1px solid #cbd5e1; border-radius: 4px; font-size: 12px; }' +
+                '.filter-preset-btn { padding: 4px 10px; border: 1px solid #cbd5e1; border-radius: 4px; background: #fff; font-size: 12px; cursor: pointer; }' +
+                '.filter-preset-btn:disabled { opacity: 0.5; cursor: default; }' +
+                '.filter-count { margin-left: auto; padding: 0 6px; border-radius: 8px; background: #e2e8f0; color: #475569; font-size: 11px; }' +
+                '.filter-options:empty::before { content: "Load data to see values"; color: #94a3b8; font-size: 12px; }' +
+                '.age-filter-row { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; margin-bottom: 8px; }' +
+                '.age-filter-label { margin-bottom: 0; }' +
+                '.age-basis-select { padding: 3px 6px; border: 1px solid #cbd5e1; border-radius: 4px; font-size: 12px; }' +
+                '.age-chip { display: inline-flex; align-items: center; gap: 4px; padding: 2px 10px; border: 1px solid #7B3F00; border-radius: 12px; background: #fff; font-size: 12px; cursor: pointer; }' +
+                '.age-chip input { accent-color: #7B3F00; margin: 0; }' +
+                '.note-thread { max-height: 220px; overflow-y: auto; margin-bottom: 12px; }' +
+                '.note-entry { padding: 6px 8px; margin-bottom: 6px; border-left: 3px solid #013220; background: #F5F5F5; border-radius: 4px; }' +
+                '.note-entry-meta { font-size: 11px; color: #6b7c72; margin-bottom: 2px; }' +
+                '.note-entry-text { font-size: 13px; color: #1a2e1f; white-space: pre-wrap; }' +
+                '.so-filter-banner { margin: 0 0 10px 0; padding: 8px 12px; border-radius: 6px; background: #FFF8DC; border-left: 4px solid #B8860B; font-size: 13px; }' +
+                '.follow-up-group { margin-bottom: 20px; }' +
+                '.follow-up-owner { color: #013220; font-size: 15px; font-weight: 600; margin: 0 0 6px 0; }' +
+                '.follow-up-overdue { color: #b91c1c; font-weight: 600; }' +
+                '.follow-up-today { color: #B8860B; font-weight: 600; }' +
                 '.filter-section-header { color: #013220; font-size: 16px; font-weight: 600; margin: 0 0 5px 0; padding-bottom: 6px; border-bottom: 2px solid #e2e8f0; text-align: center; }' +
                 '.filter-showing-count { text-align: center; font-size: 12px; color: #013220; font-weight: 600; margin-bottom: 8px; }' +
                 '.filter-cards-row { display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 6px; margin-bottom: 8px; }' +
@@ -2051,6 +2173,7 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 '.load-btn { background: #013220; color: white; border: none; padding: 15px 40px; border-radius: 6px; cursor: pointer; font-size: 16px; font-weight: 600; box-shadow: 0 2px 4px rgba(1,50,32,0.3); transition: all 0.2s; }' +
                 '.load-btn:hover { background: #012618; transform: translateY(-1px); box-shadow: 0 4px 8px rgba(1,50,32,0.4); }' +
                 '.load-hint { margin-top: 15px; color: #013220; font-size: 13px; }' +
+                '.load-progress { margin-bottom: 10px; font-size: 13px; color: #013220; font-style: italic; }' +
                 '.hidden { display: none !important; }' +
                 /* Modal styles */
                 '.modal-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000; display: flex; justify-content: center; align-items: center; }' +
@@ -2067,810 +2190,44 @@ define(['N/ui/serverWidget', 'N/query', 'N/log', 'N/url', 'N/record', 'N/runtime
                 '.modal-btn-cancel { background: white; color: #013220; border: 1px solid #cbd5e1; }' +
                 '.modal-btn-cancel:hover { background: #f1f5f9; border-color: #013220; }' +
                 '.modal-btn-save { background: #013220; color: white; border: none; }' +
-                '.modal-btn-save:hover { background: #012618; }';
-        }
-
-        /**
-         * Returns JavaScript for interactive features
-         * @returns {string} JavaScript content
-         */
-        function getJavaScript() {
-            return 'function filterTable() {' +
-                '  applyFilters();' +
-                '}' +
-                'function applyFilters() {' +
-                '  var input = document.getElementById("searchBox");' +
-                '  var filter = input ? input.value.toUpperCase() : "";' +
-                '  var oldShipDatesCheckbox = document.getElementById("filterOldShipDates");' +
-                '  var futureShipDatesCheckbox = document.getElementById("filterFutureShipDates");' +
-                '  var noShipDateCheckbox = document.getElementById("filterNoShipDate");' +
-                '  var showOldShipDates = oldShipDatesCheckbox ? oldShipDatesCheckbox.checked : true;' +
-                '  var showFutureShipDates = futureShipDatesCheckbox ? futureShipDatesCheckbox.checked : false;' +
-                '  var showNoShipDate = noShipDateCheckbox ? noShipDateCheckbox.checked : true;' +
-                '  var hasResearchNotesCheckbox = document.getElementById("filterHasResearchNotes");' +
-                '  var noResearchNotesCheckbox = document.getElementById("filterNoResearchNotes");' +
-                '  var showHasResearchNotes = hasResearchNotesCheckbox ? hasResearchNotesCheckbox.checked : true;' +
-                '  var showNoResearchNotes = noResearchNotesCheckbox ? noResearchNotesCheckbox.checked : true;' +
-                '  var jobScheduledCheckbox = document.getElementById("filterJobScheduled");' +
-                '  var jobActiveCheckbox = document.getElementById("filterJobActive");' +
-                '  var jobPausedCheckbox = document.getElementById("filterJobPaused");' +
-                '  var jobCompletedCheckbox = document.getElementById("filterJobCompleted");' +
-                '  var showJobScheduled = jobScheduledCheckbox ? jobScheduledCheckbox.checked : true;' +
-                '  var showJobActive = jobActiveCheckbox ? jobActiveCheckbox.checked : true;' +
-                '  var showJobPaused = jobPausedCheckbox ? jobPausedCheckbox.checked : true;' +
-                '  var showJobCompleted = jobCompletedCheckbox ? jobCompletedCheckbox.checked : true;' +
-                '  var warrantyNoneCheckbox = document.getElementById("filterWarrantyNone");' +
-                '  var warrantyCBSICheckbox = document.getElementById("filterWarrantyCBSI");' +
-                '  var warrantyCODCheckbox = document.getElementById("filterWarrantyCOD");' +
-                '  var warrantyExtendedCheckbox = document.getElementById("filterWarrantyExtended");' +
-                '  var warrantyMfgCheckbox = document.getElementById("filterWarrantyMfg");' +
-                '  var warrantyShopCheckbox = document.getElementById("filterWarrantyShop");' +
-                '  var showWarrantyNone = warrantyNoneCheckbox ? warrantyNoneCheckbox.checked : true;' +
-                '  var showWarrantyCBSI = warrantyCBSICheckbox ? warrantyCBSICheckbox.checked : true;' +
-                '  var showWarrantyCOD = warrantyCODCheckbox ? warrantyCODCheckbox.checked : true;' +
-                '  var showWarrantyExtended = warrantyExtendedCheckbox ? warrantyExtendedCheckbox.checked : true;' +
-                '  var showWarrantyMfg = warrantyMfgCheckbox ? warrantyMfgCheckbox.checked : true;' +
-                '  var showWarrantyShop = warrantyShopCheckbox ? warrantyShopCheckbox.checked : true;' +
-                '  var tbody = document.getElementById("reportTableBody");' +
-                '  if (!tbody) return;' +
-                '  var tr = tbody.children;' +
-                '  var today = new Date();' +
-                '  today.setHours(0, 0, 0, 0);' +
-                '  var visibleCount = 0;' +
-                '  var totalCount = tr.length;' +
-                '  for (var i = 0; i < tr.length; i++) {' +
-                '    var row = tr[i];' +
-                '    var showRow = true;' +
-                '    var txtValue = row.textContent || row.innerText;' +
-                '    if (filter) {' +
-                '      var txtValueUpper = txtValue.toUpperCase();' +
-                '      if (filter.indexOf("|") > -1) {' +
-                '        var orTerms = filter.split("|");' +
-                '        var matchFound = false;' +
-                '        for (var j = 0; j < orTerms.length; j++) {' +
-                '          var term = orTerms[j].trim();' +
-                '          if (term && txtValueUpper.indexOf(term) > -1) {' +
-                '            matchFound = true;' +
-                '            break;' +
-                '          }' +
-                '        }' +
-                '        if (!matchFound) showRow = false;' +
-                '      } else if (filter.indexOf(" ") > -1) {' +
-                '        var andTerms = filter.split(" ");' +
-                '        for (var k = 0; k < andTerms.length; k++) {' +
-                '          var andTerm = andTerms[k].trim();' +
-                '          if (andTerm && txtValueUpper.indexOf(andTerm) === -1) {' +
-                '            showRow = false;' +
-                '            break;' +
-                '          }' +
-                '        }' +
-                '      } else {' +
-                '        if (txtValueUpper.indexOf(filter) === -1) {' +
-                '          showRow = false;' +
-                '        }' +
-                '      }' +
-                '    }' +
-                '    if (showRow) {' +
-                '      var researchNotes = row.getAttribute("data-research-notes") || "";' +
-                '      var hasNotes = researchNotes.trim().length > 0;' +
-                '      if (hasNotes && !showHasResearchNotes) {' +
-                '        showRow = false;' +
-                '      } else if (!hasNotes && !showNoResearchNotes) {' +
-                '        showRow = false;' +
-                '      }' +
-                '    }' +
-                '    if (showRow) {' +
-                '      var shipDateStr = row.getAttribute("data-ship-date");' +
-                '      if (!shipDateStr) {' +
-                '        showRow = showNoShipDate;' +
-                '      } else {' +
-                '        var shipDate = new Date(shipDateStr);' +
-                '        shipDate.setHours(0, 0, 0, 0);' +
-                '        if (shipDate >= today) {' +
-                '          showRow = showFutureShipDates;' +
-                '        } else {' +
-                '          showRow = showOldShipDates;' +
-                '        }' +
-                '      }' +
-                '    }' +
-                '    if (showRow) {' +
-                '      var jobState = (row.getAttribute("data-job-state") || "").toLowerCase();' +
-                '      var jobStateMatch = false;' +
-                '      if (showJobScheduled && jobState.indexOf("scheduled") >= 0) jobStateMatch = true;' +
-                '      if (showJobActive && jobState.indexOf("active") >= 0) jobStateMatch = true;' +
-                '      if (showJobPaused && jobState.indexOf("paused") >= 0) jobStateMatch = true;' +
-                '      if (showJobCompleted && jobState.indexOf("completed") >= 0) jobStateMatch = true;' +
-                '      if (!jobState && (showJobScheduled || showJobActive || showJobPaused || showJobCompleted)) jobStateMatch = true;' +
-                '      showRow = jobStateMatch;' +
-                '    }' +
-                '    if (showRow) {' +
-                '      var warrantyType = (row.getAttribute("data-warranty-type") || "").toLowerCase();' +
-                '      var warrantyMatch = false;' +
-                '      if (showWarrantyCBSI && warrantyType === "cbsi") warrantyMatch = true;' +
-                '      else if (showWarrantyCOD && warrantyType === "cash on delivery") warrantyMatch = true;' +
-                '      else if (showWarrantyExtended && warrantyType === "extended warranty") warrantyMatch = true;' +
-                '      else if (showWarrantyMfg && warrantyType === "manufacturer warranty term") warrantyMatch = true;' +
-                '      else if (showWarrantyShop && warrantyType === "shop ticket") warrantyMatch = true;' +
-                '      else if (showWarrantyNone && (warrantyType === "" || warrantyType === "-- please select --")) warrantyMatch = true;' +
-                '      showRow = warrantyMatch;' +
-                '    }' +
-                '    if (showRow) {' +
-                '      row.style.display = "";' +
-                '      visibleCount++;' +
-                '    } else {' +
-                '      row.style.display = "none";' +
-                '    }' +
-                '  }' +
-                '  var filterCountEl = document.getElementById("filterShipDateCount");' +
-                '  if (filterCountEl) {' +
-                '    filterCountEl.textContent = "Showing: " + visibleCount + " / " + totalCount;' +
-                '  }' +
-                '  updateSelectedSummary();' +
-                '}' +
-                'function handleUnqueue(soId, event) {' +
-                '  event.stopPropagation();' +
-                '  if (!confirm(\"Remove this Sales Order from the Bill & Write-Off queue?\\\\n\\\\nThis will clear the queue date and allow it to be processed later.\")) {' +
-                '    return;' +
-                '  }' +
-                '  showLoading();' +
-                '  var xhr = new XMLHttpRequest();' +
-                '  xhr.open(\"POST\", SUITELET_URL, true);' +
-                '  xhr.setRequestHeader(\"Content-Type\", \"application/x-www-form-urlencoded\");' +
-                '  xhr.onreadystatechange = function() {' +
-                '    if (xhr.readyState === 4) {' +
-                '      hideLoading();' +
-                '      try {' +
-                '        var resp = JSON.parse(xhr.responseText);' +
-                '        if (resp.success) {' +
-                '          alert(resp.message);' +
-                '          var queuedCell = document.getElementById(\"queued-cell-\" + soId);' +
-                '          if (queuedCell) {' +
-                '            queuedCell.innerHTML = \"\";' +
-                '          }' +
-                '          var checkbox = document.querySelector(\".so-checkbox[value=\\\\\\\"\" + soId + \"\\\\\\\"]\");' +
-                '          if (checkbox) {' +
-                '            checkbox.disabled = false;' +
-                '            checkbox.checked = false;' +
-                '          }' +
-                '          var queuedTotalEl = document.getElementById(\"queuedTotal\");' +
-                '          var queuedTotalLinesEl = document.getElementById(\"queuedTotalLines\");' +
-                '          var queuedTotalAmountEl = document.getElementById(\"queuedTotalAmount\");' +
-                '          var row = queuedCell ? queuedCell.closest(\"tr\") : null;' +
-                '          if (row) {' +
-                '            var unbilledLines = parseInt(row.getAttribute(\"data-unbilled-lines\") || 0);' +
-                '            var unbilledAmount = parseFloat(row.getAttribute(\"data-unbilled-amount\") || 0);' +
-                '            if (queuedTotalEl) queuedTotalEl.textContent = Math.max(0, parseInt(queuedTotalEl.textContent || 0) - 1);' +
-                '            if (queuedTotalLinesEl) queuedTotalLinesEl.textContent = Math.max(0, parseInt(queuedTotalLinesEl.textContent || 0) - unbilledLines);' +
-                '            if (queuedTotalAmountEl) {' +
-                '              var currentAmt = parseFloat(queuedTotalAmountEl.textContent.replace(/[^0-9.-]/g, \"\") || 0);' +
-                '              queuedTotalAmountEl.textContent = \"$\" + Math.max(0, currentAmt - unbilledAmount).toFixed(2).replace(/\\\\B(?=(\\\\d{3})+(?!\\\\d))/g, \",\");' +
-                '            }' +
-                '          }' +
-                '        } else {' +
-                '          alert(\"Error: \" + resp.message);' +
-                '        }' +
-                '      } catch (e) {' +
-                '        alert(\"Error processing response: \" + e.toString());' +
-                '      }' +
-                '    }' +
-                '  };' +
-                '  xhr.send(\"action=unqueue&soId=\" + soId);' +
-                '}' +
-                'var sortDir = {};' +
-                'function sortTable(n) {' +
-                '  var table = document.getElementById("dataTable");' +
-                '  var tbody = document.getElementById("reportTableBody");' +
-                '  var rows = Array.from(tbody.rows);' +
-                '  var numericCols = [13, 14];' +
-                '  var dateCols = [3, 9, 10, 11];' +
-                '  var isNumeric = numericCols.indexOf(n) > -1;' +
-                '  var isDate = dateCols.indexOf(n) > -1;' +
-                '  sortDir[n] = sortDir[n] === "asc" ? "desc" : "asc";' +
-                '  var dir = sortDir[n];' +
-                '  rows.sort(function(a, b) {' +
-                '    var xCell = a.cells[n];' +
-                '    var yCell = b.cells[n];' +
-                '    if (!xCell || !yCell) return 0;' +
-                '    var xVal = (xCell.innerText || "").split("\\n")[0].trim();' +
-                '    var yVal = (yCell.innerText || "").split("\\n")[0].trim();' +
-                '    var xCmp, yCmp;' +
-                '    if (isNumeric) {' +
-                '      xCmp = parseFloat(xVal.replace(/[^0-9.-]/g, "")) || 0;' +
-                '      yCmp = parseFloat(yVal.replace(/[^0-9.-]/g, "")) || 0;' +
-                '    } else if (isDate) {' +
-                '      xCmp = xVal ? new Date(xVal).getTime() : 0;' +
-                '      yCmp = yVal ? new Date(yVal).getTime() : 0;' +
-                '    } else {' +
-                '      xCmp = xVal.toLowerCase();' +
-                '      yCmp = yVal.toLowerCase();' +
-                '    }' +
-                '    if (xCmp < yCmp) return dir === "asc" ? -1 : 1;' +
-                '    if (xCmp > yCmp) return dir === "asc" ? 1 : -1;' +
-                '    return 0;' +
-                '  });' +
-                '  rows.forEach(function(row) { tbody.appendChild(row); });' +
-                '}' +
-                'function toggleSelectAll(checkbox) {' +
-                '  var checkboxes = document.querySelectorAll(".so-checkbox");' +
-                '  for (var i = 0; i < checkboxes.length; i++) {' +
-                '    var row = checkboxes[i].closest("tr");' +
-                '    if (row && row.style.display !== "none") {' +
-                '      checkboxes[i].checked = checkbox.checked;' +
-                '    }' +
-                '  }' +
-                '  updateSelectedSummary();' +
-                '}' +
-                'function updateSelectedSummary() {' +
-                '  var checkboxes = document.querySelectorAll(".so-checkbox:checked");' +
-                '  var selectedCount = checkboxes.length;' +
-                '  var selectedLines = 0;' +
-                '  var selectedAmount = 0;' +
-                '  for (var i = 0; i < checkboxes.length; i++) {' +
-                '    var row = checkboxes[i].closest("tr");' +
-                '    if (row) {' +
-                '      selectedLines += parseInt(row.getAttribute("data-unbilled-lines") || 0);' +
-                '      selectedAmount += parseFloat(row.getAttribute("data-unbilled-amount") || 0);' +
-                '    }' +
-                '  }' +
-                '  var selectedCountEl = document.getElementById("selectedCount");' +
-                '  var selectedLinesEl = document.getElementById("selectedLines");' +
-                '  var selectedAmountEl = document.getElementById("selectedAmount");' +
-                '  var bulkActionSelect = document.getElementById("bulkActionSelect");' +
-                '  var bulkActionBtn = document.getElementById("bulkActionBtn");' +
-                '  if (selectedCountEl) selectedCountEl.textContent = selectedCount;' +
-                '  if (selectedLinesEl) selectedLinesEl.textContent = selectedLines;' +
-                '  if (selectedAmountEl) selectedAmountEl.textContent = "$" + selectedAmount.toFixed(2).replace(/\\B(?=(\\d{3})+(?!\\d))/g, ",");' +
-                '  if (bulkActionSelect) {' +
-                '    bulkActionSelect.disabled = (selectedCount === 0);' +
-                '  }' +
-                '  if (bulkActionBtn) {' +
-                '    bulkActionBtn.disabled = (selectedCount === 0);' +
-                '  }' +
-                '}' +
-                'function executeBulkAction() {' +
-                '  var bulkActionSelect = document.getElementById("bulkActionSelect");' +
-                '  var action = bulkActionSelect ? bulkActionSelect.value : "";' +
-                '  if (!action) {' +
-                '    alert("Please select a bulk action from the dropdown.");' +
-                '    return;' +
-                '  }' +
-                '  var checkboxes = document.querySelectorAll(".so-checkbox:checked");' +
-                '  if (checkboxes.length === 0) {' +
-                '    alert("Please select at least one Sales Order.");' +
-                '    return;' +
-                '  }' +
-                '  var soIds = [];' +
-                '  for (var i = 0; i < checkboxes.length; i++) {' +
-                '    soIds.push(checkboxes[i].value);' +
-                '  }' +
-                '  var actionLabels = {' +
-                '    "queue": "Queue for Bill & Write-Off",' +
-                '    "close": "Close (Cancel)",' +
-                '    "auto-bill": "Auto-Bill (Invoice)",' +
-                '    "cbsi-bill-je": "CBSI (Bill and JE)"' +
-                '  };' +
-                '  var actionLabel = actionLabels[action] || action;' +
-                '  var confirmMsg = actionLabel + " " + soIds.length + " Sales Order(s)?\\n\\n";' +
-                '  if (action === "queue") {' +
-                '    confirmMsg += "This will mark them as queued for future processing.";' +
-                '  } else if (action === "close") {' +
-                '    confirmMsg += "This will close all selected orders and cannot be easily undone.";' +
-                '  } else if (action === "auto-bill") {' +
-                '    confirmMsg += "This will create invoices for all selected orders.";' +
-                '  } else if (action === "cbsi-bill-je") {' +
-                '    confirmMsg += "This will:\\n1. Create invoices with entity CBSI\\n2. Create write-off JEs\\n3. Apply JEs to invoices\\n\\nThis is the most complex operation and may hit governance limits with many records.";' +
-                '  }' +
-                '  if (!confirm(confirmMsg)) {' +
-                '    return;' +
-                '  }' +
-                '  showLoading();' +
-                '  var xhr = new XMLHttpRequest();' +
-                '  xhr.open("POST", SUITELET_URL, true);' +
-                '  xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");' +
-                '  xhr.onreadystatechange = function() {' +
-                '    if (xhr.readyState === 4) {' +
-                '      hideLoading();' +
-                '      try {' +
-                '        var resp = JSON.parse(xhr.responseText);' +
-                '        if (resp.success) {' +
-                '          handleBulkActionResponse(action, resp);' +
-                '        } else {' +
-                '          alert("Error: " + resp.message);' +
-                '        }' +
-                '      } catch (e) {' +
-                '        alert("Error processing response: " + e.toString());' +
-                '      }' +
-                '    }' +
-                '  };' +
-                '  xhr.send("selectedSOIds=" + soIds.join(",") + "&bulkAction=" + action);' +
-                '}' +
-                'function handleBulkActionResponse(action, resp) {' +
-                '  var processedIds = resp.processedIds || resp.queuedIds || [];' +
-                '  var failedIds = resp.failedIds || [];' +
-                '  if (action === "queue") {' +
-                '    var queuedLines = 0;' +
-                '    var queuedAmount = 0;' +
-                '    for (var i = 0; i < processedIds.length; i++) {' +
-                '      var queuedCell = document.getElementById("queued-cell-" + processedIds[i]);' +
-                '      if (queuedCell) {' +
-                '        queuedCell.innerHTML = "<span class=\\"queued-checkmark\\">✓</span><span class=\\"unqueue-x\\" onclick=\\"handleUnqueue(" + processedIds[i] + ", event)\\" title=\\"Remove from queue\\">✕</span>";' +
-                '      }' +
-                '      var checkbox = document.querySelector(".so-checkbox[value=\\\"" + processedIds[i] + "\\\"]");' +
-                '      if (checkbox) {' +
-                '        var row = checkbox.closest("tr");' +
-                '        if (row) {' +
-                '          queuedLines += parseInt(row.getAttribute("data-unbilled-lines") || 0);' +
-                '          queuedAmount += parseFloat(row.getAttribute("data-unbilled-amount") || 0);' +
-                '        }' +
-                '        checkbox.checked = resp.governanceStopped ? true : false;' +
-                '        checkbox.disabled = resp.governanceStopped ? false : true;' +
-                '      }' +
-                '    }' +
-                '    var queuedTotalEl = document.getElementById("queuedTotal");' +
-                '    var queuedTotalLinesEl = document.getElementById("queuedTotalLines");' +
-                '    var queuedTotalAmountEl = document.getElementById("queuedTotalAmount");' +
-                '    if (queuedTotalEl) queuedTotalEl.textContent = parseInt(queuedTotalEl.textContent || 0) + processedIds.length;' +
-                '    if (queuedTotalLinesEl) queuedTotalLinesEl.textContent = parseInt(queuedTotalLinesEl.textContent || 0) + queuedLines;' +
-                '    if (queuedTotalAmountEl) {' +
-                '      var currentAmt = parseFloat(queuedTotalAmountEl.textContent.replace(/[^0-9.-]/g, "") || 0);' +
-                '      queuedTotalAmountEl.textContent = "$" + (currentAmt + queuedAmount).toFixed(2).replace(/\\B(?=(\\d{3})+(?!\\d))/g, ",");' +
-                '    }' +
-                '  } else if (action === "close" || action === "auto-bill" || action === "cbsi-bill-je") {' +
-                '    for (var i = 0; i < processedIds.length; i++) {' +
-                '      var checkbox = document.querySelector(".so-checkbox[value=\\\"" + processedIds[i] + "\\\"]");' +
-                '      if (checkbox) {' +
-                '        var row = checkbox.closest("tr");' +
-                '        if (row && !resp.governanceStopped) {' +
-                '          row.style.display = "none";' +
-                '        } else if (row && resp.governanceStopped) {' +
-                '          checkbox.checked = false;' +
-                '        }' +
-                '      }' +
-                '    }' +
-                '  }' +
-                '  updateSelectedSummary();' +
-                '  alert(resp.message);' +
-                '}' +
-                'function showLoading() {' +
-                '  document.getElementById("loadingOverlay").style.display = "flex";' +
-                '}' +
-                'function hideLoading() {' +
-                '  document.getElementById("loadingOverlay").style.display = "none";' +
-                '}' +
-                'function loadReportData() {' +
-                '  try {' +
-                '    document.getElementById("loadButtonContainer").style.display = "none";' +
-                '    showLoading();' +
-                '    var xhr = new XMLHttpRequest();' +
-                '    xhr.open("GET", SUITELET_URL + "&loadData=true", true);' +
-                '    xhr.onreadystatechange = function() {' +
-                '      if (xhr.readyState === 4) {' +
-                '        hideLoading();' +
-                '        try {' +
-                '          var resp = JSON.parse(xhr.responseText);' +
-                '          if (resp.success) {' +
-                '            var summaryTotal = document.getElementById("summaryTotal");' +
-                '            var summaryTotalLines = document.getElementById("summaryTotalLines");' +
-                '            var summaryTotalAmount = document.getElementById("summaryTotalAmount");' +
-                '            var queuedTotal = document.getElementById("queuedTotal");' +
-                '            var queuedTotalLines = document.getElementById("queuedTotalLines");' +
-                '            var queuedTotalAmount = document.getElementById("queuedTotalAmount");' +
-                '            var reportTableBody = document.getElementById("reportTableBody");' +
-                '            var reportContent = document.getElementById("reportContent");' +
-                '            if (summaryTotal) summaryTotal.textContent = resp.summaryTotal;' +
-                '            if (summaryTotalLines) summaryTotalLines.textContent = resp.summaryTotalLines;' +
-                '            if (summaryTotalAmount) summaryTotalAmount.textContent = "$" + parseFloat(resp.summaryTotalAmount).toFixed(2).replace(/\\B(?=(\\d{3})+(?!\\d))/g, ",");' +
-                '            if (queuedTotal) queuedTotal.textContent = resp.queuedTotal;' +
-                '            if (queuedTotalLines) queuedTotalLines.textContent = resp.queuedTotalLines;' +
-                '            if (queuedTotalAmount) queuedTotalAmount.textContent = "$" + parseFloat(resp.queuedTotalAmount).toFixed(2).replace(/\\B(?=(\\d{3})+(?!\\d))/g, ",");' +
-                '            if (reportTableBody) reportTableBody.innerHTML = resp.tableBodyHtml;' +
-                '            if (reportContent) {' +
-                '              reportContent.className = "";' +
-                '              reportContent.style.display = "block";' +
-                '            }' +
-                '            applyFilters();' +
-                '          } else {' +
-                '            alert("Error loading data: " + resp.message);' +
-                '            var loadBtn = document.getElementById("loadButtonContainer");' +
-                '            if (loadBtn) loadBtn.style.display = "block";' +
-                '          }' +
-                '        } catch (e) {' +
-                '          alert("Error parsing response: " + e.toString());' +
-                '          var loadBtn = document.getElementById("loadButtonContainer");' +
-                '          if (loadBtn) loadBtn.style.display = "block";' +
-                '        }' +
-                '      }' +
-                '    };' +
-                '    xhr.send();' +
-                '  } catch (e) {' +
-                '    alert("Error in loadReportData: " + e.toString());' +
-                '  }' +
-                '}' +
-                'function handleUnqueue(soId, event) {' +
-                '  event.stopPropagation();' +
-                '  if (!confirm("Remove this Sales Order from the Bill & Write-Off queue?\\n\\nThis will clear the queue date and allow it to be processed later.")) {' +
-                '    return;' +
-                '  }' +
-                '  showLoading();' +
-                '  var xhr = new XMLHttpRequest();' +
-                '  xhr.open("POST", SUITELET_URL, true);' +
-                '  xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");' +
-                '  xhr.onreadystatechange = function() {' +
-                '    if (xhr.readyState === 4) {' +
-                '      hideLoading();' +
-                '      try {' +
-                '        var resp = JSON.parse(xhr.responseText);' +
-                '        if (resp.success) {' +
-                '          alert(resp.message);' +
-                '          var queuedCell = document.getElementById("queued-cell-" + soId);' +
-                '          if (queuedCell) {' +
-                '            queuedCell.innerHTML = "";' +
-                '          }' +
-                '          var checkbox = document.querySelector(".so-checkbox[value=\\\"" + soId + "\\\"]");' +
-                '          if (checkbox) {' +
-                '            checkbox.disabled = false;' +
-                '            checkbox.checked = false;' +
-                '          }' +
-                '          var queuedTotalEl = document.getElementById("queuedTotal");' +
-                '          var queuedTotalLinesEl = document.getElementById("queuedTotalLines");' +
-                '          var queuedTotalAmountEl = document.getElementById("queuedTotalAmount");' +
-                '          var row = queuedCell ? queuedCell.closest("tr") : null;' +
-                '          if (row) {' +
-                '            var unbilledLines = parseInt(row.getAttribute("data-unbilled-lines") || 0);' +
-                '            var unbilledAmount = parseFloat(row.getAttribute("data-unbilled-amount") || 0);' +
-                '            if (queuedTotalEl) queuedTotalEl.textContent = Math.max(0, parseInt(queuedTotalEl.textContent || 0) - 1);' +
-                '            if (queuedTotalLinesEl) queuedTotalLinesEl.textContent = Math.max(0, parseInt(queuedTotalLinesEl.textContent || 0) - unbilledLines);' +
-                '            if (queuedTotalAmountEl) {' +
-                '              var currentAmt = parseFloat(queuedTotalAmountEl.textContent.replace(/[^0-9.-]/g, "") || 0);' +
-                '              queuedTotalAmountEl.textContent = "$" + Math.max(0, currentAmt - unbilledAmount).toFixed(2).replace(/\\B(?=(\\d{3})+(?!\\d))/g, ",");' +
-                '            }' +
-                '          }' +
-                '        } else {' +
-                '          alert("Error: " + resp.message);' +
-                '        }' +
-                '      } catch (e) {' +
-                '        alert("Error processing response: " + e.toString());' +
-                '      }' +
-                '    }' +
-                '  };' +
-                '  xhr.send("action=unqueue&soId=" + soId);' +
-                '}' +
-                'function handleUnqueue(soId, event) {' +
-                '  event.stopPropagation();' +
-                '  if (!confirm("Remove this Sales Order from the Bill & Write-Off queue?\\n\\nThis will clear the queue date and allow it to be processed later.")) {' +
-                '    return;' +
-                '  }' +
-                '  showLoading();' +
-                '  var xhr = new XMLHttpRequest();' +
-                '  xhr.open("POST", SUITELET_URL, true);' +
-                '  xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");' +
-                '  xhr.onreadystatechange = function() {' +
-                '    if (xhr.readyState === 4) {' +
-                '      hideLoading();' +
-                '      try {' +
-                '        var resp = JSON.parse(xhr.responseText);' +
-                '        if (resp.success) {' +
-                '          alert(resp.message);' +
-                '          var queuedCell = document.getElementById("queued-cell-" + soId);' +
-                '          if (queuedCell) {' +
-                '            queuedCell.innerHTML = "";' +
-                '          }' +
-                '          var checkbox = document.querySelector(".so-checkbox[value=\\\"" + soId + "\\\"]");' +
-                '          if (checkbox) {' +
-                '            checkbox.disabled = false;' +
-                '            checkbox.checked = false;' +
-                '          }' +
-                '          var queuedTotalEl = document.getElementById("queuedTotal");' +
-                '          var queuedTotalLinesEl = document.getElementById("queuedTotalLines");' +
-                '          var queuedTotalAmountEl = document.getElementById("queuedTotalAmount");' +
-                '          var row = queuedCell ? queuedCell.closest("tr") : null;' +
-                '          if (row) {' +
-                '            var unbilledLines = parseInt(row.getAttribute("data-unbilled-lines") || 0);' +
-                '            var unbilledAmount = parseFloat(row.getAttribute("data-unbilled-amount") || 0);' +
-                '            if (queuedTotalEl) queuedTotalEl.textContent = Math.max(0, parseInt(queuedTotalEl.textContent || 0) - 1);' +
-                '            if (queuedTotalLinesEl) queuedTotalLinesEl.textContent = Math.max(0, parseInt(queuedTotalLinesEl.textContent || 0) - unbilledLines);' +
-                '            if (queuedTotalAmountEl) {' +
-                '              var currentAmt = parseFloat(queuedTotalAmountEl.textContent.replace(/[^0-9.-]/g, "") || 0);' +
-                '              queuedTotalAmountEl.textContent = "$" + Math.max(0, currentAmt - unbilledAmount).toFixed(2).replace(/\\B(?=(\\d{3})+(?!\\d))/g, ",");' +
-                '            }' +
-                '          }' +
-                '        } else {' +
-                '          alert("Error: " + resp.message);' +
-                '        }' +
-                '      } catch (e) {' +
-                '        alert("Error processing response: " + e.toString());' +
-                '      }' +
-                '    }' +
-                '  };' +
-                '  xhr.send("action=unqueue&soId=" + soId);' +
-                '}' +
-                'function showLineItemsTooltip(row) {' +
-                '  var tooltip = document.getElementById("lineItemsTooltip");' +
-                '  var tooltipContent = document.getElementById("tooltipContent");' +
-                '  var tooltipHeader = tooltip ? tooltip.querySelector(".tooltip-header") : null;' +
-                '  if (!tooltip || !tooltipContent) return;' +
-                '  var itemsDetail = row.getAttribute("data-unbilled-detail");' +
-                '  if (!itemsDetail) return;' +
-                '  var totalAmount = parseFloat(row.getAttribute("data-unbilled-amount") || 0);' +
-                '  var formattedTotal = "$" + totalAmount.toFixed(2).replace(/\\\\B(?=(\\\\d{3})+(?!\\\\d))/g, ",");' +
-                '  if (tooltipHeader) tooltipHeader.textContent = "Unbilled Line Items: " + formattedTotal;' +
-                '  var html = "<table class=\\"tooltip-table\\"><tr><th>Item</th><th>Qty</th><th>Amount</th></tr>";' +
-                '  var items = itemsDetail.split("||");' +
-                '  for (var i = 0; i < items.length; i++) {' +
-                '    var parts = items[i].split("~~");' +
-                '    if (parts.length === 3) {' +
-                '      var itemName = parts[0];' +
-                '      var qty = parseFloat(parts[1] || 0) * -1;' +
-                '      var amount = parseFloat(parts[2] || 0) * -1;' +
-                '      html += "<tr><td class=\\"tooltip-item\\">" + itemName + "</td><td class=\\"tooltip-qty\\">" + qty + "</td><td class=\\"tooltip-amount\\">$" + amount.toFixed(2).replace(/\\\\B(?=(\\\\d{3})+(?!\\\\d))/g, ",") + "</td></tr>";' +
-                '    }' +
-                '  }' +
-                '  html += "</table>";' +
-                '  tooltipContent.innerHTML = html;' +
-                '  tooltip.className = "line-items-tooltip visible";' +
-                '}' +
-                'function hideLineItemsTooltip() {' +
-                '  var tooltip = document.getElementById("lineItemsTooltip");' +
-                '  if (tooltip) tooltip.className = "line-items-tooltip";' +
-                '}' +
-                'function showJobDetailsTooltip(row) {' +
-                '  var tooltip = document.getElementById("jobDetailsTooltip");' +
-                '  var tooltipContent = document.getElementById("jobDetailsContent");' +
-                '  if (!tooltip || !tooltipContent) return;' +
-                '  var researchNotes = row.getAttribute("data-research-notes");' +
-                '  var followUpDate = row.getAttribute("data-follow-up-date");' +
-                '  var jobDetails = row.getAttribute("data-job-details");' +
-                '  var billingCompletedBy = row.getAttribute("data-billing-completed-by");' +
-                '  var jobState = row.getAttribute("data-job-state");' +
-                '  var partsStatus = row.getAttribute("data-parts-status");' +
-                '  var scheduledDate = row.getAttribute("data-scheduled-date");' +
-                '  var jobStarted = row.getAttribute("data-job-started");' +
-                '  var jobCompleted = row.getAttribute("data-job-completed");' +
-                '  var html = "";' +
-                '  if (researchNotes) {' +
-                '    html += "<div class=\\"research-notes-section\\"><div class=\\"research-notes-label\\">Research Notes:</div><div class=\\"research-notes-value\\">" + researchNotes.replace(/&lt;br&gt;/gi, "<br>") + "</div></div>";' +
-                '  }' +
-                '  if (followUpDate) {' +
-                '    var formattedFollowUp = "";' +
-                '    if (followUpDate.match(/^\\d{4}-\\d{2}-\\d{2}$/)) {' +
-                '      var parts = followUpDate.split("-");' +
-                '      var d = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]));' +
-                '      formattedFollowUp = (d.getMonth() + 1) + "/" + d.getDate() + "/" + d.getFullYear();' +
-                '    } else {' +
-                '      formattedFollowUp = new Date(followUpDate).toLocaleDateString();' +
-                '    }' +
-                '    html += "<div class=\\"research-notes-section\\"><div class=\\"research-notes-label\\">Follow Up Date:</div><div class=\\"research-notes-value\\">" + formattedFollowUp + "</div></div>";' +
-                '  }' +
-                '  var unescapedDetails = jobDetails ? jobDetails.replace(/&lt;br&gt;/gi, "<br>") : "None";' +
-                '  html += "<div class=\\"job-detail-section full-width\\"><div class=\\"job-detail-label\\">Job Details:</div><div class=\\"job-detail-value\\">" + unescapedDetails + "</div></div>";' +
-                '  html += "<div class=\\"job-detail-columns\\">";' +
-                '  html += "<div class=\\"job-detail-column\\">";' +
-                '  html += "<div class=\\"job-detail-section\\"><div class=\\"job-detail-label\\">Billing Completed By:</div><div class=\\"job-detail-value\\">" + (billingCompletedBy || "None") + "</div></div>";' +
-                '  html += "<div class=\\"job-detail-section\\"><div class=\\"job-detail-label\\">Job State:</div><div class=\\"job-detail-value\\">" + (jobState || "None") + "</div></div>";' +
-                '  html += "<div class=\\"job-detail-section\\"><div class=\\"job-detail-label\\">Parts Status:</div><div class=\\"job-detail-value\\">" + (partsStatus || "None") + "</div></div>";' +
-                '  html += "</div>";' +
-                '  html += "<div class=\\"job-detail-column\\">";' +
-                '  var formattedScheduled = scheduledDate ? new Date(scheduledDate).toLocaleDateString() : "None";' +
-                '  html += "<div class=\\"job-detail-section\\"><div class=\\"job-detail-label\\">Scheduled Date:</div><div class=\\"job-detail-value\\">" + formattedScheduled + "</div></div>";' +
-                '  var formattedStarted = jobStarted ? new Date(jobStarted).toLocaleDateString() : "None";' +
-                '  html += "<div class=\\"job-detail-section\\"><div class=\\"job-detail-label\\">Job Started:</div><div class=\\"job-detail-value\\">" + formattedStarted + "</div></div>";' +
-                '  var formattedCompleted = jobCompleted ? new Date(jobCompleted).toLocaleDateString() : "None";' +
-                '  html += "<div class=\\"job-detail-section\\"><div class=\\"job-detail-label\\">Job Completed:</div><div class=\\"job-detail-value\\">" + formattedCompleted + "</div></div>";' +
-                '  html += "</div>";' +
-                '  html += "</div>";' +
-                '  tooltipContent.innerHTML = html;' +
-                '  tooltip.className = "job-details-tooltip visible";' +
-                '}' +
-                'function hideJobDetailsTooltip() {' +
-                '  var tooltip = document.getElementById("jobDetailsTooltip");' +
-                '  if (tooltip) tooltip.className = "job-details-tooltip";' +
-                '}' +
-                'function handleAction(selectElement, soId) {' +
-                '  var action = selectElement.value;' +
-                '  if (!action) return;' +
-                '  selectElement.value = "";' +
-                '  if (action === "queue") {' +
-                '    if (!confirm("Queue this Sales Order for Bill & Write-Off?\\n\\nThis will mark it for processing by the scheduled script.")) {' +
-                '      return;' +
-                '    }' +
-                '    showLoading();' +
-                '    var xhr = new XMLHttpRequest();' +
-                '    xhr.open("POST", SUITELET_URL, true);' +
-                '    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");' +
-                '    xhr.onreadystatechange = function() {' +
-                '      if (xhr.readyState === 4) {' +
-                '        hideLoading();' +
-                '        try {' +
-                '          var resp = JSON.parse(xhr.responseText);' +
-                '          if (resp.success) {' +
-                '            alert(resp.message);' +
-                '            var queuedCell = document.getElementById("queued-cell-" + soId);' +
-                '            if (queuedCell) {' +
-                '              queuedCell.innerHTML = "<span class=\\"queued-checkmark\\">✓</span><span class=\\"unqueue-x\\" onclick=\\"handleUnqueue(" + soId + ", event)\\" title=\\"Remove from queue\\">✕</span>";' +
-                '            }' +
-                '            var checkbox = document.querySelector(".so-checkbox[value=\\\"" + soId + "\\\"]");' +
-                '            if (checkbox) {' +
-                '              checkbox.checked = false;' +
-                '              checkbox.disabled = true;' +
-                '            }' +
-                '            var queuedTotalEl = document.getElementById("queuedTotal");' +
-                '            var queuedTotalLinesEl = document.getElementById("queuedTotalLines");' +
-                '            var queuedTotalAmountEl = document.getElementById("queuedTotalAmount");' +
-                '            var row = selectElement.closest("tr");' +
-                '            if (row) {' +
-                '              var unbilledLines = parseInt(row.getAttribute("data-unbilled-lines") || 0);' +
-                '              var unbilledAmount = parseFloat(row.getAttribute("data-unbilled-amount") || 0);' +
-                '              if (queuedTotalEl) queuedTotalEl.textContent = parseInt(queuedTotalEl.textContent || 0) + 1;' +
-                '              if (queuedTotalLinesEl) queuedTotalLinesEl.textContent = parseInt(queuedTotalLinesEl.textContent || 0) + unbilledLines;' +
-                '              if (queuedTotalAmountEl) {' +
-                '                var currentAmt = parseFloat(queuedTotalAmountEl.textContent.replace(/[^0-9.-]/g, "") || 0);' +
-                '                queuedTotalAmountEl.textContent = "$" + (currentAmt + unbilledAmount).toFixed(2).replace(/\\B(?=(\\d{3})+(?!\\d))/g, ",");' +
-                '              }' +
-                '            }' +
-                '          } else {' +
-                '            alert("Error: " + resp.message);' +
-                '          }' +
-                '        } catch (e) {' +
-                '          alert("Error processing response: " + e.toString());' +
-                '        }' +
-                '      }' +
-                '    };' +
-                '    xhr.send("action=queue&soId=" + soId);' +
-                '  } else if (action === "close") {' +
-                '    if (!confirm("Close (Cancel) this Sales Order?\\n\\nThis will set the status to Closed and cannot be easily undone.")) {' +
-                '      return;' +
-                '    }' +
-                '    showLoading();' +
-                '    var xhr = new XMLHttpRequest();' +
-                '    xhr.open("POST", SUITELET_URL, true);' +
-                '    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");' +
-                '    xhr.onreadystatechange = function() {' +
-                '      if (xhr.readyState === 4) {' +
-                '        hideLoading();' +
-                '        try {' +
-                '          var resp = JSON.parse(xhr.responseText);' +
-                '          if (resp.success) {' +
-                '            alert(resp.message);' +
-                '            var row = selectElement.closest("tr");' +
-                '            if (row) row.style.display = "none";' +
-                '          } else {' +
-                '            alert("Error: " + resp.message);' +
-                '          }' +
-                '        } catch (e) {' +
-                '          alert("Error processing response: " + e.toString());' +
-                '        }' +
-                '      }' +
-                '    };' +
-                '    xhr.send("action=close&soId=" + soId);' +
-                '  } else if (action === "bill") {' +
-                '    var invoiceUrl = "/app/accounting/transactions/custinvc.nl?id=" + soId + "&e=T&transform=salesord&billremaining=T&memdoc=0&whence=";' +
-                '    window.open(invoiceUrl, "_blank");' +
-                '  } else if (action === "auto-bill") {' +
-                '    if (!confirm("Automatically create invoice for this Sales Order?\\n\\nThis will transform and save the invoice immediately.")) {' +
-                '      return;' +
-                '    }' +
-                '    showLoading();' +
-                '    var xhr = new XMLHttpRequest();' +
-                '    xhr.open("POST", SUITELET_URL, true);' +
-                '    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");' +
-                '    xhr.onreadystatechange = function() {' +
-                '      if (xhr.readyState === 4) {' +
-                '        hideLoading();' +
-                '        try {' +
-                '          var resp = JSON.parse(xhr.responseText);' +
-                '          if (resp.success) {' +
-                '            alert(resp.message + " Invoice: " + resp.invoiceTranid);' +
-                '            var row = selectElement.closest("tr");' +
-                '            if (row) row.style.display = "none";' +
-                '          } else {' +
-                '            alert("Error: " + resp.message);' +
-                '          }' +
-                '        } catch (e) {' +
-                '          alert("Error processing response: " + e.toString());' +
-                '        }' +
-                '      }' +
-                '    };' +
-                '    xhr.send("action=auto-bill&soId=" + soId);' +
-                '  } else if (action === "cbsi-bill-je") {' +
-                '    if (!confirm("Process CBSI Bill and JE for this Sales Order?\\n\\nThis will:\\n1. Create invoice with entity CBSI (335)\\n2. Create write-off journal entry\\n3. Apply JE to invoice\\n\\nThis cannot be easily undone.")) {' +
-                '      return;' +
-                '    }' +
-                '    showLoading();' +
-                '    var xhr = new XMLHttpRequest();' +
-                '    xhr.open("POST", SUITELET_URL, true);' +
-                '    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");' +
-                '    xhr.onreadystatechange = function() {' +
-                '      if (xhr.readyState === 4) {' +
-                '        hideLoading();' +
-                '        try {' +
-                '          var resp = JSON.parse(xhr.responseText);' +
-                '          if (resp.success) {' +
-                '            alert(resp.message + "\\n\\nInvoice: " + resp.invoiceTranid + "\\nJE: " + resp.jeTranid + "\\nAmount: $" + resp.amount.toFixed(2));' +
-                '            var row = selectElement.closest("tr");' +
-                '            if (row) row.style.display = "none";' +
-                '          } else {' +
-                '            alert("Error: " + resp.message);' +
-                '          }' +
-                '        } catch (e) {' +
-                '          alert("Error processing response: " + e.toString());' +
-                '        }' +
-                '      }' +
-                '    };' +
-                '    xhr.send("action=cbsi-bill-je&soId=" + soId);' +
-                '  } else if (action === "add-note") {' +
-                '    var row = selectElement.closest("tr");' +
-                '    var existingNote = row ? row.getAttribute("data-research-notes") || "" : "";' +
-                '    openResearchNoteModal(soId, existingNote, row);' +
-                '  }' +
-                '}' +
-                'var currentNoteSOId = null;' +
-                'var currentNoteRow = null;' +
-                'function openResearchNoteModal(soId, existingNote, row) {' +
-                '  currentNoteSOId = soId;' +
-                '  currentNoteRow = row;' +
-                '  var modal = document.getElementById("researchNoteModal");' +
-                '  var textarea = document.getElementById("researchNoteInput");' +
-                '  var dateInput = document.getElementById("followUpDateInput");' +
-                '  if (modal && textarea) {' +
-                '    textarea.value = existingNote;' +
-                '    if (dateInput) {' +
-                '      var existingDate = row ? (row.getAttribute("data-follow-up-date") || "") : "";' +
-                '      dateInput.value = existingDate;' +
-                '    }' +
-                '    modal.style.display = "flex";' +
-                '    textarea.focus();' +
-                '  }' +
-                '}' +
-                'function closeResearchNoteModal() {' +
-                '  var modal = document.getElementById("researchNoteModal");' +
-                '  if (modal) modal.style.display = "none";' +
-                '  currentNoteSOId = null;' +
-                '  currentNoteRow = null;' +
-                '}' +
-                'function saveResearchNote() {' +
-                '  var textarea = document.getElementById("researchNoteInput");' +
-                '  var dateInput = document.getElementById("followUpDateInput");' +
-                '  var newNote = textarea ? textarea.value : "";' +
-                '  var followUpDate = dateInput ? dateInput.value : "";' +
-                '  var soId = currentNoteSOId;' +
-                '  var row = currentNoteRow;' +
-                '  closeResearchNoteModal();' +
-                '  if (row) {' +
-                '    row.setAttribute("data-research-notes", newNote);' +
-                '    row.setAttribute("data-follow-up-date", followUpDate);' +
-                '    var noteIcon = document.getElementById("note-icon-" + soId);' +
-                '    if (noteIcon) {' +
-                '      noteIcon.style.display = newNote ? "inline" : "none";' +
-                '    }' +
-                '    var followUpCell = document.getElementById("follow-up-cell-" + soId);' +
-                '    if (followUpCell) {' +
-                '      var formattedDate = "";' +
-                '      if (followUpDate && followUpDate.match(/^\\d{4}-\\d{2}-\\d{2}$/)) {' +
-                '        var parts = followUpDate.split("-");' +
-                '        var d = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]));' +
-                '        formattedDate = (d.getMonth() + 1) + "/" + d.getDate() + "/" + d.getFullYear();' +
-                '      }' +
-                '      followUpCell.textContent = formattedDate;' +
-                '    }' +
-                '  }' +
-                '  applyFilters();' +
-                '  var xhr = new XMLHttpRequest();' +
-                '  xhr.open("POST", SUITELET_URL, true);' +
-                '  xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");' +
-                '  xhr.onreadystatechange = function() {' +
-                '    if (xhr.readyState === 4) {' +
-                '      try {' +
-                '        var resp = JSON.parse(xhr.responseText);' +
-                '        if (!resp.success) {' +
-                '          alert("Error saving research note: " + resp.message + "\\n\\nPlease refresh the page.");' +
-                '        }' +
-                '      } catch (e) {' +
-                '        console.error("Error processing response:", e);' +
-                '      }' +
-                '    }' +
-                '  };' +
-                '  xhr.send("action=add-note&soId=" + soId + "&note=" + encodeURIComponent(newNote) + "&followUpDate=" + encodeURIComponent(followUpDate));' +
-                '}';
+                '.modal-btn-save:hover { background: #012618; }' +
+                /* Bulk job progress */
+                '.job-progress-label { font-size: 13px; color: #1a2e1f; font-weight: 600; margin-bottom: 10px; }' +
+                '.job-progress-bar { width: 100%; height: 14px; background: #E6EEEA; border-radius: 7px; overflow: hidden; }' +
+                '.job-progress-fill { width: 0%; height: 100%; background: #355E3B; transition: width 0.4s; }' +
+                '.job-progress-results { margin-top: 12px; max-height: 260px; overflow-y: auto; border: 1px solid #e2e8f0; border-radius: 4px; }' +
+                '.job-result { padding: 4px 8px; font-size: 12px; border-bottom: 1px solid #e2e8f0; }' +
+                '.job-result:last-child { border-bottom: none; }' +
+                '.job-result-ok { color: #355E3B; }' +
+                '.job-result-failed { color: #8B0000; background: #FDF2F2; }' +
+                '.job-progress-hint { margin: 10px 0 0 0; font-size: 11px; color: #6b7c72; font-style: italic; }' +
+                /* CBSI preview */
+                '.modal-content-wide { width: 860px; }' +
+                '.cbsi-preview-content { max-height: 420px; overflow-y: auto; }' +
+                '.cbsi-preview-so { border: 1px solid #e2e8f0; border-radius: 4px; margin-bottom: 10px; padding: 8px 10px; }' +
+                '.cbsi-preview-so-header { font-size: 13px; font-weight: 600; color: #1a2e1f; margin-bottom: 6px; }' +
+                '.cbsi-preview-table { width: 100%; border-collapse: collapse; font-size: 12px; }' +
+                '.cbsi-preview-table th { text-align: left; background: #E6EEEA; color: #013220; padding: 4px 6px; }' +
+                '.cbsi-preview-table td { padding: 4px 6px; border-top: 1px solid #e2e8f0; }' +
+                '.cbsi-preview-amount { text-align: right; }' +
+                '.cbsi-preview-error { color: #8B0000; background: #FDF2F2; }' +
+                '.line-picker-cell { cursor: pointer; text-decoration: underline dotted; }' +
+                '.line-picker-cell:hover { background: #D5E3D8; }' +
+                '.line-picker-choice { text-align: center; }' +
+                '.line-picker-summary { margin-top: 10px; font-size: 13px; color: #1a2e1f; }' +
+                '.tooltip-hint { margin-top: 8px; font-size: 11px; color: #64748b; font-style: italic; }' +
+                /* Tabs and History */
+                '.tab-bar { display: flex; gap: 4px; border-bottom: 2px solid #013220; margin-bottom: 15px; }' +
+                '.tab-btn { background: #E6EEEA; color: #013220; border: none; padding: 10px 20px; border-radius: 6px 6px 0 0; cursor: pointer; font-size: 14px; font-weight: 600; }' +
+                '.tab-btn:hover { background: #d4e2da; }' +
+                '.tab-btn-active { background: #013220; color: white; }' +
+                '.tab-btn-active:hover { background: #013220; }' +
+                '.history-filters { display: flex; flex-wrap: wrap; align-items: center; gap: 10px; margin-bottom: 10px; }' +
+                '.history-input { padding: 6px 8px; border: 1px solid #cbd5e1; border-radius: 4px; font-size: 13px; }' +
+                '.history-label { font-size: 13px; color: #1a2e1f; }' +
+                '.history-status { font-size: 12px; color: #6b7c72; margin-bottom: 8px; }' +
+                '.history-failed { color: #8B0000; }' +
+                '.history-ok { color: #355E3B; }';
         }
 
         return {
@@ -0,0 +1,292 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType MapReduceScript
+ * @NModuleScope SameAccount
+ *
+ * Service Write-Off Queue Processor
+ *
+ * Purpose: Drains the "Queued for Bill & Write-Off" queue filled by the Service Write-Off Portal.
+ *
+ * Picks up every Sales Order with custbody_service_queued_for_write_off set and for each one:
+ * 1. Bills the SO through writeOffLib.autoBillSalesOrder, routed by the invoice total like the
+ *    portal's Auto-Bill: a $0 SO is closed instead, a negative one is blocked and left unbilled
+ * 2. Creates a write-off Credit Memo with the write-off item for the invoice total
+ * 3. Applies the credit memo to the invoice
+ *
+ * The write-off item and Service department come from the Service Write-Off Settings record;
+ * if the settings are invalid the run stops before anything is un-queued.
+ *
+ * If the credit memo step fails, the invoice is rolled back (writeOffLib.runWithRollback) so the
+ * SO is left unbilled.
+ *
+ * Afterwards the queue date is cleared and custbody_service_write_off_result is stamped with
+ * the outcome (invoice / credit memo numbers, the close, or the error), so an SO never stays queued forever.
+ * Sales Orders that are no longer Pending Billing are skipped and un-queued the same way.
+ */
+
+define(['N/query', 'N/log', 'N/record', './service_writeoff_lib'],
+    function(query, log, record, writeOffLib) {
+
+        /**
+         * Returns every Sales Order currently queued for write-off
+         * @returns {Array} Array of { so_id, so_number, so_status }
+         */
+        function getInputData() {
+            // Fail the whole run up front rather than stamping every SO as failed
+            writeOffLib.getSettings();
+
+            var sql = "SELECT " +
+                "so.id AS so_id, " +
+                "so.tranid AS so_number, " +
+                "so.status AS so_status " +
+                "FROM transaction so " +
+                "WHERE so.type = 'SalesOrd' " +
+                "AND so.custbody_service_queued_for_write_off IS NOT NULL " +
+                "ORDER BY so.id";
+
+            // runSuiteQL stops at 5,000 rows; page through the whole queue
+            var pagedData = query.runSuiteQLPaged({ query: sql, pageSize: 1000 });
+            var results = [];
+            pagedData.pageRanges.forEach(function(range) {
+                results = results.concat(pagedData.fetch({ index: range.index }).data.asMappedResults());
+            });
+
+            log.audit('Write-Off Queue', 'Found ' + results.length + ' queued Sales Orders');
+
+            return results;
+        }
+
+        /**
+         * Processes a single queued Sales Order: invoice, write-off credit memo, apply, stamp result
+         * @param {Object} context - Map context; value is a JSON row from getInputData
+         */
+        function map(context) {
+            var row = JSON.parse(context.value);
+            var soId = row.so_id;
+            var settings = writeOffLib.getSettings();
+            var result;
+
+            log.debug('map - START', row);
+
+            try {
+                // Status 'F' = Pending Billing, the only status the portal lists for write-off
+                if (row.so_status !== 'F') {
+                    result = 'Skipped ' + formatToday() + ': Sales Order is no longer Pending Billing';
+                    log.audit('Queued SO Skipped', { soId: soId, status: row.so_status });
+                } else {
+                    var outcome = billAndWriteOff(soId, settings);
+                    result = outcome.routing.decision === 'close'
+                        ? 'Closed ' + formatToday() + ': ' + outcome.routing.message
+                        : 'Written off ' + formatToday() + ': Invoice ' + outcome.invoiceTranid + ', Credit Memo ' + outcome.creditMemoTranid;
+                }
+            } catch (e) {
+                result = 'Failed ' + formatToday() + ': ' + (e.message || e.toString());
+                log.error('Queued SO Write-Off Error', { soId: soId, error: e.toString() });
+            }
+
+            stampResult(soId, result);
+
+            context.write({
+                key: String(soId),
+                value: result
+            });
+        }
+
+        /**
+         * Logs a summary of the run, including any errors thrown outside of map()
+         * @param {Object} summary - Summary context
+         */
+        function summarize(summary) {
+            var processed = 0;
+            var failed = 0;
+
+            summary.output.iterator().each(function(key, value) {
+                processed++;
+                if (value.indexOf('Failed') === 0) {
+                    failed++;
+                }
+                return true;
+            });
+
+            if (summary.inputSummary.error) {
+                log.error('Input Error', summary.inputSummary.error);
+            }
+
+            summary.mapSummary.errors.iterator().each(function(key, error) {
+                log.error('Map Error', 'SO ' + key + ': ' + error);
+                return true;
+            });
+
+            log.audit('Write-Off Queue Complete', {
+                processed: processed,
+                failed: failed,
+                usage: summary.usage,
+                seconds: summary.seconds
+            });
+        }
+
+        /**
+         * Transforms the SO to an invoice and writes the balance off with a credit memo. If any step
+         * fails, what was saved is rolled back and the error carries the rollback result.
+         * @param {string} soId - Sales Order internal ID
+         * @param {Object} settings - Service Write-Off Settings values
+         * @returns {Object} { routing, invoiceId, invoiceTranid, creditMemoId, creditMemoTranid }
+         */
+        function billAndWriteOff(soId, settings) {
+            return writeOffLib.runWithRollback(function(id, created) {
+                return postWriteOff(id, settings, created);
+            }, soId);
+        }
+
+        /**
+         * Posts the invoice and write-off credit memo, recording each saved record in created.
+         * A $0 SO is closed instead (no records saved); a negative one throws with error.routing.
+         * @param {string} soId - Sales Order internal ID
+         * @param {Object} settings - Service Write-Off Settings values
+         * @param {Array} created - Receives { type, id, label } for every record saved
+         * @returns {Object} { routing, invoiceId, invoiceTranid, creditMemoId, creditMemoTranid }
+         */
+        function postWriteOff(soId, settings, created) {
+            var billed = writeOffLib.autoBillSalesOrder(soId);
+            var outcome = {
+                routing: billed.routing,
+                invoiceId: billed.invoiceId,
+                invoiceTranid: billed.invoiceTranid,
+                creditMemoId: null,
+                creditMemoTranid: null
+            };
+
+            if (billed.routing.decision === 'close') {
+                log.audit('Queued SO Closed Instead of Billed', { soId: soId, linesClosed: billed.linesClosed });
+                return outcome;
+            }
+
+            var invoiceId = billed.invoiceId;
+            created.push({ type: record.Type.INVOICE, id: invoiceId, label: 'Invoice ' + billed.invoiceTranid });
+
+            // The saved total is what the credit memo writes off
+            var invoiceRecord = record.load({
+                type: record.Type.INVOICE,
+                id: invoiceId
+            });
+            var invoiceTotal = parseFloat(invoiceRecord.getValue({ fieldId: 'total' }) || 0);
+
+            log.audit('Queued SO Invoiced', 'SO ' + soId + ' -> Invoice ' + billed.invoiceTranid + ' (ID: ' + invoiceId + ') total: $' + invoiceTotal);
+
+            if (invoiceTotal <= 0) {
+                throw new Error('Invoice ' + billed.invoiceTranid + ' saved with a total of $' + invoiceTotal.toFixed(2) + ' - nothing to write off.');
+            }
+
+            var creditMemoId = createWriteOffCreditMemo(invoiceId, invoiceTotal, settings);
+            created.push({ type: record.Type.CREDIT_MEMO, id: creditMemoId, label: 'Credit Memo ' + creditMemoId });
+            var creditMemoRecord = record.load({
+                type: record.Type.CREDIT_MEMO,
+                id: creditMemoId
+            });
+
+            outcome.creditMemoId = creditMemoId;
+            outcome.creditMemoTranid = creditMemoRecord.getValue({ fieldId: 'tranid' });
+
+            log.audit('Queued SO Written Off', {
+                soId: soId,
+                invoiceId: invoiceId,
+                invoiceTranid: billed.invoiceTranid,
+                creditMemoId: creditMemoId,
+                creditMemoTranid: outcome.creditMemoTranid,
+                amount: invoiceTotal
+            });
+
+            return outcome;
+        }
+
+        /**
+         * Creates a credit memo from the invoice with a single write-off line and applies it
+         * @param {string} invoiceId - Invoice internal ID
+         * @param {number} amount - Amount to write off (invoice total)
+         * @param {Object} settings - Service Write-Off Settings values
+         * @returns {number} Credit memo internal ID
+         */
+        function createWriteOffCreditMemo(invoiceId, amount, settings) {
+            // Transforming from the invoice keeps customer, terms and A/R account and pre-selects the invoice for application
+            var creditMemo = record.transform({
+                fromType: record.Type.INVOICE,
+                fromId: invoiceId,
+                toType: record.Type.CREDIT_MEMO,
+                isDynamic: false
+            });
+
+            creditMemo.setValue({ fieldId: 'memo', value: 'Service Write-Off' });
+
+            // Replace the copied invoice lines with a single write-off line
+            var itemLineCount = creditMemo.getLineCount({ sublistId: 'item' });
+            for (var i = itemLineCount - 1; i >= 0; i--) {
+                creditMemo.removeLine({ sublistId: 'item', line: i });
+            }
+
+            creditMemo.insertLine({ sublistId: 'item', line: 0 });
+            creditMemo.setSublistValue({ sublistId: 'item', fieldId: 'item', line: 0, value: settings.writeOffItem });
+            creditMemo.setSublistValue({ sublistId: 'item', fieldId: 'quantity', line: 0, value: 1 });
+            creditMemo.setSublistValue({ sublistId: 'item', fieldId: 'rate', line: 0, value: amount });
+            creditMemo.setSublistValue({ sublistId: 'item', fieldId: 'amount', line: 0, value: amount });
+            creditMemo.setSublistValue({ sublistId: 'item', fieldId: 'department', line: 0, value: settings.serviceDepartment });
+
+            // Apply only to the source invoice
+            var applyLineCount = creditMemo.getLineCount({ sublistId: 'apply' });
+            var invoiceApplied = false;
+
+            for (var j = 0; j < applyLineCount; j++) {
+                var docId = creditMemo.getSublistValue({ sublistId: 'apply', fieldId: 'doc', line: j });
+                var isTarget = (docId == invoiceId);
+
+                creditMemo.setSublistValue({ sublistId: 'apply', fieldId: 'apply', line: j, value: isTarget });
+                if (isTarget) {
+                    creditMemo.setSublistValue({ sublistId: 'apply', fieldId: 'amount', line: j, value: amount });
+                    invoiceApplied = true;
+                }
+            }
+
+            if (!invoiceApplied) {
+                throw new Error('Could not apply credit memo: invoice ' + invoiceId + ' not found on apply sublist');
+            }
+
+            return creditMemo.save({
+                enableSourcing: true,
+                ignoreMandatoryFields: true
+            });
+        }
+
+        /**
+         * Clears the queue date and records the outcome on the Sales Order
+         * @param {string} soId - Sales Order internal ID
+         * @param {string} result - Result text
+         */
+        function stampResult(soId, result) {
+            record.submitFields({
+                type: record.Type.SALES_ORDER,
+                id: soId,
+                values: {
+                    custbody_service_queued_for_write_off: '',
+                    custbody_service_write_off_result: result.substring(0, 300)
+                },
+                options: {
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                }
+            });
+        }
+
+        /**
+         * Formats today's date as M/D/YYYY
+         * @returns {string} Formatted date
+         */
+        function formatToday() {
+            var d = new Date();
+            return (d.getMonth() + 1) + '/' + d.getDate() + '/' + d.getFullYear();
+        }
+
+        return {
+            getInputData: getInputData,
+            map: map,
+            summarize: summarize
+        };
+    });
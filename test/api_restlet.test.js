@@ -0,0 +1,87 @@
+/**
+ * Service Write-Off API RESTlet: the versioned envelope, request validation and per-SO results.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+
+function setup(storeOverrides) {
+    var store = netsuite.createStore(storeOverrides);
+    fixtures.addSalesOrder(store, '501');
+    fixtures.addSalesOrder(store, '503', { lines: [{ lineId: '1', item: 'Credit', amount: -5 }] });
+    return { store: store, api: netsuite.loadModule('service_writeoff_api_restlet.js', store) };
+}
+
+test('lists unbilled Sales Orders as typed objects', function() {
+    var env = setup();
+    netsuite.onQuery(env.store, 'AS unbilled_items_detail', [fixtures.unbilledRow()]);
+
+    var resp = env.api.get({ version: '1', resource: 'sales-orders' });
+
+    assert.strictEqual(resp.apiVersion, 1);
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.data.count, 1);
+    var so = resp.data.salesOrders[0];
+    assert.strictEqual(so.unbilledAmount, 150);
+    assert.strictEqual(so.statusText, 'Pending Billing');
+    assert.deepStrictEqual(so.unbilledLines[1], { lineId: '2', item: 'Part "A" <B>', quantity: 2, amount: 50 });
+});
+
+test('rejects unsupported versions, unknown actions and missing SOs', function() {
+    var env = setup();
+
+    assert.strictEqual(env.api.get({ resource: 'sales-orders' }).error.code, 'UNSUPPORTED_VERSION');
+    assert.strictEqual(env.api.get({ version: '1', resource: 'invoices' }).error.code, 'INVALID_REQUEST');
+    assert.strictEqual(env.api.post({ version: 1, action: 'delete' }).error.code, 'UNKNOWN_ACTION');
+    assert.strictEqual(env.api.post({ version: 1, action: 'queue' }).error.code, 'INVALID_REQUEST');
+    assert.strictEqual(env.api.post({ version: 1, action: 'partial-lines', soIds: ['501', '503'] }).error.code, 'INVALID_REQUEST');
+});
+
+test('refuses to run against invalid settings', function() {
+    var env = setup({ settingsRow: null });
+
+    var resp = env.api.post({ version: 1, action: 'queue', soId: '501' });
+
+    assert.strictEqual(resp.error.code, 'SETTINGS_INVALID');
+    assert.strictEqual(env.store.submitted.length, 0);
+});
+
+test('returns one result per SO and audits them as API calls', function() {
+    var env = setup();
+
+    var resp = env.api.post({ version: 1, action: 'auto-bill', soIds: '501,503' });
+
+    assert.strictEqual(resp.success, false);
+    assert.strictEqual(resp.error, null);
+    assert.strictEqual(resp.data.processed, 1);
+    assert.strictEqual(resp.data.failed, 1);
+    assert.strictEqual(resp.data.results[0].data.routing.decision, 'bill');
+    assert.strictEqual(resp.data.results[1].error.code, 'ACTION_FAILED');
+    assert.strictEqual(resp.data.results[1].data.routing.decision, 'block');
+
+    var entries = netsuite.auditEntries(env.store);
+    assert.strictEqual(entries[0].custrecord_swo_audit_amount, 100);
+    assert.strictEqual(JSON.parse(entries[1].custrecord_swo_audit_details).source, 'api');
+});
+
+test('stops at the governance threshold and lists the untouched SOs', function() {
+    var env = setup({ remainingUsage: function(call) { return call === 0 ? 5000 : 150; } });
+
+    var resp = env.api.post({ version: 1, action: 'queue', soIds: ['501', '502', '503'] });
+
+    assert.strictEqual(resp.success, false);
+    assert.strictEqual(resp.data.processed, 1);
+    assert.deepStrictEqual(resp.data.notProcessed, ['502', '503']);
+});
+
+test('cbsi-preview is not written to the ledger', function() {
+    var env = setup();
+
+    var resp = env.api.post({ version: 1, action: 'cbsi-preview', soId: '501' });
+
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.data.results[0].data.invoiceTotal, 100);
+    assert.strictEqual(netsuite.auditEntries(env.store).length, 0);
+});
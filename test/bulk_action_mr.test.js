@@ -0,0 +1,161 @@
+/**
+ * Service Write-Off Bulk Action Map/Reduce: the job's SOs as input, one action and ledger entry per
+ * SO in map(), the completion stamp in summarize(), and the portal's job-status endpoint reading
+ * the ledger entries back by job ID.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+
+/**
+ * Bulk job 900 for the given action over SOs 501 ($100), 502 ($0) and 503 (-$5), submitted by employee 7.
+ * The job and ledger queries read what the store holds, so job-status sees what the Map/Reduce wrote.
+ * @param {string} action - Job action
+ */
+function setup(action) {
+    var store = netsuite.createStore();
+    store.scriptParams.custscript_swo_bulk_job_id = '900';
+    fixtures.addSalesOrder(store, '501');
+    fixtures.addSalesOrder(store, '502', { lines: [{ lineId: '1', item: 'Warranty', amount: 0 }] });
+    fixtures.addSalesOrder(store, '503', { lines: [{ lineId: '1', item: 'Credit', amount: -5 }] });
+    netsuite.putRecord(store, 'customrecord_service_wo_bulk_job', '900', {
+        fields: {
+            custrecord_swo_job_action: action,
+            custrecord_swo_job_so_ids: '501,502,503',
+            custrecord_swo_job_total: 3,
+            custrecord_swo_job_submitted_by: '7'
+        }
+    });
+    netsuite.onQuery(store, 'FROM customrecord_service_wo_bulk_job WHERE id = ?', function(params) {
+        var job = store.records['customrecord_service_wo_bulk_job:' + params[0]];
+        return job ? [{
+            action: job.fields.custrecord_swo_job_action,
+            so_ids: job.fields.custrecord_swo_job_so_ids,
+            submitted_by: job.fields.custrecord_swo_job_submitted_by,
+            total: job.fields.custrecord_swo_job_total,
+            task_id: null,
+            completed: job.fields.custrecord_swo_job_completed || null
+        }] : [];
+    });
+    netsuite.onQuery(store, 'FROM customrecord_service_wo_audit a WHERE a.custrecord_swo_audit_job = ?', function(params) {
+        return netsuite.auditEntries(store).filter(function(e) {
+            return String(e.custrecord_swo_audit_job) === String(params[0]);
+        }).map(function(e) {
+            return {
+                so_id: e.custrecord_swo_audit_so,
+                so_number: 'Sales Order #SO' + e.custrecord_swo_audit_so,
+                success: e.custrecord_swo_audit_success,
+                message: e.custrecord_swo_audit_error || null,
+                details: e.custrecord_swo_audit_details
+            };
+        });
+    });
+    return {
+        store: store,
+        processor: netsuite.loadModule('service_writeoff_bulk_action_mr.js', store),
+        portal: netsuite.loadModule('service_writeoff_portal_suitelet.js', store)
+    };
+}
+
+test('the input is one entry per SO on the job', function() {
+    var env = setup('close');
+
+    assert.deepStrictEqual(env.processor.getInputData(), [
+        { jobId: '900', action: 'close', userId: '7', soId: '501' },
+        { jobId: '900', action: 'close', userId: '7', soId: '502' },
+        { jobId: '900', action: 'close', userId: '7', soId: '503' }
+    ]);
+});
+
+test('map runs the action per SO and writes a job ledger entry for each outcome', function() {
+    var env = setup('auto-bill');
+
+    var run = netsuite.runMapReduce(env.processor);
+
+    assert.deepStrictEqual(run.output, [
+        { key: '501', value: 'OK' },
+        { key: '502', value: 'OK' },
+        { key: '503', value: 'FAILED' }
+    ]);
+    assert.deepStrictEqual(run.mapErrors, []);
+    assert.strictEqual(netsuite.savedOfType(env.store, 'invoice').length, 1);
+    assert.deepStrictEqual(netsuite.auditEntries(env.store).map(function(e) {
+        return [e.custrecord_swo_audit_so, e.custrecord_swo_audit_success, e.custrecord_swo_audit_job, e.custrecord_swo_audit_user, e.custrecord_swo_audit_bulk];
+    }), [
+        ['501', true, '900', '7', true],
+        ['502', true, '900', '7', true],
+        ['503', false, '900', '7', true]
+    ]);
+    var blocked = netsuite.auditEntries(env.store)[2];
+    assert.match(blocked.custrecord_swo_audit_error, /^Invoice total would be -\$5.00/);
+    assert.strictEqual(JSON.parse(blocked.custrecord_swo_audit_details).routing.decision, 'block');
+});
+
+test('a CBSI failure is recorded with its rollback', function() {
+    var env = setup('cbsi-bill-je');
+    env.store.onSave = function(rec) {
+        if (rec.type === 'journalentry') {
+            throw new Error('Account is inactive');
+        }
+    };
+
+    netsuite.runMapReduce(env.processor);
+
+    var entry = netsuite.auditEntries(env.store)[0];
+    assert.strictEqual(entry.custrecord_swo_audit_success, false);
+    assert.match(entry.custrecord_swo_audit_error, /^Account is inactive Rolled back: Invoice INV\d+ \(deleted\)\.$/);
+    assert.deepStrictEqual(JSON.parse(entry.custrecord_swo_audit_details).rollback.rolledBack.map(function(r) { return r.type; }), ['invoice']);
+});
+
+test('summarize stamps the job as completed', function() {
+    var env = setup('close');
+
+    netsuite.runMapReduce(env.processor);
+
+    var stamp = env.store.submitted.filter(function(s) { return s.type === 'customrecord_service_wo_bulk_job'; })[0];
+    assert.strictEqual(stamp.id, '900');
+    assert.ok(stamp.values.custrecord_swo_job_completed instanceof Date);
+});
+
+test('a missing job fails the input stage and writes nothing', function() {
+    var env = setup('close');
+    env.store.scriptParams.custscript_swo_bulk_job_id = '901';
+
+    var run = netsuite.runMapReduce(env.processor);
+
+    assert.match(run.inputError, /Bulk job 901 not found/);
+    assert.deepStrictEqual(run.output, []);
+    assert.strictEqual(netsuite.auditEntries(env.store).length, 0);
+});
+
+test('job-status reports progress from the ledger entries written for the job', function() {
+    var env = setup('auto-bill');
+    netsuite.runMapReduce(env.processor);
+    // An entry of another job must not be counted
+    netsuite.putRecord(env.store, 'customrecord_service_wo_audit', '5000', {
+        fields: { custrecord_swo_audit_so: '504', custrecord_swo_audit_success: true, custrecord_swo_audit_job: '899' }
+    }).save();
+
+    var resp = netsuite.requestJson(env.portal, 'GET', { action: 'job-status', jobId: '900' });
+
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.done, true);
+    assert.strictEqual(resp.completedCount, 3);
+    assert.deepStrictEqual(resp.processedIds, ['501', '502']);
+    assert.deepStrictEqual(resp.failedIds, ['503']);
+    assert.match(resp.failureDetails['503'], /blocked/);
+    assert.deepStrictEqual(resp.results.map(function(r) { return r.soNumber; }), ['SO501', 'SO502', 'SO503']);
+    assert.strictEqual(resp.message, '2 of 3 Sales Order(s) completed. Failed: 1');
+});
+
+test('job-status of a running job counts the entries so far', function() {
+    var env = setup('close');
+
+    var resp = netsuite.requestJson(env.portal, 'GET', { action: 'job-status', jobId: '900' });
+
+    assert.strictEqual(resp.done, false);
+    assert.strictEqual(resp.status, 'PENDING');
+    assert.strictEqual(resp.message, '0 of 3 Sales Order(s) processed.');
+});
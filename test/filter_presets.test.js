@@ -0,0 +1,126 @@
+/**
+ * Saved filter presets: writeOffLib.listFilterPresets / saveFilterPreset / deleteFilterPreset and
+ * the portal's save-preset / delete-preset routes.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+
+var PRESET_TYPE = 'customrecord_service_wo_filter_preset';
+
+/**
+ * Store whose preset query answers from the preset records saved in it, as NetSuite would:
+ * the user's own presets plus every shared one, by name
+ */
+function setup() {
+    var store = netsuite.createStore();
+    netsuite.onQuery(store, 'FROM ' + PRESET_TYPE, function(params) {
+        return Object.keys(store.records).filter(function(key) {
+            return key.indexOf(PRESET_TYPE + ':') === 0;
+        }).map(function(key) {
+            var fields = store.records[key].fields;
+            return {
+                id: store.records[key].id,
+                name: fields.name,
+                owner_id: fields.custrecord_swo_preset_owner,
+                owner_name: 'Employee ' + fields.custrecord_swo_preset_owner,
+                shared: fields.custrecord_swo_preset_shared ? 'T' : 'F',
+                state: fields.custrecord_swo_preset_state
+            };
+        }).filter(function(row) {
+            return String(row.owner_id) === String(params[0]) || row.shared === 'T';
+        }).sort(function(a, b) {
+            return a.name < b.name ? -1 : 1;
+        });
+    });
+    return {
+        store: store,
+        lib: netsuite.loadModule('service_writeoff_lib.js', store),
+        portal: netsuite.loadModule('service_writeoff_portal_suitelet.js', store)
+    };
+}
+
+function addPreset(store, id, name, ownerId, shared, state) {
+    netsuite.putRecord(store, PRESET_TYPE, id, {
+        fields: {
+            name: name,
+            custrecord_swo_preset_owner: ownerId,
+            custrecord_swo_preset_shared: shared,
+            custrecord_swo_preset_state: JSON.stringify(state || {})
+        }
+    });
+}
+
+test('lists the user\'s own presets and the team\'s shared ones, with parsed state', function() {
+    var env = setup();
+    addPreset(env.store, '1', 'Old CBSI', 5, false, { search: 'cbsi', checkboxes: { filterWarrantyCBSI: true } });
+    addPreset(env.store, '2', 'Month End', 9, true, { sort: { column: 14, dir: 'desc' } });
+    addPreset(env.store, '3', 'Private', 9, false);
+
+    var presets = env.lib.listFilterPresets();
+
+    assert.deepStrictEqual(presets.map(function(p) { return [p.id, p.name, p.mine, p.shared]; }), [
+        ['2', 'Month End', false, true],
+        ['1', 'Old CBSI', true, false]
+    ]);
+    assert.strictEqual(presets[0].ownerName, 'Employee 9');
+    assert.deepStrictEqual(presets[1].state, { search: 'cbsi', checkboxes: { filterWarrantyCBSI: true } });
+});
+
+test('saving under an existing name of the user updates that preset', function() {
+    var env = setup();
+    addPreset(env.store, '1', 'Old CBSI', 5, false, { search: 'cbsi' });
+
+    var saved = env.lib.saveFilterPreset('  old cbsi ', { search: 'cbsi|cod' }, true);
+
+    assert.deepStrictEqual(saved, { id: '1', name: 'old cbsi', shared: true, replaced: true });
+    var fields = env.store.records[PRESET_TYPE + ':1'].fields;
+    assert.strictEqual(fields.custrecord_swo_preset_shared, true);
+    assert.strictEqual(fields.custrecord_swo_preset_state, '{"search":"cbsi|cod"}');
+});
+
+test('a preset needs a name, and only its owner can delete it', function() {
+    var env = setup();
+    addPreset(env.store, '2', 'Month End', 9, true);
+
+    assert.throws(function() {
+        env.lib.saveFilterPreset('   ', {}, false);
+    }, /Enter a name for the preset/);
+    assert.throws(function() {
+        env.lib.deleteFilterPreset('2');
+    }, /"Month End" belongs to Employee 9; only its owner can delete it/);
+    assert.deepStrictEqual(env.store.deleted, []);
+});
+
+test('save-preset and delete-preset return the refreshed preset list', function() {
+    var env = setup();
+    var state = { search: 'acme', checkboxes: { filterNoShipDate: false }, sort: { column: 9, dir: 'asc' } };
+
+    var saved = netsuite.requestJson(env.portal, 'POST', { action: 'save-preset', name: 'Acme', shared: 'F', state: JSON.stringify(state) });
+
+    assert.strictEqual(saved.success, true);
+    assert.strictEqual(saved.message, 'Filter preset "Acme" saved.');
+    assert.deepStrictEqual(saved.presets.map(function(p) { return [p.id, p.name, p.mine]; }), [[saved.presetId, 'Acme', true]]);
+    assert.deepStrictEqual(saved.presets[0].state, state);
+
+    var deleted = netsuite.requestJson(env.portal, 'POST', { action: 'delete-preset', presetId: saved.presetId });
+
+    assert.strictEqual(deleted.success, true);
+    assert.deepStrictEqual(deleted.presets, []);
+});
+
+test('the page bootstraps the presets, and renders without them when they cannot be read', function() {
+    var env = setup();
+    addPreset(env.store, '1', '</script>', 5, false);
+
+    var html = netsuite.requestPage(env.portal).html;
+    assert.ok(html.indexOf('var FILTER_PRESETS = [{"id":"1","name":"\\u003c/script>"') >= 0);
+
+    env.store.queryHandlers.unshift({ match: 'FROM ' + PRESET_TYPE, rows: function() {
+        throw new Error('Record type customrecord_service_wo_filter_preset does not exist');
+    } });
+    var fallback = netsuite.requestPage(env.portal);
+    assert.strictEqual(fallback.form.title, 'Service Write-Off Portal');
+    assert.ok(fallback.html.indexOf('var FILTER_PRESETS = [];') >= 0);
+});
@@ -0,0 +1,148 @@
+/**
+ * Research note follow-ups: writeOffLib.findFollowUpsDue / groupFollowUpsByOwner, the portal's
+ * Follow-Ups route and soIds link, and the daily digest scheduled script.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+
+/**
+ * Store with three due follow-ups: two by Pat (one overdue), one with no authored thread entry
+ */
+function setup() {
+    var store = netsuite.createStore();
+    netsuite.onQuery(store, 'AS days_overdue', [
+        { so_id: 501, so_number: 'SO501', customer_name: 'Acme', research_notes: 'Called mfr', follow_up_date: '3/1/2025', days_overdue: 4, total_unbilled_amount: -150 },
+        { so_id: 502, so_number: 'SO502', customer_name: 'Bolt', research_notes: 'Waiting on <RMA>', follow_up_date: '3/5/2025', days_overdue: 0, total_unbilled_amount: -20 },
+        { so_id: 503, so_number: 'SO503', customer_name: 'Cole', research_notes: 'Imported', follow_up_date: '3/5/2025', days_overdue: 0, total_unbilled_amount: -5 }
+    ]);
+    // Latest thread entry first: SO501's newest note is Pat's
+    netsuite.onQuery(store, 'FROM customrecord_service_wo_note n', [
+        { so_id: 501, user_id: 12, user_name: 'Pat', user_email: 'pat@example.com' },
+        { so_id: 502, user_id: 12, user_name: 'Pat', user_email: 'pat@example.com' },
+        { so_id: 501, user_id: 7, user_name: 'Alex', user_email: 'alex@example.com' }
+    ]);
+    return store;
+}
+
+test('follow-ups due carry their status and the author of the latest note', function() {
+    var store = setup();
+    var lib = netsuite.loadModule('service_writeoff_lib.js', store);
+
+    var followUps = lib.findFollowUpsDue();
+
+    assert.deepStrictEqual(followUps.map(function(f) { return [f.soId, f.dueStatus, f.daysOverdue, f.ownerName, f.unbilledAmount]; }), [
+        ['501', 'overdue', 4, 'Pat', 150],
+        ['502', 'due-today', 0, 'Pat', 20],
+        ['503', 'due-today', 0, '', 5]
+    ]);
+    var ownerQuery = store.queries.filter(function(q) { return q.query.indexOf('FROM customrecord_service_wo_note n') >= 0; })[0];
+    assert.deepStrictEqual(ownerQuery.params, ['501', '502', '503']);
+    assert.match(ownerQuery.query, /custrecord_swo_note_author IS NOT NULL AND n\.custrecord_swo_note_so IN \(\?, \?, \?\) ORDER BY n\.id DESC$/);
+    assert.strictEqual(ownerQuery.query.indexOf('customrecord_service_wo_audit'), -1);
+});
+
+test('changing only the follow-up date does not take over the note', function() {
+    var store = netsuite.createStore();
+    netsuite.onQuery(store, 'AS days_overdue', [
+        { so_id: 501, so_number: 'SO501', customer_name: 'Acme', research_notes: 'Called mfr', follow_up_date: '3/1/2025', days_overdue: 4, total_unbilled_amount: -150 }
+    ]);
+    netsuite.onQuery(store, 'FROM customrecord_service_wo_note n', function() {
+        return netsuite.savedOfType(store, 'customrecord_service_wo_note').reverse().map(function(rec) {
+            var author = rec.fields.custrecord_swo_note_author;
+            return { so_id: rec.fields.custrecord_swo_note_so, user_id: author, user_name: author === 12 ? 'Pat' : 'Alex', user_email: '' };
+        });
+    });
+    var portal = netsuite.loadModule('service_writeoff_portal_suitelet.js', store);
+    var lib = netsuite.loadModule('service_writeoff_lib.js', store);
+
+    store.currentUser = { id: 12, name: 'Pat' };
+    netsuite.requestJson(portal, 'POST', { action: 'add-note', soId: '501', note: 'Called mfr', followUpDate: '2025-02-20' });
+    store.currentUser = { id: 7, name: 'Alex' };
+    netsuite.requestJson(portal, 'POST', { action: 'add-note', soId: '501', note: '', followUpDate: '2025-03-01' });
+
+    assert.deepStrictEqual(lib.findFollowUpsDue().map(function(f) { return [f.ownerId, f.ownerName]; }), [['12', 'Pat']]);
+    assert.deepStrictEqual(netsuite.auditEntries(store).map(function(e) { return [e.custrecord_swo_audit_action, e.custrecord_swo_audit_user]; }), [['add-note', 12], ['add-note', 7]]);
+});
+
+test('follow-ups are grouped by owner, with the ones without an owner last', function() {
+    var lib = netsuite.loadModule('service_writeoff_lib.js', setup());
+
+    var groups = lib.groupFollowUpsByOwner(lib.findFollowUpsDue());
+
+    assert.deepStrictEqual(groups.map(function(g) { return [g.ownerId, g.ownerName, g.overdueCount, g.dueTodayCount, g.followUps.length]; }), [
+        ['12', 'Pat', 1, 1, 2],
+        [null, 'No Owner', 0, 1, 1]
+    ]);
+});
+
+test('the follow-ups route returns the groups and totals', function() {
+    var portal = netsuite.loadModule('service_writeoff_portal_suitelet.js', setup());
+
+    var resp = netsuite.requestJson(portal, 'GET', { action: 'follow-ups' });
+
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.total, 3);
+    assert.strictEqual(resp.overdueCount, 1);
+    assert.strictEqual(resp.dueTodayCount, 2);
+    assert.strictEqual(resp.groups[0].followUps[1].researchNotes, 'Waiting on <RMA>');
+});
+
+test('a soIds link bootstraps the SO filter and loads the table once the page is built', function() {
+    var portal = netsuite.loadModule('service_writeoff_portal_suitelet.js', netsuite.createStore());
+
+    var html = netsuite.requestPage(portal, { soIds: '501,x,502' }).html;
+    var plain = netsuite.requestPage(portal).html;
+
+    assert.ok(html.indexOf('var SO_ID_FILTER = ["501","502"];') >= 0);
+    assert.match(html, /Showing the 2 Sales Order\(s\) from your follow-up digest/);
+    assert.ok(html.indexOf('<script>loadReportData();</script>') > html.indexOf('id="jobProgressModal"'));
+    assert.ok(plain.indexOf('var SO_ID_FILTER = null;') >= 0);
+    assert.strictEqual(plain.indexOf('loadReportData();</script>'), -1);
+});
+
+test('the digest emails each owner their follow-ups with a filtered portal link', function() {
+    var store = setup();
+    store.scriptParams.custscript_swo_digest_author = '99';
+    var digest = netsuite.loadModule('service_writeoff_followup_digest_ss.js', store);
+
+    digest.execute({});
+
+    assert.strictEqual(store.emails.length, 1);
+    var sent = store.emails[0];
+    assert.strictEqual(sent.author, '99');
+    assert.deepStrictEqual(sent.recipients, ['12']);
+    assert.strictEqual(sent.subject, 'Service Write-Off follow-ups due: 1 overdue, 1 due today');
+    assert.ok(sent.body.indexOf('<td>SO501</td><td>Acme</td><td>3/1/2025</td><td>4 day(s) overdue</td><td>Called mfr</td>') >= 0);
+    assert.ok(sent.body.indexOf('<td>Waiting on &lt;RMA&gt;</td>') >= 0);
+    assert.ok(sent.body.indexOf('href="https://tstdrv.app.netsuite.com/app/site/hosting/scriptlet.nl?script=customscript_service_writeoff_portal&amp;deploy=customdeploy_service_writeoff_portal&amp;soIds=501%2C502"') >= 0);
+    assert.ok(store.logs.some(function(l) { return l.title === 'Follow-Ups Without Owner' && l.details.soIds === '503'; }));
+});
+
+test('the digest stops before running out of governance', function() {
+    var store = setup();
+    store.remainingUsage = 30;
+    store.scriptParams.custscript_swo_digest_author = '99';
+    var digest = netsuite.loadModule('service_writeoff_followup_digest_ss.js', store);
+
+    digest.execute({});
+
+    assert.strictEqual(store.emails.length, 0);
+    var stopped = store.logs.filter(function(l) { return l.title === 'Follow-Up Digest Stopped'; })[0];
+    assert.deepStrictEqual(stopped.details, {
+        message: 'Governance limit reached after 0 digest(s); 1 owner(s) not sent a digest',
+        skippedOwnerIds: '12'
+    });
+});
+
+test('the digest sends nothing without a sender', function() {
+    var store = setup();
+    var digest = netsuite.loadModule('service_writeoff_followup_digest_ss.js', store);
+
+    digest.execute({});
+
+    assert.strictEqual(store.emails.length, 0);
+    assert.strictEqual(store.queries.length, 0);
+    assert.ok(store.logs.some(function(l) { return l.level === 'error' && l.title === 'Follow-Up Digest Not Sent'; }));
+});
@@ -0,0 +1,159 @@
+/**
+ * Minimal browser for the portal client script: a document that only knows the elements a test
+ * registers, a recording XMLHttpRequest and scripted confirm / alert / prompt.
+ *
+ * The client script is a plain browser script, so it also runs unchanged in jsdom; this keeps the
+ * suite dependency-free.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var CLIENT_PATH = path.resolve(__dirname, '..', '..', 'service_writeoff_portal_client.js');
+
+/**
+ * The AGE_BUCKETS the Suitelet bootstraps
+ */
+var AGE_BUCKETS = [
+    { key: '0-30', label: '0–30', maxDays: 30 },
+    { key: '31-60', label: '31–60', maxDays: 60 },
+    { key: '61-90', label: '61–90', maxDays: 90 },
+    { key: '91-180', label: '91–180', maxDays: 180 },
+    { key: '180-plus', label: '180+', maxDays: null }
+];
+
+/**
+ * Element with just the properties the client script reads and writes
+ * @param {Object} [options] - { tagName, id, attributes, textContent, parent, children, value, checked, disabled }
+ */
+function FakeElement(options) {
+    options = options || {};
+    this.tagName = options.tagName || '';
+    this.id = options.id || '';
+    this.attributes = options.attributes || {};
+    this.textContent = options.textContent || '';
+    this.innerHTML = '';
+    this.value = options.value || '';
+    this.checked = !!options.checked;
+    this.disabled = !!options.disabled;
+    this.parent = options.parent || null;
+    this.children = options.children || [];
+    this.style = {};
+}
+
+FakeElement.prototype.getAttribute = function(name) {
+    return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+};
+
+FakeElement.prototype.setAttribute = function(name, value) {
+    this.attributes[name] = String(value);
+};
+
+FakeElement.prototype.focus = function() {};
+
+FakeElement.prototype.closest = function(tagName) {
+    var node = this.parent;
+    while (node && node.tagName !== tagName) {
+        node = node.parent;
+    }
+    return node;
+};
+
+/**
+ * Loads the client script into a fresh window
+ * @param {Object} [options] - { elements: [FakeElement], select: function(selector, all), confirm: boolean,
+ *     prompt: string|null, filterPresets: Array, soIdFilter: Array }
+ * @returns {Object} { window, element(id), requests, alerts, confirms, prompts, respond(index, body) }
+ */
+function loadClient(options) {
+    options = options || {};
+    var byId = {};
+    var requests = [];
+    var alerts = [];
+    var confirms = [];
+    var prompts = [];
+
+    (options.elements || []).forEach(function(el) {
+        byId[el.id] = el;
+    });
+
+    function FakeXMLHttpRequest() {
+        this.readyState = 0;
+        this.headers = {};
+        requests.push(this);
+    }
+    FakeXMLHttpRequest.prototype.open = function(method, url) {
+        this.method = method;
+        this.url = url;
+    };
+    FakeXMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+        this.headers[name] = value;
+    };
+    FakeXMLHttpRequest.prototype.send = function(body) {
+        this.body = body;
+    };
+
+    var select = options.select || function(selector, all) {
+        return all ? [] : null;
+    };
+
+    var window = {
+        SUITELET_URL: '/app/site/hosting/scriptlet.nl?script=1&deploy=1',
+        FILTER_PRESETS: options.filterPresets || [],
+        AGE_BUCKETS: AGE_BUCKETS,
+        SO_ID_FILTER: options.soIdFilter || null,
+        document: {
+            getElementById: function(id) {
+                return byId[id] || null;
+            },
+            querySelector: function(selector) {
+                return select(selector, false);
+            },
+            querySelectorAll: function(selector) {
+                return select(selector, true);
+            }
+        },
+        XMLHttpRequest: FakeXMLHttpRequest,
+        confirm: function(message) {
+            confirms.push(message);
+            return options.confirm !== false;
+        },
+        alert: function(message) {
+            alerts.push(message);
+        },
+        prompt: function(message, defaultValue) {
+            prompts.push({ message: message, defaultValue: defaultValue });
+            return options.prompt === undefined ? null : options.prompt;
+        },
+        setTimeout: function() {},
+        clearTimeout: function() {}
+    };
+    vm.createContext(window);
+    vm.runInContext(fs.readFileSync(CLIENT_PATH, 'utf8'), window, { filename: CLIENT_PATH });
+
+    return {
+        window: window,
+        element: function(id) {
+            return byId[id];
+        },
+        requests: requests,
+        alerts: alerts,
+        confirms: confirms,
+        prompts: prompts,
+        respond: function(index, body) {
+            var xhr = requests[index];
+            xhr.readyState = 4;
+            xhr.status = 200;
+            xhr.responseText = JSON.stringify(body);
+            xhr.onreadystatechange();
+        }
+    };
+}
+
+module.exports = {
+    AGE_BUCKETS: AGE_BUCKETS,
+    CLIENT_PATH: CLIENT_PATH,
+    FakeElement: FakeElement,
+    loadClient: loadClient
+};
@@ -0,0 +1,112 @@
+/**
+ * Sales Order fixtures for the offline tests: a Pending Billing SO in the store plus the
+ * SO -> invoice and invoice -> customer payment transforms the write-off engine runs.
+ */
+
+var netsuite = require('./netsuite');
+
+/**
+ * Registers a Sales Order and the transforms that bill it
+ * @param {Object} store - Shared store
+ * @param {string} soId - Sales Order internal ID
+ * @param {Object} [options] - { entity, lines: [{ lineId, item, amount }] }
+ * @returns {FakeRecord} The Sales Order
+ */
+function addSalesOrder(store, soId, options) {
+    options = options || {};
+    var lines = options.lines || [{ lineId: '1', item: 'Service Labor', amount: 100 }];
+
+    var salesOrder = netsuite.putRecord(store, 'salesorder', soId, {
+        fields: { tranid: 'SO' + soId, entity: options.entity || '77', orderstatus: 'F' },
+        sublists: {
+            item: lines.map(function(line) {
+                return { line: line.lineId, item: line.item, quantity: 1, amount: line.amount, isclosed: false };
+            })
+        }
+    });
+
+    registerTransforms(store);
+    return salesOrder;
+}
+
+/**
+ * SO -> invoice bills every open SO line; invoice -> payment lists the invoice (plus an
+ * unrelated open invoice NetSuite auto-selects) and every saved JE as a credit
+ * @param {Object} store - Shared store
+ */
+function registerTransforms(store) {
+    store.transforms['salesorder>invoice'] = function(fromId) {
+        var so = store.records['salesorder:' + fromId];
+        return {
+            fields: { entity: so.fields.entity, createdfrom: fromId },
+            texts: { createdfrom: 'Sales Order #' + so.fields.tranid },
+            sublists: {
+                item: so.sublists.item.filter(function(line) {
+                    return !line.isclosed;
+                }).map(function(line) {
+                    return { item: line.item, item_text: line.item, quantity: line.quantity, amount: line.amount, orderline: line.line };
+                })
+            }
+        };
+    };
+
+    store.transforms['invoice>customerpayment'] = function(fromId) {
+        return {
+            fields: {},
+            sublists: {
+                apply: [
+                    { doc: '9999', apply: true, amount: 25 },
+                    { doc: fromId, apply: false, amount: 0 }
+                ],
+                credit: netsuite.savedOfType(store, 'journalentry').map(function(je) {
+                    return { doc: je.id, refnum: je.fields.tranid, apply: false, amount: 0 };
+                })
+            }
+        };
+    };
+}
+
+/**
+ * A findUnbilledSalesOrders row as SuiteQL returns it (SO line amounts are negative)
+ * @param {Object} [overrides] - Columns to override
+ * @returns {Object} Row
+ */
+function unbilledRow(overrides) {
+    var row = {
+        so_id: '501',
+        so_number: 'SO501',
+        so_date: '1/15/2025',
+        customer_id: '77',
+        customer_name: 'Acme Appliance',
+        so_status: 'F',
+        so_status_text: 'Sales Order : Pending Billing',
+        job_id: 'JOB-1',
+        queued_date: null,
+        warranty_type: 'Extended',
+        epic_auth: 'EA-9',
+        ship_date: '1/20/2025',
+        est_ship_date: '1/18/2025',
+        job_details: '',
+        billing_completed_by: '',
+        job_state: 'Completed',
+        scheduled_date: '',
+        job_started: '',
+        job_completed: '',
+        research_notes: '',
+        follow_up_date: null,
+        parts_status: '',
+        unbilled_line_count: 2,
+        total_unbilled_amount: -150,
+        unbilled_items_detail: 'Service Labor~~-1~~-100~~1||Part "A" <B>~~-2~~-50~~2'
+    };
+    for (var key in overrides || {}) {
+        row[key] = overrides[key];
+    }
+    return row;
+}
+
+module.exports = {
+    addSalesOrder: addSalesOrder,
+    registerTransforms: registerTransforms,
+    unbilledRow: unbilledRow
+};
@@ -0,0 +1,665 @@
+/**
+ * Offline test harness for the Service Write-Off scripts.
+ *
+ * Loads the SuiteScript define() modules in plain Node with in-memory fakes of the N/* modules
+ * they use. Every fake shares one store, so a test sets up Sales Orders, transforms and query
+ * results on the store, runs an entry point and then inspects what was saved, submitted, deleted
+ * or written to the response.
+ *
+ * Run from the repository root (Node 18+, no dependencies):
+ *   node --test
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Default Service Write-Off Settings row (SuiteQL returns aliases in lower case)
+ */
+var DEFAULT_SETTINGS = {
+    id: 1,
+    cbsientity: '335',
+    cbsidebitaccount: '470',
+    cbsicreditaccount: '119',
+    servicedepartment: '13',
+    paymentmethod: '15',
+    writeoffitem: '306698',
+    masterlistcategories: '2, 4'
+};
+
+var RECORD_TYPES = {
+    SALES_ORDER: 'salesorder',
+    INVOICE: 'invoice',
+    CREDIT_MEMO: 'creditmemo',
+    JOURNAL_ENTRY: 'journalentry',
+    CUSTOMER_PAYMENT: 'customerpayment',
+    CUSTOMER_REFUND: 'customerrefund'
+};
+
+var TRANID_PREFIXES = {
+    invoice: 'INV',
+    creditmemo: 'CM',
+    journalentry: 'JE',
+    customerpayment: 'PMT',
+    customerrefund: 'REF'
+};
+
+/**
+ * Creates the shared in-memory state behind every fake module
+ * @param {Object} [overrides] - Properties to set on the store
+ * @returns {Object} Store
+ */
+function createStore(overrides) {
+    var store = {
+        nextId: 1000,
+        records: {},        // 'type:id' -> FakeRecord (saved records)
+        saved: [],          // every FakeRecord saved, in order
+        submitted: [],      // { type, id, values } from record.submitFields
+        deleted: [],        // { type, id }
+        voided: [],         // { type, id }
+        transforms: {},     // 'fromType>toType' -> function(fromId, store) returning record data
+        failDelete: {},     // type -> true to make record.delete throw
+        failVoid: {},       // type -> true to make transaction.void throw
+        onSave: null,       // function(record) - may throw to fail a save
+        settingsRow: DEFAULT_SETTINGS,
+        queryHandlers: [],  // [{ match: RegExp|string, rows: Array|function(params, sql) }]
+        queries: [],        // { query, params } for every SuiteQL run
+        remainingUsage: 1000,
+        usageCalls: 0,
+        currentUser: { id: 5, name: 'Test User', email: 'test.user@example.com' },
+        scriptParams: {},
+        taskSubmitError: null,
+        tasks: [],
+        missingFiles: {},   // File Cabinet path -> true to make file.load throw
+        emails: [],         // options of every email.send
+        logs: []
+    };
+
+    for (var key in overrides || {}) {
+        store[key] = overrides[key];
+    }
+    return store;
+}
+
+/**
+ * In-memory stand-in for an N/record Record
+ * @param {Object} store - Shared store
+ * @param {string} type - Record type
+ * @param {string|number|null} id - Internal ID (null until saved)
+ * @param {Object} [data] - { fields, texts, sublists, isDynamic }; sublist lines may list
+ *     field IDs in _fixed whose values ignore setSublistValue (to simulate NetSuite refusing a value)
+ */
+function FakeRecord(store, type, id, data) {
+    data = data || {};
+    this.store = store;
+    this.type = type;
+    this.id = id;
+    this.isDynamic = !!data.isDynamic;
+    this.fields = Object.assign({}, data.fields);
+    this.texts = Object.assign({}, data.texts);
+    this.sublists = {};
+    for (var sublistId in data.sublists || {}) {
+        this.sublists[sublistId] = data.sublists[sublistId].map(function(line) {
+            return Object.assign({}, line);
+        });
+    }
+}
+
+FakeRecord.prototype.getValue = function(options) {
+    var fieldId = typeof options === 'string' ? options : options.fieldId;
+    if (fieldId === 'total' && this.fields.total === undefined && this.sublists.item) {
+        // Dynamic-mode totals follow the item lines
+        return this.sublists.item.reduce(function(sum, line) { return sum + (parseFloat(line.amount) || 0); }, 0);
+    }
+    return this.fields[fieldId];
+};
+
+FakeRecord.prototype.setValue = function(options) {
+    this.fields[options.fieldId] = options.value;
+    return this;
+};
+
+FakeRecord.prototype.getText = function(options) {
+    var fieldId = typeof options === 'string' ? options : options.fieldId;
+    return this.texts[fieldId] !== undefined ? this.texts[fieldId] : this.fields[fieldId];
+};
+
+FakeRecord.prototype.getLineCount = function(options) {
+    return (this.sublists[options.sublistId] || []).length;
+};
+
+FakeRecord.prototype.getLine = function(options) {
+    var lines = this.sublists[options.sublistId] || [];
+    if (options.line < 0 || options.line >= lines.length) {
+        throw new Error('Line ' + options.line + ' is out of range on sublist ' + options.sublistId);
+    }
+    return lines[options.line];
+};
+
+FakeRecord.prototype.getSublistValue = function(options) {
+    return this.getLine(options)[options.fieldId];
+};
+
+FakeRecord.prototype.getSublistText = function(options) {
+    var line = this.getLine(options);
+    var textKey = options.fieldId + '_text';
+    return line[textKey] !== undefined ? line[textKey] : line[options.fieldId];
+};
+
+FakeRecord.prototype.setSublistValue = function(options) {
+    var lines = this.sublists[options.sublistId] = this.sublists[options.sublistId] || [];
+    while (lines.length <= options.line) {
+        lines.push({});
+    }
+    var line = lines[options.line];
+    if (!(line._fixed && line._fixed.indexOf(options.fieldId) >= 0)) {
+        line[options.fieldId] = options.value;
+    }
+    return this;
+};
+
+FakeRecord.prototype.insertLine = function(options) {
+    var lines = this.sublists[options.sublistId] = this.sublists[options.sublistId] || [];
+    lines.splice(options.line, 0, {});
+    return this;
+};
+
+FakeRecord.prototype.removeLine = function(options) {
+    this.getLine(options);
+    this.sublists[options.sublistId].splice(options.line, 1);
+    return this;
+};
+
+FakeRecord.prototype.save = function(options) {
+    this.saveOptions = options || null;
+    if (this.store.onSave) {
+        this.store.onSave(this);
+    }
+    if (!this.id) {
+        this.id = this.store.nextId++;
+    }
+    if (!this.fields.tranid && TRANID_PREFIXES[this.type]) {
+        this.fields.tranid = TRANID_PREFIXES[this.type] + this.id;
+    }
+    this.store.records[this.type + ':' + this.id] = this;
+    this.store.saved.push(this);
+    return this.id;
+};
+
+/**
+ * Returns the saved records of one type, in save order
+ * @param {Object} store - Shared store
+ * @param {string} type - Record type
+ * @returns {Array} FakeRecords
+ */
+function savedOfType(store, type) {
+    return store.saved.filter(function(rec) { return rec.type === type; });
+}
+
+/**
+ * Adds (or replaces) a saved record in the store
+ * @param {Object} store - Shared store
+ * @param {string} type - Record type
+ * @param {string|number} id - Internal ID
+ * @param {Object} data - { fields, texts, sublists }
+ * @returns {FakeRecord} The record
+ */
+function putRecord(store, type, id, data) {
+    var rec = new FakeRecord(store, type, id, data);
+    store.records[type + ':' + id] = rec;
+    return rec;
+}
+
+function createRecordModule(store) {
+    return {
+        Type: RECORD_TYPES,
+        create: function(options) {
+            return new FakeRecord(store, options.type, null, { isDynamic: options.isDynamic });
+        },
+        load: function(options) {
+            var existing = store.records[options.type + ':' + options.id];
+            if (!existing) {
+                throw new Error('Record ' + options.type + ' ' + options.id + ' does not exist');
+            }
+            // A loaded copy, like NetSuite: changes only stick once saved
+            var copy = new FakeRecord(store, existing.type, existing.id, existing);
+            copy.isDynamic = !!options.isDynamic;
+            return copy;
+        },
+        transform: function(options) {
+            var key = options.fromType + '>' + options.toType;
+            if (!store.transforms[key]) {
+                throw new Error('No fake transform registered for ' + key);
+            }
+            var data = store.transforms[key](String(options.fromId), store);
+            data.isDynamic = !!options.isDynamic;
+            return new FakeRecord(store, options.toType, null, data);
+        },
+        submitFields: function(options) {
+            store.submitted.push({ type: options.type, id: String(options.id), values: options.values });
+            var existing = store.records[options.type + ':' + options.id];
+            if (existing) {
+                Object.assign(existing.fields, options.values);
+            }
+            return options.id;
+        },
+        delete: function(options) {
+            if (store.failDelete[options.type]) {
+                throw new Error('Cannot delete ' + options.type + ' ' + options.id);
+            }
+            delete store.records[options.type + ':' + options.id];
+            store.deleted.push({ type: options.type, id: options.id });
+            return options.id;
+        }
+    };
+}
+
+/**
+ * Built-in answers for the queries the library itself runs (settings, settings validation, tranid)
+ */
+function defaultRows(store, sql, params) {
+    if (sql.indexOf('customrecord_service_wo_settings') >= 0) {
+        return store.settingsRow ? [store.settingsRow] : [];
+    }
+    if (/ AS tbl/.test(sql)) {
+        // Settings validation: every referenced ID exists and is active
+        var rows = [];
+        var re = /SELECT '(\w+)' AS tbl[^?]*IN \(([?, ]+)\)/g;
+        var match;
+        var index = 0;
+        while ((match = re.exec(sql))) {
+            var count = (match[2].match(/\?/g) || []).length;
+            for (var i = 0; i < count; i++) {
+                var id = params[index++];
+                rows.push({ tbl: match[1], id: id, isinactive: 'F', name: match[1] + ' ' + id });
+            }
+        }
+        return rows;
+    }
+    if (/^SELECT tranid FROM transaction WHERE id = \?/.test(sql)) {
+        for (var key in store.records) {
+            if (String(store.records[key].id) === String(params[0])) {
+                return [{ tranid: store.records[key].fields.tranid }];
+            }
+        }
+        return [];
+    }
+    return [];
+}
+
+function resolveRows(store, sql, params) {
+    store.queries.push({ query: sql, params: params || [] });
+
+    for (var i = 0; i < store.queryHandlers.length; i++) {
+        var handler = store.queryHandlers[i];
+        var matches = typeof handler.match === 'string' ? sql.indexOf(handler.match) >= 0 : handler.match.test(sql);
+        if (matches) {
+            return typeof handler.rows === 'function' ? handler.rows(params || [], sql) : handler.rows;
+        }
+    }
+    return defaultRows(store, sql, params || []);
+}
+
+function createQueryModule(store) {
+    return {
+        runSuiteQL: function(options) {
+            var rows = resolveRows(store, options.query, options.params);
+            return { asMappedResults: function() { return rows; } };
+        },
+        runSuiteQLPaged: function(options) {
+            var rows = resolveRows(store, options.query, options.params);
+            var pageSize = options.pageSize || 50;
+            var pageRanges = [];
+            for (var start = 0; start < rows.length; start += pageSize) {
+                pageRanges.push({ index: pageRanges.length, size: Math.min(pageSize, rows.length - start) });
+            }
+            return {
+                count: rows.length,
+                pageRanges: pageRanges,
+                fetch: function(fetchOptions) {
+                    var page = rows.slice(fetchOptions.index * pageSize, (fetchOptions.index + 1) * pageSize);
+                    return { data: { asMappedResults: function() { return page; } } };
+                }
+            };
+        }
+    };
+}
+
+function createRuntimeModule(store) {
+    return {
+        getCurrentUser: function() {
+            return store.currentUser;
+        },
+        getCurrentScript: function() {
+            return {
+                id: 'customscript_test',
+                deploymentId: 'customdeploy_test',
+                getRemainingUsage: function() {
+                    var call = store.usageCalls++;
+                    return typeof store.remainingUsage === 'function' ? store.remainingUsage(call) : store.remainingUsage;
+                },
+                getParameter: function(options) {
+                    return store.scriptParams[options.name];
+                }
+            };
+        }
+    };
+}
+
+function createUrlModule() {
+    return {
+        HostType: { APPLICATION: 'APPLICATION' },
+        resolveScript: function(options) {
+            var params = Object.keys(options.params || {}).map(function(name) {
+                return '&' + name + '=' + encodeURIComponent(options.params[name]);
+            }).join('');
+            return '/app/site/hosting/scriptlet.nl?script=' + options.scriptId + '&deploy=' + options.deploymentId + params;
+        },
+        resolveDomain: function() {
+            return 'tstdrv.app.netsuite.com';
+        },
+        resolveRecord: function(options) {
+            return '/app/common/record.nl?type=' + options.recordType + '&id=' + options.recordId;
+        }
+    };
+}
+
+function createLogModule(store) {
+    function logger(level) {
+        return function(title, details) {
+            store.logs.push({ level: level, title: title, details: details });
+        };
+    }
+    return {
+        debug: logger('debug'),
+        audit: logger('audit'),
+        error: logger('error'),
+        emergency: logger('emergency')
+    };
+}
+
+function createServerWidgetModule() {
+    return {
+        FieldType: { INLINEHTML: 'INLINEHTML', TEXT: 'TEXT', SELECT: 'SELECT', DATE: 'DATE' },
+        createForm: function(options) {
+            return {
+                title: options.title,
+                fields: [],
+                addField: function(fieldOptions) {
+                    var field = { id: fieldOptions.id, type: fieldOptions.type, label: fieldOptions.label, defaultValue: '' };
+                    this.fields.push(field);
+                    return field;
+                },
+                addButton: function() {},
+                addSubmitButton: function() {}
+            };
+        }
+    };
+}
+
+function createTaskModule(store) {
+    return {
+        TaskType: { MAP_REDUCE: 'MAP_REDUCE', SCHEDULED_SCRIPT: 'SCHEDULED_SCRIPT' },
+        TaskStatus: { PENDING: 'PENDING', PROCESSING: 'PROCESSING', COMPLETE: 'COMPLETE', FAILED: 'FAILED' },
+        create: function(options) {
+            return {
+                submit: function() {
+                    if (store.taskSubmitError) {
+                        throw new Error(store.taskSubmitError);
+                    }
+                    store.tasks.push(options);
+                    return 'TASK-' + store.tasks.length;
+                }
+            };
+        },
+        checkStatus: function() {
+            return { status: 'PROCESSING' };
+        }
+    };
+}
+
+function createTransactionModule(store) {
+    return {
+        void: function(options) {
+            if (store.failVoid[options.type]) {
+                throw new Error('Cannot void ' + options.type + ' ' + options.id);
+            }
+            store.voided.push({ type: options.type, id: options.id });
+            return options.id;
+        }
+    };
+}
+
+/**
+ * File Cabinet paths relative to the script resolve to the repository files
+ */
+function createFileModule(store) {
+    return {
+        load: function(options) {
+            var id = String(options.id);
+            if (store.missingFiles[id]) {
+                throw new Error('That record does not exist. path: ' + id);
+            }
+            var name = path.basename(id);
+            return {
+                id: id,
+                name: name,
+                url: '/core/media/media.nl?id=' + encodeURIComponent(name) + '&c=TSTDRV&h=abc',
+                getContents: function() {
+                    return fs.readFileSync(path.resolve(REPO_ROOT, id), 'utf8');
+                }
+            };
+        }
+    };
+}
+
+function createEmailModule(store) {
+    return {
+        send: function(options) {
+            store.emails.push(options);
+        }
+    };
+}
+
+var MODULE_FACTORIES = {
+    'N/record': createRecordModule,
+    'N/query': createQueryModule,
+    'N/runtime': createRuntimeModule,
+    'N/url': createUrlModule,
+    'N/log': createLogModule,
+    'N/ui/serverWidget': createServerWidgetModule,
+    'N/task': createTaskModule,
+    'N/transaction': createTransactionModule,
+    'N/file': createFileModule,
+    'N/email': createEmailModule
+};
+
+/**
+ * Loads a define() module with fakes bound to the store. Relative dependencies are loaded the
+ * same way (once per call), so the library the portal uses sees the same store.
+ * @param {string} relativePath - Path from the repository root, e.g. 'service_writeoff_lib.js'
+ * @param {Object} store - Shared store from createStore
+ * @param {Object} [cache] - Module cache, internal
+ * @returns {Object} The module's exports
+ */
+function loadModule(relativePath, store, cache) {
+    cache = cache || {};
+    var absolute = path.resolve(REPO_ROOT, relativePath);
+    if (cache[absolute]) {
+        return cache[absolute];
+    }
+
+    var source = fs.readFileSync(absolute, 'utf8');
+    var exported;
+
+    function define(deps, factory) {
+        var resolved = deps.map(function(dep) {
+            if (MODULE_FACTORIES[dep]) {
+                return MODULE_FACTORIES[dep](store);
+            }
+            if (dep.indexOf('./') === 0) {
+                var depPath = path.relative(REPO_ROOT, path.resolve(path.dirname(absolute), dep));
+                return loadModule(depPath + (/\.js$/.test(depPath) ? '' : '.js'), store, cache);
+            }
+            throw new Error('No fake for module ' + dep);
+        });
+        exported = factory.apply(null, resolved);
+    }
+
+    // Same realm as the tests, so assert.deepStrictEqual works on returned arrays and objects
+    new Function('define', source + '\n//# sourceURL=' + absolute)(define);
+    cache[absolute] = exported;
+    return exported;
+}
+
+/**
+ * Builds a Suitelet context whose response records what the script wrote
+ * @param {string} method - 'GET' or 'POST'
+ * @param {Object} [parameters] - Request parameters
+ * @returns {Object} { request, response }
+ */
+function createContext(method, parameters) {
+    return {
+        request: { method: method, parameters: parameters || {} },
+        response: {
+            headers: {},
+            body: '',
+            page: null,
+            setHeader: function(header) {
+                this.headers[header.name] = header.value;
+            },
+            write: function(output) {
+                this.body += typeof output === 'string' ? output : output.output;
+            },
+            writePage: function(form) {
+                this.page = form;
+            }
+        }
+    };
+}
+
+/**
+ * Runs a Suitelet request and returns the parsed JSON response
+ * @param {Object} suitelet - Loaded Suitelet module
+ * @param {string} method - 'GET' or 'POST'
+ * @param {Object} parameters - Request parameters
+ * @returns {Object} Parsed response body
+ */
+function requestJson(suitelet, method, parameters) {
+    var context = createContext(method, parameters);
+    suitelet.onRequest(context);
+    return JSON.parse(context.response.body);
+}
+
+/**
+ * Runs a Suitelet GET and returns the HTML of every field on the written form
+ * @param {Object} suitelet - Loaded Suitelet module
+ * @param {Object} [parameters] - Request parameters
+ * @returns {Object} { form, html }
+ */
+function requestPage(suitelet, parameters) {
+    var context = createContext('GET', parameters);
+    suitelet.onRequest(context);
+    var form = context.response.page;
+    return {
+        form: form,
+        html: form ? form.fields.map(function(field) { return field.defaultValue || ''; }).join('') : context.response.body
+    };
+}
+
+/**
+ * Runs a Map/Reduce script's stages like NetSuite: getInputData, one map() per input entry (a throw
+ * ends that entry only and is reported in mapSummary.errors), then summarize() with what map() wrote
+ * @param {Object} script - Loaded Map/Reduce module
+ * @returns {Object} { output: [{ key, value }], mapErrors: [{ key, error }], inputError }
+ */
+function runMapReduce(script) {
+    var output = [];
+    var mapErrors = [];
+    var inputError = null;
+    var input = [];
+
+    try {
+        input = script.getInputData();
+    } catch (e) {
+        inputError = e.toString();
+    }
+
+    input.forEach(function(entry, index) {
+        try {
+            script.map({
+                key: String(index),
+                value: JSON.stringify(entry),
+                write: function(pair) {
+                    output.push({ key: String(pair.key), value: pair.value });
+                }
+            });
+        } catch (e) {
+            mapErrors.push({ key: String(index), error: e.toString() });
+        }
+    });
+
+    function iterable(pairs, valueOf) {
+        return {
+            iterator: function() {
+                return {
+                    each: function(callback) {
+                        for (var i = 0; i < pairs.length; i++) {
+                            if (callback(pairs[i].key, valueOf(pairs[i])) === false) {
+                                break;
+                            }
+                        }
+                    }
+                };
+            }
+        };
+    }
+
+    script.summarize({
+        inputSummary: { error: inputError },
+        mapSummary: { errors: iterable(mapErrors, function(e) { return e.error; }) },
+        output: iterable(output, function(pair) { return pair.value; }),
+        usage: 0,
+        seconds: 0
+    });
+
+    return { output: output, mapErrors: mapErrors, inputError: inputError };
+}
+
+/**
+ * Registers a SuiteQL answer on the store
+ * @param {Object} store - Shared store
+ * @param {RegExp|string} match - Matched against the SQL text
+ * @param {Array|Function} rows - Rows, or function(params, sql) returning rows
+ */
+function onQuery(store, match, rows) {
+    store.queryHandlers.push({ match: match, rows: rows });
+}
+
+/**
+ * Returns the ledger entries written through writeAuditEntry, as plain field maps
+ * @param {Object} store - Shared store
+ * @returns {Array} Field maps of every saved customrecord_service_wo_audit
+ */
+function auditEntries(store) {
+    return savedOfType(store, 'customrecord_service_wo_audit').map(function(rec) {
+        return rec.fields;
+    });
+}
+
+module.exports = {
+    DEFAULT_SETTINGS: DEFAULT_SETTINGS,
+    createStore: createStore,
+    loadModule: loadModule,
+    createContext: createContext,
+    requestJson: requestJson,
+    requestPage: requestPage,
+    runMapReduce: runMapReduce,
+    onQuery: onQuery,
+    putRecord: putRecord,
+    savedOfType: savedOfType,
+    auditEntries: auditEntries,
+    FakeRecord: FakeRecord
+};
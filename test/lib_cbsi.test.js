@@ -0,0 +1,157 @@
+/**
+ * CBSI Bill and JE engine (writeOffLib.cbsiBillAndJE): the nine steps, their validation
+ * branches and the rollback of whatever was created before a failure.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+
+function setup(lines) {
+    var store = netsuite.createStore();
+    fixtures.addSalesOrder(store, '501', { lines: lines });
+    var lib = netsuite.loadModule('service_writeoff_lib.js', store);
+    return { store: store, lib: lib };
+}
+
+test('bills the CBSI customer, posts a balanced JE and applies it through a deleted payment', function() {
+    var env = setup([{ lineId: '1', item: 'Labor', amount: 100 }, { lineId: '2', item: 'Part', amount: 50 }]);
+
+    var result = env.lib.cbsiBillAndJE('501');
+
+    var invoice = netsuite.savedOfType(env.store, 'invoice')[0];
+    var je = netsuite.savedOfType(env.store, 'journalentry')[0];
+    var payment = netsuite.savedOfType(env.store, 'customerpayment')[0];
+
+    assert.strictEqual(result.routing.decision, 'bill');
+    assert.strictEqual(result.amount, 150);
+    assert.strictEqual(invoice.fields.entity, '335');
+    assert.deepStrictEqual(je.sublists.line.map(function(line) {
+        return [line.account, line.debit || 0, line.credit || 0, line.department || '', line.entity || ''];
+    }), [
+        ['470', 150, 0, '13', ''],
+        ['119', 0, 150, '', '335']
+    ]);
+    assert.strictEqual(payment.fields.paymentmethod, '15');
+    assert.deepStrictEqual(payment.sublists.apply, [
+        { doc: '9999', apply: false, amount: 0 },
+        { doc: String(invoice.id), apply: true, amount: 150 }
+    ]);
+    assert.deepStrictEqual(env.store.deleted, [{ type: 'customerpayment', id: payment.id }]);
+    assert.deepStrictEqual(result.validation, { expectedAmount: 150, applyAmount: 150, creditAmount: 150, netEffect: 0 });
+});
+
+test('saves the CBSI invoice from a standard-mode transform with only the entity changed', function() {
+    var env = setup();
+
+    env.lib.cbsiBillAndJE('501');
+
+    var invoice = netsuite.savedOfType(env.store, 'invoice')[0];
+    assert.strictEqual(invoice.isDynamic, false);
+    assert.strictEqual(invoice.fields.entity, '335');
+    assert.deepStrictEqual(invoice.saveOptions, { enableSourcing: true, ignoreMandatoryFields: true });
+});
+
+test('closes a $0 Sales Order instead of billing it', function() {
+    var env = setup([{ lineId: '1', item: 'Warranty Labor', amount: 0 }]);
+
+    var result = env.lib.cbsiBillAndJE('501');
+
+    assert.strictEqual(result.routing.decision, 'close');
+    assert.strictEqual(result.amount, 0);
+    assert.strictEqual(netsuite.savedOfType(env.store, 'invoice').length, 0);
+    assert.strictEqual(env.store.records['salesorder:501'].sublists.item[0].isclosed, true);
+});
+
+test('blocks a negative total without creating anything', function() {
+    var env = setup([{ lineId: '1', item: 'Credit', amount: -40 }]);
+
+    assert.throws(function() {
+        env.lib.cbsiBillAndJE('501');
+    }, function(e) {
+        assert.strictEqual(e.routing.decision, 'block');
+        assert.deepStrictEqual(e.rollback, { rolledBack: [], notRolledBack: [] });
+        return true;
+    });
+    assert.strictEqual(env.store.saved.length, 0);
+});
+
+test('rolls back the invoice and JE when the invoice is not on the payment apply list', function() {
+    var env = setup();
+    env.store.transforms['invoice>customerpayment'] = function() {
+        return { fields: {}, sublists: { apply: [], credit: [] } };
+    };
+
+    assert.throws(function() {
+        env.lib.cbsiBillAndJE('501');
+    }, /VALIDATION FAILED: Could not select target invoice.*Rolled back: Journal Entry JE\d+ \(deleted\), Invoice INV\d+ \(deleted\)/);
+    assert.deepStrictEqual(env.store.deleted.map(function(d) { return d.type; }), ['journalentry', 'invoice']);
+});
+
+test('fails validation when the JE is not offered as a credit', function() {
+    var env = setup();
+    var original = env.store.transforms['invoice>customerpayment'];
+    env.store.transforms['invoice>customerpayment'] = function(fromId) {
+        var data = original(fromId);
+        data.sublists.credit = [];
+        return data;
+    };
+
+    assert.throws(function() {
+        env.lib.cbsiBillAndJE('501');
+    }, /Could not select credit transaction \(JE\)/);
+});
+
+test('fails validation when NetSuite will not apply the full credit', function() {
+    var env = setup();
+    var original = env.store.transforms['invoice>customerpayment'];
+    env.store.transforms['invoice>customerpayment'] = function(fromId) {
+        var data = original(fromId);
+        data.sublists.credit.forEach(function(line) {
+            line.amount = 60;
+            line._fixed = ['amount'];
+        });
+        return data;
+    };
+
+    assert.throws(function() {
+        env.lib.cbsiBillAndJE('501');
+    }, /Amounts do not match. Expected: 100, Apply: 100, Credit: 60/);
+    assert.strictEqual(netsuite.savedOfType(env.store, 'customerpayment').length, 0);
+});
+
+test('voids what cannot be deleted and reports what could not be rolled back', function() {
+    var env = setup();
+    env.store.failDelete = { invoice: true, journalentry: true };
+    env.store.failVoid = { invoice: true };
+    env.store.onSave = function(rec) {
+        if (rec.type === 'customerpayment') {
+            throw new Error('Payment save failed');
+        }
+    };
+
+    assert.throws(function() {
+        env.lib.cbsiBillAndJE('501');
+    }, function(e) {
+        assert.deepStrictEqual(e.rollback.rolledBack.map(function(r) { return r.type + ':' + r.method; }), ['journalentry:voided']);
+        assert.deepStrictEqual(e.rollback.notRolledBack.map(function(r) { return r.type; }), ['invoice']);
+        assert.match(e.message, /^Payment save failed Rolled back: .*NOT rolled back - fix manually: Invoice INV\d+/);
+        return true;
+    });
+});
+
+test('preview reports the invoice and JE lines without saving anything', function() {
+    var env = setup([{ lineId: '1', item: 'Labor', amount: 80 }]);
+
+    var preview = env.lib.previewCBSI('501');
+
+    assert.strictEqual(preview.soNumber, 'SO501');
+    assert.strictEqual(preview.invoiceTotal, 80);
+    assert.deepStrictEqual(preview.invoiceLines, [{ item: 'Labor', quantity: 1, amount: 80 }]);
+    assert.deepStrictEqual(preview.jeLines.map(function(line) { return [line.account, line.debit, line.credit]; }), [
+        ['account 470', 80, 0],
+        ['account 119', 0, 80]
+    ]);
+    assert.strictEqual(env.store.saved.length, 0);
+});
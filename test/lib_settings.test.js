@@ -0,0 +1,74 @@
+/**
+ * Settings validation (writeOffLib.loadSettings / getSettings) and the invoice total routing.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+
+function loadLib(storeOverrides) {
+    var store = netsuite.createStore(storeOverrides);
+    return { store: store, lib: netsuite.loadModule('service_writeoff_lib.js', store) };
+}
+
+test('routeByTotal bills positive totals, closes $0 and blocks credits', function() {
+    var lib = loadLib().lib;
+
+    assert.strictEqual(lib.routeByTotal('12.345').decision, 'bill');
+    assert.strictEqual(lib.routeByTotal('12.345').total, 12.35);
+    assert.strictEqual(lib.routeByTotal(0.001).decision, 'close');
+    assert.strictEqual(lib.routeByTotal(null).decision, 'close');
+    assert.strictEqual(lib.routeByTotal(-3).decision, 'block');
+});
+
+test('valid settings load as typed values with display labels', function() {
+    var lib = loadLib().lib;
+
+    var loaded = lib.loadSettings();
+
+    assert.deepStrictEqual(loaded.errors, []);
+    assert.strictEqual(loaded.values.cbsiEntity, '335');
+    assert.deepStrictEqual(loaded.values.masterListCategories, ['2', '4']);
+    assert.strictEqual(loaded.labels.masterListCategories, 'customercategory 2, customercategory 4');
+});
+
+test('reports a missing record, a duplicate record and bad IDs', function() {
+    assert.match(loadLib({ settingsRow: null }).lib.loadSettings().errors[0], /No active Service Write-Off Settings record/);
+
+    var duplicate = loadLib();
+    netsuite.onQuery(duplicate.store, 'FROM customrecord_service_wo_settings', [{ id: 1 }, { id: 2 }]);
+    assert.match(duplicate.lib.loadSettings().errors[0], /More than one active .* \(IDs 1, 2\)/);
+
+    var bad = loadLib({ settingsRow: Object.assign({}, netsuite.DEFAULT_SETTINGS, { cbsientity: '', writeoffitem: '12a' }) });
+    assert.deepStrictEqual(bad.lib.loadSettings().errors, [
+        'CBSI Customer is not set.',
+        'Write-Off Item has an invalid internal ID: 12a'
+    ]);
+});
+
+test('reports referenced records that are missing or inactive', function() {
+    var env = loadLib();
+    netsuite.onQuery(env.store, / AS tbl/, function(params, sql) {
+        return [
+            { tbl: 'customer', id: '335', isinactive: 'T', name: 'CBSI' },
+            { tbl: 'account', id: '470', isinactive: 'F', name: '6100' }
+        ];
+    });
+
+    var errors = env.lib.loadSettings().errors;
+
+    assert.ok(errors.indexOf('CBSI Customer points at customer 335, which is inactive.') >= 0);
+    assert.ok(errors.indexOf('CBSI JE Credit Account points at account 119, which does not exist.') >= 0);
+});
+
+test('getSettings throws on invalid settings and caches valid ones', function() {
+    assert.throws(function() {
+        loadLib({ settingsRow: null }).lib.getSettings();
+    }, /Service Write-Off Settings are invalid/);
+
+    var env = loadLib();
+    env.lib.getSettings();
+    var queryCount = env.store.queries.length;
+    env.lib.getSettings();
+    assert.strictEqual(env.store.queries.length, queryCount);
+});
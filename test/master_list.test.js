@@ -0,0 +1,337 @@
+/**
+ * Service Department 2024 Write-Off Master List Suitelet: page rendering from the settings,
+ * the summary cards, the transaction table, the By Customer view and the Write Off action.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var vm = require('vm');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+
+function setup(storeOverrides) {
+    var store = netsuite.createStore(storeOverrides);
+    var masterList = netsuite.loadModule('service_dept_2024_writeoff_master_list.js', store);
+    return { store: store, masterList: masterList };
+}
+
+test('renders the summary cards and transaction table for the as-of date', function() {
+    var env = setup();
+    netsuite.onQuery(env.store, 'ORDER BY t.trandate, t.tranid, t.id', [
+        { id: '11', tranid: 'INV11', trandate: '6/1/2024', customer_name: 'Acme <Appliance>', type: 'CustInvc', current_remaining: 300, status_name: 'Open', has_line_dept_13: 'Y', has_service_category: 'N' },
+        { id: '12', tranid: 'CM12', trandate: '7/1/2024', customer_name: 'Acme <Appliance>', type: 'CustCred', current_remaining: -75, status_name: 'Open', has_line_dept_13: 'N', has_service_category: 'Y' }
+    ]);
+
+    var page = netsuite.requestPage(env.masterList, { balanceAsOf: '2024-06-30' });
+
+    assert.match(page.html, /value="2024-06-30"/);
+    assert.match(page.html, /Open Invoices<\/div><div class="summary-card-count">1 record<\/div><div class="summary-card-amount">\$300\.00/);
+    assert.match(page.html, /Net Amount<\/div><div class="summary-card-count">2 records<\/div><div class="summary-card-amount">\$225\.00/);
+    assert.ok(page.html.indexOf('Acme &lt;Appliance&gt;') >= 0);
+    assert.ok(page.html.indexOf('INV11') >= 0 && page.html.indexOf('CM12') >= 0);
+
+    var scripts = page.html.match(/<script>([\s\S]*?)<\/script>/g) || [];
+    scripts.forEach(function(script) {
+        assert.doesNotThrow(function() {
+            new vm.Script(script.replace(/^<script>|<\/script>$/g, ''));
+        });
+    });
+});
+
+test('By Customer lists the summary for the same as-of date, with each customer\'s transactions in a hidden detail row', function() {
+    var env = setup();
+    netsuite.onQuery(env.store, 'ORDER BY t.trandate, t.tranid, t.id', [
+        { id: '11', tranid: 'INV11', trandate: '6/1/2024', customer_id: '77', customer_name: 'Acme', type: 'CustInvc', current_remaining: 300, status_name: 'Open' },
+        { id: '12', tranid: 'CM12', trandate: '7/1/2024', customer_id: '77', customer_name: 'Acme', type: 'CustCred', current_remaining: -75, status_name: 'Open' },
+        { id: '13', tranid: 'INV13', trandate: '7/2/2024', customer_id: '78', customer_name: 'Bolt', type: 'CustInvc', current_remaining: 20, status_name: 'Open' }
+    ]);
+
+    var page = netsuite.requestPage(env.masterList, { balanceAsOf: '2024-06-30', view: 'customers' });
+
+    assert.deepStrictEqual(page.html.match(/custjob\.nl\?id=\d+" target="_blank">\w+<\/a><\/td><td style="text-align: center;">\d+<\/td><td style="text-align: center;">\d+<\/td><td class="amount">[^<]+/g), [
+        'custjob.nl?id=77" target="_blank">Acme</a></td><td style="text-align: center;">1</td><td style="text-align: center;">1</td><td class="amount">$225.00',
+        'custjob.nl?id=78" target="_blank">Bolt</a></td><td style="text-align: center;">1</td><td style="text-align: center;">0</td><td class="amount">$20.00'
+    ]);
+    assert.ok(page.html.indexOf('<div class="view-panel" id="view-customers">') >= 0);
+    assert.ok(page.html.indexOf('<div class="view-panel" id="view-transactions" style="display:none;">') >= 0);
+    assert.ok(page.html.indexOf('Open Service Transactions by Customer (2 customers)') >= 0);
+
+    var acmeDetail = page.html.match(/<tr class="customer-detail-row" id="detail-customers-77"[\s\S]*?<\/table><\/td><\/tr>/)[0];
+    assert.deepStrictEqual(acmeDetail.match(/>(INV|CM)\d+</g), ['>INV11<', '>CM12<']);
+    assert.ok(acmeDetail.indexOf('<td>Credit Memo</td>') >= 0);
+    assert.ok(page.html.indexOf('data-detail-id="detail-customers-78" onclick="toggleCustomerDetail(\'detail-customers-78\', event)"') >= 0);
+});
+
+test('Show Details and Hide Details expand and collapse every visible customer', function() {
+    var env = setup();
+    var html = netsuite.requestPage(env.masterList, {}).html;
+    var script = html.match(/<script>([\s\S]*?)<\/script>/)[1];
+
+    function element(attrs) {
+        var classes = {};
+        return Object.assign({
+            style: {},
+            classList: {
+                toggle: function(name, on) { classes[name] = on; },
+                contains: function(name) { return !!classes[name]; }
+            },
+            getAttribute: function(name) { return attrs[name]; }
+        }, attrs);
+    }
+    var rows = [element({ 'data-detail-id': 'detail-customers-77' }), element({ 'data-detail-id': 'detail-customers-78' })];
+    rows[1].style.display = 'none';
+    var byId = {
+        'detail-customers-77': element({ style: { display: 'none' } }),
+        'detail-customers-78': element({ style: { display: 'none' } }),
+        detailsShow: element({}),
+        detailsHide: element({ style: { display: 'none' } })
+    };
+    var window = {
+        document: {
+            addEventListener: function() {},
+            getElementById: function(id) { return byId[id] || null; },
+            querySelectorAll: function() { return rows; }
+        }
+    };
+    vm.createContext(window);
+    vm.runInContext(script, window);
+
+    window.showDetailView();
+    assert.deepStrictEqual([byId['detail-customers-77'].style.display, byId['detail-customers-78'].style.display], ['', 'none']);
+    assert.strictEqual(rows[0].classList.contains('expanded'), true);
+    assert.deepStrictEqual([byId.detailsShow.style.display, byId.detailsHide.style.display], ['none', '']);
+
+    window.hideDetailView();
+    assert.strictEqual(byId['detail-customers-77'].style.display, 'none');
+    assert.deepStrictEqual([byId.detailsShow.style.display, byId.detailsHide.style.display], ['', 'none']);
+});
+
+test('filters on the configured department and customer categories', function() {
+    var env = setup();
+
+    netsuite.requestPage(env.masterList, {});
+
+    var listQuery = env.store.queries.filter(function(q) { return q.query.indexOf('ORDER BY t.trandate') >= 0; })[0];
+    assert.match(listQuery.query, /tl\.department = \? /);
+    assert.match(listQuery.query, /c\.category IN \(\?, \?\)/);
+    assert.match(listQuery.query, /TO_DATE\(\?, 'YYYY-MM-DD'\)/);
+    // The Y/N flag columns' criteria, then the shared WHERE
+    assert.deepStrictEqual(listQuery.params, ['13', '2', '4', '2024-12-31', '2024-12-31', '13', '2', '4']);
+});
+
+test('a malformed or impossible as-of date is rejected before any query runs', function() {
+    ['2024-13-01', '2024-02-30', "2024-12-31') OR 1=1 --", '12/31/2024'].forEach(function(balanceAsOf) {
+        var env = setup();
+
+        var page = netsuite.requestPage(env.masterList, { balanceAsOf: balanceAsOf });
+
+        assert.ok(page.html.indexOf('is not a valid Transactions As Of date. Pick a date or enter it as YYYY-MM-DD, e.g. 2024-12-31.') >= 0, balanceAsOf);
+        assert.strictEqual(env.store.queries.filter(function(q) { return q.query.indexOf('FROM transaction t') >= 0; }).length, 0);
+    });
+});
+
+/**
+ * Customer 77's ledger: today's open amounts from the list query, and the applications
+ * (previoustransactionlinelink rows) with the date each one was made. The links query returns the
+ * applications made after its as-of parameter that touch one of the listed transactions.
+ */
+function ledger(env) {
+    var transactions = [
+        { id: '4', tranid: 'INV4', trandate: '9/1/2024', type: 'CustInvc', current_remaining: 250 },
+        { id: '2', tranid: 'INV2', trandate: '10/1/2024', type: 'CustInvc', current_remaining: 0 },
+        { id: '5', tranid: 'CM5', trandate: '10/15/2024', type: 'CustCred', current_remaining: -30 },
+        { id: '1', tranid: 'INV1', trandate: '11/1/2024', type: 'CustInvc', current_remaining: 300 },
+        { id: '3', tranid: 'CM3', trandate: '12/1/2024', type: 'CustCred', current_remaining: 0 }
+    ].map(function(txn) {
+        return Object.assign({ customer_id: '77', customer_name: 'Acme', status_name: txn.current_remaining ? 'Open' : 'Closed' }, txn);
+    });
+    var links = [
+        // Payment 901 dated 2025-01-15 pays $200 of INV1
+        { previous_doc: '1', next_doc: '901', amount: 200, applied: '2025-01-15' },
+        // Payment 902 dated 2024-12-15 paid INV2 in full
+        { previous_doc: '2', next_doc: '902', amount: 100, applied: '2024-12-15' },
+        // CM3 (dated 2024-12-01) applied directly to INV4 on 2025-02-01
+        { previous_doc: '4', next_doc: '3', amount: 150, applied: '2025-02-01' },
+        // Payment 903 dated 2025-01-10 uses $50 of CM5
+        { previous_doc: '5', next_doc: '903', amount: 50, applied: '2025-01-10' }
+    ];
+    netsuite.onQuery(env.store, 'ORDER BY t.trandate, t.tranid, t.id', transactions);
+    netsuite.onQuery(env.store, 'FROM previoustransactionlinelink ptll INNER JOIN transaction applying', function(params) {
+        var ids = params.slice(1);
+        return links.filter(function(link) {
+            return link.applied > params[0] && (ids.indexOf(link.previous_doc) >= 0 || ids.indexOf(link.next_doc) >= 0);
+        });
+    });
+}
+
+function listedAmounts(html) {
+    return (html.match(/title="(?:Invoice|Credit Memo)">\w+<\/a><\/td>(?:<td>[^<]*<\/td>){2}<td data-date="[^"]*">[^<]*<\/td><td>[^<]*<\/td><td class="amount[^"]*">[^<]+/g) || []).map(function(cell) {
+        return cell.match(/>(\w+)<\/a>/)[1] + ' ' + cell.match(/>([^>]+)$/)[1];
+    });
+}
+
+test('balances are put back to the as-of date from the applications made after it, on either side of the link', function() {
+    var env = setup();
+    ledger(env);
+
+    var html = netsuite.requestPage(env.masterList, { balanceAsOf: '2024-12-31' }).html;
+
+    // INV1 gets the later payment back, INV4 the later credit memo application; CM3 and CM5 get back
+    // what they gave; INV2 was paid before the date and is not listed
+    assert.deepStrictEqual(listedAmounts(html), ['INV4 $400.00', 'CM5 -$80.00', 'INV1 $500.00', 'CM3 -$150.00']);
+    assert.match(html, /Open Invoices<\/div><div class="summary-card-count">2 records<\/div><div class="summary-card-amount">\$900\.00/);
+    assert.match(html, /Open Credit Memos<\/div><div class="summary-card-count">2 records<\/div><div class="summary-card-amount">\$230\.00/);
+    assert.match(html, /Net Amount<\/div><div class="summary-card-count">4 records<\/div><div class="summary-card-amount">\$670\.00/);
+    assert.ok(html.indexOf('<td style="text-align: center;">2</td><td style="text-align: center;">2</td><td class="amount">$670.00</td>') >= 0);
+
+    var linkQuery = env.store.queries.filter(function(q) { return q.query.indexOf('previous_doc') >= 0; })[0];
+    assert.deepStrictEqual(linkQuery.params, ['2024-12-31', '4', '2', '5', '1', '3', '4', '2', '5', '1', '3']);
+});
+
+test('a later as-of date only adds back what was applied after it', function() {
+    var env = setup();
+    ledger(env);
+
+    var html = netsuite.requestPage(env.masterList, { balanceAsOf: '2025-01-31' }).html;
+
+    // The January payments now count; the February credit memo application still does not
+    assert.deepStrictEqual(listedAmounts(html), ['INV4 $400.00', 'CM5 -$30.00', 'INV1 $300.00', 'CM3 -$150.00']);
+});
+
+test('write-off and net-off use what is open today, not the as-of balance', function() {
+    var env = setup();
+    ledger(env);
+
+    var html = netsuite.requestPage(env.masterList, { balanceAsOf: '2024-12-31' }).html;
+
+    assert.ok(html.indexOf('<input type="checkbox" class="txn-checkbox" value="1" data-type="custinvc" data-amount="300" onclick=') >= 0);
+    assert.ok(html.indexOf('<input type="checkbox" class="txn-checkbox" value="3" data-type="custcred" data-amount="0" disabled title="Paid or applied in full since the as-of date - nothing left to write off"') >= 0);
+    // CM3 has nothing left; CM5's $30 goes to the oldest invoice at its open $250
+    assert.deepStrictEqual(html.match(/class="match-checkbox" checked value="[^"]+" data-credit-id="\d+" data-invoice-id="\d+" data-amount="[^"]+"/g), [
+        'class="match-checkbox" checked value="5-4" data-credit-id="5" data-invoice-id="4" data-amount="30"'
+    ]);
+    assert.match(html, /Acme<\/a> - 1 match\(es\), \$30\.00 applied; left open: invoices \$520\.00, credits \$0\.00/);
+});
+
+test('a failed as-of query shows the error, not an empty list', function() {
+    var env = setup();
+    netsuite.onQuery(env.store, 'FROM previoustransactionlinelink ptll INNER JOIN transaction applying', function() {
+        throw new Error('Search timed out');
+    });
+    netsuite.onQuery(env.store, 'ORDER BY t.trandate, t.tranid, t.id', [
+        { id: '1', tranid: 'INV1', trandate: '11/1/2024', type: 'CustInvc', customer_id: '77', customer_name: 'Acme', current_remaining: 300 }
+    ]);
+
+    var html = netsuite.requestPage(env.masterList, { balanceAsOf: '2024-12-31' }).html;
+
+    assert.match(html, /Error Loading Portal[\s\S]*Search timed out/);
+    assert.strictEqual(html.indexOf('No open service transactions found.'), -1);
+});
+
+test('invalid settings are reported on the page', function() {
+    var env = setup({ settingsRow: Object.assign({}, netsuite.DEFAULT_SETTINGS, { servicedepartment: 'abc' }) });
+
+    var page = netsuite.requestPage(env.masterList, {});
+
+    assert.match(page.html, /Error loading portal: Service Write-Off Settings \(customrecord_service_wo_settings\) need attention: Service Department has an invalid internal ID: abc/);
+});
+
+/**
+ * Master list with the write-off settings, invoice INV11 ($300 open) and credit memo CM12 ($75
+ * unapplied, with INV13 $50 and INV14 $40 open for the same customer)
+ */
+function setupWriteOff(settings) {
+    var env = setup({ settingsRow: Object.assign({}, netsuite.DEFAULT_SETTINGS, { baddebtaccount: '640', refundmethod: '21' }, settings) });
+    fixtures.registerTransforms(env.store);
+    netsuite.putRecord(env.store, 'invoice', '11', { fields: { tranid: 'INV11', entity: '77', account: '119', amountremaining: 300 } });
+    netsuite.putRecord(env.store, 'creditmemo', '12', {
+        fields: { tranid: 'CM12', entity: '77', unapplied: 75 },
+        sublists: {
+            apply: [
+                { doc: '13', refnum: 'INV13', due: 50, apply: false, amount: 0 },
+                { doc: '14', refnum: 'INV14', due: 40, apply: false, amount: 0 }
+            ]
+        }
+    });
+    env.store.transforms['creditmemo>customerrefund'] = function(fromId) {
+        return { fields: { entity: '77' }, sublists: { apply: [{ doc: fromId, due: 75, apply: false, amount: 0 }] } };
+    };
+    netsuite.onQuery(env.store, 'FROM transaction WHERE id IN', function(params) {
+        var types = { 11: ['CustInvc', 'INV11'], 12: ['CustCred', 'CM12'], 20: ['SalesOrd', 'SO20'] };
+        return params.filter(function(id) { return types[id]; }).map(function(id) {
+            return { id: Number(id), type: types[id][0], tranid: types[id][1] };
+        });
+    });
+    return env;
+}
+
+test('write-off posts a bad debt JE for each invoice and applies each credit memo to open invoices', function() {
+    var env = setupWriteOff();
+
+    var resp = netsuite.requestJson(env.masterList, 'POST', { action: 'write-off', transactionIds: '11,12', creditMode: 'apply' });
+
+    assert.strictEqual(resp.success, true);
+    assert.deepStrictEqual(resp.processedIds, ['11', '12']);
+    assert.strictEqual(resp.message, '2 transaction(s) written off.');
+
+    var je = netsuite.savedOfType(env.store, 'journalentry')[0];
+    assert.deepStrictEqual(je.sublists.line.map(function(l) { return [l.account, l.debit, l.credit, l.entity]; }), [
+        ['640', 300, undefined, undefined],
+        ['119', undefined, 300, '77']
+    ]);
+    assert.strictEqual(resp.results['11'].jeTranid, je.fields.tranid);
+    assert.strictEqual(resp.results['11'].action, 'write-off-invoice');
+
+    assert.deepStrictEqual(resp.results['12'].appliedTo, [
+        { invoiceId: '13', invoiceTranid: 'INV13', amount: 50 },
+        { invoiceId: '14', invoiceTranid: 'INV14', amount: 25 }
+    ]);
+    assert.deepStrictEqual(netsuite.auditEntries(env.store).map(function(e) { return [e.custrecord_swo_audit_action, e.custrecord_swo_audit_success]; }), [
+        ['write-off-invoice', true],
+        ['apply-credit', true]
+    ]);
+});
+
+test('write-off refunds credit memos in refund mode and reports each failure by transaction', function() {
+    var env = setupWriteOff({ baddebtaccount: null });
+
+    var resp = netsuite.requestJson(env.masterList, 'POST', { action: 'write-off', transactionIds: '11,12,20', creditMode: 'refund' });
+
+    assert.deepStrictEqual(resp.processedIds, ['12']);
+    assert.deepStrictEqual(resp.failedIds, ['11', '20']);
+    assert.match(resp.failureDetails['11'], /Set the Bad Debt Account/);
+    assert.match(resp.failureDetails['20'], /is not an invoice or credit memo/);
+    assert.match(resp.message, /INV11: Set the Bad Debt Account/);
+
+    var refund = netsuite.savedOfType(env.store, 'customerrefund')[0];
+    assert.strictEqual(refund.fields.paymentmethod, '21');
+    assert.deepStrictEqual(refund.sublists.apply[0].apply, true);
+    assert.strictEqual(resp.results['12'].refundTranid, refund.fields.tranid);
+    assert.strictEqual(netsuite.savedOfType(env.store, 'journalentry').length, 0);
+});
+
+test('write-off stops below 150 units and leaves the rest selected', function() {
+    var env = setupWriteOff();
+    env.store.remainingUsage = function(call) { return call === 0 ? 1000 : 149; };
+
+    var resp = netsuite.requestJson(env.masterList, 'POST', { action: 'write-off', transactionIds: '12,11', creditMode: 'apply' });
+
+    assert.strictEqual(resp.governanceStopped, true);
+    assert.deepStrictEqual(resp.processedIds, ['12']);
+    assert.match(resp.message, /GOVERNANCE LIMIT: Processed 1 of 2/);
+});
+
+test('the transaction table has a selection column, and sorting skips it', function() {
+    var env = setup();
+    netsuite.onQuery(env.store, 'ORDER BY t.trandate, t.tranid, t.id', [
+        { id: '11', tranid: 'INV11', trandate: '6/1/2024', customer_name: 'Acme', type: 'CustInvc', current_remaining: 300, status_name: 'Open' },
+        { id: '12', tranid: 'CM12', trandate: '7/1/2024', customer_name: 'Acme', type: 'CustCred', current_remaining: -75, status_name: 'Open' }
+    ]);
+
+    var html = netsuite.requestPage(env.masterList, {}).html;
+
+    assert.ok(html.indexOf('<input type="checkbox" class="txn-checkbox" value="12" data-type="custcred" data-amount="-75"') >= 0);
+    assert.ok(html.indexOf('onclick="sortTable(\'transactions\', 1)">Transaction #') >= 0);
+    assert.ok(html.indexOf('id="writeOffBtn-transactions" disabled') >= 0);
+    assert.ok(html.indexOf('<td colspan="6" class="summary-label">Total (2 records):</td>') >= 0);
+});
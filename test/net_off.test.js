@@ -0,0 +1,125 @@
+/**
+ * Net-off matching: writeOffLib.proposeNetOffMatches, the master list's Net-Off Matches view and
+ * its net-off route that applies the approved matches.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+
+function txn(id, customerId, amount) {
+    return { id: id, tranid: (amount < 0 ? 'CM' : 'INV') + id, customer_id: customerId, customer_name: 'Customer ' + customerId, amount_remaining: amount };
+}
+
+/**
+ * Master list whose type lookup knows invoices 11 and 13 and credit memo 12 of customer 77,
+ * and credit memo 20 of customer 78
+ */
+function setup() {
+    var store = netsuite.createStore();
+    var types = { 11: ['CustInvc', '77'], 12: ['CustCred', '77'], 13: ['CustInvc', '77'], 20: ['CustCred', '78'] };
+    netsuite.onQuery(store, 'FROM transaction WHERE id IN', function(params) {
+        return params.filter(function(id) { return types[id]; }).map(function(id) {
+            return { id: Number(id), type: types[id][0], tranid: (types[id][0] === 'CustCred' ? 'CM' : 'INV') + id, entity: types[id][1] };
+        });
+    });
+    store.transforms['invoice>customerpayment'] = function(fromId) {
+        return {
+            fields: {},
+            sublists: {
+                apply: [{ doc: fromId, apply: false, amount: 0 }],
+                credit: [{ doc: '12', refnum: 'CM12', apply: false, amount: 0 }]
+            }
+        };
+    };
+    return {
+        store: store,
+        lib: netsuite.loadModule('service_writeoff_lib.js', store),
+        masterList: netsuite.loadModule('service_dept_2024_writeoff_master_list.js', store)
+    };
+}
+
+test('matches exact amounts first, then applies what is left to the oldest invoices', function() {
+    var lib = setup().lib;
+
+    var proposals = lib.proposeNetOffMatches([
+        txn('1', '77', 40),
+        txn('2', '77', 75.1),
+        txn('3', '77', -75.1),
+        txn('4', '77', -60),
+        txn('5', '78', -10),
+        txn('6', '79', 25)
+    ]);
+
+    assert.strictEqual(proposals.length, 1);
+    assert.deepStrictEqual(proposals[0].matches.map(function(m) {
+        return [m.creditTranid, m.invoiceTranid, m.amount, m.exact, m.creditResidual, m.invoiceResidual];
+    }), [
+        ['CM3', 'INV2', 75.1, true, 0, 0],
+        ['CM4', 'INV1', 40, false, 20, 0]
+    ]);
+    assert.strictEqual(proposals[0].matchedAmount, 115.1);
+    assert.strictEqual(proposals[0].invoiceResidual, 0);
+    assert.strictEqual(proposals[0].creditResidual, 20);
+});
+
+test('one credit is spread over several invoices, oldest first', function() {
+    var lib = setup().lib;
+
+    var proposals = lib.proposeNetOffMatches([txn('1', '77', 30), txn('2', '77', 50), txn('3', '77', -45)]);
+
+    assert.deepStrictEqual(proposals[0].matches.map(function(m) { return [m.invoiceId, m.amount, m.invoiceResidual]; }), [
+        ['1', 30, 0],
+        ['2', 15, 35]
+    ]);
+    assert.strictEqual(proposals[0].invoiceResidual, 35);
+});
+
+test('the Net-Off Matches view lists the proposed pairs per customer, pre-selected', function() {
+    var env = setup();
+    netsuite.onQuery(env.store, 'ORDER BY t.trandate, t.tranid, t.id', [
+        { id: '11', tranid: 'INV11', trandate: '6/1/2024', customer_id: '77', customer_name: 'Acme', type: 'CustInvc', current_remaining: 100 },
+        { id: '12', tranid: 'CM12', trandate: '7/1/2024', customer_id: '77', customer_name: 'Acme', type: 'CustCred', current_remaining: -60 }
+    ]);
+
+    var html = netsuite.requestPage(env.masterList, { view: 'matches' }).html;
+
+    assert.ok(html.indexOf('<div class="view-panel" id="view-matches">') >= 0);
+    assert.ok(html.indexOf('Proposed Net-Off Matches (1 customers, 1 matches)') >= 0);
+    assert.ok(html.indexOf('class="match-checkbox" checked value="12-11" data-credit-id="12" data-invoice-id="11" data-amount="60"') >= 0);
+    assert.match(html, /Acme<\/a> - 1 match\(es\), \$60\.00 applied; left open: invoices \$40\.00, credits \$0\.00/);
+});
+
+test('net-off applies each approved match through a deleted payment and records it', function() {
+    var env = setup();
+
+    var resp = netsuite.requestJson(env.masterList, 'POST', {
+        action: 'net-off',
+        matches: JSON.stringify([{ creditId: '12', invoiceId: '11', amount: 60 }, { creditId: '20', invoiceId: '13', amount: 10 }])
+    });
+
+    assert.strictEqual(resp.success, true);
+    assert.deepStrictEqual(resp.processedIds, ['12-11']);
+    assert.deepStrictEqual(resp.failedIds, ['20-13']);
+    assert.match(resp.message, /^1 match\(es\) applied\. Failed: 1[\s\S]*CM20 -> INV13: CM20 and INV13 belong to different customers\./);
+
+    var payment = netsuite.savedOfType(env.store, 'customerpayment')[0];
+    assert.deepStrictEqual(payment.sublists.credit, [{ doc: '12', refnum: 'CM12', apply: true, amount: 60 }]);
+    assert.deepStrictEqual(payment.sublists.apply, [{ doc: '11', apply: true, amount: 60 }]);
+    assert.deepStrictEqual(env.store.deleted.map(function(d) { return d.type; }), ['customerpayment']);
+    assert.deepStrictEqual(netsuite.auditEntries(env.store).map(function(e) {
+        return [e.custrecord_swo_audit_action, e.custrecord_swo_audit_success, e.custrecord_swo_audit_amount];
+    }), [
+        ['net-off', true, 60],
+        ['net-off', false, 10]
+    ]);
+});
+
+test('net-off without matches is rejected', function() {
+    var env = setup();
+
+    var resp = netsuite.requestJson(env.masterList, 'POST', { action: 'net-off', matches: '[]' });
+
+    assert.strictEqual(resp.success, false);
+    assert.strictEqual(resp.message, 'No matches selected. Please select at least one proposed match.');
+});
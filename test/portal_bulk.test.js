@@ -0,0 +1,89 @@
+/**
+ * Inline bulk handlers the portal falls back to when the background job cannot be submitted:
+ * per-SO outcomes and the governance stop that leaves the rest for the next click.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+
+/**
+ * Portal whose Map/Reduce submit always fails, so bulk actions run inline
+ * @param {number|Function} remainingUsage - Governance units reported by runtime
+ */
+function setup(remainingUsage) {
+    var store = netsuite.createStore({ taskSubmitError: 'All deployments are busy', remainingUsage: remainingUsage });
+    fixtures.addSalesOrder(store, '501');
+    fixtures.addSalesOrder(store, '502', { lines: [{ lineId: '1', item: 'Warranty', amount: 0 }] });
+    fixtures.addSalesOrder(store, '503', { lines: [{ lineId: '1', item: 'Credit', amount: -5 }] });
+    var portal = netsuite.loadModule('service_writeoff_portal_suitelet.js', store);
+    return {
+        store: store,
+        post: function(params) {
+            return netsuite.requestJson(portal, 'POST', params);
+        }
+    };
+}
+
+test('an unsubmitted job is deleted before the inline fallback runs', function() {
+    var env = setup(1000);
+
+    var resp = env.post({ bulkAction: 'close', selectedSOIds: '501,502' });
+
+    assert.strictEqual(resp.async, undefined);
+    assert.deepStrictEqual(resp.processedIds, ['501', '502']);
+    assert.strictEqual(env.store.deleted[0].type, 'customrecord_service_wo_bulk_job');
+});
+
+test('bulk auto-bill reports billed, closed-instead and blocked SOs', function() {
+    var env = setup(1000);
+
+    var resp = env.post({ bulkAction: 'auto-bill', selectedSOIds: '501,502,503' });
+
+    assert.deepStrictEqual(resp.processedIds, ['501', '502']);
+    assert.deepStrictEqual(resp.closedIds, ['502']);
+    assert.deepStrictEqual(resp.failedIds, ['503']);
+    assert.match(resp.failureDetails['503'], /blocked/);
+    assert.strictEqual(resp.governanceStopped, false);
+});
+
+test('bulk CBSI returns one detail per SO, success or failure', function() {
+    var env = setup(1000);
+
+    var resp = env.post({ bulkAction: 'cbsi-bill-je', selectedSOIds: '501,503' });
+
+    assert.deepStrictEqual(resp.cbsiDetails.map(function(d) { return [d.soId, d.success]; }), [['501', true], ['503', false]]);
+    assert.strictEqual(resp.cbsiDetails[1].routing.decision, 'block');
+});
+
+test('bulk close stops below 50 units and leaves the rest', function() {
+    // Plenty for the first SO, then below the threshold
+    var env = setup(function(call) { return call === 0 ? 1000 : 49; });
+
+    var resp = env.post({ bulkAction: 'close', selectedSOIds: '501,502,503' });
+
+    assert.strictEqual(resp.governanceStopped, true);
+    assert.deepStrictEqual(resp.processedIds, ['501']);
+    assert.match(resp.message, /GOVERNANCE LIMIT: Processed 1 of 3/);
+});
+
+test('bulk auto-bill stops below 50 units', function() {
+    var env = setup(function(call) { return call < 2 ? 1000 : 10; });
+
+    var resp = env.post({ bulkAction: 'auto-bill', selectedSOIds: '501,502,503' });
+
+    assert.strictEqual(resp.governanceStopped, true);
+    assert.deepStrictEqual(resp.processedIds, ['501', '502']);
+    assert.deepStrictEqual(resp.failedIds, []);
+});
+
+test('bulk CBSI stops below its higher 150 unit threshold', function() {
+    var env = setup(149);
+
+    var resp = env.post({ bulkAction: 'cbsi-bill-je', selectedSOIds: '501,502' });
+
+    assert.strictEqual(resp.governanceStopped, true);
+    assert.strictEqual(resp.count, 0);
+    assert.strictEqual(netsuite.savedOfType(env.store, 'invoice').length, 0);
+});
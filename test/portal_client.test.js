@@ -0,0 +1,525 @@
+/**
+ * Portal client script (service_writeoff_portal_client.js): the handlers the page calls, rows
+ * rendered from the load-data Sales Orders, filtering and its saved presets, tooltips, unqueue and
+ * chunked loading.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+var browser = require('./helpers/browser');
+
+var FakeElement = browser.FakeElement;
+
+/**
+ * A load-data Sales Order, as writeOffLib.toSalesOrderModel shapes it
+ * @param {Object} [overrides] - unbilledRow columns to override
+ */
+function salesOrder(overrides) {
+    var lib = netsuite.loadModule('service_writeoff_lib.js', netsuite.createStore());
+    return lib.toSalesOrderModel(fixtures.unbilledRow(overrides));
+}
+
+/**
+ * A rendered table row of a Sales Order already added to the client's model
+ * @param {string} soId - Sales Order internal ID
+ * @param {string} [text] - Row text the search box matches against
+ */
+function row(soId, text) {
+    return new FakeElement({ tagName: 'tr', id: 'row-' + soId, attributes: { 'data-so-id': soId }, textContent: text || 'SO' + soId });
+}
+
+/**
+ * Plain copy of a value created in the script's window (its objects are not
+ * deepStrictEqual to this realm's)
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('every handler the page and its rows call is defined by the client script', function() {
+    var store = netsuite.createStore();
+    var portal = netsuite.loadModule('service_writeoff_portal_suitelet.js', store);
+    var client = browser.loadClient();
+
+    var html = netsuite.requestPage(portal).html +
+        client.window.renderSalesOrderRow(salesOrder({ queued_date: '2/1/2025' })) +
+        fs.readFileSync(browser.CLIENT_PATH, 'utf8');
+
+    var names = {};
+    (html.match(/on[a-z]+=\\?"(\w+)\(/g) || []).forEach(function(handler) {
+        names[handler.match(/(\w+)\($/)[1]] = true;
+    });
+    assert.ok(Object.keys(names).length > 10);
+    Object.keys(names).forEach(function(name) {
+        assert.strictEqual(typeof client.window[name], 'function', name + ' is not defined');
+    });
+});
+
+test('the page loads the client script from the File Cabinet after the bootstrap data', function() {
+    var store = netsuite.createStore();
+    var portal = netsuite.loadModule('service_writeoff_portal_suitelet.js', store);
+
+    var html = netsuite.requestPage(portal).html;
+
+    var bootstrap = html.indexOf('<script>var SUITELET_URL = "/app/site/hosting/scriptlet.nl?script=customscript_service_writeoff_portal&deploy=customdeploy_service_writeoff_portal";var FILTER_PRESETS = [];var AGE_BUCKETS = ' + JSON.stringify(browser.AGE_BUCKETS) + ';var SO_ID_FILTER = null;</script>');
+    var client = html.indexOf('<script src="/core/media/media.nl?id=service_writeoff_portal_client.js&amp;c=TSTDRV&amp;h=abc"></script>');
+    assert.ok(bootstrap >= 0);
+    assert.ok(client > bootstrap);
+    assert.strictEqual(html.indexOf('function applyFilters'), -1);
+});
+
+test('rows are rendered from the Sales Order, escaped, with only the SO ID as an attribute', function() {
+    var client = browser.loadClient();
+
+    var html = client.window.renderSalesOrderRow(salesOrder({ customer_name: 'Smith & <Sons>', queued_date: '2/1/2025', follow_up_date: '2025-03-07' }));
+
+    assert.match(html, /^<tr class="line-items-row" data-so-id="501" onmouseenter=/);
+    assert.deepStrictEqual(html.match(/data-[a-z-]+=/g), ['data-so-id=']);
+    assert.ok(html.indexOf('>Smith &amp; &lt;Sons&gt;</a>') >= 0);
+    assert.ok(html.indexOf('id="follow-up-cell-501">3/7/2025</td>') >= 0);
+    assert.ok(html.indexOf('onclick="handleUnqueue(501, event)"') >= 0);
+    assert.ok(html.indexOf('id="unbilled-amount-cell-501">$150.00</td>') >= 0);
+    assert.ok(html.indexOf('>Pending Billing</td>') >= 0);
+});
+
+test('the line items tooltip reads the model and escapes item names', function() {
+    var content = new FakeElement({ id: 'tooltipContent' });
+    var header = new FakeElement();
+    var tooltip = new FakeElement({ id: 'lineItemsTooltip' });
+    tooltip.querySelector = function() {
+        return header;
+    };
+    var client = browser.loadClient({ elements: [tooltip, content] });
+    client.window.addSalesOrders([salesOrder({ total_unbilled_amount: -1500, unbilled_items_detail: 'Labor~~-1~~-1450~~1||Part "A" <B>~~-2~~-50~~2' })]);
+
+    client.window.showLineItemsTooltip(row('501'));
+
+    assert.strictEqual(header.textContent, 'Unbilled Line Items: $1,500.00');
+    assert.ok(content.innerHTML.indexOf('<td class="tooltip-item">Part &quot;A&quot; &lt;B&gt;</td><td class="tooltip-qty">2</td><td class="tooltip-amount">$50.00</td>') >= 0);
+    assert.strictEqual(tooltip.className, 'line-items-tooltip visible');
+});
+
+test('applyFilters combines the search box (| = OR, space = AND) with the checkboxes on typed fields', function() {
+    var rows = [row('501', 'SO501 Acme Extended'), row('502', 'SO502 Bolt Shop'), row('503', 'SO503 Acme Shop')];
+    var searchBox = new FakeElement({ id: 'searchBox' });
+    var client = browser.loadClient({
+        elements: [
+            searchBox,
+            new FakeElement({ id: 'reportTableBody', children: rows }),
+            new FakeElement({ id: 'filterShipDateCount' }),
+            new FakeElement({ id: 'filterNoResearchNotes', checked: true }),
+            new FakeElement({ id: 'filterHasResearchNotes', checked: false })
+        ]
+    });
+    client.window.addSalesOrders([
+        salesOrder({ ship_date: '1/20/2020', warranty_type: 'CBSI' }),
+        salesOrder({ so_id: '502', ship_date: '2020-01-20', warranty_type: 'CBSI', research_notes: 'Called mfr' }),
+        salesOrder({ so_id: '503', ship_date: null, warranty_type: 'CBSI' })
+    ]);
+    function visible() {
+        return rows.filter(function(r) {
+            return r.style.display === '';
+        }).map(function(r) {
+            return r.id;
+        });
+    }
+
+    searchBox.value = 'acme';
+    client.window.applyFilters();
+    assert.deepStrictEqual(visible(), ['row-501', 'row-503']);
+
+    searchBox.value = 'acme shop';
+    client.window.applyFilters();
+    assert.deepStrictEqual(visible(), ['row-503']);
+
+    searchBox.value = 'bolt|extended';
+    client.window.applyFilters();
+    // SO502 has a research note, which the unchecked "has notes" box hides
+    assert.deepStrictEqual(visible(), ['row-501']);
+    assert.strictEqual(client.element('filterShipDateCount').textContent, 'Showing: 1 / 3');
+});
+
+test('job state and warranty filters are built from the loaded values, with counts', function() {
+    var rows = [row('501'), row('502'), row('503'), row('504')];
+    var goodwill = new FakeElement({ id: 'filterWarranty-goodwill', checked: false });
+    var client = browser.loadClient({
+        elements: [
+            new FakeElement({ id: 'reportTableBody', children: rows }),
+            new FakeElement({ id: 'filterJobStateOptions' }),
+            new FakeElement({ id: 'filterWarrantyOptions' }),
+            goodwill
+        ]
+    });
+    client.window.addSalesOrders([
+        salesOrder({ warranty_type: 'CBSI', job_state: 'Completed', ship_date: null }),
+        salesOrder({ so_id: '502', warranty_type: 'cbsi ', job_state: 'Completed', ship_date: null }),
+        salesOrder({ so_id: '503', warranty_type: '-- Please Select --', job_state: '', ship_date: null }),
+        salesOrder({ so_id: '504', warranty_type: 'Goodwill', job_state: 'On Hold', ship_date: null })
+    ]);
+
+    client.window.renderValueFilters();
+
+    var warranty = client.element('filterWarrantyOptions').innerHTML;
+    assert.deepStrictEqual(warranty.match(/id="[^"]+"( checked)?|filter-label">[^<]+|filter-count">\d+/g), [
+        'id="filterWarrantyNone" checked', 'filter-label">No Warranty Type', 'filter-count">1',
+        'id="filterWarranty-cbsi" checked', 'filter-label">CBSI', 'filter-count">2',
+        // Unchecked before the re-render, so it stays unchecked
+        'id="filterWarranty-goodwill"', 'filter-label">Goodwill', 'filter-count">1'
+    ]);
+    assert.deepStrictEqual(client.element('filterJobStateOptions').innerHTML.match(/id="[^"]+"/g), [
+        'id="filterJobStateNone"', 'id="filterJobState-completed"', 'id="filterJobState-on-hold"'
+    ]);
+
+    client.window.applyFilters();
+    assert.deepStrictEqual(rows.map(function(r) { return r.style.display; }), ['', '', '', 'none']);
+});
+
+/**
+ * M/D/YYYY date a number of days before today
+ */
+function daysAgo(days) {
+    var d = new Date();
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - days);
+    return (d.getMonth() + 1) + '/' + d.getDate() + '/' + d.getFullYear();
+}
+
+test('aging counts days from the selected date into buckets for the Age column, cards and chips', function() {
+    var rows = [row('501'), row('502'), row('503')];
+    var basis = new FakeElement({ id: 'ageBasisSelect', value: 'shipDate' });
+    basis.options = [{ text: 'Ship Date' }, { text: 'Job Completed' }, { text: 'SO Date' }];
+    basis.selectedIndex = 0;
+    var elements = [
+        new FakeElement({ id: 'reportTableBody', children: rows }),
+        basis,
+        new FakeElement({ id: 'ageBasisLabel' }),
+        new FakeElement({ id: 'filterAge-91-180', checked: false }),
+        new FakeElement({ id: 'age-cell-501' }),
+        new FakeElement({ id: 'age-cell-502' }),
+        new FakeElement({ id: 'age-cell-503' })
+    ];
+    ['0-30', '31-60', '61-90', '91-180', '180-plus', 'none'].forEach(function(key) {
+        elements.push(new FakeElement({ id: 'ageCount-' + key }), new FakeElement({ id: 'ageAmount-' + key }));
+    });
+    var client = browser.loadClient({ elements: elements });
+    var html = client.window.addSalesOrders([
+        salesOrder({ ship_date: daysAgo(30), job_completed: daysAgo(200), so_date: daysAgo(45) }),
+        salesOrder({ so_id: '502', ship_date: daysAgo(120), job_completed: null, so_date: daysAgo(181), total_unbilled_amount: -1200 }),
+        salesOrder({ so_id: '503', ship_date: null, job_completed: daysAgo(31), so_date: daysAgo(61) })
+    ]);
+
+    assert.ok(html.indexOf('id="age-cell-501">30</td>') >= 0);
+    assert.ok(html.indexOf('id="age-cell-502">120</td>') >= 0);
+    assert.ok(html.indexOf('id="age-cell-503">—</td>') >= 0);
+
+    client.window.updateAgingSummary();
+    assert.deepStrictEqual(['0-30', '91-180', 'none', '180-plus'].map(function(key) {
+        return client.element('ageCount-' + key).textContent + ' ' + client.element('ageAmount-' + key).textContent;
+    }), ['1 $150.00', '1 $1,200.00', '1 $150.00', '0 $0.00']);
+
+    // The 91–180 chip is off
+    client.window.applyFilters();
+    assert.deepStrictEqual(rows.map(function(r) { return r.style.display; }), ['', 'none', '']);
+
+    basis.value = 'soDate';
+    basis.selectedIndex = 2;
+    client.window.applyAgeBasis();
+
+    assert.deepStrictEqual(['501', '502', '503'].map(function(id) { return client.element('age-cell-' + id).textContent; }), ['45', '181', '61']);
+    assert.strictEqual(client.element('ageCount-180-plus').textContent, 1);
+    assert.strictEqual(client.element('ageBasisLabel').textContent, '(since SO Date)');
+    assert.deepStrictEqual(rows.map(function(r) { return r.style.display; }), ['', '', '']);
+});
+
+test('a digest link limits the table to its Sales Orders until the filter is cleared', function() {
+    var rows = [row('501'), row('502'), row('503')];
+    var banner = new FakeElement({ id: 'soIdFilterBanner' });
+    var client = browser.loadClient({
+        elements: [new FakeElement({ id: 'reportTableBody', children: rows }), banner],
+        soIdFilter: ['501', '503']
+    });
+    client.window.addSalesOrders([
+        salesOrder({ ship_date: null }),
+        salesOrder({ so_id: '502', ship_date: null }),
+        salesOrder({ so_id: '503', ship_date: null })
+    ]);
+
+    client.window.applyFilters();
+    assert.deepStrictEqual(rows.map(function(r) { return r.style.display; }), ['', 'none', '']);
+
+    client.window.clearSoIdFilter();
+    assert.deepStrictEqual(rows.map(function(r) { return r.style.display; }), ['', '', '']);
+    assert.strictEqual(banner.style.display, 'none');
+});
+
+test('the Follow-Ups tab renders one escaped table per note owner', function() {
+    var container = new FakeElement({ id: 'followUpGroups' });
+    var client = browser.loadClient({ elements: [container, new FakeElement({ id: 'followUpStatus' })] });
+
+    client.window.loadFollowUps();
+    assert.match(client.requests[0].url, /&action=follow-ups$/);
+    client.respond(0, {
+        success: true, total: 2, overdueCount: 1, dueTodayCount: 1,
+        groups: [
+            { ownerName: 'Pat', overdueCount: 1, dueTodayCount: 0, followUps: [
+                { soId: '501', soNumber: 'SO501', customerName: 'Smith & Sons', followUpDate: '3/1/2025', dueStatus: 'overdue', daysOverdue: 4, researchNotes: 'Called <mfr>', unbilledAmount: 150 }
+            ] },
+            { ownerName: 'No Owner', overdueCount: 0, dueTodayCount: 1, followUps: [
+                { soId: '502', soNumber: 'SO502', customerName: 'Bolt', followUpDate: '3/5/2025', dueStatus: 'due-today', daysOverdue: 0, researchNotes: '', unbilledAmount: 20 }
+            ] }
+        ]
+    });
+
+    assert.strictEqual(client.element('followUpStatus').textContent, '2 follow-up(s) due: 1 overdue, 1 due today.');
+    assert.deepStrictEqual(container.innerHTML.match(/follow-up-owner">[^<]+/g), ['follow-up-owner">Pat - 1 overdue, 0 due today', 'follow-up-owner">No Owner - 0 overdue, 1 due today']);
+    assert.ok(container.innerHTML.indexOf('<td class="col-slate">Smith &amp; Sons</td><td class="col-slate">3/1/2025</td><td class="col-slate"><span class="follow-up-overdue">4 day(s) overdue</span></td><td class="col-slate">Called &lt;mfr&gt;</td>') >= 0);
+    assert.ok(container.innerHTML.indexOf('<span class="follow-up-today">Due today</span>') >= 0);
+});
+
+test('a filter preset restores the search text, checkboxes and sort, and saving posts the current state', function() {
+    var checkboxes = [
+        new FakeElement({ id: 'filterNoShipDate', checked: true }),
+        new FakeElement({ id: 'filterWarrantyCBSI', checked: true })
+    ];
+    var tbody = new FakeElement({ id: 'reportTableBody' });
+    tbody.rows = [];
+    var client = browser.loadClient({
+        elements: [new FakeElement({ id: 'searchBox' }), tbody, new FakeElement({ id: 'filterPresetSelect' }), new FakeElement({ id: 'filterPresetDelete' })],
+        select: function(selector, all) {
+            return selector === '.filter-section input[type=checkbox]' ? checkboxes : (all ? [] : null);
+        },
+        filterPresets: [
+            { id: '7', name: 'Month End', ownerName: 'Pat', mine: false, shared: true, state: { search: 'acme|bolt', checkboxes: { filterWarrantyCBSI: false, filterGone: true }, sort: { column: 14, dir: 'desc' } } }
+        ],
+        prompt: 'CBSI only'
+    });
+
+    client.window.applyPreset('7');
+
+    assert.strictEqual(client.element('searchBox').value, 'acme|bolt');
+    assert.deepStrictEqual(checkboxes.map(function(c) { return c.checked; }), [true, false]);
+    assert.deepStrictEqual(plain(client.window.getFilterState()), {
+        search: 'acme|bolt',
+        ageBasis: 'shipDate',
+        checkboxes: { filterNoShipDate: true, filterWarrantyCBSI: false },
+        sort: { column: 14, dir: 'desc' }
+    });
+    // A teammate's shared preset can be used but not deleted
+    assert.strictEqual(client.element('filterPresetDelete').disabled, true);
+
+    client.window.savePreset();
+
+    var body = new URLSearchParams(client.requests[0].body);
+    assert.strictEqual(body.get('action'), 'save-preset');
+    assert.strictEqual(body.get('name'), 'CBSI only');
+    assert.strictEqual(body.get('shared'), 'T');
+    assert.deepStrictEqual(JSON.parse(body.get('state')).sort, { column: 14, dir: 'desc' });
+
+    client.respond(0, {
+        success: true,
+        message: 'Filter preset "CBSI only" saved.',
+        presetId: '8',
+        presets: [
+            { id: '8', name: 'CBSI only', ownerName: 'Test User', mine: true, shared: true, state: {} },
+            { id: '7', name: 'Month End', ownerName: 'Pat', mine: false, shared: true, state: {} }
+        ]
+    });
+
+    assert.strictEqual(client.element('filterPresetSelect').innerHTML,
+        '<option value="">Saved filters...</option>' +
+        '<optgroup label="My Filters"><option value="8" selected>CBSI only (shared)</option></optgroup>' +
+        '<optgroup label="Shared by the Team"><option value="7">Month End - Pat</option></optgroup>');
+    assert.strictEqual(client.element('filterPresetDelete').disabled, false);
+    assert.deepStrictEqual(client.alerts, ['Filter preset "CBSI only" saved.']);
+});
+
+test('handleUnqueue posts the unqueue and takes the SO out of the queued totals', function() {
+    var tr = row('501');
+    var queuedCell = new FakeElement({ id: 'queued-cell-501', parent: tr });
+    var checkbox = new FakeElement({ checked: true, disabled: true, parent: tr });
+    var client = browser.loadClient({
+        elements: [
+            queuedCell,
+            new FakeElement({ id: 'loadingOverlay' }),
+            new FakeElement({ id: 'queuedTotal', textContent: '3' }),
+            new FakeElement({ id: 'queuedTotalLines', textContent: '5' }),
+            new FakeElement({ id: 'queuedTotalAmount', textContent: '$2,000.00' })
+        ],
+        select: function(selector) {
+            return selector === '.so-checkbox[value="501"]' ? checkbox : null;
+        }
+    });
+    client.window.addSalesOrders([salesOrder({ queued_date: '2/1/2025', unbilled_line_count: 2, total_unbilled_amount: -1500 })]);
+    var stopped = false;
+
+    client.window.handleUnqueue('501', { stopPropagation: function() { stopped = true; } });
+    assert.strictEqual(stopped, true);
+    assert.match(client.confirms[0], /queue\?\n\nThis will clear/);
+    assert.strictEqual(client.requests[0].url, client.window.SUITELET_URL);
+    assert.strictEqual(client.requests[0].body, 'action=unqueue&soId=501');
+
+    client.respond(0, { success: true, message: 'Removed from queue' });
+
+    assert.deepStrictEqual(client.alerts, ['Removed from queue']);
+    assert.strictEqual(checkbox.disabled, false);
+    assert.strictEqual(checkbox.checked, false);
+    assert.strictEqual(client.element('queuedTotal').textContent, 2);
+    assert.strictEqual(client.element('queuedTotalLines').textContent, 3);
+    assert.strictEqual(client.element('queuedTotalAmount').textContent, '$500.00');
+    assert.strictEqual(client.window.getRowSalesOrder(tr).queuedDate, null);
+});
+
+test('handleUnqueue does nothing when the user cancels', function() {
+    var client = browser.loadClient({ confirm: false });
+
+    client.window.handleUnqueue('501', { stopPropagation: function() {} });
+
+    assert.strictEqual(client.requests.length, 0);
+});
+
+test('removePickedLines keeps the unpicked lines on the model and the row', function() {
+    var tr = row('501');
+    var client = browser.loadClient({
+        elements: [new FakeElement({ id: 'unbilled-lines-cell-501' }), new FakeElement({ id: 'unbilled-amount-cell-501' })]
+    });
+    client.window.addSalesOrders([salesOrder()]);
+    var so = client.window.getRowSalesOrder(tr);
+
+    client.window.removePickedLines('501', tr, so.unbilledLines, ['1']);
+
+    assert.deepStrictEqual(plain(so.unbilledLines), [{ lineId: '2', item: 'Part "A" <B>', quantity: 2, amount: 50 }]);
+    assert.strictEqual(so.unbilledAmount, 50);
+    assert.strictEqual(client.element('unbilled-lines-cell-501').textContent, 1);
+    assert.strictEqual(client.element('unbilled-amount-cell-501').textContent, '$50.00');
+
+    client.window.removePickedLines('501', tr, so.unbilledLines, ['2']);
+    assert.strictEqual(tr.style.display, 'none');
+});
+
+/**
+ * Client with the elements loadReportData fills; the table body records appended chunks
+ */
+function loadingClient() {
+    var tbody = new FakeElement({ id: 'reportTableBody' });
+    tbody.insertAdjacentHTML = function(position, html) {
+        tbody.innerHTML += html;
+    };
+    return browser.loadClient({
+        elements: ['loadButtonContainer', 'loadingOverlay', 'reportContent', 'summaryTotal', 'summaryTotalAmount', 'loadProgress'].map(function(id) {
+            return new FakeElement({ id: id });
+        }).concat([tbody])
+    });
+}
+
+function chunk(remainingCount, soIds, extra) {
+    var resp = {
+        success: true,
+        lastId: Number(soIds[soIds.length - 1]),
+        hasMore: remainingCount > soIds.length,
+        remainingCount: remainingCount,
+        salesOrders: soIds.map(function(soId) {
+            return salesOrder({ so_id: soId, so_number: 'SO' + soId });
+        })
+    };
+    for (var key in extra || {}) {
+        resp[key] = extra[key];
+    }
+    return resp;
+}
+
+function renderedIds(client) {
+    return (client.element('reportTableBody').innerHTML.match(/data-so-id="(\d+)"/g) || []).join(',');
+}
+
+test('loadReportData fills the summary from the first chunk and appends the rest', function() {
+    var client = loadingClient();
+
+    client.window.loadReportData();
+    assert.match(client.requests[0].url, /&loadData=true&lastId=0$/);
+
+    client.respond(0, chunk(1200, ['1'], { summaryTotal: 1200, summaryTotalAmount: 123456.5 }));
+    assert.strictEqual(client.element('summaryTotal').textContent, 1200);
+    assert.strictEqual(client.element('summaryTotalAmount').textContent, '$123,456.50');
+    assert.strictEqual(client.element('reportContent').style.display, 'block');
+    assert.strictEqual(client.element('loadProgress').style.display, 'block');
+    assert.match(client.element('loadProgress').textContent, /1 of 1200 loaded/);
+    assert.match(client.requests[1].url, /&lastId=1$/);
+
+    // Two SOs were billed meanwhile: the total follows what is left after the last SO loaded
+    client.respond(1, chunk(1197, ['2']));
+    assert.match(client.element('loadProgress').textContent, /2 of 1198 loaded/);
+    assert.match(client.requests[2].url, /&lastId=2$/);
+    client.respond(2, chunk(2, ['3', '4']));
+
+    assert.strictEqual(client.requests.length, 3);
+    assert.strictEqual(renderedIds(client), 'data-so-id="1",data-so-id="2",data-so-id="3",data-so-id="4"');
+    assert.strictEqual(client.window.getRowSalesOrder(row('4')).soNumber, 'SO4');
+    assert.strictEqual(client.element('loadProgress').style.display, 'none');
+});
+
+/**
+ * Loading client whose table body keeps one row element per rendered SO, so rows can be reordered
+ */
+function rowsClient() {
+    var tbody = new FakeElement({ id: 'reportTableBody' });
+    tbody.rows = [];
+    function addRows(html) {
+        (html.match(/data-so-id="\d+"/g) || []).forEach(function(attr) {
+            tbody.rows.push(row(attr.match(/\d+/)[0]));
+        });
+    }
+    Object.defineProperty(tbody, 'innerHTML', {
+        get: function() { return ''; },
+        set: function(html) { tbody.rows = []; addRows(html); }
+    });
+    tbody.insertAdjacentHTML = function(position, html) { addRows(html); };
+    tbody.appendChild = function(el) {
+        tbody.rows.splice(tbody.rows.indexOf(el), 1);
+        tbody.rows.push(el);
+    };
+    return browser.loadClient({
+        elements: ['loadButtonContainer', 'loadingOverlay', 'reportContent', 'loadProgress'].map(function(id) {
+            return new FakeElement({ id: id });
+        }).concat([tbody])
+    });
+}
+
+test('chunks in internal ID order are shown in SO number order when no column sort is chosen', function() {
+    var client = rowsClient();
+    function numbered(soIds, numbers, remainingCount) {
+        var resp = chunk(remainingCount, soIds);
+        resp.salesOrders.forEach(function(so, i) { so.soNumber = numbers[i]; });
+        return resp;
+    }
+    function shown() {
+        return client.element('reportTableBody').rows.map(function(tr) { return client.window.getRowSalesOrder(tr).soNumber; }).join(',');
+    }
+
+    client.window.loadReportData();
+    client.respond(0, numbered(['10', '11'], ['SO300', 'SO100'], 4));
+    assert.strictEqual(shown(), 'SO100,SO300');
+
+    client.respond(1, numbered(['12', '13'], ['SO200', 'SO050'], 2));
+    assert.strictEqual(shown(), 'SO050,SO100,SO200,SO300');
+});
+
+test('a failed later chunk keeps the loaded rows, and chunks of an older load are dropped', function() {
+    var client = loadingClient();
+
+    client.window.loadReportData();
+    client.respond(0, chunk(1200, ['1']));
+    client.respond(1, { success: false, message: 'Search timed out' });
+
+    assert.strictEqual(client.alerts.length, 0);
+    assert.strictEqual(renderedIds(client), 'data-so-id="1"');
+    assert.match(client.element('loadProgress').textContent, /Stopped loading after 1 chunk\(s\): Error loading data: Search timed out/);
+
+    client.window.loadReportData();
+    client.window.loadReportData();
+    client.respond(2, chunk(1200, ['9']));
+    assert.strictEqual(client.requests.length, 4);
+    assert.strictEqual(renderedIds(client), 'data-so-id="1"');
+});
@@ -0,0 +1,216 @@
+/**
+ * Service Write-Off Portal GET routes and HTML builders: the page shell, the settings error page,
+ * the load-data Sales Orders and the History entries.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var vm = require('vm');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+
+function setup(storeOverrides) {
+    var store = netsuite.createStore(storeOverrides);
+    var portal = netsuite.loadModule('service_writeoff_portal_suitelet.js', store);
+    return { store: store, portal: portal };
+}
+
+test('the page renders the shell, modals and bootstrap script', function() {
+    var env = setup();
+
+    var page = netsuite.requestPage(env.portal);
+
+    assert.strictEqual(page.form.title, 'Service Write-Off Portal');
+    ['cbsiPreviewModal', 'linePickerModal', 'jobProgressModal', 'researchNoteModal', 'lineItemsTooltip'].forEach(function(id) {
+        assert.ok(page.html.indexOf('id="' + id + '"') >= 0, id + ' is missing');
+    });
+
+    var scripts = page.html.match(/<script>([\s\S]*?)<\/script>/g) || [];
+    assert.ok(scripts.length > 0);
+    scripts.forEach(function(script) {
+        assert.doesNotThrow(function() {
+            new vm.Script(script.replace(/^<script>|<\/script>$/g, ''));
+        });
+    });
+});
+
+test('the page renders an age chip per bucket plus No Date, and an Age column after the amount', function() {
+    var html = netsuite.requestPage(setup().portal).html;
+
+    assert.deepStrictEqual(html.match(/id="filterAge[^"]*"/g), [
+        'id="filterAge-0-30"', 'id="filterAge-31-60"', 'id="filterAge-61-90"', 'id="filterAge-91-180"', 'id="filterAge-180-plus"', 'id="filterAgeNone"'
+    ]);
+    assert.ok(html.indexOf('<option value="shipDate">Ship Date</option><option value="jobCompleted">Job Completed</option><option value="soDate">SO Date</option>') >= 0);
+    assert.ok(html.indexOf('onclick="sortTable(15)">Age<br>(Days)') > html.indexOf('onclick="sortTable(14)"'));
+    assert.ok(html.indexOf('id="ageCount-180-plus"') >= 0);
+});
+
+test('missing settings show the configuration error page instead of the portal', function() {
+    var env = setup({ settingsRow: null });
+
+    var page = netsuite.requestPage(env.portal);
+
+    assert.strictEqual(page.form.title, 'Service Write-Off Portal - Configuration Error');
+    assert.match(page.html, /No active Service Write-Off Settings record/);
+});
+
+test('load-data returns one Sales Order object per SO, with summary totals from the aggregate query', function() {
+    var env = setup();
+    netsuite.onQuery(env.store, 'AS unbilled_items_detail', [
+        fixtures.unbilledRow(),
+        fixtures.unbilledRow({ so_id: '502', so_number: 'SO502', queued_date: '2/1/2025', unbilled_line_count: 1, total_unbilled_amount: -20, unbilled_items_detail: 'Trip~~-1~~-20~~5' })
+    ]);
+    netsuite.onQuery(env.store, 'AS queued_so_count', [
+        { so_count: 1250, line_count: 3100, amount: -98000.5, queued_so_count: 40, queued_line_count: 52, queued_amount: -1800 }
+    ]);
+
+    var resp = netsuite.requestJson(env.portal, 'GET', { loadData: 'true' });
+
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.lastId, 502);
+    assert.strictEqual(resp.hasMore, false);
+    assert.strictEqual(resp.remainingCount, 2);
+    assert.strictEqual(resp.summaryTotal, 1250);
+    assert.strictEqual(resp.summaryTotalLines, 3100);
+    assert.strictEqual(resp.summaryTotalAmount, 98000.5);
+    assert.strictEqual(resp.queuedTotal, 40);
+    assert.strictEqual(resp.queuedTotalLines, 52);
+    assert.strictEqual(resp.queuedTotalAmount, 1800);
+
+    assert.deepStrictEqual(resp.salesOrders.map(function(so) { return [so.soId, so.unbilledAmount, so.statusText]; }), [
+        ['501', 150, 'Pending Billing'],
+        ['502', 20, 'Pending Billing']
+    ]);
+    assert.deepStrictEqual(resp.salesOrders[0].unbilledLines[1], { lineId: '2', item: 'Part "A" <B>', quantity: 2, amount: 50 });
+    assert.strictEqual(resp.salesOrders[1].queuedDate, '2/1/2025');
+    assert.strictEqual(resp.tableBodyHtml, undefined);
+});
+
+/**
+ * Serves the unbilled SO rows like the keyset query: only SOs above the so.id > ? parameter, in ID order
+ * @param {Array} rows - Unbilled rows, read at query time
+ */
+function keysetRows(rows) {
+    return function(params, sql) {
+        assert.match(sql, /AND so\.id > \? [\s\S]*ORDER BY so\.id$/);
+        return rows.filter(function(row) { return Number(row.so_id) > Number(params[1]); });
+    };
+}
+
+test('load-data reads past the 5,000 row runSuiteQL cap in chunks of 500 after the last SO loaded', function() {
+    var env = setup();
+    var rows = [];
+    for (var i = 0; i < 5200; i++) {
+        rows.push(fixtures.unbilledRow({ so_id: String(10000 + i), so_number: 'SO' + (10000 + i) }));
+    }
+    netsuite.onQuery(env.store, 'AS unbilled_items_detail', keysetRows(rows));
+
+    var first = netsuite.requestJson(env.portal, 'GET', { loadData: 'true' });
+    var last = netsuite.requestJson(env.portal, 'GET', { loadData: 'true', lastId: '14999' });
+
+    assert.strictEqual(first.remainingCount, 5200);
+    assert.strictEqual(first.hasMore, true);
+    assert.strictEqual(first.lastId, 10499);
+    assert.strictEqual(first.salesOrders.length, 500);
+    assert.strictEqual(last.summaryTotal, undefined);
+    assert.strictEqual(last.hasMore, false);
+    assert.strictEqual(last.salesOrders.length, 200);
+    assert.strictEqual(last.salesOrders[199].soId, '15199');
+    assert.strictEqual(last.lastId, 15199);
+});
+
+test('SOs billed between chunks do not shift the next chunk', function() {
+    var env = setup();
+    var rows = [];
+    for (var i = 0; i < 1200; i++) {
+        rows.push(fixtures.unbilledRow({ so_id: String(10000 + i), so_number: 'SO' + (10000 + i) }));
+    }
+    netsuite.onQuery(env.store, 'AS unbilled_items_detail', keysetRows(rows));
+
+    var loaded = [];
+    var resp = netsuite.requestJson(env.portal, 'GET', { loadData: 'true' });
+    loaded = loaded.concat(resp.salesOrders);
+    // 100 already loaded SOs get billed before the next chunk is requested
+    rows.splice(0, 100);
+    while (resp.hasMore) {
+        resp = netsuite.requestJson(env.portal, 'GET', { loadData: 'true', lastId: String(resp.lastId) });
+        loaded = loaded.concat(resp.salesOrders);
+    }
+
+    assert.strictEqual(loaded.length, 1200);
+    assert.strictEqual(loaded[500].soId, '10500');
+    assert.strictEqual(loaded[1199].soId, '11199');
+});
+
+/**
+ * Serves the list and summary queries from SO 501's lines in the store, applying the query's
+ * so_line.isclosed filter the way SuiteQL would (SO line amounts are negative)
+ * @param {Object} store - Shared store
+ */
+function unbilledLinesOf(store) {
+    function openLines(sql) {
+        return store.records['salesorder:501'].sublists.item.filter(function(line) {
+            return sql.indexOf('so_line.isclosed = \'F\'') < 0 || !line.isclosed;
+        });
+    }
+    netsuite.onQuery(store, 'AS unbilled_items_detail', function(params, sql) {
+        var lines = openLines(sql);
+        return lines.length === 0 ? [] : [fixtures.unbilledRow({
+            unbilled_line_count: lines.length,
+            total_unbilled_amount: lines.reduce(function(sum, line) { return sum - line.amount; }, 0),
+            unbilled_items_detail: lines.map(function(line) { return line.item + '~~-1~~' + (-line.amount) + '~~' + line.line; }).join('||')
+        })];
+    });
+    netsuite.onQuery(store, 'AS queued_so_count', function(params, sql) {
+        var lines = openLines(sql);
+        return [{
+            so_count: lines.length > 0 ? 1 : 0,
+            line_count: lines.length,
+            amount: lines.reduce(function(sum, line) { return sum - line.amount; }, 0),
+            queued_so_count: 0, queued_line_count: 0, queued_amount: 0
+        }];
+    });
+}
+
+test('a line closed by a partial write-off leaves the list and the summary', function() {
+    var env = setup();
+    fixtures.addSalesOrder(env.store, '501', { lines: [{ lineId: '1', item: 'Labor', amount: 100 }, { lineId: '2', item: 'Trip', amount: 50 }] });
+    unbilledLinesOf(env.store);
+
+    var closed = netsuite.requestJson(env.portal, 'POST', { action: 'partial-lines', soId: '501', closeLineIds: '2' });
+    var resp = netsuite.requestJson(env.portal, 'GET', { loadData: 'true' });
+
+    assert.strictEqual(closed.success, true);
+    assert.deepStrictEqual(resp.salesOrders[0].unbilledLines, [{ lineId: '1', item: 'Labor', quantity: 1, amount: 100 }]);
+    assert.strictEqual(resp.salesOrders[0].unbilledAmount, 100);
+    assert.strictEqual(resp.summaryTotalLines, 1);
+    assert.strictEqual(resp.summaryTotalAmount, 100);
+});
+
+test('load-data reports query errors as JSON', function() {
+    var env = setup();
+    netsuite.onQuery(env.store, 'AS unbilled_items_detail', function() {
+        throw new Error('Search timed out');
+    });
+
+    var resp = netsuite.requestJson(env.portal, 'GET', { loadData: 'true' });
+
+    assert.strictEqual(resp.success, false);
+    assert.match(resp.message, /Search timed out/);
+});
+
+test('history lists ledger entries with action labels', function() {
+    var env = setup();
+    netsuite.onQuery(env.store, 'FROM customrecord_service_wo_audit', [{
+        entry_id: '9', created: '2025-03-01 09:00', user_name: 'Pat', action: 'partial-lines', so_id: '501', so_number: 'Sales Order #SO501',
+        invoice_id: '1001', invoice_number: 'Invoice #INV1001', amount: 40, success: 'T', error: '', bulk: 'F'
+    }]);
+
+    var resp = netsuite.requestJson(env.portal, 'GET', { action: 'history' });
+
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.entries[0].actionLabel, 'Bill / Close Lines');
+    assert.strictEqual(resp.entries[0].soNumber, 'SO501');
+    assert.strictEqual(resp.entries[0].invoiceNumber, 'INV1001');
+    assert.strictEqual(resp.entries[0].success, true);
+});
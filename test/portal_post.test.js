@@ -0,0 +1,234 @@
+/**
+ * Service Write-Off Portal POST routes: every action handlePost dispatches, its JSON response
+ * and the ledger entry it writes.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+
+function setup(lines) {
+    var store = netsuite.createStore();
+    fixtures.addSalesOrder(store, '501', { lines: lines });
+    var portal = netsuite.loadModule('service_writeoff_portal_suitelet.js', store);
+    return {
+        store: store,
+        post: function(params) {
+            return netsuite.requestJson(portal, 'POST', params);
+        }
+    };
+}
+
+test('close closes every line through the library close and records the action', function() {
+    var env = setup([{ lineId: '1', item: 'Labor', amount: 100 }, { lineId: '2', item: 'Part', amount: 20 }]);
+
+    var resp = env.post({ action: 'close', soId: '501' });
+
+    assert.strictEqual(resp.success, true);
+    var so = env.store.records['salesorder:501'];
+    assert.deepStrictEqual(so.sublists.item.map(function(l) { return l.isclosed; }), [true, true]);
+    assert.deepStrictEqual(so.saveOptions, { enableSourcing: false, ignoreMandatoryFields: true });
+    var entry = netsuite.auditEntries(env.store)[0];
+    assert.strictEqual(entry.custrecord_swo_audit_action, 'close');
+    assert.deepStrictEqual(JSON.parse(entry.custrecord_swo_audit_details), { savedId: '501', linesClosed: 2 });
+});
+
+test('auto-bill saves the invoice and returns its number and routing', function() {
+    var env = setup();
+
+    var resp = env.post({ action: 'auto-bill', soId: '501' });
+
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.routing.decision, 'bill');
+    assert.match(resp.invoiceTranid, /^INV\d+$/);
+    assert.strictEqual(netsuite.auditEntries(env.store)[0].custrecord_swo_audit_amount, 100);
+});
+
+test('auto-bill saves a standard-mode transform, not the dynamic pre-flight record', function() {
+    var env = setup();
+
+    env.post({ action: 'auto-bill', soId: '501' });
+
+    var invoices = netsuite.savedOfType(env.store, 'invoice');
+    assert.strictEqual(invoices.length, 1);
+    assert.strictEqual(invoices[0].isDynamic, false);
+    assert.strictEqual(invoices[0].saveOptions, null);
+});
+
+test('auto-bill closes a $0 Sales Order and blocks a negative one', function() {
+    var zero = setup([{ lineId: '1', item: 'Warranty', amount: 0 }]);
+    var closed = zero.post({ action: 'auto-bill', soId: '501' });
+    assert.strictEqual(closed.success, true);
+    assert.strictEqual(closed.routing.decision, 'close');
+    assert.strictEqual(closed.invoiceId, null);
+
+    var negative = setup([{ lineId: '1', item: 'Credit', amount: -10 }]);
+    var blocked = negative.post({ action: 'auto-bill', soId: '501' });
+    assert.strictEqual(blocked.success, false);
+    assert.strictEqual(blocked.routing.decision, 'block');
+    assert.match(blocked.message, /^Invoice total would be -\$10.00/);
+    assert.strictEqual(netsuite.auditEntries(negative.store)[0].custrecord_swo_audit_success, false);
+});
+
+test('cbsi-bill-je with preview=T saves nothing and totals only billable SOs', function() {
+    var env = setup([{ lineId: '1', item: 'Labor', amount: 70 }]);
+    fixtures.addSalesOrder(env.store, '502', { lines: [{ lineId: '1', item: 'Warranty', amount: 0 }] });
+
+    var resp = env.post({ action: 'cbsi-bill-je', preview: 'T', selectedSOIds: '501,502' });
+
+    assert.strictEqual(resp.success, true);
+    assert.deepStrictEqual(resp.previews.map(function(p) { return p.routing.decision; }), ['bill', 'close']);
+    assert.strictEqual(resp.totalAmount, 70);
+    assert.strictEqual(env.store.saved.length, 0);
+});
+
+test('cbsi-bill-je runs the engine and reports validation', function() {
+    var env = setup();
+
+    var resp = env.post({ action: 'cbsi-bill-je', soId: '501' });
+
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.amount, 100);
+    assert.strictEqual(resp.validation.netEffect, 0);
+    var entry = netsuite.auditEntries(env.store)[0];
+    assert.strictEqual(entry.custrecord_swo_audit_action, 'cbsi-bill-je');
+    assert.ok(entry.custrecord_swo_audit_je);
+});
+
+test('cbsi-bill-je leaves the ledger payment empty and keeps the deleted payment in the details', function() {
+    var env = setup();
+
+    env.post({ action: 'cbsi-bill-je', soId: '501' });
+
+    var payment = netsuite.savedOfType(env.store, 'customerpayment')[0];
+    var entry = netsuite.auditEntries(env.store)[0];
+    assert.strictEqual(entry.custrecord_swo_audit_payment, undefined);
+    assert.strictEqual(JSON.parse(entry.custrecord_swo_audit_details).temporaryPaymentId, payment.id);
+});
+
+test('cbsi-bill-je records the payment when the temporary payment could not be deleted', function() {
+    var env = setup();
+    env.store.failDelete = { customerpayment: true };
+
+    env.post({ action: 'cbsi-bill-je', soId: '501' });
+
+    var payment = netsuite.savedOfType(env.store, 'customerpayment')[0];
+    assert.strictEqual(netsuite.auditEntries(env.store)[0].custrecord_swo_audit_payment, payment.id);
+});
+
+test('cbsi-bill-je failure returns the rollback', function() {
+    var env = setup();
+    env.store.transforms['invoice>customerpayment'] = function() {
+        return { fields: {}, sublists: { apply: [], credit: [] } };
+    };
+
+    var resp = env.post({ action: 'cbsi-bill-je', soId: '501' });
+
+    assert.strictEqual(resp.success, false);
+    assert.match(resp.message, /^Error in CBSI Bill and JE: VALIDATION FAILED/);
+    assert.strictEqual(resp.rollback.rolledBack.length, 2);
+});
+
+test('the ledger entry of a rolled-back cbsi-bill-je keeps no IDs of the deleted records', function() {
+    var env = setup();
+    env.store.transforms['invoice>customerpayment'] = function() {
+        return { fields: {}, sublists: { apply: [], credit: [] } };
+    };
+
+    env.post({ action: 'cbsi-bill-je', soId: '501' });
+
+    var entry = netsuite.auditEntries(env.store)[0];
+    var details = JSON.parse(entry.custrecord_swo_audit_details);
+    assert.strictEqual(entry.custrecord_swo_audit_success, false);
+    assert.strictEqual(entry.custrecord_swo_audit_invoice, undefined);
+    assert.strictEqual(entry.custrecord_swo_audit_je, undefined);
+    assert.strictEqual(entry.custrecord_swo_audit_payment, undefined);
+    assert.deepStrictEqual(details.rollback.rolledBack.map(function(r) { return [r.type, r.method, r.id]; }), [
+        ['journalentry', 'deleted', undefined],
+        ['invoice', 'deleted', undefined]
+    ]);
+});
+
+test('queue and unqueue set and clear the queue date', function() {
+    var env = setup();
+
+    assert.strictEqual(env.post({ action: 'queue', soId: '501' }).success, true);
+    assert.strictEqual(env.post({ action: 'unqueue', soId: '501' }).success, true);
+
+    assert.ok(env.store.submitted[0].values.custbody_service_queued_for_write_off instanceof Date);
+    assert.strictEqual(env.store.submitted[1].values.custbody_service_queued_for_write_off, '');
+    assert.deepStrictEqual(netsuite.auditEntries(env.store).map(function(e) { return e.custrecord_swo_audit_action; }), ['queue', 'unqueue']);
+});
+
+test('partial-lines invoices the chosen lines and closes the others', function() {
+    var env = setup([
+        { lineId: '1', item: 'Labor', amount: 100 },
+        { lineId: '2', item: 'Part', amount: 40 },
+        { lineId: '3', item: 'Trip', amount: 25 }
+    ]);
+
+    var resp = env.post({ action: 'partial-lines', soId: '501', billLineIds: '1,2', closeLineIds: '3' });
+
+    assert.strictEqual(resp.success, true);
+    assert.deepStrictEqual(resp.billedLines, ['1', '2']);
+    assert.deepStrictEqual(resp.closedLines, ['3']);
+    var invoice = netsuite.savedOfType(env.store, 'invoice')[0];
+    assert.deepStrictEqual(invoice.sublists.item.map(function(l) { return l.orderline; }), ['1', '2']);
+    assert.strictEqual(invoice.isDynamic, false);
+    assert.strictEqual(invoice.saveOptions, null);
+    assert.deepStrictEqual(env.store.records['salesorder:501'].sublists.item.map(function(l) { return l.isclosed; }), [false, false, true]);
+});
+
+test('partial-lines rolls the invoice back when a close line is not on the SO', function() {
+    var env = setup();
+
+    var resp = env.post({ action: 'partial-lines', soId: '501', billLineIds: '1', closeLineIds: '7' });
+
+    assert.strictEqual(resp.success, false);
+    assert.match(resp.message, /Line\(s\) 7 are not on this Sales Order .* Rolled back: Invoice INV\d+ \(deleted\)\.$/);
+    assert.deepStrictEqual(env.store.deleted.map(function(d) { return d.type; }), ['invoice']);
+});
+
+test('add-note stores the note and converts the follow-up date', function() {
+    var env = setup();
+
+    var resp = env.post({ action: 'add-note', soId: '501', note: 'Called mfr', followUpDate: '2025-03-07' });
+
+    assert.strictEqual(resp.success, true);
+    assert.deepStrictEqual(env.store.submitted[0].values, {
+        custbody_service_research_notes: 'Called mfr',
+        custbody_service_research_followupdate: '3/7/2025'
+    });
+});
+
+test('a bulk request without a selection is rejected', function() {
+    var env = setup();
+
+    var resp = env.post({ bulkAction: 'queue' });
+
+    assert.strictEqual(resp.success, false);
+    assert.match(resp.message, /No Sales Orders selected/);
+});
+
+test('bulk queue runs inline and lists the queued IDs', function() {
+    var env = setup();
+
+    var resp = env.post({ bulkAction: 'queue', selectedSOIds: '501,502' });
+
+    assert.strictEqual(resp.success, true);
+    assert.deepStrictEqual(resp.queuedIds, ['501', '502']);
+    assert.strictEqual(netsuite.auditEntries(env.store).length, 2);
+});
+
+test('bulk close / auto-bill / CBSI are submitted as a background job', function() {
+    var env = setup();
+
+    var resp = env.post({ bulkAction: 'cbsi-bill-je', selectedSOIds: '501,502,503' });
+
+    assert.strictEqual(resp.async, true);
+    assert.strictEqual(resp.total, 3);
+    var job = netsuite.savedOfType(env.store, 'customrecord_service_wo_bulk_job')[0];
+    assert.strictEqual(job.fields.custrecord_swo_job_so_ids, '501,502,503');
+    assert.deepStrictEqual(env.store.tasks[0].params, { custscript_swo_bulk_job_id: job.id });
+});
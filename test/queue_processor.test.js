@@ -0,0 +1,131 @@
+/**
+ * Service Write-Off Queue Processor Map/Reduce: the paged queue input, the invoice + write-off
+ * credit memo per queued SO, the rollback when the credit memo fails and the result stamp.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+
+/**
+ * Queue of the given rows, with SO 501 ($100 labor) billable and the invoice -> credit memo transform
+ * @param {Array} queued - getInputData rows
+ */
+function setup(queued) {
+    var store = netsuite.createStore();
+    fixtures.addSalesOrder(store, '501');
+    store.transforms['invoice>creditmemo'] = function(fromId) {
+        return {
+            fields: { entity: '77' },
+            sublists: {
+                item: [{ item: 'Service Labor', quantity: 1, amount: 100 }],
+                apply: [{ doc: '9999', apply: true, amount: 25 }, { doc: fromId, apply: false, amount: 0 }]
+            }
+        };
+    };
+    netsuite.onQuery(store, 'custbody_service_queued_for_write_off IS NOT NULL', queued);
+    return { store: store, processor: netsuite.loadModule('service_writeoff_queue_processor_mr.js', store) };
+}
+
+function stampOf(store, soId) {
+    return store.submitted.filter(function(s) { return s.type === 'salesorder' && s.id === soId; })[0].values;
+}
+
+test('bills each queued SO and writes it off with a credit memo applied only to its invoice', function() {
+    var env = setup([{ so_id: '501', so_number: 'SO501', so_status: 'F' }]);
+
+    var run = netsuite.runMapReduce(env.processor);
+
+    var invoice = netsuite.savedOfType(env.store, 'invoice')[0];
+    var creditMemo = netsuite.savedOfType(env.store, 'creditmemo')[0];
+    assert.deepStrictEqual(creditMemo.sublists.item, [{ item: '306698', quantity: 1, rate: 100, amount: 100, department: '13' }]);
+    assert.deepStrictEqual(creditMemo.sublists.apply, [
+        { doc: '9999', apply: false, amount: 25 },
+        { doc: String(invoice.id), apply: true, amount: 100 }
+    ]);
+    assert.match(run.output[0].value, /^Written off .*: Invoice INV\d+, Credit Memo CM\d+$/);
+    assert.strictEqual(stampOf(env.store, '501').custbody_service_queued_for_write_off, '');
+});
+
+test('a failed credit memo rolls the invoice back and stamps the SO as failed', function() {
+    var env = setup([{ so_id: '501', so_number: 'SO501', so_status: 'F' }]);
+    env.store.onSave = function(rec) {
+        if (rec.type === 'creditmemo') {
+            throw new Error('Write-off item is inactive');
+        }
+    };
+
+    var run = netsuite.runMapReduce(env.processor);
+
+    var invoice = netsuite.savedOfType(env.store, 'invoice')[0];
+    assert.deepStrictEqual(env.store.deleted, [{ type: 'invoice', id: invoice.id }]);
+    assert.match(run.output[0].value, /^Failed .*: Write-off item is inactive Rolled back: Invoice INV\d+ \(deleted\)\.$/);
+    assert.match(stampOf(env.store, '501').custbody_service_write_off_result, /^Failed /);
+});
+
+test('a $0 SO is closed instead of billed, like the portal\'s Auto-Bill', function() {
+    var env = setup([{ so_id: '501', so_number: 'SO501', so_status: 'F' }]);
+    fixtures.addSalesOrder(env.store, '501', { lines: [{ lineId: '1', item: 'Warranty', amount: 0 }] });
+
+    var run = netsuite.runMapReduce(env.processor);
+
+    assert.strictEqual(netsuite.savedOfType(env.store, 'invoice').length, 0);
+    assert.strictEqual(netsuite.savedOfType(env.store, 'creditmemo').length, 0);
+    assert.deepStrictEqual(env.store.records['salesorder:501'].sublists.item.map(function(l) { return l.isclosed; }), [true]);
+    assert.match(run.output[0].value, /^Closed .*: Invoice total would be \$0\.00 - the Sales Order was closed instead of billed\.$/);
+    assert.strictEqual(stampOf(env.store, '501').custbody_service_queued_for_write_off, '');
+});
+
+test('a negative SO is blocked and left unbilled', function() {
+    var env = setup([{ so_id: '501', so_number: 'SO501', so_status: 'F' }]);
+    fixtures.addSalesOrder(env.store, '501', { lines: [{ lineId: '1', item: 'Credit', amount: -5 }] });
+
+    var run = netsuite.runMapReduce(env.processor);
+
+    assert.strictEqual(netsuite.savedOfType(env.store, 'invoice').length, 0);
+    assert.deepStrictEqual(env.store.records['salesorder:501'].sublists.item.map(function(l) { return l.isclosed; }), [false]);
+    assert.match(run.output[0].value, /^Failed .*: Invoice total would be -\$5\.00 \(a credit\) - blocked\./);
+});
+
+test('SOs no longer Pending Billing are skipped and un-queued', function() {
+    var env = setup([{ so_id: '501', so_number: 'SO501', so_status: 'G' }]);
+
+    var run = netsuite.runMapReduce(env.processor);
+
+    assert.strictEqual(netsuite.savedOfType(env.store, 'invoice').length, 0);
+    assert.match(run.output[0].value, /^Skipped .*: Sales Order is no longer Pending Billing$/);
+    assert.strictEqual(stampOf(env.store, '501').custbody_service_queued_for_write_off, '');
+});
+
+test('the queue input pages past the 5,000 row runSuiteQL cap', function() {
+    var rows = [];
+    for (var i = 0; i < 5200; i++) {
+        rows.push({ so_id: String(10000 + i), so_number: 'SO' + (10000 + i), so_status: 'F' });
+    }
+    var env = setup(rows);
+
+    var input = env.processor.getInputData();
+
+    assert.strictEqual(input.length, 5200);
+    assert.strictEqual(input[5199].so_id, '15199');
+});
+
+test('summarize totals the processed and failed SOs', function() {
+    var env = setup([
+        { so_id: '501', so_number: 'SO501', so_status: 'F' },
+        { so_id: '502', so_number: 'SO502', so_status: 'F' }
+    ]);
+    fixtures.addSalesOrder(env.store, '502');
+    env.store.onSave = function(rec) {
+        if (rec.type === 'invoice' && rec.fields.createdfrom === '502') {
+            throw new Error('Period is closed');
+        }
+    };
+
+    netsuite.runMapReduce(env.processor);
+
+    var complete = env.store.logs.filter(function(l) { return l.title === 'Write-Off Queue Complete'; })[0];
+    assert.strictEqual(complete.details.processed, 2);
+    assert.strictEqual(complete.details.failed, 1);
+});
@@ -0,0 +1,227 @@
+/**
+ * Research note thread: writeOffLib.saveResearchNote / listResearchNotes, the portal's add-note,
+ * bulk add-note and note-thread routes, and the client's modal (one SO or the selection).
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var netsuite = require('./helpers/netsuite');
+var fixtures = require('./helpers/fixtures');
+var browser = require('./helpers/browser');
+
+var FakeElement = browser.FakeElement;
+var NOTE_TYPE = 'customrecord_service_wo_note';
+
+/**
+ * Store whose note query answers from the note records saved in it, newest first, and whose
+ * transaction query returns the given latest-note mirror
+ * @param {Object|Function} [mirror] - { note, follow_up_date } on the Sales Order, or a query handler
+ */
+function setup(mirror) {
+    var store = netsuite.createStore();
+    fixtures.addSalesOrder(store, '501');
+    netsuite.onQuery(store, 'FROM ' + NOTE_TYPE, function(params) {
+        return netsuite.savedOfType(store, NOTE_TYPE).filter(function(rec) {
+            return String(rec.fields.custrecord_swo_note_so) === String(params[0]);
+        }).reverse().map(function(rec) {
+            return {
+                id: rec.id,
+                created: '2025-03-0' + rec.id % 10 + ' 09:00',
+                author_id: rec.fields.custrecord_swo_note_author,
+                author_name: 'Test User',
+                note: rec.fields.custrecord_swo_note_text,
+                follow_up_date: rec.fields.custrecord_swo_note_followup || null
+            };
+        });
+    });
+    netsuite.onQuery(store, 'FROM transaction WHERE id = ?', typeof mirror === 'function' ? mirror : [mirror || { note: null, follow_up_date: null }]);
+    return {
+        store: store,
+        lib: netsuite.loadModule('service_writeoff_lib.js', store),
+        portal: netsuite.loadModule('service_writeoff_portal_suitelet.js', store)
+    };
+}
+
+test('each note is kept as its own entry by the current user, and the SO keeps the latest', function() {
+    var env = setup();
+
+    env.lib.saveResearchNote('501', '  Called mfr ', '2025-03-07');
+    var second = env.lib.saveResearchNote('501', 'Mfr sent RMA', '');
+
+    var entries = netsuite.savedOfType(env.store, NOTE_TYPE).map(function(rec) { return rec.fields; });
+    assert.deepStrictEqual(entries, [
+        { custrecord_swo_note_so: '501', custrecord_swo_note_author: 5, custrecord_swo_note_text: 'Called mfr', custrecord_swo_note_followup: '3/7/2025' },
+        { custrecord_swo_note_so: '501', custrecord_swo_note_author: 5, custrecord_swo_note_text: 'Mfr sent RMA' }
+    ]);
+    assert.deepStrictEqual(env.store.submitted[1].values, { custbody_service_research_notes: 'Mfr sent RMA', custbody_service_research_followupdate: '' });
+    assert.deepStrictEqual(env.lib.listResearchNotes('501').map(function(n) { return n.note; }), ['Mfr sent RMA', 'Called mfr']);
+    assert.strictEqual(second.entryId, String(netsuite.savedOfType(env.store, NOTE_TYPE)[1].id));
+});
+
+test('an empty note only changes the follow-up date', function() {
+    var env = setup();
+
+    var resp = netsuite.requestJson(env.portal, 'POST', { action: 'add-note', soId: '501', note: '   ', followUpDate: '2025-04-01' });
+
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.message, 'Follow-up date saved.');
+    assert.deepStrictEqual(resp.notes, []);
+    assert.strictEqual(netsuite.savedOfType(env.store, NOTE_TYPE).length, 0);
+    assert.deepStrictEqual(env.store.submitted[0].values, { custbody_service_research_followupdate: '4/1/2025' });
+});
+
+test('a note saved before the thread existed is listed as one earlier entry', function() {
+    var env = setup({ note: 'Waiting on parts', follow_up_date: '2/1/2025' });
+
+    var resp = netsuite.requestJson(env.portal, 'GET', { action: 'note-thread', soId: '501' });
+
+    assert.strictEqual(resp.success, true);
+    assert.deepStrictEqual(resp.notes, [
+        { id: null, created: '', authorId: null, authorName: '', note: 'Waiting on parts', followUpDate: '2/1/2025', legacy: true }
+    ]);
+});
+
+test('the first note added keeps the earlier note in the thread and on the SO', function() {
+    var env = setup({ note: 'Waiting on parts', follow_up_date: '2/1/2025' });
+
+    var resp = netsuite.requestJson(env.portal, 'POST', { action: 'add-note', soId: '501', note: 'Mfr approved', followUpDate: '' });
+    env.lib.saveResearchNote('501', 'RMA sent', '');
+
+    assert.strictEqual(resp.success, true);
+    assert.strictEqual(resp.researchNotes, 'Waiting on parts\n\nMfr approved');
+    assert.deepStrictEqual(env.store.submitted[0].values, { custbody_service_research_notes: 'Waiting on parts\n\nMfr approved', custbody_service_research_followupdate: '' });
+    assert.deepStrictEqual(resp.notes.map(function(n) { return [n.note, n.authorId, n.followUpDate, n.legacy]; }), [
+        ['Mfr approved', '5', null, false],
+        ['Waiting on parts', null, '2/1/2025', true]
+    ]);
+    // Only the first entry of the thread brings the earlier note along
+    assert.deepStrictEqual(env.lib.listResearchNotes('501').map(function(n) { return n.note; }), ['RMA sent', 'Mfr approved', 'Waiting on parts']);
+});
+
+test('the note modal starts empty below the fetched thread, and saving refreshes the cached thread', function() {
+    var so = netsuite.loadModule('service_writeoff_lib.js', netsuite.createStore()).toSalesOrderModel(fixtures.unbilledRow());
+    var tr = new FakeElement({ tagName: 'tr', id: 'row-' + so.soId, attributes: { 'data-so-id': so.soId } });
+    var client = browser.loadClient({ elements: [
+        new FakeElement({ id: 'researchNoteModal' }),
+        new FakeElement({ id: 'researchNoteInput', value: 'left over' }),
+        new FakeElement({ id: 'followUpDateInput' }),
+        new FakeElement({ id: 'researchNoteThread' })
+    ] });
+    client.window.addSalesOrders([so]);
+    var thread = client.element('researchNoteThread');
+
+    client.window.openResearchNoteModal(so.soId, tr);
+
+    assert.strictEqual(client.element('researchNoteInput').value, '');
+    assert.match(thread.innerHTML, /Loading notes/);
+    assert.strictEqual(client.requests[0].url, client.window.SUITELET_URL + '&action=note-thread&soId=' + so.soId);
+    client.respond(0, { success: true, soId: so.soId, notes: [
+        { id: '2', created: '2025-03-02 09:00', authorName: 'Pat', note: 'RMA <sent>', followUpDate: '3/9/2025', legacy: false },
+        { id: null, created: '', authorName: '', note: 'Waiting on parts', followUpDate: null, legacy: true }
+    ] });
+    assert.ok(thread.innerHTML.indexOf('Pat · 2025-03-02 09:00 · Follow up 3/9/2025</div><div class="note-entry-text">RMA &lt;sent&gt;</div>') >= 0);
+    assert.ok(thread.innerHTML.indexOf('Earlier note (before note history)') >= 0);
+
+    client.element('researchNoteInput').value = ' Mfr approved ';
+    client.window.saveResearchNote();
+    var post = client.requests[1];
+    assert.match(post.body, /note=Mfr%20approved&/);
+    client.respond(1, { success: true, notes: [{ id: '3', created: '2025-03-03 10:00', authorName: 'Pat', note: 'Mfr approved', legacy: false }] });
+
+    client.window.openResearchNoteModal(so.soId, tr);
+    assert.strictEqual(client.requests.length, 2);
+    assert.ok(thread.innerHTML.indexOf('Mfr approved') >= 0);
+});
+
+test('bulk add-note appends one note to each SO\'s note field and reports each SO', function() {
+    var env = setup(function(params) {
+        return [{ note: params[0] === '501' ? 'Waiting on parts' : null, follow_up_date: null }];
+    });
+    fixtures.addSalesOrder(env.store, '502');
+    fixtures.addSalesOrder(env.store, '503');
+    env.store.onSave = function(rec) {
+        if (rec.type === NOTE_TYPE && rec.fields.custrecord_swo_note_so === '503') throw new Error('Record is locked');
+    };
+
+    var resp = netsuite.requestJson(env.portal, 'POST', { bulkAction: 'add-note', selectedSOIds: '501,502,503', note: 'Called mfr', noteMode: 'append', followUpDate: '2025-03-07' });
+
+    assert.strictEqual(resp.success, true);
+    assert.deepStrictEqual(resp.processedIds, ['501', '502']);
+    assert.deepStrictEqual(resp.failedIds, ['503']);
+    assert.match(resp.failureDetails['503'], /Record is locked/);
+    assert.deepStrictEqual(resp.researchNotes, { 501: 'Waiting on parts\n\nCalled mfr', 502: 'Called mfr' });
+    assert.strictEqual(resp.followUpDate, '3/7/2025');
+    assert.match(resp.message, /^Research note added to 2 Sales Order\(s\)\. Failed: 1/);
+    assert.deepStrictEqual(netsuite.auditEntries(env.store).map(function(e) {
+        return [e.custrecord_swo_audit_so, e.custrecord_swo_audit_success, e.custrecord_swo_audit_bulk];
+    }), [['501', true, true], ['502', true, true], ['503', false, true]]);
+});
+
+test('bulk add-note can replace the note field, and refuses an empty note and date', function() {
+    var env = setup({ note: 'Waiting on parts', follow_up_date: null });
+
+    var replaced = netsuite.requestJson(env.portal, 'POST', { bulkAction: 'add-note', selectedSOIds: '501', note: 'Mfr approved', noteMode: 'replace', followUpDate: '' });
+    var empty = netsuite.requestJson(env.portal, 'POST', { bulkAction: 'add-note', selectedSOIds: '501', note: ' ', followUpDate: '' });
+
+    assert.deepStrictEqual(replaced.researchNotes, { 501: 'Mfr approved' });
+    assert.deepStrictEqual(env.store.submitted[0].values, { custbody_service_research_notes: 'Mfr approved', custbody_service_research_followupdate: '' });
+    assert.strictEqual(empty.success, false);
+    assert.strictEqual(empty.message, 'Enter a note or a follow-up date to apply.');
+    assert.strictEqual(env.store.submitted.length, 1);
+});
+
+test('the bulk note modal posts one note for the selection and updates each row', function() {
+    var lib = netsuite.loadModule('service_writeoff_lib.js', netsuite.createStore());
+    var sos = ['501', '502'].map(function(id) {
+        return lib.toSalesOrderModel(fixtures.unbilledRow({ so_id: id, so_number: 'SO' + id }));
+    });
+    var checkboxes = sos.map(function(so) {
+        return new FakeElement({ tagName: 'input', value: so.soId, checked: true, parent: new FakeElement({ tagName: 'tr', attributes: { 'data-so-id': so.soId } }) });
+    });
+    var client = browser.loadClient({
+        elements: [
+            new FakeElement({ id: 'bulkActionSelect', value: 'add-note' }),
+            new FakeElement({ id: 'loadingOverlay' }),
+            new FakeElement({ id: 'researchNoteModal' }),
+            new FakeElement({ id: 'researchNoteInput' }),
+            new FakeElement({ id: 'followUpDateInput' }),
+            new FakeElement({ id: 'researchNoteThread' }),
+            new FakeElement({ id: 'researchNoteLabel' }),
+            new FakeElement({ id: 'researchNoteModeRow' }),
+            new FakeElement({ id: 'researchNoteModeSelect' }),
+            new FakeElement({ id: 'follow-up-cell-502' })
+        ],
+        select: function(selector, all) {
+            if (all) return checkboxes.filter(function(cb) { return cb.checked; });
+            return checkboxes.filter(function(cb) { return selector.indexOf('"' + cb.value + '"') >= 0; })[0] || null;
+        }
+    });
+    client.window.addSalesOrders(sos);
+
+    client.window.executeBulkAction();
+    assert.strictEqual(client.element('researchNoteModal').style.display, 'flex');
+    assert.strictEqual(client.element('researchNoteLabel').textContent, 'Add a note to the 2 selected Sales Orders:');
+    assert.strictEqual(client.element('researchNoteModeRow').style.display, '');
+    assert.strictEqual(client.element('researchNoteThread').style.display, 'none');
+
+    client.window.saveResearchNote();
+    assert.deepStrictEqual(client.alerts, ['Enter a note or a follow-up date to apply to the selected Sales Orders.']);
+
+    client.element('researchNoteInput').value = 'Called mfr';
+    client.element('followUpDateInput').value = '2025-03-07';
+    client.element('researchNoteModeSelect').value = 'replace';
+    client.window.saveResearchNote();
+    assert.strictEqual(client.requests[0].body, 'selectedSOIds=501,502&bulkAction=add-note&note=Called%20mfr&noteMode=replace&followUpDate=2025-03-07');
+
+    client.respond(0, { success: true, message: 'Research note added to 2 Sales Order(s).', processedIds: ['501', '502'], failedIds: [],
+        researchNotes: { 501: 'Called mfr', 502: 'Called mfr' }, followUpDate: '3/7/2025', governanceStopped: false });
+    var so = client.window.getRowSalesOrder(checkboxes[1].parent);
+    assert.strictEqual(so.researchNotes, 'Called mfr');
+    assert.strictEqual(so.followUpDate, '3/7/2025');
+    assert.strictEqual(client.element('follow-up-cell-502').textContent, '3/7/2025');
+    assert.deepStrictEqual(checkboxes.map(function(cb) { return cb.checked; }), [false, false]);
+
+    client.window.openResearchNoteModal('501', checkboxes[0].parent);
+    assert.strictEqual(client.element('researchNoteLabel').textContent, 'Add a note to this Sales Order:');
+    assert.strictEqual(client.element('researchNoteModeRow').style.display, 'none');
+});